@@ -14,6 +14,14 @@ module.exports = async function handler(req, res) {
       return res.status(500).json({ error: 'OAuth not configured' });
     }
 
+    // Fail before the Bungie round trip rather than at the callback
+    try {
+      bungieOAuth.checkSessionConfig();
+    } catch (error) {
+      console.error('Session store misconfigured:', error.message);
+      return res.status(500).json({ error: error.message });
+    }
+
     const state = bungieOAuth.generateState();
 
     res.setHeader('Set-Cookie', [
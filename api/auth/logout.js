@@ -9,6 +9,14 @@ module.exports = async function handler(req, res) {
   }
 
   try {
+    // Revoke server-side so the old cookie value is useless even if it was copied
+    const sessionToken = req.cookies?.bungie_session;
+    if (sessionToken) {
+      await bungieOAuth.revokeSession(sessionToken).catch(error => {
+        console.error('Session revoke failed:', error);
+      });
+    }
+
     res.setHeader('Set-Cookie', [
       bungieOAuth.createLogoutCookie('bungie_session'),
       bungieOAuth.createLogoutCookie('oauth_state')
@@ -2,6 +2,7 @@
 // Check and refresh user session
 
 const bungieOAuth = require('../../lib/bungie-oauth');
+const { refreshSession, resolveMembership, SESSION_COOKIE, SESSION_MAX_AGE } = require('../../lib/auth-middleware');
 
 module.exports = async function handler(req, res) {
   if (req.method !== 'GET') {
@@ -9,7 +10,7 @@ module.exports = async function handler(req, res) {
   }
 
   try {
-    const sessionToken = req.cookies?.bungie_session;
+    const sessionToken = req.cookies?.[SESSION_COOKIE];
 
     if (!sessionToken) {
       return res.status(200).json({
@@ -22,7 +23,7 @@ module.exports = async function handler(req, res) {
     const sessionData = await bungieOAuth.verifySessionToken(sessionToken);
 
     if (!sessionData) {
-      res.setHeader('Set-Cookie', [bungieOAuth.createLogoutCookie('bungie_session')]);
+      res.setHeader('Set-Cookie', [bungieOAuth.createLogoutCookie(SESSION_COOKIE)]);
       return res.status(200).json({
         authenticated: false,
         user: null,
@@ -39,25 +40,14 @@ module.exports = async function handler(req, res) {
     if (shouldRefresh && sessionData.refreshToken) {
       try {
         console.log('Refreshing access token...');
-        const refreshResponse = await bungieOAuth.refreshAccessToken(sessionData.refreshToken);
+        updatedSession = await refreshSession(sessionToken, sessionData);
 
-        if (refreshResponse.access_token) {
-          updatedSession = {
-            ...sessionData,
-            accessToken: refreshResponse.access_token,
-            refreshToken: refreshResponse.refresh_token || sessionData.refreshToken,
-            expiresAt: Date.now() + (refreshResponse.expires_in * 1000),
-            expiresIn: refreshResponse.expires_in,
-            lastRefreshed: Date.now()
-          };
+        // Same session ID; re-issue the cookie to slide its expiry with the stored session
+        res.setHeader('Set-Cookie', [
+          bungieOAuth.createSecureCookie(SESSION_COOKIE, sessionToken, SESSION_MAX_AGE)
+        ]);
 
-          const newSessionToken = await bungieOAuth.createSessionToken(updatedSession);
-          res.setHeader('Set-Cookie', [
-            bungieOAuth.createSecureCookie('bungie_session', newSessionToken, 7 * 24 * 60 * 60)
-          ]);
-
-          console.log('Token refreshed successfully');
-        }
+        console.log('Token refreshed successfully');
       } catch (refreshError) {
         console.error('Failed to refresh token:', refreshError);
       }
@@ -66,17 +56,16 @@ module.exports = async function handler(req, res) {
     return res.status(200).json({
       authenticated: true,
       user: updatedSession.user,
+      activeMembership: resolveMembership(updatedSession),
       expiresAt: new Date(updatedSession.expiresAt).toISOString(),
       timeUntilExpiry: updatedSession.expiresAt - Date.now()
     });
 
   } catch (error) {
+    // The session may still be valid (store outage, misconfiguration) - keep the cookie
     console.error('Session check error:', error);
-    res.setHeader('Set-Cookie', [bungieOAuth.createLogoutCookie('bungie_session')]);
-    return res.status(200).json({
-      authenticated: false,
-      user: null,
-      message: 'Session check failed'
+    return res.status(error.status || 500).json({
+      error: error.isConfigError || error.isStorageError ? error.message : 'Session check failed'
     });
   }
 };
@@ -1,8 +1,8 @@
 // api/destiny/activities.js
 // Get activity history and stats
 
-const bungieOAuth = require('../../lib/bungie-oauth');
 const bungieAPI = require('../../lib/bungie-api');
+const { withAuth } = require('../../lib/auth-middleware');
 
 // Activity mode types
 const ACTIVITY_MODES = {
@@ -33,25 +33,11 @@ const ACTIVITY_MODES = {
   allCompetitive: 69
 };
 
-module.exports = async function handler(req, res) {
-  if (req.method !== 'GET') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-
+module.exports = withAuth(async function handler(req, res, auth) {
   try {
     const { characterId, mode, count, page } = req.query;
 
-    const sessionToken = req.cookies?.bungie_session;
-    if (!sessionToken) {
-      return res.status(401).json({ error: 'Not authenticated' });
-    }
-
-    const sessionData = await bungieOAuth.verifySessionToken(sessionToken);
-    if (!sessionData) {
-      return res.status(401).json({ error: 'Invalid session' });
-    }
-
-    const user = sessionData.user;
+    const membership = auth.membership;
 
     if (!characterId) {
       return res.status(400).json({ error: 'Missing characterId parameter' });
@@ -62,8 +48,8 @@ module.exports = async function handler(req, res) {
     const activityPage = parseInt(page) || 0;
 
     const activities = await bungieAPI.getActivityHistory(
-      user.primaryMembershipType,
-      user.primaryMembershipId,
+      membership.membershipType,
+      membership.membershipId,
       characterId,
       activityMode,
       activityCount,
@@ -83,4 +69,4 @@ module.exports = async function handler(req, res) {
       errorCode: error.errorCode
     });
   }
-};
+});
@@ -0,0 +1,32 @@
+// api/destiny/pgcr.js
+// Get post-game carnage report for an activity instance (public)
+
+const bungieAPI = require('../../lib/bungie-api');
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { activityId } = req.query;
+
+    if (!activityId || !/^\d+$/.test(activityId)) {
+      return res.status(400).json({ error: 'Missing or invalid activityId parameter' });
+    }
+
+    const pgcr = await bungieAPI.getPGCR(activityId);
+
+    res.status(200).json({
+      pgcr,
+      fetchTimestamp: Date.now()
+    });
+
+  } catch (error) {
+    console.error('PGCR fetch error:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to fetch post-game carnage report',
+      errorCode: error.errorCode
+    });
+  }
+};
@@ -0,0 +1,150 @@
+// api/destiny/player-search.js
+// Look up any player by Bungie name and view their public profile (public - no login required)
+//   ?name=Guardian#1234                              search (the #code is optional)
+//   ?membershipType=3&membershipId=...               read-only profile + account stats
+//   ?membershipType=3&membershipId=...&characterId=  recent activities for a character
+
+const bungieAPI = require('../../lib/bungie-api');
+const { getSelectableMemberships } = require('../../lib/auth-middleware');
+
+// Profile components other players can always see: profile, characters, equipment,
+// and instances/stats/sockets (which only cover equipped items when inventories are private)
+const PUBLIC_COMPONENTS = [100, 200, 205, 300, 304, 305];
+
+// Bungie names are up to 26 characters, plus an optional #0000 code
+const BUNGIE_NAME_PATTERN = /^(.{1,26}?)(?:#(\d{1,4}))?$/;
+const ID_PATTERN = /^\d+$/;
+
+const ACTIVITY_PAGE_SIZE = 10;
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { name, membershipType, membershipId, characterId } = req.query;
+
+    if (name !== undefined) {
+      return await searchPlayers(req, res, String(name).trim());
+    }
+
+    if (!ID_PATTERN.test(membershipType || '') || !ID_PATTERN.test(membershipId || '')) {
+      return res.status(400).json({ error: 'Missing name or membershipType/membershipId parameters' });
+    }
+
+    if (characterId !== undefined) {
+      if (!ID_PATTERN.test(characterId)) {
+        return res.status(400).json({ error: 'Invalid characterId parameter' });
+      }
+
+      const activities = await bungieAPI.getActivityHistory(
+        membershipType,
+        membershipId,
+        characterId,
+        parseInt(req.query.mode) || 0,
+        ACTIVITY_PAGE_SIZE,
+        parseInt(req.query.page) || 0
+      );
+
+      return res.status(200).json({
+        activities,
+        fetchTimestamp: Date.now()
+      });
+    }
+
+    const [profileData, accountStats] = await Promise.all([
+      bungieAPI.getProfile(membershipType, membershipId, null, PUBLIC_COMPONENTS),
+      // Historical stats can be missing for brand new accounts; the profile still renders
+      bungieAPI.getAccountStats(membershipType, membershipId).catch(error => {
+        console.warn('Player stats unavailable:', error.message);
+        return null;
+      })
+    ]);
+
+    const userInfo = profileData.profile?.data?.userInfo || {};
+
+    res.status(200).json({
+      membershipData: {
+        membershipType: parseInt(membershipType),
+        membershipId,
+        displayName: userInfo.displayName,
+        bungieName: formatBungieName(userInfo.bungieGlobalDisplayName, userInfo.bungieGlobalDisplayNameCode)
+      },
+      profileData,
+      accountStats,
+      fetchTimestamp: Date.now()
+    });
+
+  } catch (error) {
+    console.error('Player search error:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Player lookup failed',
+      errorCode: error.errorCode
+    });
+  }
+};
+
+/**
+ * Search by Bungie name prefix; an exact name#code narrows to that player
+ */
+async function searchPlayers(req, res, query) {
+  const match = query.match(BUNGIE_NAME_PATTERN);
+  if (!query || !match) {
+    return res.status(400).json({ error: 'Enter a Bungie name, e.g. Guardian#1234' });
+  }
+
+  const [, prefix, code] = match;
+  const page = parseInt(req.query.page) || 0;
+  const result = await bungieAPI.searchByGlobalNamePost(prefix, page);
+
+  let players = (result.searchResults || []).map(player => ({
+    bungieName: formatBungieName(player.bungieGlobalDisplayName, player.bungieGlobalDisplayNameCode),
+    bungieNetMembershipId: player.bungieNetMembershipId,
+    memberships: getSelectableMemberships(player).map(toMembershipSummary)
+  })).filter(player => player.memberships.length > 0);
+
+  if (code) {
+    const fullName = formatBungieName(prefix, code).toLowerCase();
+    players = players.filter(player => player.bungieName.toLowerCase() === fullName);
+
+    // Prefix results are paged, so an exact name can be past the first page
+    if (players.length === 0) {
+      try {
+        const exact = await bungieAPI.searchDestinyPlayerByBungieName(prefix, code);
+        const memberships = getSelectableMemberships({ destinyMemberships: exact || [] });
+
+        if (memberships.length > 0) {
+          players = [{
+            bungieName: formatBungieName(memberships[0].bungieGlobalDisplayName, memberships[0].bungieGlobalDisplayNameCode),
+            bungieNetMembershipId: null,
+            memberships: memberships.map(toMembershipSummary)
+          }];
+        }
+      } catch (error) {
+        console.warn('Exact Bungie name search failed:', error.message);
+      }
+    }
+  }
+
+  res.status(200).json({
+    players,
+    page,
+    hasMore: !code && !!result.hasMore,
+    fetchTimestamp: Date.now()
+  });
+}
+
+function toMembershipSummary(membership) {
+  return {
+    membershipType: membership.membershipType,
+    membershipId: membership.membershipId,
+    displayName: membership.displayName,
+    iconPath: membership.iconPath
+  };
+}
+
+function formatBungieName(name, code) {
+  if (!name) return '';
+  return code ? `${name}#${String(code).padStart(4, '0')}` : name;
+}
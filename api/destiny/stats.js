@@ -1,42 +1,28 @@
 // api/destiny/stats.js
 // Get player stats (PvP, PvE, overall)
 
-const bungieOAuth = require('../../lib/bungie-oauth');
 const bungieAPI = require('../../lib/bungie-api');
+const { withAuth } = require('../../lib/auth-middleware');
 
-module.exports = async function handler(req, res) {
-  if (req.method !== 'GET') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-
+module.exports = withAuth(async function handler(req, res, auth) {
   try {
     const { characterId, type } = req.query;
 
-    const sessionToken = req.cookies?.bungie_session;
-    if (!sessionToken) {
-      return res.status(401).json({ error: 'Not authenticated' });
-    }
-
-    const sessionData = await bungieOAuth.verifySessionToken(sessionToken);
-    if (!sessionData) {
-      return res.status(401).json({ error: 'Invalid session' });
-    }
-
-    const user = sessionData.user;
+    const membership = auth.membership;
 
     let stats;
 
     if (type === 'account') {
       // Account-wide stats
       stats = await bungieAPI.getAccountStats(
-        user.primaryMembershipType,
-        user.primaryMembershipId
+        membership.membershipType,
+        membership.membershipId
       );
     } else {
       // Character-specific or all characters
       stats = await bungieAPI.getHistoricalStats(
-        user.primaryMembershipType,
-        user.primaryMembershipId,
+        membership.membershipType,
+        membership.membershipId,
         characterId || '0'
       );
     }
@@ -53,4 +39,4 @@ module.exports = async function handler(req, res) {
       errorCode: error.errorCode
     });
   }
-};
+});
@@ -1,8 +1,8 @@
 // api/destiny/vendors.js
 // Get vendor data (Xur, Banshee, Ada-1, etc.)
 
-const bungieOAuth = require('../../lib/bungie-oauth');
 const bungieAPI = require('../../lib/bungie-api');
+const { withAuth } = require('../../lib/auth-middleware');
 
 // Known vendor hashes (name -> hash mapping for convenience)
 const VENDOR_HASHES = {
@@ -25,26 +25,11 @@ const VENDOR_HASHES = {
   variks: 2531198101
 };
 
-module.exports = async function handler(req, res) {
-  if (req.method !== 'GET') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-
+module.exports = withAuth(async function handler(req, res, auth) {
   try {
     const { vendor, characterId } = req.query;
 
-    const sessionToken = req.cookies?.bungie_session;
-    if (!sessionToken) {
-      return res.status(401).json({ error: 'Not authenticated' });
-    }
-
-    const sessionData = await bungieOAuth.verifySessionToken(sessionToken);
-    if (!sessionData) {
-      return res.status(401).json({ error: 'Invalid session' });
-    }
-
-    const user = sessionData.user;
-    const accessToken = sessionData.accessToken;
+    const membership = auth.membership;
 
     if (!characterId) {
       return res.status(400).json({ error: 'Missing characterId parameter' });
@@ -67,21 +52,21 @@ module.exports = async function handler(req, res) {
       }
 
       // Get specific vendor
-      result = await bungieAPI.getVendor(
-        user.primaryMembershipType,
-        user.primaryMembershipId,
+      result = await auth.call(token => bungieAPI.getVendor(
+        membership.membershipType,
+        membership.membershipId,
         characterId,
         vendorHash,
-        accessToken
-      );
+        token
+      ));
     } else {
       // Get all vendors
-      result = await bungieAPI.getVendors(
-        user.primaryMembershipType,
-        user.primaryMembershipId,
+      result = await auth.call(token => bungieAPI.getVendors(
+        membership.membershipType,
+        membership.membershipId,
         characterId,
-        accessToken
-      );
+        token
+      ));
     }
 
     res.status(200).json({
@@ -97,4 +82,4 @@ module.exports = async function handler(req, res) {
       errorCode: error.errorCode
     });
   }
-};
+});
@@ -0,0 +1,155 @@
+// api/destiny/xur.js
+// Get Xur's location, inventory and departure time (public - no login required)
+
+const bungieAPI = require('../../lib/bungie-api');
+const kvStore = require('../../lib/kv-store');
+const { withAuth } = require('../../lib/auth-middleware');
+
+const XUR_VENDOR_HASH = 2190858386;
+
+// Vendors, sales, item instances, item stats, item sockets
+const INSTANCED_COMPONENTS = [400, 402, 300, 304, 305];
+
+const ROLLS_KEY = 'xur:rolls';
+
+// Bungie's public vendor endpoint has no instanced item data (stat rolls, sockets)
+// or vendor location. Xur's rolls are the same for everyone, so the last signed-in
+// fetch is stored in the shared KV store until he leaves and served to logged-out
+// requests on every instance. Without KV (local dev) only this instance remembers them.
+let cachedRolls = null;
+
+module.exports = withAuth(async function handler(req, res, auth) {
+  try {
+    const publicData = await bungieAPI.getPublicXurVendor();
+    const vendor = publicData.vendor;
+
+    if (!vendor || vendor.enabled === false) {
+      return res.status(200).json({
+        available: false,
+        vendorHash: XUR_VENDOR_HASH,
+        fetchTimestamp: Date.now()
+      });
+    }
+
+    const nextRefreshDate = vendor.nextRefreshDate || null;
+    let storedRolls = await loadRolls(nextRefreshDate);
+
+    // Signed-in visitors refresh the instanced data; failures fall back to public data
+    if (auth && !storedRolls) {
+      try {
+        storedRolls = await fetchInstancedRolls(auth, nextRefreshDate);
+        if (storedRolls) await saveRolls(storedRolls);
+      } catch (error) {
+        console.warn('Could not fetch Xur rolls:', error.message);
+      }
+    }
+
+    const sales = Object.entries(publicData.sales).map(([vendorItemIndex, sale]) => {
+      const rolls = storedRolls?.items[vendorItemIndex];
+      const hasRolls = rolls && rolls.itemHash === sale.itemHash;
+
+      return {
+        vendorItemIndex: parseInt(vendorItemIndex),
+        itemHash: sale.itemHash,
+        quantity: sale.quantity,
+        costs: sale.costs || [],
+        stats: hasRolls ? rolls.stats : null,
+        sockets: hasRolls ? rolls.sockets : null
+      };
+    });
+
+    res.status(200).json({
+      available: true,
+      vendorHash: XUR_VENDOR_HASH,
+      vendorLocationIndex: storedRolls?.vendorLocationIndex ?? null,
+      nextRefreshDate,
+      hasRolls: !!storedRolls,
+      sales,
+      fetchTimestamp: Date.now()
+    });
+
+  } catch (error) {
+    console.error('Xur fetch error:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to fetch Xur data',
+      errorCode: error.errorCode
+    });
+  }
+}, { optional: true });
+
+/**
+ * Rolls stored for this Xur visit, or null when none are stored or they are from a past week
+ */
+async function loadRolls(nextRefreshDate) {
+  let rolls = cachedRolls;
+
+  if (kvStore.isConfigured()) {
+    try {
+      rolls = await kvStore.getJSON(ROLLS_KEY);
+      cachedRolls = rolls;
+    } catch (error) {
+      console.warn('Could not read stored Xur rolls:', error.message);
+    }
+  }
+
+  return rolls && rolls.nextRefreshDate === nextRefreshDate ? rolls : null;
+}
+
+/**
+ * Store rolls until Xur leaves
+ */
+async function saveRolls(rolls) {
+  cachedRolls = rolls;
+  if (!kvStore.isConfigured()) return;
+
+  const ttlMs = rolls.nextRefreshDate ? new Date(rolls.nextRefreshDate).getTime() - Date.now() : 0;
+  try {
+    await kvStore.setJSON(ROLLS_KEY, rolls, ttlMs > 0 ? ttlMs : 0);
+  } catch (error) {
+    console.warn('Could not store Xur rolls:', error.message);
+  }
+}
+
+/**
+ * Fetch Xur's vendor for the signed-in user's first character, keeping stats and sockets
+ */
+async function fetchInstancedRolls(auth, nextRefreshDate) {
+  const membership = auth.membership;
+
+  const profile = await auth.call(token => bungieAPI.getProfile(
+    membership.membershipType,
+    membership.membershipId,
+    token,
+    [200]
+  ));
+
+  const characterId = Object.keys(profile.characters?.data || {})[0];
+  if (!characterId) return null;
+
+  const data = await auth.call(token => bungieAPI.getVendor(
+    membership.membershipType,
+    membership.membershipId,
+    characterId,
+    XUR_VENDOR_HASH,
+    token,
+    INSTANCED_COMPONENTS
+  ));
+
+  const stats = data.itemComponents?.stats?.data || {};
+  const sockets = data.itemComponents?.sockets?.data || {};
+  const items = {};
+
+  for (const [vendorItemIndex, sale] of Object.entries(data.sales?.data || {})) {
+    items[vendorItemIndex] = {
+      itemHash: sale.itemHash,
+      stats: stats[vendorItemIndex]?.stats || null,
+      sockets: sockets[vendorItemIndex]?.sockets || null
+    };
+  }
+
+  return {
+    nextRefreshDate,
+    vendorLocationIndex: data.vendor?.data?.vendorLocationIndex ?? null,
+    items
+  };
+}
@@ -1,55 +1,40 @@
 // api/inventory/equip.js
 // Equip items to character
 
-const bungieOAuth = require('../../lib/bungie-oauth');
 const bungieAPI = require('../../lib/bungie-api');
+const { withAuth } = require('../../lib/auth-middleware');
 
-module.exports = async function handler(req, res) {
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-
+module.exports = withAuth(async function handler(req, res, auth) {
   try {
-    const sessionToken = req.cookies?.bungie_session;
-    if (!sessionToken) {
-      return res.status(401).json({ error: 'Not authenticated' });
-    }
-
-    const sessionData = await bungieOAuth.verifySessionToken(sessionToken);
-    if (!sessionData) {
-      return res.status(401).json({ error: 'Invalid session' });
-    }
-
     const { itemIds, characterId } = req.body;
 
     if (!characterId) {
       return res.status(400).json({ error: 'Missing characterId' });
     }
 
-    const user = sessionData.user;
-    const accessToken = sessionData.accessToken;
+    const membership = auth.membership;
 
     let result;
 
     // Single item or multiple items
     if (Array.isArray(itemIds) && itemIds.length > 1) {
-      result = await bungieAPI.equipItems(
-        user.primaryMembershipType,
+      result = await auth.call(token => bungieAPI.equipItems(
+        membership.membershipType,
         itemIds,
         characterId,
-        accessToken
-      );
+        token
+      ));
     } else {
       const itemId = Array.isArray(itemIds) ? itemIds[0] : itemIds;
       if (!itemId) {
         return res.status(400).json({ error: 'Missing itemId' });
       }
-      result = await bungieAPI.equipItem(
-        user.primaryMembershipType,
+      result = await auth.call(token => bungieAPI.equipItem(
+        membership.membershipType,
         itemId,
         characterId,
-        accessToken
-      );
+        token
+      ));
     }
 
     res.status(200).json({
@@ -64,4 +49,4 @@ module.exports = async function handler(req, res) {
       errorCode: error.errorCode
     });
   }
-};
+}, { methods: ['POST'] });
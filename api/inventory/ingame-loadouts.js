@@ -0,0 +1,80 @@
+// api/inventory/ingame-loadouts.js
+// List in-game loadout slots per character, equip a slot or snapshot current gear into one
+
+const bungieAPI = require('../../lib/bungie-api');
+const { withAuth } = require('../../lib/auth-middleware');
+
+module.exports = withAuth(async function handler(req, res, auth) {
+  try {
+    const membership = auth.membership;
+
+    if (req.method === 'GET') {
+      // Characters + CharacterLoadouts
+      const profile = await auth.call(token => bungieAPI.getProfile(
+        membership.membershipType,
+        membership.membershipId,
+        token,
+        [200, 206]
+      ));
+
+      const loadouts = profile.characterLoadouts?.data || {};
+      const characters = {};
+
+      for (const characterId of Object.keys(profile.characters?.data || {})) {
+        characters[characterId] = {
+          loadouts: loadouts[characterId]?.loadouts || []
+        };
+      }
+
+      return res.status(200).json({
+        characters,
+        fetchTimestamp: Date.now()
+      });
+    }
+
+    // POST: { action: 'equip' | 'snapshot', characterId, loadoutIndex, colorHash?, iconHash?, nameHash? }
+    const { action, characterId, loadoutIndex, colorHash, iconHash, nameHash } = req.body;
+
+    if (!characterId || !Number.isInteger(loadoutIndex) || loadoutIndex < 0) {
+      return res.status(400).json({ error: 'Missing required parameters' });
+    }
+
+    if (action === 'equip') {
+      await auth.call(token => bungieAPI.equipLoadout(
+        membership.membershipType,
+        characterId,
+        loadoutIndex,
+        token
+      ));
+    } else if (action === 'snapshot') {
+      if (!colorHash || !iconHash || !nameHash) {
+        return res.status(400).json({ error: 'Missing loadout color, icon or name' });
+      }
+
+      await auth.call(token => bungieAPI.snapshotLoadout(
+        membership.membershipType,
+        characterId,
+        loadoutIndex,
+        colorHash,
+        iconHash,
+        nameHash,
+        token
+      ));
+    } else {
+      return res.status(400).json({ error: 'Unknown action' });
+    }
+
+    res.status(200).json({
+      success: true,
+      action,
+      loadoutIndex
+    });
+
+  } catch (error) {
+    console.error('In-game loadout error:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Loadout request failed',
+      errorCode: error.errorCode
+    });
+  }
+}, { methods: ['GET', 'POST'] });
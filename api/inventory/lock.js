@@ -0,0 +1,72 @@
+// api/inventory/lock.js
+// Lock or unlock one or more items
+
+const bungieAPI = require('../../lib/bungie-api');
+const { withAuth } = require('../../lib/auth-middleware');
+
+// Most items per request - keeps one invocation inside the function timeout and
+// Bungie's action throttle (clients send larger selections in chunks)
+const MAX_ITEMS_PER_REQUEST = 20;
+
+module.exports = withAuth(async function handler(req, res, auth) {
+  try {
+    const { state, characterId } = req.body;
+
+    // Single item ({ itemId, characterId, state }) or bulk ({ items: [{ itemId, characterId }], state })
+    const items = Array.isArray(req.body.items)
+      ? req.body.items
+      : [{ itemId: req.body.itemId, characterId }];
+
+    if (typeof state !== 'boolean' || items.length === 0) {
+      return res.status(400).json({ error: 'Missing required parameters' });
+    }
+
+    if (items.length > MAX_ITEMS_PER_REQUEST) {
+      return res.status(400).json({ error: `At most ${MAX_ITEMS_PER_REQUEST} items can be locked per request` });
+    }
+
+    const membership = auth.membership;
+    const results = [];
+
+    // Sequential to stay inside Bungie's per-action throttle
+    for (const item of items) {
+      const itemCharacterId = item?.characterId || characterId;
+
+      if (!item?.itemId || !itemCharacterId) {
+        results.push({ itemId: item?.itemId, success: false, error: 'Missing itemId or characterId' });
+        continue;
+      }
+
+      try {
+        await auth.call(token => bungieAPI.setItemLockState(
+          membership.membershipType,
+          item.itemId,
+          itemCharacterId,
+          state,
+          token
+        ));
+        results.push({ itemId: item.itemId, success: true });
+      } catch (error) {
+        results.push({
+          itemId: item.itemId,
+          success: false,
+          error: error.message,
+          errorCode: error.errorCode
+        });
+      }
+    }
+
+    res.status(200).json({
+      success: results.every(r => r.success),
+      state,
+      results
+    });
+
+  } catch (error) {
+    console.error('Lock error:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Lock failed',
+      errorCode: error.errorCode
+    });
+  }
+}, { methods: ['POST'] });
@@ -0,0 +1,134 @@
+// api/inventory/postmaster.js
+// Pull postmaster items, making room in full buckets
+// (postmaster contents come from the profile's character inventories)
+
+const bungieAPI = require('../../lib/bungie-api');
+const { withAuth } = require('../../lib/auth-middleware');
+
+// Bungie error code when the destination bucket is full
+const NO_ROOM_ERROR_CODE = 1642;
+
+// Item state flag for locked items
+const ITEM_STATE_LOCKED = 1;
+
+module.exports = withAuth(async function handler(req, res, auth) {
+  try {
+    // Pull one or more items to a character
+    const { characterId } = req.body;
+    const items = Array.isArray(req.body.items) ? req.body.items : [req.body];
+
+    if (!characterId || items.length === 0) {
+      return res.status(400).json({ error: 'Missing required parameters' });
+    }
+
+    const results = [];
+
+    // Pull sequentially so room-making moves don't race each other
+    for (const item of items) {
+      if (!item?.itemReferenceHash) {
+        results.push({ ...item, success: false, error: 'Missing itemReferenceHash' });
+        continue;
+      }
+      results.push(await pullItem(auth, characterId, item));
+    }
+
+    res.status(200).json({
+      success: results.every(r => r.success),
+      results,
+      fetchTimestamp: Date.now()
+    });
+
+  } catch (error) {
+    console.error('Postmaster error:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Postmaster request failed',
+      errorCode: error.errorCode
+    });
+  }
+}, { methods: ['POST'] });
+
+/**
+ * Pull a single item, moving an item to the vault and retrying if the bucket is full
+ */
+async function pullItem(auth, characterId, item) {
+  const membership = auth.membership;
+  const { itemReferenceHash, itemId, bucketHash } = item;
+  const stackSize = item.stackSize || 1;
+  const result = { itemReferenceHash, itemId, success: false };
+
+  const pull = () => auth.call(token => bungieAPI.pullFromPostmaster(
+    membership.membershipType,
+    itemReferenceHash,
+    stackSize,
+    itemId || '0',
+    characterId,
+    token
+  ));
+
+  try {
+    await pull();
+    result.success = true;
+    return result;
+  } catch (error) {
+    if (error.errorCode !== NO_ROOM_ERROR_CODE || !bucketHash) {
+      result.error = error.message;
+      result.errorCode = error.errorCode;
+      return result;
+    }
+  }
+
+  // Bucket is full - send something to the vault and try again
+  try {
+    const moved = await makeRoom(auth, characterId, bucketHash, itemId);
+    if (!moved) {
+      result.error = 'Bucket is full and nothing can be moved to the vault';
+      result.errorCode = NO_ROOM_ERROR_CODE;
+      return result;
+    }
+
+    result.movedToVault = moved;
+    await pull();
+    result.success = true;
+  } catch (error) {
+    result.error = error.message;
+    result.errorCode = error.errorCode;
+  }
+
+  return result;
+}
+
+/**
+ * Move one unlocked, transferable item out of a character bucket into the vault
+ */
+async function makeRoom(auth, characterId, bucketHash, excludeItemId) {
+  const membership = auth.membership;
+  const character = await auth.call(token => bungieAPI.getCharacter(
+    membership.membershipType,
+    membership.membershipId,
+    characterId,
+    token,
+    [201]
+  ));
+
+  const candidate = (character.inventory?.data?.items || []).find(item =>
+    item.bucketHash === bucketHash &&
+    item.itemInstanceId &&
+    item.itemInstanceId !== excludeItemId &&
+    item.transferStatus === 0 &&
+    !(item.state & ITEM_STATE_LOCKED)
+  );
+
+  if (!candidate) return null;
+
+  await auth.call(token => bungieAPI.transferItem(
+    membership.membershipType,
+    candidate.itemHash,
+    candidate.quantity || 1,
+    true,
+    candidate.itemInstanceId,
+    characterId,
+    token
+  ));
+
+  return { itemId: candidate.itemInstanceId, itemHash: candidate.itemHash };
+}
@@ -1,44 +1,30 @@
 // api/inventory/profile.js
 // Fetch complete user profile and inventory data
 
-const bungieOAuth = require('../../lib/bungie-oauth');
 const bungieAPI = require('../../lib/bungie-api');
+const { withAuth } = require('../../lib/auth-middleware');
 
-module.exports = async function handler(req, res) {
-  if (req.method !== 'GET') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-
+module.exports = withAuth(async function handler(req, res, auth) {
   try {
-    const sessionToken = req.cookies?.bungie_session;
-    if (!sessionToken) {
-      return res.status(401).json({ error: 'Not authenticated' });
-    }
-
-    const sessionData = await bungieOAuth.verifySessionToken(sessionToken);
-    if (!sessionData) {
-      return res.status(401).json({ error: 'Invalid session' });
-    }
-
-    const user = sessionData.user;
-    const accessToken = sessionData.accessToken;
+    const user = auth.user;
+    const membership = auth.membership;
 
-    if (!user.primaryMembershipType || !user.primaryMembershipId) {
-      return res.status(400).json({ error: 'No primary membership found' });
+    if (!membership.membershipType || !membership.membershipId) {
+      return res.status(400).json({ error: 'No Destiny membership found' });
     }
 
     console.log('Fetching profile for:', user.displayName);
 
-    const profileData = await bungieAPI.getProfile(
-      user.primaryMembershipType,
-      user.primaryMembershipId,
-      accessToken
-    );
+    const profileData = await auth.call(token => bungieAPI.getProfile(
+      membership.membershipType,
+      membership.membershipId,
+      token
+    ));
 
     res.status(200).json({
       membershipData: {
-        membershipType: user.primaryMembershipType,
-        membershipId: user.primaryMembershipId,
+        membershipType: membership.membershipType,
+        membershipId: membership.membershipId,
         displayName: user.displayName,
         platforms: user.platforms || []
       },
@@ -61,4 +47,4 @@ module.exports = async function handler(req, res) {
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-};
+});
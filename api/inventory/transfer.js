@@ -1,43 +1,28 @@
 // api/inventory/transfer.js
 // Transfer items between character and vault
 
-const bungieOAuth = require('../../lib/bungie-oauth');
 const bungieAPI = require('../../lib/bungie-api');
+const { withAuth } = require('../../lib/auth-middleware');
 
-module.exports = async function handler(req, res) {
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-
+module.exports = withAuth(async function handler(req, res, auth) {
   try {
-    const sessionToken = req.cookies?.bungie_session;
-    if (!sessionToken) {
-      return res.status(401).json({ error: 'Not authenticated' });
-    }
-
-    const sessionData = await bungieOAuth.verifySessionToken(sessionToken);
-    if (!sessionData) {
-      return res.status(401).json({ error: 'Invalid session' });
-    }
-
     const { itemReferenceHash, stackSize, transferToVault, itemId, characterId } = req.body;
 
     if (!itemReferenceHash || !itemId || !characterId) {
       return res.status(400).json({ error: 'Missing required parameters' });
     }
 
-    const user = sessionData.user;
-    const accessToken = sessionData.accessToken;
+    const membership = auth.membership;
 
-    const result = await bungieAPI.transferItem(
-      user.primaryMembershipType,
+    const result = await auth.call(token => bungieAPI.transferItem(
+      membership.membershipType,
       itemReferenceHash,
       stackSize || 1,
       transferToVault,
       itemId,
       characterId,
-      accessToken
-    );
+      token
+    ));
 
     res.status(200).json({
       success: true,
@@ -51,4 +36,4 @@ module.exports = async function handler(req, res) {
       errorCode: error.errorCode
     });
   }
-};
+}, { methods: ['POST'] });
@@ -22,16 +22,19 @@ module.exports = async function handler(req, res) {
     // Valid definition names
     const validTables = [
       'DestinyStatDefinition',
+      'DestinyStatGroupDefinition',
       'DestinyClassDefinition',
       'DestinyDamageTypeDefinition',
       'DestinyTraitDefinition',
       'DestinyInventoryItemDefinition',
+      'DestinyEquipableItemSetDefinition',
       'DestinySandboxPerkDefinition',
       'DestinyPlugSetDefinition',
       'DestinySocketTypeDefinition',
       'DestinySocketCategoryDefinition',
       'DestinyItemCategoryDefinition',
       'DestinyActivityDefinition',
+      'DestinyActivityModifierDefinition',
       'DestinyActivityModeDefinition',
       'DestinyActivityTypeDefinition',
       'DestinyPlaceDefinition',
@@ -55,7 +58,11 @@ module.exports = async function handler(req, res) {
       'DestinyLoreDefinition',
       'DestinyMetricDefinition',
       'DestinyPowerCapDefinition',
-      'DestinyBreakerTypeDefinition'
+      'DestinyBreakerTypeDefinition',
+      'DestinyLoadoutConstantsDefinition',
+      'DestinyLoadoutColorDefinition',
+      'DestinyLoadoutIconDefinition',
+      'DestinyLoadoutNameDefinition'
     ];
 
     // Check if valid table name
@@ -1,34 +1,19 @@
 // api/social/clan.js
 // Get clan data, members, and weekly rewards
 
-const bungieOAuth = require('../../lib/bungie-oauth');
 const bungieAPI = require('../../lib/bungie-api');
+const { withAuth } = require('../../lib/auth-middleware');
 
-module.exports = async function handler(req, res) {
-  if (req.method !== 'GET') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-
+module.exports = withAuth(async function handler(req, res, auth) {
   try {
     const { action } = req.query;
 
-    const sessionToken = req.cookies?.bungie_session;
-    if (!sessionToken) {
-      return res.status(401).json({ error: 'Not authenticated' });
-    }
-
-    const sessionData = await bungieOAuth.verifySessionToken(sessionToken);
-    if (!sessionData) {
-      return res.status(401).json({ error: 'Invalid session' });
-    }
-
-    const user = sessionData.user;
-    const accessToken = sessionData.accessToken;
+    const membership = auth.membership;
 
     // First, get user's clan
     const groups = await bungieAPI.getGroupsForMember(
-      user.primaryMembershipType,
-      user.primaryMembershipId
+      membership.membershipType,
+      membership.membershipId
     );
 
     if (!groups.results || groups.results.length === 0) {
@@ -60,6 +45,7 @@ module.exports = async function handler(req, res) {
         creationDate: clanGroup.group.creationDate,
         clanCallsign: clanGroup.group.clanInfo?.clanCallsign,
         clanBannerData: clanGroup.group.clanInfo?.clanBannerData,
+        progressions: clanGroup.group.clanInfo?.d2ClanProgressions || null,
         avatarPath: clanGroup.group.avatarPath,
         theme: clanGroup.group.theme
       },
@@ -121,4 +107,4 @@ module.exports = async function handler(req, res) {
       errorCode: error.errorCode
     });
   }
-};
+});
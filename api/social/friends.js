@@ -1,29 +1,13 @@
 // api/social/friends.js
 // Get Bungie friends list with online status and activity
 
-const bungieOAuth = require('../../lib/bungie-oauth');
 const bungieAPI = require('../../lib/bungie-api');
+const { withAuth } = require('../../lib/auth-middleware');
 
-module.exports = async function handler(req, res) {
-  if (req.method !== 'GET') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-
+module.exports = withAuth(async function handler(req, res, auth) {
   try {
-    const sessionToken = req.cookies?.bungie_session;
-    if (!sessionToken) {
-      return res.status(401).json({ error: 'Not authenticated' });
-    }
-
-    const sessionData = await bungieOAuth.verifySessionToken(sessionToken);
-    if (!sessionData) {
-      return res.status(401).json({ error: 'Invalid session' });
-    }
-
-    const accessToken = sessionData.accessToken;
-
     // Get friends list
-    const friends = await bungieAPI.getFriendList(accessToken);
+    const friends = await auth.call(token => bungieAPI.getFriendList(token));
 
     // Process friends to extract relevant data
     const processedFriends = (friends.friends || []).map(friend => ({
@@ -79,4 +63,4 @@ module.exports = async function handler(req, res) {
       errorCode: error.errorCode
     });
   }
-};
+});
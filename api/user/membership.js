@@ -0,0 +1,40 @@
+// api/user/membership.js
+// List the account's Destiny memberships and switch which one the session uses
+// GET returns { memberships, active }; POST { membershipType, membershipId } switches
+
+const bungieOAuth = require('../../lib/bungie-oauth');
+const { withAuth, getSelectableMemberships } = require('../../lib/auth-middleware');
+
+module.exports = withAuth(async function handler(req, res, auth) {
+  try {
+    if (req.method === 'POST') {
+      const { membershipType, membershipId } = req.body || {};
+
+      if (!Number.isInteger(membershipType) || typeof membershipId !== 'string') {
+        return res.status(400).json({ error: 'Missing membershipType or membershipId' });
+      }
+
+      await auth.setMembership(membershipType, membershipId);
+    }
+
+    const active = auth.membership;
+
+    res.status(200).json({
+      memberships: getSelectableMemberships(auth.user).map(m => ({
+        membershipType: m.membershipType,
+        membershipId: m.membershipId,
+        displayName: m.displayName,
+        platform: bungieOAuth.getPlatformName(m.membershipType),
+        crossSave: m.crossSaveOverride === m.membershipType,
+        isActive: m.membershipType === active.membershipType && m.membershipId === active.membershipId
+      })),
+      active
+    });
+
+  } catch (error) {
+    console.error('Membership error:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Membership request failed'
+    });
+  }
+}, { methods: ['GET', 'POST'] });
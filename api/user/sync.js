@@ -0,0 +1,44 @@
+// api/user/sync.js
+// Sync dashboard data (layouts, panel states, settings, loadouts) across devices
+// GET ?since=<serverTime> returns changed entries; POST { entries, since } merges last-write-wins
+// serverTime is the revision of the stored record the response was built from (the next `since`)
+
+const userStorage = require('../../lib/user-storage');
+const { withAuth } = require('../../lib/auth-middleware');
+
+module.exports = withAuth(async function handler(req, res, auth) {
+  try {
+    // Keyed by the Bungie.net account so every platform shares one copy
+    const membershipId = auth.user.membershipId;
+
+    if (req.method === 'GET') {
+      const since = parseInt(req.query.since) || 0;
+      const { entries, cursor } = await userStorage.getEntries(membershipId, since);
+
+      return res.status(200).json({
+        entries,
+        serverTime: cursor
+      });
+    }
+
+    const { entries, since } = req.body || {};
+
+    const validationError = userStorage.validateEntries(entries);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { entries: changed, cursor } = await userStorage.mergeEntries(membershipId, entries, parseInt(since) || 0);
+
+    res.status(200).json({
+      entries: changed,
+      serverTime: cursor
+    });
+
+  } catch (error) {
+    console.error('User sync error:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Sync failed'
+    });
+  }
+}, { methods: ['GET', 'POST'] });
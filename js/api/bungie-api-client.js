@@ -133,6 +133,60 @@ export class BungieAPIClient {
     });
   }
 
+  /**
+   * Get in-game loadout slots for every character
+   */
+  async getInGameLoadouts() {
+    return this.request('/api/inventory/ingame-loadouts', { cacheTTL: 30 * 1000 }); // 30 sec
+  }
+
+  /**
+   * Equip an in-game loadout slot
+   */
+  async equipInGameLoadout(characterId, loadoutIndex) {
+    return this.request('/api/inventory/ingame-loadouts', {
+      method: 'POST',
+      body: { action: 'equip', characterId, loadoutIndex },
+      noCache: true
+    });
+  }
+
+  /**
+   * Save current gear into an in-game loadout slot
+   * identifier: { colorHash, iconHash, nameHash }
+   */
+  async snapshotInGameLoadout(characterId, loadoutIndex, identifier) {
+    return this.request('/api/inventory/ingame-loadouts', {
+      method: 'POST',
+      body: { action: 'snapshot', characterId, loadoutIndex, ...identifier },
+      noCache: true
+    });
+  }
+
+  /**
+   * Lock or unlock item(s)
+   * items: [{ itemId, characterId }]
+   */
+  async setItemLockState(items, state) {
+    return this.request('/api/inventory/lock', {
+      method: 'POST',
+      body: { items, state },
+      noCache: true
+    });
+  }
+
+  /**
+   * Pull item(s) from postmaster
+   * items: [{ itemReferenceHash, itemId, stackSize, bucketHash }]
+   */
+  async pullFromPostmaster(items, characterId) {
+    return this.request('/api/inventory/postmaster', {
+      method: 'POST',
+      body: { items, characterId },
+      noCache: true
+    });
+  }
+
   // ==================== VENDORS ====================
 
   /**
@@ -151,6 +205,13 @@ export class BungieAPIClient {
     return this.request(`/api/destiny/vendors?vendor=${vendorHash}&characterId=${characterId}`);
   }
 
+  /**
+   * Get Xur's location, inventory and departure time (no login required)
+   */
+  async getXur() {
+    return this.request('/api/destiny/xur', { cacheTTL: 10 * 60 * 1000 }); // 10 min
+  }
+
   // ==================== ACTIVITIES & MILESTONES ====================
 
   /**
@@ -169,6 +230,16 @@ export class BungieAPIClient {
     );
   }
 
+  /**
+   * Get post-game carnage report for an activity instance
+   * PGCRs never change, so cache them for the session
+   */
+  async getPGCR(activityId) {
+    return this.request(`/api/destiny/pgcr?activityId=${activityId}`, {
+      cacheTTL: 24 * 60 * 60 * 1000
+    });
+  }
+
   /**
    * Get player stats
    */
@@ -222,6 +293,33 @@ export class BungieAPIClient {
     });
   }
 
+  // ==================== PLAYER LOOKUP ====================
+
+  /**
+   * Search players by Bungie name (name#code narrows to one player)
+   */
+  async searchPlayers(name, page = 0) {
+    return this.request(`/api/destiny/player-search?name=${encodeURIComponent(name)}&page=${page}`, {
+      cacheTTL: 60 * 1000
+    });
+  }
+
+  /**
+   * Get another player's public profile and account stats
+   */
+  async getPlayerProfile(membershipType, membershipId) {
+    return this.request(`/api/destiny/player-search?membershipType=${membershipType}&membershipId=${membershipId}`);
+  }
+
+  /**
+   * Get another player's recent activities for one character
+   */
+  async getPlayerActivities(membershipType, membershipId, characterId, page = 0) {
+    return this.request(
+      `/api/destiny/player-search?membershipType=${membershipType}&membershipId=${membershipId}&characterId=${characterId}&page=${page}`
+    );
+  }
+
   // ==================== MANIFEST ====================
 
   /**
@@ -233,6 +331,27 @@ export class BungieAPIClient {
     });
   }
 
+  // ==================== USER SYNC ====================
+
+  /**
+   * Get synced dashboard data changed since a server timestamp
+   */
+  async getSyncEntries(since = 0) {
+    return this.request(`/api/user/sync?since=${since}`, { noCache: true });
+  }
+
+  /**
+   * Push local changes and get back anything newer on the server
+   * entries: { key: { value, updatedAt } | { deleted: true, updatedAt } }
+   */
+  async pushSyncEntries(entries, since = 0) {
+    return this.request('/api/user/sync', {
+      method: 'POST',
+      body: { entries, since },
+      noCache: true
+    });
+  }
+
   // ==================== CACHE MANAGEMENT ====================
 
   /**
@@ -12,6 +12,7 @@ export class ManifestLoader {
     this.isInitialized = false;
     this.essentialData = null;
     this.analysisData = null;
+    this.recordsData = null;
 
     // Use GitHub CDN for direct file access
     this.cdnBaseUrl = 'https://raw.githubusercontent.com/sickontuesdays/destiny-manifest-data/main/';
@@ -28,8 +29,9 @@ export class ManifestLoader {
     console.log('Loading essential manifest data...');
 
     try {
-      const [stats, damageTypes, classes, itemCategories] = await Promise.all([
+      const [stats, statGroups, damageTypes, classes, itemCategories] = await Promise.all([
         this.loadDefinition('DestinyStatDefinition'),
+        this.loadDefinition('DestinyStatGroupDefinition').catch(() => null),
         this.loadDefinition('DestinyDamageTypeDefinition'),
         this.loadDefinition('DestinyClassDefinition'),
         this.loadDefinition('DestinyItemCategoryDefinition')
@@ -37,6 +39,7 @@ export class ManifestLoader {
 
       this.essentialData = {
         stats: stats || {},
+        statGroups: statGroups || {},
         damageTypes: damageTypes || {},
         classes: classes || {},
         itemCategories: itemCategories || {}
@@ -61,25 +64,64 @@ export class ManifestLoader {
     console.log('Loading analysis manifest data...');
 
     try {
-      const [perks, plugSets, sockets, inventoryItems] = await Promise.all([
+      const [perks, plugSets, sockets, inventoryItems, itemSets] = await Promise.all([
         this.loadDefinition('DestinySandboxPerkDefinition'),
         this.loadDefinition('DestinyPlugSetDefinition'),
         this.loadDefinition('DestinySocketTypeDefinition'),
-        this.loadDefinition('DestinyInventoryItemDefinition')
+        this.loadDefinition('DestinyInventoryItemDefinition'),
+        // Armor set bonuses - older manifests don't have this table
+        this.loadDefinition('DestinyEquipableItemSetDefinition').catch(() => null)
       ]);
 
       this.analysisData = {
         perks: perks || {},
         plugSets: plugSets || {},
         sockets: sockets || {},
-        inventoryItems: inventoryItems || {}
+        inventoryItems: inventoryItems || {},
+        itemSets: itemSets || {}
       };
 
       console.log('Analysis data loaded');
       return this.analysisData;
     } catch (error) {
       console.error('Failed to load analysis data:', error);
-      return { perks: {}, plugSets: {}, sockets: {}, inventoryItems: {} };
+      return { perks: {}, plugSets: {}, sockets: {}, inventoryItems: {}, itemSets: {} };
+    }
+  }
+
+  // ==================== TIER 3: RECORDS DATA ====================
+
+  /**
+   * Load collections/triumphs data (presentation node tree, records, collectibles)
+   * Only loaded when a panel needs it - the record tables are large
+   */
+  async loadRecordsData() {
+    if (this.recordsData) return this.recordsData;
+
+    console.log('Loading records manifest data...');
+
+    try {
+      const [presentationNodes, records, collectibles, objectives, seasons] = await Promise.all([
+        this.loadDefinition('DestinyPresentationNodeDefinition'),
+        this.loadDefinition('DestinyRecordDefinition'),
+        this.loadDefinition('DestinyCollectibleDefinition'),
+        this.loadDefinition('DestinyObjectiveDefinition'),
+        this.loadDefinition('DestinySeasonDefinition')
+      ]);
+
+      this.recordsData = {
+        presentationNodes: presentationNodes || {},
+        records: records || {},
+        collectibles: collectibles || {},
+        objectives: objectives || {},
+        seasons: seasons || {}
+      };
+
+      console.log('Records data loaded');
+      return this.recordsData;
+    } catch (error) {
+      console.error('Failed to load records data:', error);
+      throw error;
     }
   }
 
@@ -205,6 +247,7 @@ export class ManifestLoader {
   getItemCategories() { return this.essentialData?.itemCategories || {}; }
   getPerks() { return this.analysisData?.perks || {}; }
   getInventoryItems() { return this.analysisData?.inventoryItems || {}; }
+  getRecords() { return this.recordsData?.records || {}; }
 
   /**
    * Get item definition by hash
@@ -213,6 +256,43 @@ export class ManifestLoader {
     return this.analysisData?.inventoryItems?.[hash] || null;
   }
 
+  /**
+   * Get presentation node definition by hash (requires loadRecordsData)
+   */
+  getPresentationNodeDefinition(hash) {
+    return this.recordsData?.presentationNodes?.[hash] || null;
+  }
+
+  /**
+   * Get record (triumph) definition by hash (requires loadRecordsData)
+   */
+  getRecordDefinition(hash) {
+    return this.recordsData?.records?.[hash] || null;
+  }
+
+  /**
+   * Get collectible definition by hash (requires loadRecordsData)
+   */
+  getCollectibleDefinition(hash) {
+    return this.recordsData?.collectibles?.[hash] || null;
+  }
+
+  /**
+   * Get objective definition by hash
+   * (requires loadRecordsData, or DestinyObjectiveDefinition loaded on its own)
+   */
+  getObjectiveDefinition(hash) {
+    const objectives = this.recordsData?.objectives || this.cache.get('DestinyObjectiveDefinition');
+    return objectives?.[hash] || null;
+  }
+
+  /**
+   * Get season definition by hash (requires loadRecordsData)
+   */
+  getSeasonDefinition(hash) {
+    return this.recordsData?.seasons?.[hash] || null;
+  }
+
   /**
    * Get stat definition by hash
    */
@@ -220,6 +300,27 @@ export class ManifestLoader {
     return this.essentialData?.stats?.[hash] || null;
   }
 
+  /**
+   * Get stat group definition by hash (which stats an item shows, and how they scale)
+   */
+  getStatGroupDefinition(hash) {
+    return this.essentialData?.statGroups?.[hash] || null;
+  }
+
+  /**
+   * Get equipable item set definition by hash (armor set bonuses, requires loadAnalysisData)
+   */
+  getEquipableItemSetDefinition(hash) {
+    return this.analysisData?.itemSets?.[hash] || null;
+  }
+
+  /**
+   * Get sandbox perk definition by hash (requires loadAnalysisData)
+   */
+  getSandboxPerkDefinition(hash) {
+    return this.analysisData?.perks?.[hash] || null;
+  }
+
   /**
    * Get damage type definition by hash
    */
@@ -354,6 +455,7 @@ export class ManifestLoader {
     this.cache.clear();
     this.essentialData = null;
     this.analysisData = null;
+    this.recordsData = null;
     this.isInitialized = false;
   }
 
@@ -362,6 +464,7 @@ export class ManifestLoader {
       entries: this.cache.size,
       hasEssential: !!this.essentialData,
       hasAnalysis: !!this.analysisData,
+      hasRecords: !!this.recordsData,
       isInitialized: this.isInitialized,
       loadingCount: this.loadingPromises.size
     };
@@ -372,6 +475,7 @@ export class ManifestLoader {
       isInitialized: this.isInitialized,
       hasEssentialData: !!this.essentialData,
       hasAnalysisData: !!this.analysisData,
+      hasRecordsData: !!this.recordsData,
       currentlyLoading: Array.from(this.loadingPromises.keys()),
       cachedDefinitions: Array.from(this.cache.keys())
     };
@@ -442,7 +546,8 @@ export const BUCKET_HASHES = {
   SUBCLASS: 3284755031,
   GENERAL: 138197802,
   CONSUMABLES: 1469714392,
-  MODIFICATIONS: 3313201758
+  MODIFICATIONS: 3313201758,
+  LOST_ITEMS: 215593132
 };
 
 export const manifestLoader = new ManifestLoader();
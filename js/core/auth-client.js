@@ -6,14 +6,18 @@
 export class AuthClient {
   constructor() {
     this.user = null;
+    this.activeMembership = null;
+    this.memberships = null;
     this.isAuthenticated = false;
     this.sessionCheckInterval = null;
     this.listeners = new Set();
+    this.membershipListeners = new Set();
 
     // localStorage keys for persistence
     this.STORAGE_KEYS = {
       AUTH_STATE: 'sot_auth_state',
       USER_DATA: 'sot_user_data',
+      ACTIVE_MEMBERSHIP: 'sot_active_membership',
       LAST_CHECK: 'sot_auth_last_check'
     };
   }
@@ -56,6 +60,7 @@ export class AuthClient {
         if (hoursSinceCheck < 24) {
           this.isAuthenticated = true;
           this.user = JSON.parse(cachedUser);
+          this.activeMembership = JSON.parse(localStorage.getItem(this.STORAGE_KEYS.ACTIVE_MEMBERSHIP) || 'null');
           console.log('Auth: Restored cached session');
         }
       }
@@ -72,10 +77,12 @@ export class AuthClient {
       if (this.isAuthenticated && this.user) {
         localStorage.setItem(this.STORAGE_KEYS.AUTH_STATE, 'authenticated');
         localStorage.setItem(this.STORAGE_KEYS.USER_DATA, JSON.stringify(this.user));
+        localStorage.setItem(this.STORAGE_KEYS.ACTIVE_MEMBERSHIP, JSON.stringify(this.activeMembership));
         localStorage.setItem(this.STORAGE_KEYS.LAST_CHECK, Date.now().toString());
       } else {
         localStorage.removeItem(this.STORAGE_KEYS.AUTH_STATE);
         localStorage.removeItem(this.STORAGE_KEYS.USER_DATA);
+        localStorage.removeItem(this.STORAGE_KEYS.ACTIVE_MEMBERSHIP);
         localStorage.removeItem(this.STORAGE_KEYS.LAST_CHECK);
       }
     } catch (error) {
@@ -93,11 +100,17 @@ export class AuthClient {
       });
 
       const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Session check failed (${response.status})`);
+      }
 
       const wasAuthenticated = this.isAuthenticated;
+      const previousMembership = this.activeMembership;
 
       this.isAuthenticated = data.authenticated;
       this.user = data.user || null;
+      this.activeMembership = data.activeMembership || null;
+      if (!this.isAuthenticated) this.memberships = null;
 
       // Cache the auth state for persistence
       this.cacheAuthState();
@@ -105,6 +118,9 @@ export class AuthClient {
       // Notify listeners if auth state changed
       if (wasAuthenticated !== this.isAuthenticated) {
         this.notifyListeners();
+      } else if (this.isAuthenticated && !this.isSameMembership(previousMembership, this.activeMembership)) {
+        // Switched in another tab
+        this.notifyMembershipListeners();
       }
 
       return data;
@@ -160,6 +176,8 @@ export class AuthClient {
 
       this.isAuthenticated = false;
       this.user = null;
+      this.activeMembership = null;
+      this.memberships = null;
 
       // Clear cached auth state
       this.cacheAuthState();
@@ -199,6 +217,62 @@ export class AuthClient {
     return this.user?.destinyMemberships || [];
   }
 
+  /**
+   * Get the membership the session is acting on (falls back to primary)
+   */
+  getActiveMembership() {
+    return this.activeMembership || this.getPrimaryMembership();
+  }
+
+  /**
+   * Fetch the memberships that can be switched to
+   */
+  async loadMemberships() {
+    const response = await fetch('/api/user/membership', {
+      credentials: 'include'
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to load memberships');
+    }
+
+    this.memberships = data.memberships || [];
+    this.activeMembership = data.active || this.activeMembership;
+    return this.memberships;
+  }
+
+  /**
+   * Switch the active membership for this session; every route follows it
+   */
+  async switchMembership(membershipType, membershipId) {
+    const response = await fetch('/api/user/membership', {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ membershipType, membershipId })
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to switch membership');
+    }
+
+    const changed = !this.isSameMembership(this.activeMembership, data.active);
+    this.memberships = data.memberships || this.memberships;
+    this.activeMembership = data.active;
+    this.cacheAuthState();
+
+    if (changed) {
+      this.notifyMembershipListeners();
+    }
+    return this.activeMembership;
+  }
+
+  isSameMembership(a, b) {
+    return a?.membershipType === b?.membershipType && a?.membershipId === b?.membershipId;
+  }
+
   /**
    * Check if authenticated
    */
@@ -230,6 +304,27 @@ export class AuthClient {
     });
   }
 
+  /**
+   * Subscribe to active membership switches
+   */
+  onMembershipChange(callback) {
+    this.membershipListeners.add(callback);
+    return () => this.membershipListeners.delete(callback);
+  }
+
+  /**
+   * Notify all listeners of a membership switch
+   */
+  notifyMembershipListeners() {
+    this.membershipListeners.forEach(callback => {
+      try {
+        callback(this.getActiveMembership());
+      } catch (error) {
+        console.error('Membership listener error:', error);
+      }
+    });
+  }
+
   /**
    * Cleanup
    */
@@ -238,6 +333,7 @@ export class AuthClient {
       clearInterval(this.sessionCheckInterval);
     }
     this.listeners.clear();
+    this.membershipListeners.clear();
   }
 }
 
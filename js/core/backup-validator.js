@@ -0,0 +1,271 @@
+/**
+ * Backup Validator - Schema checks and version migrations for StorageManager backups
+ *
+ * Backup versions:
+ *   1 - bare exportData() object using 'v1' storage keys (no envelope)
+ *   2 - { format, version, storageVersion, exportedAt, data }
+ * To change the shape, bump BACKUP_VERSION and append a migration from the previous version.
+ */
+
+export const BACKUP_FORMAT = 'sot-dashboard-backup';
+export const BACKUP_VERSION = 2;
+
+// Saved loadout limit - LoadoutManager trims to the same count, so larger imports would be lost
+export const MAX_LOADOUTS = 50;
+
+// Keep imports well under the localStorage quota (~5MB)
+const MAX_BACKUP_BYTES = 2 * 1024 * 1024;
+const MAX_TABS = 20;
+
+const ID_PATTERN = /^[\w-]{1,64}$/;
+const HEX_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Setting -> expected typeof
+const SETTING_TYPES = {
+  theme: 'string',
+  accentColor: 'string',
+  autoRefresh: 'boolean',
+  refreshInterval: 'number',
+  showFriendsOnline: 'boolean',
+  compactMode: 'boolean',
+  animationsEnabled: 'boolean'
+};
+
+/**
+ * Each migration takes a backup at version N and returns it at version N + 1
+ */
+const MIGRATIONS = {
+  1: backup => ({
+    format: BACKUP_FORMAT,
+    version: 2,
+    storageVersion: 'v1',
+    exportedAt: null,
+    data: {
+      tabs: backup.tabs,
+      activeTab: backup.activeTab,
+      settings: backup.settings,
+      loadouts: backup.loadouts,
+      panelVisibility: backup.panelVisibility,
+      layouts: backup.layouts,
+      panelStates: {}
+    }
+  })
+};
+
+export class BackupValidator {
+  /**
+   * Parse backup file text
+   */
+  parse(text) {
+    if (typeof text !== 'string' || text.length === 0) {
+      throw new Error('Backup file is empty');
+    }
+    if (text.length > MAX_BACKUP_BYTES) {
+      throw new Error('Backup file is too large');
+    }
+
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new Error('Backup file is not valid JSON');
+    }
+  }
+
+  /**
+   * Detect the version of a parsed backup (bare v1 exports have no envelope)
+   */
+  getVersion(backup) {
+    if (backup?.format === BACKUP_FORMAT) {
+      return Number.isInteger(backup.version) ? backup.version : null;
+    }
+    if (backup && typeof backup === 'object' && ('tabs' in backup || 'layouts' in backup || 'loadouts' in backup)) {
+      return 1;
+    }
+    return null;
+  }
+
+  /**
+   * Run migrations until the backup is at the current version
+   */
+  migrate(backup) {
+    let version = this.getVersion(backup);
+
+    if (version === null) {
+      throw new Error('This file is not a dashboard backup');
+    }
+    if (version > BACKUP_VERSION) {
+      throw new Error('This backup was made by a newer version of the dashboard');
+    }
+
+    let migrated = backup;
+    while (version < BACKUP_VERSION) {
+      const step = MIGRATIONS[version];
+      if (!step) {
+        throw new Error(`No migration from backup version ${version}`);
+      }
+      migrated = step(migrated);
+      version = migrated.version;
+    }
+
+    return migrated;
+  }
+
+  /**
+   * Validate a current-version backup.
+   * Returns { errors, warnings, data } - data only has sections that passed.
+   * Errors block the import; warnings list entries that were dropped.
+   */
+  validate(backup) {
+    const errors = [];
+    const warnings = [];
+    const input = backup?.data;
+    const data = {};
+
+    if (!input || typeof input !== 'object') {
+      return { errors: ['Backup has no data section'], warnings, data };
+    }
+
+    // Tabs
+    if (input.tabs !== undefined) {
+      if (!Array.isArray(input.tabs) || input.tabs.length === 0 || input.tabs.length > MAX_TABS) {
+        errors.push(`Layouts list must have 1-${MAX_TABS} entries`);
+      } else {
+        const tabs = input.tabs.filter(tab =>
+          tab && ID_PATTERN.test(tab.id) && typeof tab.name === 'string' && tab.name.length <= 50
+        ).map(tab => ({
+          id: tab.id,
+          name: tab.name,
+          color: HEX_COLOR_PATTERN.test(tab.color) ? tab.color : '#7dd3fc'
+        }));
+
+        if (tabs.length === 0) {
+          errors.push('No valid layouts in backup');
+        } else {
+          if (tabs.length < input.tabs.length) warnings.push(`${input.tabs.length - tabs.length} invalid layout(s) skipped`);
+          data.tabs = tabs;
+        }
+      }
+    }
+
+    // Active tab (only if it points at an imported tab)
+    if (typeof input.activeTab === 'string' && data.tabs?.some(t => t.id === input.activeTab)) {
+      data.activeTab = input.activeTab;
+    }
+
+    // Layouts
+    if (input.layouts !== undefined) {
+      if (!this.isPlainObject(input.layouts)) {
+        errors.push('Layout positions must be an object');
+      } else {
+        data.layouts = {};
+        Object.entries(input.layouts).forEach(([tabId, layout]) => {
+          if (ID_PATTERN.test(tabId) && Array.isArray(layout) && layout.every(item => this.isLayoutItem(item))) {
+            data.layouts[tabId] = layout.map(({ id, x, y, w, h, hidden }) => ({ id, x, y, w, h, hidden: !!hidden }));
+          } else {
+            warnings.push(`Layout positions for "${tabId}" are invalid and were skipped`);
+          }
+        });
+      }
+    }
+
+    // Settings
+    if (input.settings !== undefined) {
+      if (!this.isPlainObject(input.settings)) {
+        errors.push('Settings must be an object');
+      } else {
+        data.settings = {};
+        Object.entries(input.settings).forEach(([key, value]) => {
+          if (SETTING_TYPES[key] && typeof value === SETTING_TYPES[key]) {
+            data.settings[key] = value;
+          } else {
+            warnings.push(`Setting "${key}" was skipped`);
+          }
+        });
+      }
+    }
+
+    // Panel visibility
+    if (input.panelVisibility !== undefined) {
+      if (!this.isPlainObject(input.panelVisibility)) {
+        errors.push('Panel visibility must be an object');
+      } else {
+        data.panelVisibility = {};
+        Object.entries(input.panelVisibility).forEach(([panelId, visible]) => {
+          if (ID_PATTERN.test(panelId) && typeof visible === 'boolean') {
+            data.panelVisibility[panelId] = visible;
+          }
+        });
+      }
+    }
+
+    // Panel states
+    if (input.panelStates !== undefined) {
+      if (!this.isPlainObject(input.panelStates)) {
+        errors.push('Panel states must be an object');
+      } else {
+        data.panelStates = {};
+        Object.entries(input.panelStates).forEach(([panelId, state]) => {
+          if (ID_PATTERN.test(panelId) && this.isPlainObject(state)) {
+            data.panelStates[panelId] = state;
+          } else {
+            warnings.push(`Panel state for "${panelId}" was skipped`);
+          }
+        });
+      }
+    }
+
+    // Loadouts
+    if (input.loadouts !== undefined) {
+      if (!Array.isArray(input.loadouts) || input.loadouts.length > MAX_LOADOUTS) {
+        errors.push(`Loadouts must be a list of at most ${MAX_LOADOUTS}`);
+      } else {
+        const loadouts = input.loadouts.filter(loadout =>
+          this.isPlainObject(loadout) &&
+          (typeof loadout.id === 'string' || typeof loadout.id === 'number') &&
+          typeof loadout.name === 'string' &&
+          (loadout.items === undefined || Array.isArray(loadout.items))
+        );
+        if (loadouts.length < input.loadouts.length) {
+          warnings.push(`${input.loadouts.length - loadouts.length} invalid loadout(s) skipped`);
+        }
+        data.loadouts = loadouts;
+      }
+    }
+
+    if (Object.keys(data).length === 0 && errors.length === 0) {
+      errors.push('Backup contains nothing to import');
+    }
+
+    return { errors, warnings, data };
+  }
+
+  /**
+   * Parse, migrate and validate backup text in one step
+   */
+  check(text) {
+    const backup = this.parse(text);
+    const sourceVersion = this.getVersion(backup);
+    const migrated = this.migrate(backup);
+
+    return {
+      ...this.validate(migrated),
+      exportedAt: migrated.exportedAt,
+      sourceVersion
+    };
+  }
+
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  isLayoutItem(item) {
+    const isCell = n => Number.isInteger(n) && n >= 0 && n <= 100;
+    return this.isPlainObject(item) &&
+      typeof item.id === 'string' &&
+      isCell(item.x) && isCell(item.y) && isCell(item.w) && isCell(item.h) &&
+      item.w > 0 && item.h > 0;
+  }
+}
+
+export const backupValidator = new BackupValidator();
+export default BackupValidator;
@@ -1,7 +1,20 @@
 /**
  * Storage Manager - LocalStorage persistence for layouts, settings, and cache
+ * Signed-in users also sync layouts, panel states, settings and loadouts to the server
  */
 
+import { apiClient } from '../api/bungie-api-client.js';
+import { backupValidator, BACKUP_FORMAT, BACKUP_VERSION } from './backup-validator.js';
+
+// Wait for a burst of writes to settle before pushing
+const SYNC_DEBOUNCE_MS = 2000;
+
+// IndexedDB holds data too large for localStorage's ~5 MB (imported wishlists)
+const DB_NAME = 'sot_data';
+const DB_VERSION = 1;
+const WISHLIST_STORE = 'wishlists';
+const WISHLIST_RECORD = 'lists';
+
 export class StorageManager {
   constructor() {
     this.prefix = 'sot_';
@@ -16,8 +29,42 @@ export class StorageManager {
       SETTINGS: `${this.prefix}settings_${this.version}`,
       PANEL_VISIBILITY: `${this.prefix}panels_${this.version}`,
       LOADOUTS: `${this.prefix}loadouts_${this.version}`,
-      CACHE_PREFIX: `${this.prefix}cache_`
+      WISHLISTS: `${this.prefix}wishlists_${this.version}`, // legacy localStorage copy, migrated to IndexedDB
+      CACHE_PREFIX: `${this.prefix}cache_`,
+      SYNC_META: `${this.prefix}sync_meta_${this.version}`
     };
+
+    // Server sync state
+    this.syncEnabled = false;
+    this.syncTimer = null;
+    this.syncInProgress = null;
+    this.syncListeners = [];
+
+    this.dbPromise = null;
+  }
+
+  // ==================== WRITES ====================
+
+  /**
+   * Write a value, recording the change for sync
+   * Defaults are stamped as oldest so they never overwrite synced data
+   */
+  setItem(key, value, isDefault = false) {
+    // Re-saving the same value (e.g. a layout re-applied on load) is not a change
+    if (localStorage.getItem(key) === value) return;
+
+    localStorage.setItem(key, value);
+    this.markChanged(key, isDefault ? 0 : Date.now());
+  }
+
+  /**
+   * Remove a value, recording the deletion for sync
+   */
+  removeItem(key) {
+    if (localStorage.getItem(key) === null) return;
+
+    localStorage.removeItem(key);
+    this.markChanged(key, Date.now());
   }
 
   // ==================== LAYOUT TABS ====================
@@ -36,7 +83,7 @@ export class StorageManager {
 
     // Default tabs
     const defaultTabs = [{ id: 'layout1', name: 'Default Layout', color: '#7dd3fc' }];
-    localStorage.setItem(this.KEYS.TABS_META, JSON.stringify(defaultTabs));
+    this.setItem(this.KEYS.TABS_META, JSON.stringify(defaultTabs), true);
     return defaultTabs;
   }
 
@@ -44,7 +91,7 @@ export class StorageManager {
    * Save tabs metadata
    */
   saveTabsMeta(tabs) {
-    localStorage.setItem(this.KEYS.TABS_META, JSON.stringify(tabs));
+    this.setItem(this.KEYS.TABS_META, JSON.stringify(tabs));
   }
 
   /**
@@ -85,7 +132,7 @@ export class StorageManager {
     }
     this.saveTabsMeta(filtered);
     // Also delete associated layout
-    localStorage.removeItem(this.KEYS.LAYOUT_PREFIX + tabId);
+    this.removeItem(this.KEYS.LAYOUT_PREFIX + tabId);
     return true;
   }
 
@@ -109,7 +156,7 @@ export class StorageManager {
    * Save layout for tab
    */
   saveLayout(tabId, layoutData) {
-    localStorage.setItem(this.KEYS.LAYOUT_PREFIX + tabId, JSON.stringify(layoutData));
+    this.setItem(this.KEYS.LAYOUT_PREFIX + tabId, JSON.stringify(layoutData));
   }
 
   /**
@@ -133,7 +180,7 @@ export class StorageManager {
    * @param {object} state - Panel state object
    */
   savePanelState(panelId, state) {
-    localStorage.setItem(this.KEYS.PANEL_STATE_PREFIX + panelId, JSON.stringify({
+    this.setItem(this.KEYS.PANEL_STATE_PREFIX + panelId, JSON.stringify({
       ...state,
       savedAt: Date.now()
     }));
@@ -175,7 +222,7 @@ export class StorageManager {
    * @param {string} panelId - Panel identifier
    */
   clearPanelState(panelId) {
-    localStorage.removeItem(this.KEYS.PANEL_STATE_PREFIX + panelId);
+    this.removeItem(this.KEYS.PANEL_STATE_PREFIX + panelId);
   }
 
   /**
@@ -184,7 +231,7 @@ export class StorageManager {
   clearAllPanelStates() {
     Object.keys(localStorage).forEach(key => {
       if (key.startsWith(this.KEYS.PANEL_STATE_PREFIX)) {
-        localStorage.removeItem(key);
+        this.removeItem(key);
       }
     });
   }
@@ -208,7 +255,7 @@ export class StorageManager {
    * Save settings
    */
   saveSettings(settings) {
-    localStorage.setItem(this.KEYS.SETTINGS, JSON.stringify(settings));
+    this.setItem(this.KEYS.SETTINGS, JSON.stringify(settings));
   }
 
   /**
@@ -264,7 +311,7 @@ export class StorageManager {
   setPanelVisibility(panelId, visible) {
     const visibility = this.getPanelVisibility();
     visibility[panelId] = visible;
-    localStorage.setItem(this.KEYS.PANEL_VISIBILITY, JSON.stringify(visibility));
+    this.setItem(this.KEYS.PANEL_VISIBILITY, JSON.stringify(visibility));
   }
 
   // ==================== LOADOUTS ====================
@@ -302,7 +349,7 @@ export class StorageManager {
       loadouts.push(newLoadout);
     }
 
-    localStorage.setItem(this.KEYS.LOADOUTS, JSON.stringify(loadouts));
+    this.setItem(this.KEYS.LOADOUTS, JSON.stringify(loadouts));
     return newLoadout;
   }
 
@@ -312,14 +359,100 @@ export class StorageManager {
   deleteLoadout(loadoutId) {
     const loadouts = this.getLoadouts();
     const filtered = loadouts.filter(l => l.id !== loadoutId);
-    localStorage.setItem(this.KEYS.LOADOUTS, JSON.stringify(filtered));
+    this.setItem(this.KEYS.LOADOUTS, JSON.stringify(filtered));
   }
 
   /**
    * Save all loadouts (bulk save)
    */
   saveLoadouts(loadouts) {
-    localStorage.setItem(this.KEYS.LOADOUTS, JSON.stringify(loadouts));
+    this.setItem(this.KEYS.LOADOUTS, JSON.stringify(loadouts));
+  }
+
+  // ==================== WISHLISTS ====================
+
+  /**
+   * Get imported roll wishlists, moving any left in localStorage by older versions
+   */
+  async getWishlists() {
+    const stored = await this.dbGet(WISHLIST_STORE, WISHLIST_RECORD);
+    if (stored) return stored;
+
+    const raw = localStorage.getItem(this.KEYS.WISHLISTS);
+    if (!raw) return [];
+
+    let legacy = [];
+    try {
+      legacy = JSON.parse(raw);
+    } catch { }
+
+    await this.saveWishlists(legacy);
+    localStorage.removeItem(this.KEYS.WISHLISTS);
+    return legacy;
+  }
+
+  /**
+   * Save imported roll wishlists (rejects if they don't fit in storage)
+   */
+  async saveWishlists(wishlists) {
+    await this.dbPut(WISHLIST_STORE, WISHLIST_RECORD, wishlists);
+  }
+
+  // ==================== INDEXEDDB ====================
+
+  /**
+   * Open the database once; rejects where IndexedDB is unavailable
+   */
+  openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB is not available in this browser'));
+          return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(WISHLIST_STORE)) {
+            db.createObjectStore(WISHLIST_STORE);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      // Allow a retry after a failed open
+      this.dbPromise.catch(() => { this.dbPromise = null; });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run one request against a store, resolving once its transaction completes
+   */
+  async dbRequest(storeName, mode, makeRequest) {
+    const db = await this.openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = makeRequest(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error || request.error);
+    });
+  }
+
+  dbGet(storeName, key) {
+    return this.dbRequest(storeName, 'readonly', store => store.get(key));
+  }
+
+  dbPut(storeName, key, value) {
+    return this.dbRequest(storeName, 'readwrite', store => store.put(value, key));
+  }
+
+  dbClear(storeName) {
+    return this.dbRequest(storeName, 'readwrite', store => store.clear());
   }
 
   // ==================== CACHE ====================
@@ -362,10 +495,218 @@ export class StorageManager {
     });
   }
 
+  // ==================== SERVER SYNC ====================
+
+  /**
+   * Whether a key is synced (cache, sync state, the per-device active tab and
+   * legacy wishlists - large and re-importable from their source - are not)
+   */
+  isSyncedKey(key) {
+    return key.startsWith(this.prefix) &&
+      !key.startsWith(this.KEYS.CACHE_PREFIX) &&
+      key !== this.KEYS.SYNC_META &&
+      key !== this.KEYS.ACTIVE_TAB &&
+      key !== this.KEYS.WISHLISTS;
+  }
+
+  /**
+   * Load sync bookkeeping: { lastSyncAt, entries: { syncKey: { updatedAt, dirty } } }
+   */
+  loadSyncMeta() {
+    const raw = localStorage.getItem(this.KEYS.SYNC_META);
+    if (raw) {
+      try {
+        return JSON.parse(raw);
+      } catch { }
+    }
+    return { lastSyncAt: 0, entries: {} };
+  }
+
+  saveSyncMeta(meta) {
+    localStorage.setItem(this.KEYS.SYNC_META, JSON.stringify(meta));
+  }
+
+  /**
+   * Record a local change and queue a push
+   */
+  markChanged(key, updatedAt) {
+    if (!this.isSyncedKey(key)) return;
+
+    const meta = this.loadSyncMeta();
+    const syncKey = key.slice(this.prefix.length);
+    const current = meta.entries[syncKey];
+
+    // A default must not bump a key that already has history
+    if (updatedAt === 0 && current) return;
+
+    // Until this device has synced once, new keys are offered as oldest so the
+    // server's copy (from another device) wins over freshly created defaults
+    if (!meta.lastSyncAt && !current) updatedAt = 0;
+
+    meta.entries[syncKey] = { updatedAt, dirty: true };
+    this.saveSyncMeta(meta);
+    this.scheduleSync();
+  }
+
+  /**
+   * Start syncing (call once signed in). Works offline first: local writes
+   * always land immediately and are pushed whenever the server is reachable.
+   */
+  enableSync() {
+    if (this.syncEnabled) return this.syncInProgress || Promise.resolve([]);
+    this.syncEnabled = true;
+
+    if (!this.onlineHandler) {
+      this.onlineHandler = () => this.scheduleSync(0);
+      window.addEventListener('online', this.onlineHandler);
+    }
+
+    // Data written before sync existed has no timestamps - offer it as oldest
+    const meta = this.loadSyncMeta();
+    Object.keys(localStorage).forEach(key => {
+      const syncKey = key.slice(this.prefix.length);
+      if (this.isSyncedKey(key) && !meta.entries[syncKey]) {
+        meta.entries[syncKey] = { updatedAt: 0, dirty: true };
+      }
+    });
+    this.saveSyncMeta(meta);
+
+    return this.sync();
+  }
+
+  /**
+   * Stop syncing (on sign out). Local data is kept.
+   */
+  disableSync() {
+    this.syncEnabled = false;
+    clearTimeout(this.syncTimer);
+    this.syncTimer = null;
+  }
+
+  /**
+   * Debounce a sync after local changes
+   */
+  scheduleSync(delay = SYNC_DEBOUNCE_MS) {
+    if (!this.syncEnabled) return;
+
+    clearTimeout(this.syncTimer);
+    this.syncTimer = setTimeout(() => {
+      this.syncTimer = null;
+      this.sync();
+    }, delay);
+  }
+
+  /**
+   * Push dirty keys and pull anything newer from the server (last write wins per key)
+   * Resolves with the storage keys changed by remote data
+   */
+  async sync() {
+    if (!this.syncEnabled) return [];
+
+    // One sync at a time; a change during a sync gets its own follow-up push
+    if (this.syncInProgress) {
+      this.scheduleSync();
+      return this.syncInProgress;
+    }
+
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return [];
+
+    this.syncInProgress = this.runSync().finally(() => {
+      this.syncInProgress = null;
+    });
+    return this.syncInProgress;
+  }
+
+  async runSync() {
+    const meta = this.loadSyncMeta();
+    const pushed = {};
+
+    Object.entries(meta.entries).forEach(([syncKey, entry]) => {
+      if (!entry.dirty) return;
+
+      const value = localStorage.getItem(this.prefix + syncKey);
+      pushed[syncKey] = value === null
+        ? { deleted: true, updatedAt: entry.updatedAt }
+        : { value, updatedAt: entry.updatedAt };
+    });
+
+    let response;
+    try {
+      response = Object.keys(pushed).length > 0
+        ? await apiClient.pushSyncEntries(pushed, meta.lastSyncAt)
+        : await apiClient.getSyncEntries(meta.lastSyncAt);
+    } catch (error) {
+      // Stay dirty and retry on the next change or when back online
+      console.warn('Sync failed:', error.message);
+      if (error.status === 401) this.disableSync();
+      return [];
+    }
+
+    // Re-read: local writes may have happened while the request was in flight
+    const current = this.loadSyncMeta();
+    const changedKeys = [];
+
+    Object.entries(pushed).forEach(([syncKey, entry]) => {
+      if (current.entries[syncKey]?.updatedAt === entry.updatedAt) {
+        current.entries[syncKey].dirty = false;
+      }
+    });
+
+    Object.entries(response.entries || {}).forEach(([syncKey, remote]) => {
+      const local = current.entries[syncKey];
+      const key = this.prefix + syncKey;
+      if (!this.isSyncedKey(key)) return;
+
+      // Newer local edits win; on a tie the server's copy is kept everywhere
+      if (local && local.updatedAt > remote.updatedAt) return;
+
+      const localValue = localStorage.getItem(key);
+      const unchanged = remote.deleted ? localValue === null : localValue === remote.value;
+      if (unchanged) {
+        current.entries[syncKey] = { updatedAt: remote.updatedAt, dirty: false };
+        return;
+      }
+
+      if (remote.deleted) {
+        localStorage.removeItem(key);
+      } else {
+        localStorage.setItem(key, remote.value);
+      }
+
+      current.entries[syncKey] = { updatedAt: remote.updatedAt, dirty: false };
+      changedKeys.push(key);
+    });
+
+    current.lastSyncAt = response.serverTime;
+    this.saveSyncMeta(current);
+
+    if (changedKeys.length > 0) {
+      this.syncListeners.forEach(callback => {
+        try {
+          callback(changedKeys);
+        } catch (error) {
+          console.error('Sync listener error:', error);
+        }
+      });
+    }
+
+    return changedKeys;
+  }
+
+  /**
+   * Listen for keys changed by synced data from another device
+   */
+  onSyncChange(callback) {
+    this.syncListeners.push(callback);
+    return () => {
+      this.syncListeners = this.syncListeners.filter(cb => cb !== callback);
+    };
+  }
+
   // ==================== UTILITIES ====================
 
   /**
-   * Export all data
+   * Export all data as a versioned backup
    */
   exportData() {
     const data = {
@@ -374,6 +715,7 @@ export class StorageManager {
       settings: this.getSettings(),
       loadouts: this.getLoadouts(),
       panelVisibility: this.getPanelVisibility(),
+      panelStates: this.getAllPanelStates(),
       layouts: {}
     };
 
@@ -383,21 +725,131 @@ export class StorageManager {
       data.layouts[tab.id] = this.loadLayout(tab.id);
     });
 
-    return data;
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      storageVersion: this.version,
+      exportedAt: new Date().toISOString(),
+      data
+    };
+  }
+
+  /**
+   * Check backup file text without writing anything.
+   * Returns { errors, warnings, data, changes } - changes describe what an import would overwrite.
+   */
+  previewImport(text) {
+    const result = backupValidator.check(text);
+    return {
+      ...result,
+      changes: result.errors.length === 0 ? this.describeImport(result.data) : []
+    };
   }
 
   /**
-   * Import data
+   * List what importing validated data would change: [{ label, action, detail }]
    */
-  importData(data) {
-    if (data.tabs) this.saveTabsMeta(data.tabs);
-    if (data.activeTab) this.setActiveTabId(data.activeTab);
-    if (data.settings) this.saveSettings(data.settings);
+  describeImport(data) {
+    const changes = [];
+    const currentTabs = this.loadTabsMeta();
+
+    if (data.tabs) {
+      data.tabs.forEach(tab => {
+        const existing = currentTabs.find(t => t.id === tab.id);
+        changes.push({
+          label: `Layout "${tab.name}"`,
+          action: existing ? 'overwrite' : 'add',
+          detail: data.layouts?.[tab.id] ? 'name, color and panel positions' : 'name and color'
+        });
+      });
+
+      currentTabs.filter(tab => !data.tabs.some(t => t.id === tab.id)).forEach(tab => {
+        changes.push({ label: `Layout "${tab.name}"`, action: 'remove', detail: 'not in backup' });
+      });
+    }
+
+    if (data.settings) {
+      const current = this.getSettings();
+      const changed = Object.keys(data.settings).filter(key => current[key] !== data.settings[key]);
+      if (changed.length > 0) {
+        changes.push({ label: 'Settings', action: 'overwrite', detail: changed.join(', ') });
+      }
+    }
+
     if (data.loadouts) {
-      localStorage.setItem(this.KEYS.LOADOUTS, JSON.stringify(data.loadouts));
+      changes.push({
+        label: 'Saved builds & loadouts',
+        action: 'overwrite',
+        detail: `${this.getLoadouts().length} current -> ${data.loadouts.length} from backup`
+      });
     }
+
     if (data.panelVisibility) {
-      localStorage.setItem(this.KEYS.PANEL_VISIBILITY, JSON.stringify(data.panelVisibility));
+      changes.push({ label: 'Panel visibility', action: 'overwrite', detail: '' });
+    }
+
+    if (data.panelStates && Object.keys(data.panelStates).length > 0) {
+      changes.push({ label: 'Panel states', action: 'overwrite', detail: Object.keys(data.panelStates).join(', ') });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Import backup file text. Validates and migrates first; if a write fails
+   * part-way, the previous data is restored so a bad backup can't brick the dashboard.
+   */
+  importData(text) {
+    const { errors, warnings, data } = backupValidator.check(text);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const snapshot = this.exportData().data;
+
+    try {
+      this.writeBackupData(data, true);
+    } catch (error) {
+      console.error('Import failed, restoring previous data:', error);
+      try {
+        // Panel states only in the backup aren't in the snapshot - drop them all first
+        this.clearAllPanelStates();
+        this.writeBackupData(snapshot, true);
+      } catch (restoreError) {
+        console.error('Restoring previous data failed:', restoreError);
+      }
+      throw new Error(`Import failed: ${error.message}`);
+    }
+
+    return { warnings };
+  }
+
+  /**
+   * Write validated backup data. With replaceTabs, layouts missing from data.tabs are removed.
+   */
+  writeBackupData(data, replaceTabs = false) {
+    if (data.tabs) {
+      if (replaceTabs) {
+        this.loadTabsMeta()
+          .filter(tab => !data.tabs.some(t => t.id === tab.id))
+          .forEach(tab => this.removeItem(this.KEYS.LAYOUT_PREFIX + tab.id));
+      }
+      this.saveTabsMeta(data.tabs);
+      this.setActiveTabId(data.activeTab || data.tabs[0].id);
+    }
+    if (data.settings) {
+      this.saveSettings({ ...this.getDefaultSettings(), ...data.settings });
+    }
+    if (data.loadouts) {
+      this.saveLoadouts(data.loadouts);
+    }
+    if (data.panelVisibility) {
+      this.setItem(this.KEYS.PANEL_VISIBILITY, JSON.stringify(data.panelVisibility));
+    }
+    if (data.panelStates) {
+      Object.entries(data.panelStates).forEach(([panelId, state]) => {
+        this.setItem(this.KEYS.PANEL_STATE_PREFIX + panelId, JSON.stringify(state));
+      });
     }
     if (data.layouts) {
       Object.entries(data.layouts).forEach(([tabId, layout]) => {
@@ -416,6 +868,7 @@ export class StorageManager {
         localStorage.removeItem(key);
       }
     });
+    this.dbClear(WISHLIST_STORE).catch(() => { });
   }
 
   /**
@@ -9,7 +9,9 @@ import { GridManager } from './core/grid-manager.js';
 import { manifestLoader } from './api/manifest-loader.js';
 import { panelManager } from './panels/panel-manager.js';
 import { FriendsList } from './panels/friends-list.js';
+import { SettingsModal } from './panels/settings-modal.js';
 import { loadoutManager } from './utils/loadout-manager.js';
+import { wishlistManager } from './utils/wishlist-manager.js';
 
 class Dashboard {
   constructor() {
@@ -23,6 +25,7 @@ class Dashboard {
     this.manifestLoader = manifestLoader;
     this.panelManager = panelManager;
     this.friendsList = null;
+    this.settingsModal = null;
 
     // State
     this.activeTabId = null;
@@ -60,15 +63,25 @@ class Dashboard {
         console.warn('Manifest initialization error:', err);
       });
 
+      // Load imported roll wishlists before inventory renders
+      await wishlistManager.init();
+
       // Initialize panels
       await this.panelManager.init();
 
       // Initialize friends list
       this.initializeFriendsList();
 
+      // Initialize settings (backup export / import)
+      this.settingsModal = new SettingsModal();
+      this.settingsModal.init(document.getElementById('settingsToggle'));
+
       // Initialize loadout manager
       loadoutManager.init();
 
+      // Sync layouts, settings and loadouts with the server when signed in
+      this.setupSync();
+
       // Setup event listeners
       this.setupEventListeners();
 
@@ -78,6 +91,9 @@ class Dashboard {
       // Load initial layout
       this.loadInitialLayout();
 
+      // Open ?build= / ?loadout= share links
+      this.openSharedLink();
+
       this.isInitialized = true;
       console.log('Dashboard initialized successfully');
 
@@ -86,6 +102,7 @@ class Dashboard {
       window.panelManager = this.panelManager;
       window.friendsList = this.friendsList;
       window.loadoutManager = loadoutManager;
+      window.wishlistManager = wishlistManager;
       window.manifestLoader = manifestLoader;
 
     } catch (error) {
@@ -132,6 +149,56 @@ class Dashboard {
     }
   }
 
+  /**
+   * Setup server sync of stored data
+   */
+  setupSync() {
+    this.storageManager.onSyncChange(keys => this.applySyncedChanges(keys));
+
+    this.authClient.onAuthChange(({ isAuthenticated }) => {
+      if (isAuthenticated) {
+        this.storageManager.enableSync();
+      } else {
+        this.storageManager.disableSync();
+      }
+    });
+
+    if (this.authClient.checkAuthenticated()) {
+      this.storageManager.enableSync();
+    }
+  }
+
+  /**
+   * Refresh the UI for stored data changed on another device
+   */
+  applySyncedChanges(keys) {
+    const { KEYS } = this.storageManager;
+
+    if (keys.includes(KEYS.TABS_META)) {
+      this.tabs = this.storageManager.loadTabsMeta();
+      if (!this.tabs.some(t => t.id === this.activeTabId)) {
+        this.activeTabId = this.tabs[0]?.id;
+        this.storageManager.setActiveTabId(this.activeTabId);
+      }
+    }
+
+    const layoutChanged = keys.includes(KEYS.LAYOUT_PREFIX + this.activeTabId);
+    if ((layoutChanged || keys.includes(KEYS.TABS_META)) && this.authClient.checkAuthenticated() && !this.isMobile()) {
+      this.setActiveTab(this.activeTabId);
+    } else {
+      this.renderTabs();
+    }
+
+    if (keys.includes(KEYS.LOADOUTS)) {
+      loadoutManager.init();
+      const buildCrafter = this.panelManager.getPanel('build-crafter-panel');
+      if (buildCrafter) {
+        buildCrafter.loadSavedBuilds();
+        buildCrafter.render();
+      }
+    }
+  }
+
   /**
    * Setup auth UI
    */
@@ -154,6 +221,8 @@ class Dashboard {
         }
       });
 
+      this.setupMembershipSwitcher();
+
       // Listen for auth changes
       this.authClient.onAuthChange((event) => {
         this.updateAuthUI();
@@ -167,6 +236,71 @@ class Dashboard {
     }
   }
 
+  /**
+   * Setup the Destiny membership switcher
+   */
+  setupMembershipSwitcher() {
+    const select = document.getElementById('membershipSelect');
+    if (!select) return;
+
+    select.addEventListener('change', async () => {
+      const [membershipType, membershipId] = select.value.split(':');
+      select.disabled = true;
+
+      try {
+        await this.authClient.switchMembership(parseInt(membershipType, 10), membershipId);
+      } catch (error) {
+        console.error('Membership switch failed:', error);
+        alert(`Could not switch account: ${error.message}`);
+      } finally {
+        select.disabled = false;
+        this.renderMembershipSwitcher();
+      }
+    });
+
+    this.authClient.onMembershipChange(() => this.renderMembershipSwitcher());
+  }
+
+  /**
+   * Load memberships for the switcher (once per sign-in)
+   */
+  async updateMembershipSwitcher() {
+    if (!this.authClient.checkAuthenticated()) {
+      this.renderMembershipSwitcher();
+      return;
+    }
+
+    if (!this.authClient.memberships) {
+      try {
+        await this.authClient.loadMemberships();
+      } catch (error) {
+        console.warn('Failed to load memberships:', error);
+      }
+    }
+
+    this.renderMembershipSwitcher();
+  }
+
+  /**
+   * Render switcher options; hidden unless there is something to switch to
+   */
+  renderMembershipSwitcher() {
+    const select = document.getElementById('membershipSelect');
+    if (!select) return;
+
+    const memberships = this.authClient.checkAuthenticated() ? (this.authClient.memberships || []) : [];
+    select.hidden = memberships.length < 2;
+    if (select.hidden) return;
+
+    const active = this.authClient.getActiveMembership();
+    // Options built as nodes - display names come from Bungie
+    select.replaceChildren(...memberships.map(m => {
+      const label = `${m.platform}${m.crossSave ? ' (Cross Save)' : ''} - ${m.displayName || m.membershipId}`;
+      const selected = m.membershipType === active?.membershipType && m.membershipId === active?.membershipId;
+      return new Option(label, `${m.membershipType}:${m.membershipId}`, selected, selected);
+    }));
+  }
+
   /**
    * Update auth UI
    */
@@ -202,6 +336,8 @@ class Dashboard {
         if (mobileTextEl) mobileTextEl.textContent = 'Sign In';
       }
     }
+
+    this.updateMembershipSwitcher();
   }
 
   /**
@@ -1190,6 +1326,36 @@ class Dashboard {
     }
   }
 
+  /**
+   * Open a ?build= or ?loadout= share link as a preview in the Build Crafter panel
+   */
+  openSharedLink() {
+    const params = new URLSearchParams(window.location.search);
+    const kind = ['build', 'loadout'].find(param => params.has(param));
+    if (!kind) return;
+
+    const encoded = params.get(kind);
+
+    // Drop the share param so a refresh doesn't reopen the preview
+    params.delete(kind);
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+
+    const panel = this.panelManager.getPanel('build-crafter-panel');
+    if (!panel) return;
+
+    if (this.isMobile()) {
+      this.switchMobilePanel('build-crafter');
+    } else {
+      this.gridManager.toggleItemVisibility('build-crafter', true);
+    }
+
+    panel.showSharedPreview(encoded, kind).then(() => {
+      const card = this.gridEl.querySelector('[data-id="build-crafter"]');
+      if (card) card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+  }
+
   /**
    * Apply logged-out state - minimal public layout
    * Shows only Active Rotators and Intel Feed panels
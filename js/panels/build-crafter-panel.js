@@ -7,6 +7,30 @@ import { apiClient } from '../api/bungie-api-client.js';
 import { inventoryProcessor } from '../utils/inventory-processor.js';
 import { storageManager } from '../core/storage-manager.js';
 import { buildEngine } from '../utils/build-engine.js';
+import { shareCodec } from '../utils/share-codec.js';
+import { loadoutManager } from '../utils/loadout-manager.js';
+import { manifestLoader, BUCKET_HASHES } from '../api/manifest-loader.js';
+import { escapeHtml } from '../utils/html.js';
+
+// Bucket -> build slot for shared links
+const WEAPON_SLOTS = {
+  [BUCKET_HASHES.KINETIC_WEAPONS]: 'kinetic',
+  [BUCKET_HASHES.ENERGY_WEAPONS]: 'energy',
+  [BUCKET_HASHES.POWER_WEAPONS]: 'power'
+};
+
+const ARMOR_SLOTS = {
+  [BUCKET_HASHES.HELMET]: 'helmet',
+  [BUCKET_HASHES.GAUNTLETS]: 'gauntlets',
+  [BUCKET_HASHES.CHEST_ARMOR]: 'chest',
+  [BUCKET_HASHES.LEG_ARMOR]: 'legs',
+  [BUCKET_HASHES.CLASS_ARMOR]: 'class'
+};
+
+const TIER_EXOTIC = 6;
+
+// Stat tiers run 0-10 (every 10 points)
+const MAX_TIER = 10;
 
 export class BuildCrafterPanel {
   constructor(containerEl) {
@@ -18,6 +42,34 @@ export class BuildCrafterPanel {
     this.inputValue = '';
     this.isLoading = false;
     this.isEquipping = false;
+    this.sharedPayload = null;
+    this.sharedPreviewBuild = null;
+
+    // User-set tier limits passed to the armor optimizer: { minTiers: { stat: n }, maxTiers: { stat: n } }
+    this.statConstraints = { minTiers: {}, maxTiers: {} };
+
+    // Restore saved state
+    this.restoreState();
+  }
+
+  /**
+   * Restore saved state from storage
+   */
+  restoreState() {
+    const savedState = storageManager.loadPanelState('build-crafter', {});
+    this.statConstraints = {
+      minTiers: { ...savedState.statConstraints?.minTiers },
+      maxTiers: { ...savedState.statConstraints?.maxTiers }
+    };
+  }
+
+  /**
+   * Save current state to storage
+   */
+  saveState() {
+    storageManager.savePanelState('build-crafter', {
+      statConstraints: this.statConstraints
+    });
   }
 
   /**
@@ -94,6 +146,7 @@ export class BuildCrafterPanel {
             <span class="quick-tag" data-tag="pvp">PvP</span>
             <span class="quick-tag" data-tag="gambit">Gambit</span>
           </div>
+          ${this.renderTierConstraints()}
         </div>
 
         ${!this.inventory ? this.renderLoginPrompt() : ''}
@@ -106,6 +159,62 @@ export class BuildCrafterPanel {
     this.attachEventListeners();
   }
 
+  /**
+   * Min/max tier selects for each armor stat
+   */
+  renderTierConstraints() {
+    const stats = this.getStatColumns({});
+    if (stats.length === 0) return '';
+
+    const { minTiers, maxTiers } = this.statConstraints;
+    const active = Object.keys(minTiers).length + Object.keys(maxTiers).length;
+    const options = (selected) => Array.from({ length: MAX_TIER + 1 }, (_, tier) =>
+      `<option value="${tier}" ${tier === selected ? 'selected' : ''}>T${tier}</option>`
+    ).join('');
+
+    return `
+      <details class="tier-constraints" ${active > 0 ? 'open' : ''}>
+        <summary>Stat tiers${active > 0 ? ` (${active} set)` : ''}</summary>
+        <div class="tier-constraints-grid">
+          ${stats.map(({ key, name }) => `
+            <div class="tier-constraint-row">
+              <span class="stat-name">${escapeHtml(name)}</span>
+              <select class="tier-select" data-stat="${key}" data-bound="min" title="Minimum tier">
+                ${options(minTiers[key] ?? 0)}
+              </select>
+              <select class="tier-select" data-stat="${key}" data-bound="max" title="Maximum tier">
+                ${options(maxTiers[key] ?? MAX_TIER)}
+              </select>
+            </div>
+          `).join('')}
+        </div>
+        ${active > 0 ? '<button class="tier-reset-btn">Clear limits</button>' : ''}
+      </details>
+    `;
+  }
+
+  /**
+   * Update one tier limit; the other bound moves if they cross
+   * (min 0 and max 10 are the defaults, so they're dropped)
+   */
+  setTierConstraint(stat, bound, tier) {
+    const { minTiers, maxTiers } = this.statConstraints;
+
+    if (bound === 'min') {
+      minTiers[stat] = tier;
+      if ((maxTiers[stat] ?? MAX_TIER) < tier) maxTiers[stat] = tier;
+    } else {
+      maxTiers[stat] = tier;
+      if ((minTiers[stat] ?? 0) > tier) minTiers[stat] = tier;
+    }
+
+    if (minTiers[stat] === 0) delete minTiers[stat];
+    if (maxTiers[stat] === MAX_TIER) delete maxTiers[stat];
+
+    this.saveState();
+    this.render();
+  }
+
   /**
    * Render login prompt
    */
@@ -142,18 +251,28 @@ export class BuildCrafterPanel {
    */
   renderBuildResult() {
     const build = this.currentBuild;
+    const isPreview = build === this.sharedPreviewBuild;
 
     return `
       <div class="build-result">
+        ${isPreview ? `
+          <div class="shared-preview-banner">
+            <span>Shared ${this.sharedPayload.kind} preview</span>
+            <button class="dismiss-preview-btn">Dismiss</button>
+          </div>
+        ` : ''}
         <div class="build-header">
-          <h4>${build.name}</h4>
+          <h4>${escapeHtml(build.name)}</h4>
           <div class="build-meta">
-            <span class="subclass-element ${build.element.toLowerCase()}">${build.element}</span>
-            <span class="subclass-class">${build.class}</span>
+            <span class="subclass-element ${(build.element || '').toLowerCase()}">${build.element || ''}</span>
+            <span class="subclass-class">${build.class || ''}</span>
             ${build.activity ? `<span class="activity-type">${build.activity.name}</span>` : ''}
           </div>
+          ${build.constraintsMet === false ? `
+            <div class="constraints-warning">No armor combination meets your stat tier limits - showing the best pieces per slot instead</div>
+          ` : ''}
           <div class="build-actions">
-            <button class="save-build-btn">Save</button>
+            <button class="save-build-btn">${isPreview ? 'Save to My Builds' : 'Save'}</button>
             <button class="share-build-btn">Share</button>
             ${build.canEquip ? `<button class="equip-build-btn" ${this.isEquipping ? 'disabled' : ''}>${this.isEquipping ? 'Equipping...' : 'Equip Build'}</button>` : ''}
           </div>
@@ -164,6 +283,7 @@ export class BuildCrafterPanel {
           ${this.renderWeaponsSection(build.weapons)}
           ${this.renderArmorSection(build.armor)}
           ${this.renderStatsSection(build.stats, build.secondaryBonuses)}
+          ${this.renderSetBonusesSection(build.setBonuses)}
           ${this.renderArtifactSection(build.artifactMods)}
           ${build.notes ? `<div class="build-notes"><h5>Notes</h5><p>${build.notes}</p></div>` : ''}
         </div>
@@ -187,7 +307,7 @@ export class BuildCrafterPanel {
         <h5>Subclass Configuration</h5>
         <div class="subclass-super">
           <span class="label">Super:</span>
-          <span class="value">${subclass.super || 'Default'}</span>
+          <span class="value">${escapeHtml(subclass.super || 'Default')}</span>
         </div>
 
         <div class="aspects-container">
@@ -196,7 +316,7 @@ export class BuildCrafterPanel {
             ${subclass.aspects?.map(a => `
               <div class="aspect-item" title="${a.description || ''}">
                 ${a.icon ? `<img src="${a.icon}" alt="${a.name}" class="aspect-icon">` : ''}
-                <span class="aspect-name">${a.name}</span>
+                <span class="aspect-name">${escapeHtml(a.name)}</span>
                 <span class="fragment-slots">${a.fragmentSlots || 2} fragment slots</span>
               </div>
             `).join('') || '<span class="no-data">No aspects available for this element/class</span>'}
@@ -209,7 +329,7 @@ export class BuildCrafterPanel {
             ${subclass.fragments?.map(f => `
               <div class="fragment-item" title="${f.description || ''}">
                 ${f.icon ? `<img src="${f.icon}" alt="${f.name}" class="fragment-icon">` : ''}
-                <span class="fragment-name">${f.name}</span>
+                <span class="fragment-name">${escapeHtml(f.name)}</span>
                 ${f.statBonuses && Object.keys(f.statBonuses).length > 0 ?
                   `<span class="stat-bonuses">${Object.entries(f.statBonuses).map(([stat, val]) =>
                     `${val > 0 ? '+' : ''}${val} ${stat.charAt(0).toUpperCase()}`
@@ -317,12 +437,9 @@ export class BuildCrafterPanel {
             <span class="armor-name">${armor.name}</span>
             ${armor.stats ? `
               <div class="armor-stats-mini">
-                <span title="Mobility">${armor.stats.mobility || 0}</span>
-                <span title="Resilience">${armor.stats.resilience || 0}</span>
-                <span title="Recovery">${armor.stats.recovery || 0}</span>
-                <span title="Discipline">${armor.stats.discipline || 0}</span>
-                <span title="Intellect">${armor.stats.intellect || 0}</span>
-                <span title="Strength">${armor.stats.strength || 0}</span>
+                ${this.getStatColumns(armor.stats).map(({ key, name }) => `
+                  <span title="${name}">${armor.stats[key] || 0}</span>
+                `).join('')}
               </div>
             ` : ''}
           </div>
@@ -336,33 +453,45 @@ export class BuildCrafterPanel {
     `;
   }
 
+  /**
+   * Armor stats to show, in manifest order, plus any extra keys on the stats object
+   */
+  getStatColumns(stats = {}) {
+    const columns = inventoryProcessor.getArmorStatSchema().map(({ key, name }) => ({ key, name }));
+
+    for (const key of Object.keys(stats)) {
+      if (key !== 'total' && !columns.some(c => c.key === key)) {
+        columns.push({ key, name: key.charAt(0).toUpperCase() + key.slice(1) });
+      }
+    }
+    return columns;
+  }
+
   /**
    * Render stats section
    */
   renderStatsSection(stats, secondaryBonuses) {
     if (!stats) return '';
 
-    const statOrder = ['mobility', 'resilience', 'recovery', 'discipline', 'intellect', 'strength'];
-
     return `
       <div class="build-section stats-section">
         <h5>Total Stats</h5>
         <div class="stats-grid">
-          ${statOrder.map(stat => {
+          ${this.getStatColumns(stats).map(({ key: stat, name }) => {
             const value = stats[stat] || 0;
             const tier = Math.min(10, Math.floor(value / 10));
             const hasSecondary = secondaryBonuses && secondaryBonuses[stat];
 
             return `
               <div class="stat-row ${hasSecondary ? 'has-secondary' : ''}">
-                <span class="stat-name">${stat.charAt(0).toUpperCase() + stat.slice(1)}</span>
+                <span class="stat-name">${name}</span>
                 <div class="stat-bar-container">
                   <div class="stat-bar" style="width: ${Math.min(100, value)}%"></div>
                   ${value > 100 ? `<div class="stat-bar-overflow" style="width: ${value - 100}%"></div>` : ''}
                 </div>
                 <span class="stat-value">${value}</span>
                 <span class="stat-tier">T${tier}</span>
-                ${hasSecondary ? `<span class="secondary-bonus" title="${secondaryBonuses[stat].description}">${secondaryBonuses[stat].description}</span>` : ''}
+                ${hasSecondary ? `<span class="secondary-bonus" title="${escapeHtml(secondaryBonuses[stat].effect || '')}">${escapeHtml(secondaryBonuses[stat].description)}</span>` : ''}
               </div>
             `;
           }).join('')}
@@ -371,6 +500,30 @@ export class BuildCrafterPanel {
     `;
   }
 
+  /**
+   * Render armor set bonuses (active perks, and what the next piece would unlock)
+   */
+  renderSetBonusesSection(setBonuses) {
+    if (!setBonuses || setBonuses.length === 0) return '';
+
+    return `
+      <div class="build-section set-bonuses-section">
+        <h5>Set Bonuses</h5>
+        ${setBonuses.map(set => `
+          <div class="set-bonus-group">
+            <span class="set-bonus-name">${escapeHtml(set.name)} <span class="set-bonus-count">${set.count} equipped</span></span>
+            ${set.perks.map(perk => `
+              <div class="set-bonus-perk ${perk.active ? 'active' : ''}" title="${escapeHtml(perk.description)}">
+                <span class="set-bonus-required">${perk.requiredSetCount}pc</span>
+                <span class="set-bonus-perk-name">${escapeHtml(perk.name)}</span>
+              </div>
+            `).join('')}
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
   /**
    * Render artifact section
    */
@@ -429,10 +582,17 @@ export class BuildCrafterPanel {
    * Render saved builds section
    */
   renderSavedBuilds() {
+    const header = (title) => `
+      <div class="saved-builds-header">
+        <h4>${title}</h4>
+        <button class="dim-import-btn" title="Import a DIM loadout (JSON or share link)">Import DIM</button>
+      </div>
+    `;
+
     if (this.savedBuilds.length === 0) {
       return `
         <div class="saved-builds-section">
-          <h4>Saved Builds</h4>
+          ${header('Saved Builds')}
           <p class="no-builds">No saved builds yet</p>
         </div>
       `;
@@ -440,16 +600,17 @@ export class BuildCrafterPanel {
 
     return `
       <div class="saved-builds-section">
-        <h4>Saved Builds (${this.savedBuilds.length})</h4>
+        ${header(`Saved Builds (${this.savedBuilds.length})`)}
         <div class="saved-builds-list">
           ${this.savedBuilds.map((build, index) => `
             <div class="saved-build-item" data-build-index="${index}">
               <div class="build-info">
-                <span class="build-name">${build.name}</span>
+                <span class="build-name">${escapeHtml(build.name)}</span>
                 <span class="build-element ${(build.element || '').toLowerCase()}">${build.element} ${build.class}</span>
               </div>
               <div class="build-actions">
                 <button class="load-btn" data-index="${index}">Load</button>
+                <button class="dim-export-btn" data-index="${index}" title="Copy a DIM link for this loadout">DIM</button>
                 <button class="delete-btn" data-index="${index}">Delete</button>
               </div>
             </div>
@@ -474,7 +635,7 @@ export class BuildCrafterPanel {
 
     try {
       // Use the build engine to generate a complete build
-      const build = await buildEngine.generateBuild(input, null, this.currentClass);
+      const build = await buildEngine.generateBuild(input, null, this.currentClass, this.statConstraints);
       this.currentBuild = build;
     } catch (error) {
       console.error('Build generation error:', error);
@@ -546,9 +707,13 @@ export class BuildCrafterPanel {
   /**
    * Save current build
    */
-  saveBuild() {
+  async saveBuild() {
     if (!this.currentBuild) return;
 
+    if (this.currentBuild === this.sharedPreviewBuild) {
+      return this.saveSharedPreview();
+    }
+
     const buildToSave = {
       ...this.currentBuild,
       id: Date.now().toString(),
@@ -583,30 +748,72 @@ export class BuildCrafterPanel {
     }
   }
 
+  /**
+   * Import a DIM loadout from pasted JSON or a DIM share link
+   */
+  async importDIMLoadout() {
+    const input = prompt('Paste DIM loadout JSON or a DIM loadout link:');
+    if (!input?.trim()) return;
+
+    try {
+      // Pick up builds saved straight to storage by this panel
+      loadoutManager.init();
+      const loadout = await loadoutManager.importFromDIM(input);
+      this.loadSavedBuilds();
+      this.render();
+      alert(`Imported "${loadout.name}" (${loadout.items.length} items)`);
+    } catch (error) {
+      console.error('DIM import error:', error);
+      alert('Failed to import DIM loadout: ' + error.message);
+    }
+  }
+
+  /**
+   * Copy a DIM share link for a saved build (falls back to showing the JSON)
+   */
+  async exportToDIM(index) {
+    const build = this.savedBuilds[index];
+    if (!build) return;
+
+    let link;
+    try {
+      loadoutManager.init();
+      link = loadoutManager.generateDIMShareLink(build.id);
+    } catch (error) {
+      alert('Failed to export to DIM: ' + error.message);
+      return;
+    }
+
+    try {
+      await navigator.clipboard.writeText(link);
+      alert('DIM loadout link copied to clipboard!');
+    } catch (err) {
+      console.error('Failed to copy link:', err);
+      prompt('Copy this DIM loadout JSON:', loadoutManager.exportToDIM(build.id));
+    }
+  }
+
   /**
    * Generate share link
    */
-  generateShareLink() {
+  async generateShareLink() {
     if (!this.currentBuild) return null;
 
-    const buildData = {
-      n: this.currentBuild.name,
-      c: this.currentBuild.class,
-      e: this.currentBuild.element,
-      s: this.currentBuild.subclass?.super,
-      a: this.currentBuild.subclass?.aspects?.map(a => a.name),
-      f: this.currentBuild.subclass?.fragments?.map(f => f.name)
-    };
-
-    const encoded = btoa(JSON.stringify(buildData));
-    return `${window.location.origin}${window.location.pathname}?build=${encoded}`;
+    const encoded = await shareCodec.encodeBuild(this.currentBuild);
+    return shareCodec.buildLink('build', encoded);
   }
 
   /**
    * Copy share link to clipboard
    */
   async shareBuild() {
-    const link = this.generateShareLink();
+    let link;
+    try {
+      link = await this.generateShareLink();
+    } catch (err) {
+      alert('Failed to create share link: ' + err.message);
+      return;
+    }
     if (!link) return;
 
     try {
@@ -618,6 +825,135 @@ export class BuildCrafterPanel {
     }
   }
 
+  // ==================== SHARED LINKS ====================
+
+  /**
+   * Open a ?build= or ?loadout= link as a preview
+   */
+  async showSharedPreview(encoded, kind) {
+    try {
+      this.showLoading('Loading shared build...');
+
+      const payload = await shareCodec.decode(encoded, kind);
+      await manifestLoader.loadAnalysisData();
+
+      this.sharedPayload = payload;
+      this.sharedPreviewBuild = this.buildFromSharedPayload(payload);
+      this.currentBuild = this.sharedPreviewBuild;
+      this.render();
+    } catch (error) {
+      console.error('Shared link error:', error);
+      this.showError(error.message);
+    }
+  }
+
+  /**
+   * Turn a decoded share payload into the build shape the result view renders
+   */
+  buildFromSharedPayload(payload) {
+    const getDef = hash => (hash ? manifestLoader.getItemDefinition(hash) : null);
+    const iconUrl = def => (def?.displayProperties?.icon ? `https://www.bungie.net${def.displayProperties.icon}` : null);
+
+    const toPlug = ref => {
+      const def = getDef(ref.hash);
+      return {
+        hash: ref.hash,
+        name: def?.displayProperties?.name || ref.name || 'Unknown',
+        description: def?.displayProperties?.description || '',
+        icon: iconUrl(def)
+      };
+    };
+
+    const aspects = payload.aspects.map(ref => {
+      const def = getDef(ref.hash);
+      const plug = toPlug(ref);
+      return {
+        ...plug,
+        fragmentSlots: buildEngine.getAspectFragmentSlots(plug.name, def?.plug?.plugCategoryIdentifier || '')
+      };
+    });
+
+    const weapons = { kinetic: null, energy: null, power: null };
+    const armor = {};
+
+    payload.items.forEach(ref => {
+      const def = getDef(ref.itemHash);
+      const bucketHash = ref.bucketHash || def?.inventory?.bucketTypeHash;
+      const item = {
+        itemHash: ref.itemHash,
+        bucketHash,
+        name: def?.displayProperties?.name || 'Unknown Item',
+        icon: iconUrl(def),
+        isExotic: def?.inventory?.tierType === TIER_EXOTIC
+      };
+
+      if (WEAPON_SLOTS[bucketHash] && ref.isEquipped) {
+        weapons[WEAPON_SLOTS[bucketHash]] = item;
+      } else if (ARMOR_SLOTS[bucketHash] && ref.isEquipped) {
+        armor[ARMOR_SLOTS[bucketHash]] = { item, mods: [] };
+      }
+    });
+
+    const superDef = getDef(payload.superHash);
+    const className = payload.className;
+    const element = payload.element;
+
+    return {
+      name: payload.name || `Shared ${payload.kind}`,
+      class: className ? className.charAt(0).toUpperCase() + className.slice(1) : 'Any',
+      classType: payload.classType,
+      element: element ? element.charAt(0).toUpperCase() + element.slice(1) : '',
+      subclass: {
+        super: superDef?.displayProperties?.name || payload.superName || 'Default Super',
+        superHash: payload.superHash,
+        aspects,
+        fragments: payload.fragments.map(toPlug),
+        totalFragmentSlots: aspects.reduce((total, a) => total + (a.fragmentSlots || 2), 0)
+      },
+      weapons,
+      armor,
+      canEquip: false
+    };
+  }
+
+  /**
+   * Save the previewed link to saved builds (loadouts go through the loadout manager)
+   */
+  async saveSharedPreview() {
+    try {
+      if (this.sharedPayload.kind === 'loadout') {
+        await loadoutManager.importFromShareLink(this.sharedPayload);
+        this.loadSavedBuilds();
+      } else {
+        const buildToSave = {
+          ...this.sharedPreviewBuild,
+          id: Date.now().toString(),
+          imported: true,
+          createdAt: new Date().toISOString()
+        };
+        this.savedBuilds.push(buildToSave);
+        storageManager.saveLoadout(buildToSave);
+      }
+
+      this.dismissSharedPreview();
+    } catch (error) {
+      console.error('Failed to save shared link:', error);
+      alert('Failed to save: ' + error.message);
+    }
+  }
+
+  /**
+   * Close the shared preview
+   */
+  dismissSharedPreview() {
+    if (this.currentBuild === this.sharedPreviewBuild) {
+      this.currentBuild = null;
+    }
+    this.sharedPayload = null;
+    this.sharedPreviewBuild = null;
+    this.render();
+  }
+
   /**
    * Attach event listeners
    */
@@ -665,6 +1001,22 @@ export class BuildCrafterPanel {
       });
     });
 
+    // Stat tier limits
+    this.container.querySelectorAll('.tier-select').forEach(select => {
+      select.addEventListener('change', () => {
+        this.setTierConstraint(select.dataset.stat, select.dataset.bound, parseInt(select.value));
+      });
+    });
+
+    const tierResetBtn = this.container.querySelector('.tier-reset-btn');
+    if (tierResetBtn) {
+      tierResetBtn.addEventListener('click', () => {
+        this.statConstraints = { minTiers: {}, maxTiers: {} };
+        this.saveState();
+        this.render();
+      });
+    }
+
     // Save build button
     const saveBtn = this.container.querySelector('.save-build-btn');
     if (saveBtn) {
@@ -677,6 +1029,12 @@ export class BuildCrafterPanel {
       shareBtn.addEventListener('click', () => this.shareBuild());
     }
 
+    // Dismiss shared preview
+    const dismissBtn = this.container.querySelector('.dismiss-preview-btn');
+    if (dismissBtn) {
+      dismissBtn.addEventListener('click', () => this.dismissSharedPreview());
+    }
+
     // Equip build button
     const equipBtn = this.container.querySelector('.equip-build-btn');
     if (equipBtn) {
@@ -691,6 +1049,18 @@ export class BuildCrafterPanel {
       });
     });
 
+    this.container.querySelectorAll('.dim-export-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.exportToDIM(parseInt(btn.dataset.index));
+      });
+    });
+
+    const dimImportBtn = this.container.querySelector('.dim-import-btn');
+    if (dimImportBtn) {
+      dimImportBtn.addEventListener('click', () => this.importDIMLoadout());
+    }
+
     this.container.querySelectorAll('.delete-btn').forEach(btn => {
       btn.addEventListener('click', (e) => {
         e.stopPropagation();
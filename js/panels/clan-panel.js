@@ -3,12 +3,20 @@
  */
 
 import { apiClient } from '../api/bungie-api-client.js';
+import { manifestLoader } from '../api/manifest-loader.js';
+import { escapeHtml } from '../utils/html.js';
+
+// Clan level progression in clanInfo.d2ClanProgressions
+const CLAN_LEVEL_PROGRESSION_HASH = 584850370;
 
 export class ClanPanel {
   constructor(containerEl) {
     this.container = containerEl;
     this.clanInfo = null;
     this.clanMembers = null;
+    this.weeklyRewards = null;
+    this.milestoneDefinitions = {};
+    this.progressionDefinitions = {};
     this.currentTab = 'overview';
   }
 
@@ -26,9 +34,24 @@ export class ClanPanel {
     try {
       this.showLoading();
 
-      const data = await apiClient.getClan();
-      this.clanInfo = data.clanInfo;
-      this.clanMembers = data.members;
+      const [data, members] = await Promise.all([
+        apiClient.getClan('weekly'),
+        apiClient.getClanMembers().catch(() => null)
+      ]);
+
+      this.clanInfo = data.hasClan ? data.clan : null;
+      this.weeklyRewards = data.weeklyRewards || null;
+      this.clanMembers = members?.members?.results || null;
+
+      // Names for reward entries and clan progressions
+      if (this.clanInfo) {
+        const [milestones, progressions] = await Promise.all([
+          manifestLoader.loadDefinition('DestinyMilestoneDefinition').catch(() => null),
+          manifestLoader.loadDefinition('DestinyProgressionDefinition').catch(() => null)
+        ]);
+        this.milestoneDefinitions = milestones || {};
+        this.progressionDefinitions = progressions || {};
+      }
 
       this.render();
     } catch (error) {
@@ -72,17 +95,19 @@ export class ClanPanel {
   renderClanHeader() {
     const clan = this.clanInfo;
     const banner = clan.clanBannerData;
+    const clanLevel = this.getClanLevel();
 
     return `
       <div class="clan-banner">
         <div class="clan-emblem" style="background-color: ${this.getBannerColor(banner?.decalColor)}">
-          <span class="clan-tag">[${clan.clanInfo?.clanCallsign || 'CLAN'}]</span>
+          <span class="clan-tag">[${clan.clanCallsign || 'CLAN'}]</span>
         </div>
         <div class="clan-info">
           <h3 class="clan-name">${clan.name || 'Unknown Clan'}</h3>
           <div class="clan-motto">"${clan.motto || ''}"</div>
           <div class="clan-stats">
             <span class="member-count">${clan.memberCount || 0} Members</span>
+            ${clanLevel ? `<span class="clan-level">Level ${clanLevel.level}</span>` : ''}
           </div>
         </div>
       </div>
@@ -198,48 +223,152 @@ export class ClanPanel {
    * Render progress tab
    */
   renderProgress() {
-    // This would show clan weekly progress, challenges, etc.
+    const clanLevel = this.getClanLevel();
+    const rewards = this.getWeeklyRewardCategories();
+    const progressions = this.getClanProgressions();
+    const resetTime = this.weeklyRewards?.endDate ? new Date(this.weeklyRewards.endDate) : null;
+
     return `
       <div class="clan-progress">
-        <div class="progress-section">
-          <h4>Weekly Clan XP</h4>
-          <div class="progress-bar-container">
-            <div class="progress-bar" style="width: 75%"></div>
-            <span class="progress-text">75,000 / 100,000 XP</span>
+        ${clanLevel ? `
+          <div class="progress-section">
+            <h4>Clan Level ${clanLevel.level}${clanLevel.level >= clanLevel.levelCap ? ' (Max)' : ''}</h4>
+            <div class="progress-bar-container">
+              <div class="progress-bar" style="width: ${clanLevel.percentage}%"></div>
+            </div>
+            <span class="progress-text">
+              ${clanLevel.progressToNextLevel.toLocaleString()} / ${clanLevel.nextLevelAt.toLocaleString()} XP
+            </span>
           </div>
-        </div>
-
-        <div class="progress-section">
-          <h4>Weekly Engrams Earned</h4>
-          <div class="engram-grid">
-            <div class="engram earned">Crucible</div>
-            <div class="engram earned">Vanguard</div>
-            <div class="engram">Gambit</div>
-            <div class="engram">Nightfall</div>
+        ` : ''}
+
+        ${progressions.length > 0 ? `
+          <div class="progress-section">
+            <h4>Clan Progressions</h4>
+            <div class="challenge-list">
+              ${progressions.map(p => `
+                <div class="challenge-item ${p.complete ? 'completed' : ''}">
+                  <span class="challenge-name">${p.name}</span>
+                  <span class="challenge-progress">
+                    ${p.weeklyLimit
+                      ? `${p.weeklyProgress.toLocaleString()} / ${p.weeklyLimit.toLocaleString()} this week`
+                      : `Level ${p.level}`}
+                  </span>
+                </div>
+              `).join('')}
+            </div>
           </div>
-        </div>
+        ` : ''}
 
         <div class="progress-section">
-          <h4>Clan Challenges</h4>
-          <div class="challenge-list">
-            <div class="challenge-item completed">
-              <span class="challenge-name">Complete Strikes</span>
-              <span class="challenge-progress">50/50</span>
-            </div>
-            <div class="challenge-item">
-              <span class="challenge-name">Win Crucible Matches</span>
-              <span class="challenge-progress">12/25</span>
-            </div>
-            <div class="challenge-item">
-              <span class="challenge-name">Complete Gambit Matches</span>
-              <span class="challenge-progress">8/20</span>
+          <h4>Weekly Engrams Earned</h4>
+          ${resetTime ? `<div class="clan-reset">Resets ${this.formatTimeUntil(resetTime)}</div>` : ''}
+          ${rewards.length > 0 ? rewards.map(category => `
+            <div class="reward-category">
+              ${rewards.length > 1 ? `<div class="reward-category-name">${category.name}</div>` : ''}
+              <div class="engram-grid">
+                ${category.entries.map(entry => `
+                  <div class="engram ${entry.earned ? 'earned' : ''} ${entry.redeemed ? 'redeemed' : ''}"
+                       title="${escapeHtml(entry.description)}">
+                    ${entry.name}
+                    <span class="engram-status">${entry.redeemed ? 'Claimed' : entry.earned ? 'Earned' : 'Not earned'}</span>
+                  </div>
+                `).join('')}
+              </div>
             </div>
-          </div>
+          `).join('') : '<div class="no-data">Weekly reward data unavailable</div>'}
         </div>
       </div>
     `;
   }
 
+  // ==================== CLAN PROGRESS ====================
+
+  /**
+   * Clan level from clanInfo progressions
+   */
+  getClanLevel() {
+    const progression = this.clanInfo?.progressions?.[CLAN_LEVEL_PROGRESSION_HASH];
+    if (!progression) return null;
+
+    const nextLevelAt = progression.nextLevelAt || 0;
+    const progressToNextLevel = progression.progressToNextLevel || 0;
+
+    return {
+      level: progression.level || 0,
+      levelCap: progression.levelCap || 0,
+      progressToNextLevel,
+      nextLevelAt,
+      percentage: nextLevelAt > 0 ? Math.round((progressToNextLevel / nextLevelAt) * 100) : 100
+    };
+  }
+
+  /**
+   * Other clan progressions (weekly XP tracks), named from the manifest
+   */
+  getClanProgressions() {
+    const progressions = this.clanInfo?.progressions || {};
+
+    return Object.entries(progressions)
+      .filter(([hash]) => Number(hash) !== CLAN_LEVEL_PROGRESSION_HASH)
+      .map(([hash, progression]) => {
+        const definition = this.progressionDefinitions[hash];
+        const weeklyLimit = progression.weeklyLimit || 0;
+        return {
+          name: definition?.displayProperties?.name || `Progression ${hash}`,
+          level: progression.level || 0,
+          weeklyProgress: progression.weeklyProgress || 0,
+          weeklyLimit,
+          complete: weeklyLimit > 0 && progression.weeklyProgress >= weeklyLimit
+        };
+      })
+      .filter(p => p.weeklyLimit > 0 || p.level > 0);
+  }
+
+  /**
+   * Weekly reward milestone entries with earned/redeemed state
+   * Returns [{ name, entries: [{ name, description, earned, redeemed }] }]
+   */
+  getWeeklyRewardCategories() {
+    const milestone = this.weeklyRewards;
+    if (!milestone?.rewards) return [];
+
+    const definition = this.milestoneDefinitions[milestone.milestoneHash];
+
+    return milestone.rewards.map(category => {
+      const categoryDef = definition?.rewards?.[category.rewardCategoryHash];
+
+      const entries = (category.entries || []).map(entry => {
+        const entryDef = categoryDef?.rewardEntries?.[entry.rewardEntryHash];
+        return {
+          name: entryDef?.displayProperties?.name || 'Reward',
+          description: entryDef?.displayProperties?.description || '',
+          order: entryDef?.order ?? 0,
+          earned: !!entry.earned,
+          redeemed: !!entry.redeemed
+        };
+      }).sort((a, b) => a.order - b.order);
+
+      return {
+        name: categoryDef?.displayProperties?.name || definition?.displayProperties?.name || 'Weekly Rewards',
+        entries
+      };
+    }).filter(category => category.entries.length > 0);
+  }
+
+  /**
+   * Format time until a date ("in 2d 4h")
+   */
+  formatTimeUntil(date) {
+    const ms = date - new Date();
+    if (ms <= 0) return 'now';
+
+    const hours = Math.floor(ms / (1000 * 60 * 60));
+    const days = Math.floor(hours / 24);
+    if (days > 0) return `in ${days}d ${hours % 24}h`;
+    return `in ${hours}h ${Math.floor((ms / (1000 * 60)) % 60)}m`;
+  }
+
   /**
    * Get member role string
    */
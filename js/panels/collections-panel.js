@@ -0,0 +1,441 @@
+/**
+ * Collections Panel - Collections and Triumphs browser
+ * Walks the presentation node tree from the profile's collectibles (800) and records (900)
+ * roots, with search, a "closest to completion" list and what is missing this season.
+ */
+
+import { apiClient } from '../api/bungie-api-client.js';
+import { manifestLoader } from '../api/manifest-loader.js';
+import { storageManager } from '../core/storage-manager.js';
+import { recordsProcessor } from '../utils/records-processor.js';
+import { escapeHtml } from '../utils/html.js';
+
+const TABS = {
+  collections: 'Collections',
+  triumphs: 'Triumphs',
+  closest: 'Closest',
+  season: 'Season'
+};
+
+// Tabs that browse the node tree, and the profile root each starts from
+const TREE_TABS = {
+  collections: 'collections',
+  triumphs: 'triumphs'
+};
+
+const SEARCH_LIMIT = 50;
+const CLOSEST_LIMIT = 30;
+
+export class CollectionsPanel {
+  constructor(containerEl) {
+    this.container = containerEl;
+    this.context = null;
+    this.currentTab = 'collections';
+    this.paths = { collections: [], triumphs: [] };
+    this.query = '';
+
+    // Restore saved state
+    this.restoreState();
+  }
+
+  /**
+   * Initialize collections panel
+   */
+  async init() {
+    this.render();
+  }
+
+  /**
+   * Restore saved state from storage
+   */
+  restoreState() {
+    const savedState = storageManager.loadPanelState('collections', {
+      currentTab: 'collections',
+      paths: { collections: [], triumphs: [] }
+    });
+    this.currentTab = TABS[savedState.currentTab] ? savedState.currentTab : 'collections';
+    this.paths = {
+      collections: savedState.paths?.collections || [],
+      triumphs: savedState.paths?.triumphs || []
+    };
+  }
+
+  /**
+   * Save current state to storage
+   */
+  saveState() {
+    storageManager.savePanelState('collections', {
+      currentTab: this.currentTab,
+      paths: this.paths
+    });
+  }
+
+  /**
+   * Load profile records/collectibles and their definitions
+   */
+  async load() {
+    try {
+      this.showLoading();
+
+      // Item definitions are needed to match collectibles to the current season
+      const [profile] = await Promise.all([
+        apiClient.getProfile(),
+        manifestLoader.loadRecordsData(),
+        manifestLoader.loadAnalysisData()
+      ]);
+
+      this.context = recordsProcessor.buildContext(profile);
+
+      // Saved paths can point at nodes a manifest update removed
+      for (const tab of Object.keys(this.paths)) {
+        const invalidAt = this.paths[tab].findIndex(hash => !recordsProcessor.getNode(this.context, hash));
+        if (invalidAt !== -1) this.paths[tab] = this.paths[tab].slice(0, invalidAt);
+      }
+
+      this.render();
+    } catch (error) {
+      console.error('Collections load error:', error);
+      this.showError(error.message);
+    }
+  }
+
+  /**
+   * Render collections panel
+   */
+  render() {
+    if (!this.context) return;
+
+    this.updateNav();
+
+    this.container.innerHTML = `
+      <div class="collections-panel">
+        <div class="collections-header">
+          <input type="search" class="build-input collections-search" placeholder="Search collections and triumphs"
+                 value="${escapeHtml(this.query)}" autocomplete="off" spellcheck="false">
+          <span class="collections-score">${this.context.activeScore.toLocaleString()} pts</span>
+        </div>
+        <div class="stats-tabs collections-tabs">
+          ${Object.entries(TABS).map(([tab, label]) => `
+            <button class="tab-btn ${this.currentTab === tab ? 'active' : ''}" data-collections-tab="${tab}">${label}</button>
+          `).join('')}
+        </div>
+        <div class="collections-content">
+          ${this.renderContent()}
+        </div>
+      </div>
+    `;
+
+    this.attachEventListeners();
+  }
+
+  /**
+   * Re-render only the content area (keeps search input focus)
+   */
+  renderContentOnly() {
+    const content = this.container.querySelector('.collections-content');
+    if (!content) return;
+
+    this.updateNav();
+    content.innerHTML = this.renderContent();
+    this.attachContentListeners();
+  }
+
+  /**
+   * Show back/home while inside a node
+   */
+  updateNav() {
+    if (!window.panelNav) return;
+
+    const path = this.paths[this.currentTab];
+    if (!this.query && path?.length > 0) {
+      window.panelNav.show('collections', {
+        back: () => this.goBack(),
+        home: () => this.goHome()
+      });
+    } else {
+      window.panelNav.hide('collections');
+    }
+  }
+
+  renderContent() {
+    if (this.query.trim()) return this.renderSearch();
+
+    switch (this.currentTab) {
+      case 'closest':
+        return this.renderClosest();
+      case 'season':
+        return this.renderSeason();
+      default:
+        return this.renderTree();
+    }
+  }
+
+  // ==================== TREE ====================
+
+  /**
+   * Render the current node of the Collections or Triumphs tree
+   */
+  renderTree() {
+    const rootHash = this.context.roots[TREE_TABS[this.currentTab]];
+    if (!rootHash) {
+      return '<div class="no-data">No data available - your privacy settings may hide collections and triumphs</div>';
+    }
+
+    const path = this.paths[this.currentTab];
+    const node = recordsProcessor.getNode(this.context, path[path.length - 1] || rootHash);
+    if (!node) {
+      return '<div class="no-data">Category not found</div>';
+    }
+
+    return `
+      ${path.length > 0 ? this.renderBreadcrumb(rootHash, path) : ''}
+      ${node.childNodes.length > 0 ? this.renderNodeList(node.childNodes) : ''}
+      ${node.collectibles.length > 0 ? this.renderCollectibles(node.collectibles.map(h => recordsProcessor.processCollectible(this.context, h))) : ''}
+      ${node.records.length > 0 ? this.renderRecords(node.records.map(h => recordsProcessor.processRecord(this.context, h))) : ''}
+      ${node.childNodes.length + node.collectibles.length + node.records.length === 0 ? '<div class="no-data">Nothing here yet</div>' : ''}
+    `;
+  }
+
+  renderBreadcrumb(rootHash, path) {
+    const names = [rootHash, ...path].map(hash => recordsProcessor.getNode(this.context, hash)?.name || '');
+
+    return `
+      <div class="collections-breadcrumb">
+        ${names.map((name, depth) => `
+          <button class="collections-crumb" data-depth="${depth}">${escapeHtml(name)}</button>
+        `).join('<span class="collections-crumb-sep">›</span>')}
+      </div>
+    `;
+  }
+
+  renderNodeList(nodeHashes) {
+    return `
+      <div class="collections-nodes">
+        ${nodeHashes.map(hash => {
+          const node = recordsProcessor.getNode(this.context, hash);
+          if (!node) return '';
+
+          const { complete, total } = recordsProcessor.getNodeCompletion(this.context, hash);
+          if (total === 0) return '';
+          const percent = Math.round((complete / total) * 100);
+
+          return `
+            <button class="collections-node ${complete === total ? 'completed' : ''}" data-node="${hash}">
+              ${node.icon ? `<img src="${node.icon}" alt="" class="collections-node-icon">` : ''}
+              <div class="collections-node-info">
+                <span class="collections-node-name">${escapeHtml(node.name)}</span>
+                <div class="progress-bar-container challenge-bar">
+                  <div class="progress-bar" style="width: ${percent}%"></div>
+                </div>
+              </div>
+              <span class="challenge-progress">${complete}/${total}</span>
+            </button>
+          `;
+        }).join('')}
+      </div>
+    `;
+  }
+
+  // ==================== LEAVES ====================
+
+  renderCollectibles(collectibles) {
+    const items = collectibles.filter(Boolean);
+    const owned = items.filter(c => c.owned).length;
+
+    return `
+      <div class="collections-section">
+        <div class="collections-section-title">Collectibles <span>${owned}/${items.length}</span></div>
+        <div class="collectibles-grid">
+          ${items.map(c => `
+            <div class="collectible ${c.owned ? 'owned' : 'missing'}" title="${escapeHtml([c.name, c.source].filter(Boolean).join('\n'))}">
+              ${c.icon ? `<img src="${c.icon}" alt="${escapeHtml(c.name)}">` : '<div class="collectible-placeholder">?</div>'}
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  renderRecords(records) {
+    return `
+      <div class="challenges-grid collections-records">
+        ${records.filter(Boolean).map(record => this.renderRecord(record)).join('')}
+      </div>
+    `;
+  }
+
+  renderRecord(record) {
+    return `
+      <div class="challenge-item collections-record ${record.complete ? 'completed' : ''}">
+        <div class="challenge-check">${record.complete ? '✓' : ''}</div>
+        <div class="challenge-info">
+          <span class="challenge-name">${escapeHtml(record.name)}</span>
+          ${record.titleName ? `<span class="record-title-badge">${escapeHtml(record.titleName)}</span>` : ''}
+          <span class="challenge-desc">${escapeHtml(record.description)}</span>
+          ${record.objectives.map(obj => `
+            <div class="record-objective">
+              <div class="record-objective-label">
+                <span>${escapeHtml(obj.description)}</span>
+                <span>${obj.progress.toLocaleString()}/${obj.completionValue.toLocaleString()}</span>
+              </div>
+              <div class="progress-bar-container challenge-bar">
+                <div class="progress-bar" style="width: ${Math.min(100, (obj.progress / obj.completionValue) * 100)}%"></div>
+              </div>
+            </div>
+          `).join('')}
+        </div>
+        ${record.score ? `<div class="challenge-progress">${record.score} pts</div>` : ''}
+      </div>
+    `;
+  }
+
+  // ==================== VIEWS ====================
+
+  renderSearch() {
+    const roots = this.context.roots;
+    const results = recordsProcessor.search(
+      this.context,
+      this.query,
+      [roots.collections, roots.badges, roots.triumphs, roots.seals],
+      SEARCH_LIMIT
+    );
+
+    if (results.collectibles.length === 0 && results.records.length === 0) {
+      return '<div class="no-data">No matches</div>';
+    }
+
+    return `
+      ${results.collectibles.length > 0 ? this.renderCollectibleList(results.collectibles) : ''}
+      ${results.records.length > 0 ? this.renderRecords(results.records) : ''}
+    `;
+  }
+
+  renderClosest() {
+    const records = recordsProcessor.getClosestRecords(this.context, CLOSEST_LIMIT);
+    if (records.length === 0) {
+      return '<div class="no-data">No triumphs in progress</div>';
+    }
+    return this.renderRecords(records);
+  }
+
+  renderSeason() {
+    const missing = recordsProcessor.getSeasonMissing(this.context);
+
+    if (missing.collectibles.length === 0 && missing.records.length === 0) {
+      return `<div class="no-data">Nothing missing from ${escapeHtml(missing.seasonName)}</div>`;
+    }
+
+    return `
+      <div class="collections-section-title">${escapeHtml(missing.seasonName)}</div>
+      ${missing.collectibles.length > 0 ? this.renderCollectibleList(missing.collectibles) : ''}
+      ${missing.records.length > 0 ? this.renderRecords(missing.records) : ''}
+    `;
+  }
+
+  /**
+   * Collectibles as rows with their source (search results and season view)
+   */
+  renderCollectibleList(collectibles) {
+    return `
+      <div class="collections-section">
+        <div class="collections-section-title">Collectibles</div>
+        ${collectibles.map(c => `
+          <div class="collectible-row ${c.owned ? 'owned' : 'missing'}">
+            <div class="collectible ${c.owned ? 'owned' : 'missing'}">
+              ${c.icon ? `<img src="${c.icon}" alt="">` : '<div class="collectible-placeholder">?</div>'}
+            </div>
+            <div class="collectible-row-info">
+              <span class="challenge-name">${escapeHtml(c.name)}</span>
+              <span class="challenge-desc">${escapeHtml(c.source || c.description)}</span>
+            </div>
+            <span class="challenge-progress">${c.owned ? 'Owned' : 'Missing'}</span>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  // ==================== NAVIGATION ====================
+
+  openNode(hash) {
+    this.paths[this.currentTab] = [...this.paths[this.currentTab], Number(hash)];
+    this.saveState();
+    this.renderContentOnly();
+  }
+
+  goBack() {
+    this.paths[this.currentTab] = this.paths[this.currentTab].slice(0, -1);
+    this.saveState();
+    this.renderContentOnly();
+  }
+
+  goHome() {
+    this.paths[this.currentTab] = [];
+    this.saveState();
+    this.renderContentOnly();
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    const searchInput = this.container.querySelector('.collections-search');
+    if (searchInput) {
+      searchInput.addEventListener('input', () => {
+        this.query = searchInput.value;
+        this.renderContentOnly();
+      });
+    }
+
+    this.container.querySelectorAll('[data-collections-tab]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.currentTab = btn.dataset.collectionsTab;
+        this.query = '';
+        this.saveState();
+        this.render();
+      });
+    });
+
+    this.attachContentListeners();
+  }
+
+  attachContentListeners() {
+    this.container.querySelectorAll('.collections-node').forEach(btn => {
+      btn.addEventListener('click', () => this.openNode(btn.dataset.node));
+    });
+
+    this.container.querySelectorAll('.collections-crumb').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.paths[this.currentTab] = this.paths[this.currentTab].slice(0, parseInt(btn.dataset.depth));
+        this.saveState();
+        this.renderContentOnly();
+      });
+    });
+  }
+
+  /**
+   * Show loading state
+   */
+  showLoading() {
+    this.container.innerHTML = `
+      <div class="panel-loading">
+        <div class="loading-spinner"></div>
+        <span>Loading collections...</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Show error state
+   */
+  showError(message) {
+    this.container.innerHTML = `
+      <div class="panel-error">
+        <p>Error loading collections</p>
+        <small>${escapeHtml(message)}</small>
+      </div>
+    `;
+  }
+}
+
+export default CollectionsPanel;
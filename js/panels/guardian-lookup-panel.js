@@ -0,0 +1,454 @@
+/**
+ * Guardian Lookup Panel - Search any player by Bungie name and view their public profile
+ * Gear is processed with InventoryProcessor; stats and activities reuse the Stats and
+ * Recent Activities panel renderers, pointed at the looked-up player.
+ */
+
+import { apiClient } from '../api/bungie-api-client.js';
+import { manifestLoader } from '../api/manifest-loader.js';
+import { inventoryProcessor } from '../utils/inventory-processor.js';
+import { StatsPanel } from './stats-panel.js';
+import { RecentActivitiesPanel } from './recent-activities-panel.js';
+import { escapeHtml } from '../utils/html.js';
+
+const PLATFORM_NAMES = {
+  1: 'Xbox',
+  2: 'PlayStation',
+  3: 'Steam',
+  4: 'Blizzard',
+  5: 'Stadia',
+  6: 'Epic Games'
+};
+
+/**
+ * Stats view for another player - account stats, without touching the Stats panel's saved tabs
+ */
+class LookupStatsView extends StatsPanel {
+  restoreState() { }
+
+  saveState() { }
+
+  /**
+   * Account stats keep per-mode totals under mergedAllCharacters.results
+   */
+  setAccountStats(accountStats) {
+    const results = accountStats?.mergedAllCharacters?.results;
+    this.stats = results ? { mergedAllCharacters: { merged: results } } : null;
+  }
+
+  renderContent() {
+    if (!this.stats) {
+      return '<div class="no-data">No stats available for this player</div>';
+    }
+    return super.renderContent();
+  }
+}
+
+/**
+ * Activity history for another player's character
+ */
+class LookupActivitiesView extends RecentActivitiesPanel {
+  constructor(containerEl, membership, characterId) {
+    super(containerEl);
+    this.membership = membership;
+    this.characterId = characterId;
+  }
+
+  async load() {
+    try {
+      this.showLoading();
+
+      const { membershipType, membershipId } = this.membership;
+      const data = await apiClient.getPlayerActivities(membershipType, membershipId, this.characterId, this.currentPage);
+      this.activities = await this.processActivities(data?.activities?.activities || []);
+
+      this.render();
+    } catch (error) {
+      console.error('Lookup activities load error:', error);
+      this.showError(error.message);
+    }
+  }
+
+  showError(message) {
+    this.container.innerHTML = `
+      <div class="panel-error">
+        <p>Activity history is unavailable</p>
+        <small>${escapeHtml(message)}</small>
+      </div>
+    `;
+  }
+}
+
+export class GuardianLookupPanel {
+  constructor(containerEl) {
+    this.container = containerEl;
+    this.query = '';
+    this.results = null;
+    this.searching = false;
+    this.searchError = null;
+
+    // Selected player
+    this.player = null;
+    this.inventory = null;
+    this.currentCharacter = null;
+    this.currentTab = 'gear';
+
+    this.statsView = null;
+    this.activitiesViews = new Map();
+  }
+
+  /**
+   * Initialize panel
+   */
+  async init() {
+    this.render();
+  }
+
+  /**
+   * Nothing to load up front - lookups are on demand
+   */
+  async load() {
+    this.render();
+  }
+
+  /**
+   * Search by Bungie name
+   */
+  async search(query) {
+    this.query = query.trim();
+    if (!this.query) return;
+
+    this.searching = true;
+    this.searchError = null;
+    this.render();
+
+    try {
+      const data = await apiClient.searchPlayers(this.query);
+      this.results = data?.players || [];
+
+      // An exact name#code with one account goes straight to the profile
+      if (this.query.includes('#') && this.results.length === 1 && this.results[0].memberships.length === 1) {
+        this.searching = false;
+        await this.openPlayer(this.results[0].bungieName, this.results[0].memberships[0]);
+        return;
+      }
+    } catch (error) {
+      console.error('Player search error:', error);
+      this.results = null;
+      this.searchError = error.data?.error || error.message;
+    }
+
+    this.searching = false;
+    this.render();
+  }
+
+  /**
+   * Load a player's public profile
+   */
+  async openPlayer(bungieName, membership) {
+    this.showLoading(`Loading ${bungieName || 'guardian'}...`);
+
+    try {
+      const [data] = await Promise.all([
+        apiClient.getPlayerProfile(membership.membershipType, membership.membershipId),
+        manifestLoader.loadAnalysisData()
+      ]);
+
+      this.player = {
+        bungieName: data.membershipData?.bungieName || bungieName,
+        membershipType: membership.membershipType,
+        membershipId: membership.membershipId
+      };
+      this.inventory = inventoryProcessor.processProfile(data);
+
+      // Most recently played character first
+      const characters = Object.values(this.inventory.characters)
+        .sort((a, b) => new Date(b.dateLastPlayed) - new Date(a.dateLastPlayed));
+      this.currentCharacter = characters[0]?.characterId || null;
+      this.currentTab = 'gear';
+
+      this.statsView = new LookupStatsView(null);
+      this.statsView.setAccountStats(data.accountStats);
+      this.activitiesViews.clear();
+
+      this.render();
+    } catch (error) {
+      console.error('Player profile load error:', error);
+      this.player = null;
+      this.searchError = error.data?.error || error.message;
+      this.render();
+    }
+  }
+
+  /**
+   * Back to search results
+   */
+  closePlayer() {
+    this.player = null;
+    this.inventory = null;
+    this.statsView = null;
+    this.activitiesViews.clear();
+    this.render();
+  }
+
+  /**
+   * Render panel
+   */
+  render() {
+    if (this.player) {
+      this.container.innerHTML = this.renderProfile();
+      if (window.panelNav) {
+        window.panelNav.show('guardian-lookup', {
+          back: () => this.closePlayer()
+        });
+      }
+      this.attachEventListeners();
+      this.renderSubview();
+      return;
+    }
+
+    if (window.panelNav) {
+      window.panelNav.hide('guardian-lookup');
+    }
+
+    this.container.innerHTML = `
+      <div class="guardian-lookup-panel">
+        <form class="lookup-search">
+          <input type="text" class="build-input lookup-input" placeholder="Bungie name, e.g. Guardian#1234"
+                 value="${escapeHtml(this.query)}" maxlength="31" autocomplete="off" spellcheck="false">
+          <button type="submit" class="generate-btn lookup-search-btn" ${this.searching ? 'disabled' : ''}>Search</button>
+        </form>
+        <div class="lookup-results">
+          ${this.renderResults()}
+        </div>
+      </div>
+    `;
+    this.attachEventListeners();
+  }
+
+  /**
+   * Render search results
+   */
+  renderResults() {
+    if (this.searching) {
+      return `
+        <div class="panel-loading">
+          <div class="loading-spinner"></div>
+          <span>Searching...</span>
+        </div>
+      `;
+    }
+
+    if (this.searchError) {
+      return `<div class="no-data">${escapeHtml(this.searchError)}</div>`;
+    }
+
+    if (!this.results) {
+      return '<div class="no-data">Look up a recruit or a Trials opponent by Bungie name</div>';
+    }
+
+    if (this.results.length === 0) {
+      return '<div class="no-data">No guardians found</div>';
+    }
+
+    return this.results.map((player, playerIndex) => `
+      <div class="lookup-result">
+        <span class="lookup-result-name">${escapeHtml(player.bungieName)}</span>
+        <div class="lookup-result-accounts">
+          ${player.memberships.map((m, membershipIndex) => `
+            <button class="tab-btn lookup-account-btn" data-player="${playerIndex}" data-membership="${membershipIndex}">
+              ${escapeHtml(PLATFORM_NAMES[m.membershipType] || 'Account')}
+            </button>
+          `).join('')}
+        </div>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Render the selected player's profile shell
+   */
+  renderProfile() {
+    const characters = Object.values(this.inventory.characters);
+
+    return `
+      <div class="guardian-lookup-panel">
+        <div class="lookup-profile-header">
+          <span class="lookup-profile-name">${escapeHtml(this.player.bungieName)}</span>
+          <span class="lookup-profile-platform">${PLATFORM_NAMES[this.player.membershipType] || ''}</span>
+        </div>
+        ${characters.length > 0 ? `
+          <div class="char-selector lookup-characters">
+            ${characters.map(char => `
+              <button class="char-btn ${char.characterId === this.currentCharacter ? 'active' : ''}" data-char="${char.characterId}">
+                ${char.emblemPath ? `<img src="https://www.bungie.net${char.emblemPath}" alt="">` : ''}
+                <span>${char.className}</span>
+                <span class="char-power">${char.light || ''}</span>
+              </button>
+            `).join('')}
+          </div>
+        ` : ''}
+        <div class="stats-tabs lookup-tabs">
+          <button class="tab-btn ${this.currentTab === 'gear' ? 'active' : ''}" data-lookup-tab="gear">Gear</button>
+          <button class="tab-btn ${this.currentTab === 'stats' ? 'active' : ''}" data-lookup-tab="stats">Stats</button>
+          <button class="tab-btn ${this.currentTab === 'activities' ? 'active' : ''}" data-lookup-tab="activities">Activities</button>
+        </div>
+        <div class="lookup-subview">
+          ${this.currentTab === 'gear' ? this.renderGear() : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Hand the subview container to the reused stats/activities renderers
+   */
+  renderSubview() {
+    const el = this.container.querySelector('.lookup-subview');
+    if (!el) return;
+
+    if (this.currentTab === 'stats' && this.statsView) {
+      this.statsView.container = el;
+      this.statsView.render();
+    } else if (this.currentTab === 'activities') {
+      if (!this.currentCharacter) {
+        el.innerHTML = '<div class="no-data">No characters</div>';
+        return;
+      }
+
+      let view = this.activitiesViews.get(this.currentCharacter);
+      if (view) {
+        view.container = el;
+        view.render();
+      } else {
+        view = new LookupActivitiesView(el, this.player, this.currentCharacter);
+        this.activitiesViews.set(this.currentCharacter, view);
+        view.load();
+      }
+    }
+  }
+
+  /**
+   * Render equipped gear for the current character
+   */
+  renderGear() {
+    const equipped = this.inventory.equipped[this.currentCharacter];
+    if (!equipped) {
+      return '<div class="no-data">No gear visible for this character</div>';
+    }
+
+    return `
+      <div class="equipped-grid lookup-gear">
+        <div class="equip-column weapons-column">
+          <div class="column-label">Weapons</div>
+          ${this.renderGearSlot(equipped.weapons.kinetic, 'Kinetic')}
+          ${this.renderGearSlot(equipped.weapons.energy, 'Energy')}
+          ${this.renderGearSlot(equipped.weapons.power, 'Power')}
+        </div>
+        <div class="equip-column armor-column">
+          <div class="column-label">Armor</div>
+          ${this.renderGearSlot(equipped.armor.helmet, 'Helmet')}
+          ${this.renderGearSlot(equipped.armor.gauntlets, 'Arms')}
+          ${this.renderGearSlot(equipped.armor.chest, 'Chest')}
+          ${this.renderGearSlot(equipped.armor.legs, 'Legs')}
+          ${this.renderGearSlot(equipped.armor.class, 'Class')}
+        </div>
+        <div class="equip-column ghost-column">
+          <div class="column-label">Subclass</div>
+          ${this.renderGearSlot(equipped.subclass, 'Subclass')}
+          <div class="column-label">Ghost</div>
+          ${this.renderGearSlot(equipped.ghost, 'Ghost')}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render a read-only equipped slot (same look as the Inventory panel)
+   */
+  renderGearSlot(item, slotName) {
+    if (!item) {
+      return `
+        <div class="equipped-slot empty">
+          <div class="slot-placeholder"></div>
+          <span class="slot-label">${slotName}</span>
+        </div>
+      `;
+    }
+
+    const tierClass = `tier-${item.tierTypeName?.toLowerCase() || 'common'}`;
+    const damageColor = item.isWeapon ? inventoryProcessor.getDamageTypeColor(item.damageType) : '';
+    const perks = (item.sockets?.perks || []).map(p => p.name).filter(Boolean);
+    const title = [item.name, ...perks].join('\n');
+
+    return `
+      <div class="equipped-slot ${tierClass}" title="${escapeHtml(title)}">
+        ${item.icon ? `<img src="${item.icon}" alt="${escapeHtml(item.name)}" class="slot-icon">` : '<div class="slot-placeholder"></div>'}
+        <div class="slot-power" style="color: ${damageColor}">${item.primaryStat?.value || ''}</div>
+        <span class="slot-label">${slotName}</span>
+        ${item.isExotic ? '<div class="exotic-marker"></div>' : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    const form = this.container.querySelector('.lookup-search');
+    if (form) {
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.search(form.querySelector('.lookup-input').value);
+      });
+    }
+
+    this.container.querySelectorAll('.lookup-account-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const player = this.results?.[parseInt(btn.dataset.player)];
+        const membership = player?.memberships[parseInt(btn.dataset.membership)];
+        if (membership) this.openPlayer(player.bungieName, membership);
+      });
+    });
+
+    this.container.querySelectorAll('.lookup-characters .char-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.currentCharacter = btn.dataset.char;
+        this.render();
+      });
+    });
+
+    this.container.querySelectorAll('[data-lookup-tab]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.currentTab = btn.dataset.lookupTab;
+        this.render();
+      });
+    });
+  }
+
+  /**
+   * Show loading state
+   */
+  showLoading(message = 'Loading...') {
+    this.container.innerHTML = `
+      <div class="panel-loading">
+        <div class="loading-spinner"></div>
+        <span>${escapeHtml(message)}</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Show error state
+   */
+  showError(message) {
+    this.container.innerHTML = `
+      <div class="panel-error">
+        <p>Error loading guardian</p>
+        <small>${escapeHtml(message)}</small>
+      </div>
+    `;
+  }
+}
+
+export default GuardianLookupPanel;
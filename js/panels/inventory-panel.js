@@ -5,6 +5,21 @@
 import { apiClient } from '../api/bungie-api-client.js';
 import { inventoryProcessor } from '../utils/inventory-processor.js';
 import { manifestLoader } from '../api/manifest-loader.js';
+import { searchQuery } from '../utils/search-query.js';
+import { vaultCleanup } from '../utils/vault-cleanup.js';
+import { wishlistManager } from '../utils/wishlist-manager.js';
+import { recordsProcessor } from '../utils/records-processor.js';
+import { escapeHtml } from '../utils/html.js';
+
+// Postmaster holds 21 items before the oldest start getting deleted
+const POSTMASTER_CAPACITY = 21;
+const POSTMASTER_WARNING_THRESHOLD = 18;
+
+// Items per bulk lock request (the lock route accepts at most 20)
+const LOCK_BATCH_SIZE = 15;
+
+// Item instance IDs Bungie uses for unset in-game loadout slots
+const EMPTY_LOADOUT_ITEM_IDS = ['0', '9223372036854775807'];
 
 export class InventoryPanel {
   constructor(containerEl) {
@@ -13,7 +28,7 @@ export class InventoryPanel {
     this.profileData = null;
 
     // View state
-    this.currentView = 'character'; // character, vault
+    this.currentView = 'character'; // character, vault, cleanup, loadouts
     this.currentCharacter = null;
     this.currentCategory = 'all'; // all, weapons, armor, general
 
@@ -21,12 +36,26 @@ export class InventoryPanel {
     this.sortBy = 'default';
     this.filterTier = 'all';
     this.searchTerm = '';
+    this.searchContext = {};
 
     // Selected item for actions
     this.selectedItem = null;
 
     // Transfer state
     this.isTransferring = false;
+
+    // Last postmaster pull result ({ message, type })
+    this.postmasterStatus = null;
+
+    // In-game loadout slots ({ [characterId]: { loadouts } }) and their identifier definitions
+    this.inGameLoadouts = null;
+    this.loadoutDefinitions = null;
+    this.loadoutStatus = null;
+    this.snapshotSlot = null; // { index, colorHash, iconHash, nameHash } while choosing an identifier
+
+    // Weapon patterns ([{ name, patterns }]), loaded when the Patterns view opens
+    this.patterns = null;
+    this.showUnlockedPatterns = false;
   }
 
   /**
@@ -35,6 +64,9 @@ export class InventoryPanel {
   async init() {
     this.createItemModal();
     this.render();
+
+    // Re-rate items when wishlists are imported or removed
+    wishlistManager.onChange(() => this.render());
   }
 
   /**
@@ -46,14 +78,24 @@ export class InventoryPanel {
 
       // Ensure manifest analysis data is loaded for item definitions
       // This is critical for item categorization and display
-      await manifestLoader.loadAnalysisData();
+      const [profileData] = await Promise.all([
+        apiClient.getProfile(),
+        manifestLoader.loadAnalysisData()
+      ]);
+
+      // Objective definitions tell crafted weapon level objectives apart
+      if (inventoryProcessor.hasCraftedItems(profileData)) {
+        await manifestLoader.loadDefinition('DestinyObjectiveDefinition').catch(() => null);
+      }
 
-      this.profileData = await apiClient.getProfile();
+      this.profileData = profileData;
       this.inventory = inventoryProcessor.processProfile(this.profileData);
+      this.searchContext = searchQuery.buildContext(this.inventory);
+      this.patterns = null;
 
-      // Set default character
+      // Set default character (or reset it after a membership switch)
       const charIds = Object.keys(this.inventory.characters);
-      if (charIds.length > 0 && !this.currentCharacter) {
+      if (charIds.length > 0 && !charIds.includes(this.currentCharacter)) {
         this.currentCharacter = charIds[0];
       }
 
@@ -92,6 +134,7 @@ export class InventoryPanel {
           <button class="item-action-equip" data-action="equip">Equip</button>
           <button class="item-action-transfer" data-action="transfer">Transfer</button>
           <button class="item-action-vault" data-action="vault">Send to Vault</button>
+          <button class="item-action-lock" data-action="lock">Lock</button>
         </div>
         <div class="item-modal-transfer-targets" style="display: none;">
           <div class="transfer-header">Transfer to:</div>
@@ -111,6 +154,7 @@ export class InventoryPanel {
     modal.querySelector('.item-action-equip').addEventListener('click', () => this.equipSelectedItem());
     modal.querySelector('.item-action-vault').addEventListener('click', () => this.sendToVault());
     modal.querySelector('.item-action-transfer').addEventListener('click', () => this.showTransferOptions());
+    modal.querySelector('.item-action-lock').addEventListener('click', () => this.toggleSelectedItemLock());
   }
 
   /**
@@ -142,6 +186,8 @@ export class InventoryPanel {
    * Render toolbar with filters and search
    */
   renderToolbar() {
+    const searchError = this.searchTerm ? searchQuery.validate(this.searchTerm).error : null;
+
     return `
       <div class="inventory-toolbar">
         <div class="toolbar-left">
@@ -153,7 +199,11 @@ export class InventoryPanel {
           </div>
         </div>
         <div class="toolbar-right">
-          <input type="text" class="inventory-search" placeholder="Search items..." value="${this.searchTerm}">
+          <input type="text"
+                 class="inventory-search ${searchError ? 'invalid' : ''}"
+                 placeholder="Search items... (is:weapon, perk:&quot;Kill Clip&quot;)"
+                 title="${(searchError || searchQuery.getHelpText()).replace(/"/g, '&quot;')}"
+                 value="${this.searchTerm.replace(/"/g, '&quot;')}">
           <select class="inventory-filter-tier">
             <option value="all" ${this.filterTier === 'all' ? 'selected' : ''}>All Tiers</option>
             <option value="6" ${this.filterTier === '6' ? 'selected' : ''}>Exotic</option>
@@ -166,6 +216,7 @@ export class InventoryPanel {
             <option value="name" ${this.sortBy === 'name' ? 'selected' : ''}>Name</option>
             <option value="rarity" ${this.sortBy === 'rarity' ? 'selected' : ''}>Rarity</option>
           </select>
+          <button class="lock-filtered-btn" title="Lock all items matching the current search and filters">🔒 Lock Matching</button>
           <button class="refresh-btn" title="Refresh inventory">↻</button>
         </div>
       </div>
@@ -185,12 +236,18 @@ export class InventoryPanel {
       // Use text class name: Titan, Warlock, Hunter
       const className = this.getClassName(char.classType);
 
+      const postmasterCount = this.inventory.postmaster?.[charId]?.length || 0;
+      const postmasterWarning = postmasterCount >= POSTMASTER_WARNING_THRESHOLD
+        ? `<span class="char-postmaster-warning" title="Postmaster ${postmasterCount}/${POSTMASTER_CAPACITY}">✉ ${postmasterCount}</span>`
+        : '';
+
       html += `
         <button class="char-select-btn ${isActive ? 'active' : ''}" data-char-id="${charId}">
           <div class="char-label">
             <span class="char-class-text">${className}</span>
             <span class="char-power-level">${char.light}</span>
           </div>
+          ${postmasterWarning}
         </button>
       `;
     }
@@ -206,6 +263,36 @@ export class InventoryPanel {
       </button>
     `;
 
+    // In-game loadouts button
+    html += `
+      <button class="char-select-btn loadouts-btn ${this.currentView === 'loadouts' ? 'active' : ''}" data-view="loadouts">
+        <div class="char-label">
+          <span class="char-class-text">Loadouts</span>
+          <span class="char-power-level">In-game</span>
+        </div>
+      </button>
+    `;
+
+    // Weapon patterns button
+    html += `
+      <button class="char-select-btn patterns-btn ${this.currentView === 'patterns' ? 'active' : ''}" data-view="patterns">
+        <div class="char-label">
+          <span class="char-class-text">Patterns</span>
+          <span class="char-power-level">Crafting</span>
+        </div>
+      </button>
+    `;
+
+    // Vault cleanup button
+    html += `
+      <button class="char-select-btn cleanup-btn ${this.currentView === 'cleanup' ? 'active' : ''}" data-view="cleanup">
+        <div class="char-label">
+          <span class="char-class-text">Cleanup</span>
+          <span class="char-power-level">Duplicates</span>
+        </div>
+      </button>
+    `;
+
     html += '</div>';
     return html;
   }
@@ -225,6 +312,15 @@ export class InventoryPanel {
     if (this.currentView === 'vault') {
       return this.renderVaultInventory();
     }
+    if (this.currentView === 'cleanup') {
+      return this.renderCleanupView();
+    }
+    if (this.currentView === 'loadouts') {
+      return this.renderLoadoutsView();
+    }
+    if (this.currentView === 'patterns') {
+      return this.renderPatternsView();
+    }
     return this.renderCharacterInventory();
   }
 
@@ -306,10 +402,80 @@ export class InventoryPanel {
       html += '</div>';
     }
 
-    html += '</div></div>';
+    html += '</div>';
+
+    // Postmaster Section
+    html += this.renderPostmasterSection(charId);
+
+    html += '</div>';
+    return html;
+  }
+
+  /**
+   * Render postmaster section for a character
+   */
+  renderPostmasterSection(charId) {
+    const items = this.inventory.postmaster?.[charId] || [];
+    const count = items.length;
+    const nearLimit = count >= POSTMASTER_WARNING_THRESHOLD;
+
+    let html = `<div class="postmaster-section ${nearLimit ? 'near-limit' : ''}">`;
+    html += `
+      <div class="section-header">
+        <h4>Postmaster</h4>
+        <span class="item-count">${count}/${POSTMASTER_CAPACITY}</span>
+        ${count > 0 ? `<button class="postmaster-pull-all" ${this.isTransferring ? 'disabled' : ''}>Pull All</button>` : ''}
+      </div>
+    `;
+
+    if (nearLimit) {
+      html += `
+        <div class="postmaster-warning">
+          Postmaster is almost full - items beyond ${POSTMASTER_CAPACITY} will be lost
+        </div>
+      `;
+    }
+
+    if (this.postmasterStatus) {
+      html += `<div class="transfer-status ${this.postmasterStatus.type}">${this.postmasterStatus.message}</div>`;
+    }
+
+    if (count === 0) {
+      html += '<div class="no-items">Postmaster is empty</div>';
+    } else {
+      html += '<div class="inventory-items-grid">';
+      items.forEach((item, index) => {
+        html += this.renderPostmasterItem(item, index);
+      });
+      html += '</div>';
+    }
+
+    html += '</div>';
     return html;
   }
 
+  /**
+   * Render postmaster item (click to pull)
+   */
+  renderPostmasterItem(item, index) {
+    const tierClass = `tier-${item.tierTypeName?.toLowerCase() || 'common'}`;
+
+    return `
+      <div class="inventory-item postmaster-item ${tierClass}"
+           data-postmaster-index="${index}"
+           title="Pull ${item.name}">
+        ${item.icon ? `<img src="${item.icon}" alt="${item.name}" class="item-icon">` : '<div class="item-placeholder"></div>'}
+        ${item.primaryStat?.value ? `<div class="item-power">${item.primaryStat.value}</div>` : ''}
+        ${item.quantity > 1 ? `<div class="item-quantity">x${item.quantity}</div>` : ''}
+        ${item.isExotic ? '<div class="exotic-marker"></div>' : ''}
+        <div class="item-hover-info">
+          <div class="hover-name">${item.name}</div>
+          <div class="hover-type">Click to pull</div>
+        </div>
+      </div>
+    `;
+  }
+
   /**
    * Render vault inventory
    */
@@ -373,6 +539,297 @@ export class InventoryPanel {
     return html;
   }
 
+  /**
+   * Render vault cleanup view - duplicate groups with dismantle suggestions
+   */
+  renderCleanupView() {
+    const analysis = vaultCleanup.analyze(this.inventory);
+    const showWeapons = this.currentCategory === 'all' || this.currentCategory === 'weapons';
+    const showArmor = this.currentCategory === 'all' || this.currentCategory === 'armor';
+
+    const groups = [
+      ...(showWeapons ? analysis.weaponGroups : []),
+      ...(showArmor ? analysis.armorGroups : [])
+    ]
+      .filter(group => group.entries.some(e => e.suggest))
+      .sort((a, b) => b.entries.filter(e => e.suggest).length - a.entries.filter(e => e.suggest).length);
+
+    const suggestedCount = groups.reduce((sum, g) => sum + g.entries.filter(e => e.suggest).length, 0);
+
+    let html = '<div class="cleanup-inventory">';
+    html += `
+      <div class="section-header">
+        <h4>Vault Cleanup</h4>
+        <span class="item-count">${suggestedCount} suggested to dismantle across ${groups.length} duplicate groups</span>
+      </div>
+      <div class="cleanup-hint">
+        Marked items are strictly worse than another copy: armor beaten on every stat, or weapons whose perks
+        another copy already has. Locked and equipped items are never suggested.
+        ${analysis.summary.unreviewed > 0 ? `${analysis.summary.unreviewed} duplicates were skipped because their perks or stats aren't loaded.` : ''}
+      </div>
+    `;
+
+    if (groups.length === 0) {
+      html += '<div class="no-items">No strictly worse duplicates found</div>';
+    }
+
+    for (const group of groups) {
+      html += `
+        <div class="cleanup-group">
+          <div class="category-label">${group.label} (${group.entries.length})</div>
+          <div class="cleanup-group-items">
+      `;
+
+      for (const entry of group.entries) {
+        const location = entry.location === 'equipped' ? entry.characterId : entry.location;
+        html += `
+          <div class="cleanup-entry ${entry.suggest ? 'suggested' : 'keep'}" title="${entry.reason || 'Keep'}">
+            ${this.renderInventoryItem(entry.item, location)}
+            <span class="cleanup-label">${entry.suggest ? 'Dismantle' : entry.worseThan ? 'Protected' : 'Keep'}</span>
+          </div>
+        `;
+      }
+
+      html += '</div></div>';
+    }
+
+    html += '</div>';
+    return html;
+  }
+
+  /**
+   * Render craftable weapons and the red borders each pattern still needs
+   */
+  renderPatternsView() {
+    let html = '<div class="patterns-view">';
+
+    if (!this.patterns) {
+      html += `
+        <div class="vendor-loading">
+          <div class="loading-spinner"></div>
+          <span>Loading patterns...</span>
+        </div>
+      `;
+      return html + '</div>';
+    }
+
+    const all = this.patterns.flatMap(category => category.patterns);
+    if (all.length === 0) {
+      return html + '<div class="no-items">No craftable weapons found</div></div>';
+    }
+
+    const unlocked = all.filter(p => p.unlocked).length;
+    const needed = all.reduce((sum, p) => sum + (p.remaining || 0), 0);
+
+    // Red border weapons on hand, by name (reissues can have a different hash)
+    const deepsightCounts = new Map();
+    for (const item of this.getAllWeapons()) {
+      if (item.isDeepsight) deepsightCounts.set(item.name, (deepsightCounts.get(item.name) || 0) + 1);
+    }
+
+    html += `
+      <div class="patterns-header">
+        <span>${unlocked}/${all.length} patterns unlocked &middot; ${needed} red borders needed</span>
+        <label class="patterns-toggle">
+          <input type="checkbox" class="patterns-show-unlocked" ${this.showUnlockedPatterns ? 'checked' : ''}>
+          Show unlocked
+        </label>
+      </div>
+    `;
+
+    for (const category of this.patterns) {
+      const patterns = category.patterns
+        .filter(p => this.showUnlockedPatterns || !p.unlocked)
+        .sort((a, b) => (a.remaining ?? Infinity) - (b.remaining ?? Infinity));
+      if (patterns.length === 0) continue;
+
+      html += `
+        <div class="patterns-category">
+          <div class="section-header">${escapeHtml(category.name)}</div>
+          ${patterns.map(pattern => this.renderPatternRow(pattern, deepsightCounts.get(pattern.name) || 0)).join('')}
+        </div>
+      `;
+    }
+
+    return html + '</div>';
+  }
+
+  /**
+   * Render one pattern with its extraction progress
+   */
+  renderPatternRow(pattern, deepsightOwned) {
+    const percent = pattern.needed ? Math.min(100, (pattern.progress / pattern.needed) * 100) : (pattern.unlocked ? 100 : 0);
+
+    let status;
+    if (pattern.unlocked) {
+      status = 'Unlocked';
+    } else if (pattern.remaining !== null) {
+      status = `${pattern.progress}/${pattern.needed} &middot; ${pattern.remaining} more`;
+    } else {
+      status = 'Locked';
+    }
+
+    return `
+      <div class="pattern-row ${pattern.unlocked ? 'unlocked' : ''}">
+        ${pattern.icon ? `<img src="${pattern.icon}" alt="" class="pattern-icon">` : '<div class="item-placeholder pattern-icon"></div>'}
+        <div class="pattern-info">
+          <div class="pattern-name">
+            ${escapeHtml(pattern.name)}
+            ${deepsightOwned > 0 ? `<span class="pattern-deepsight" title="Red border weapons in your inventory">${deepsightOwned} deepsight owned</span>` : ''}
+          </div>
+          <div class="progress-bar-container pattern-bar">
+            <div class="progress-bar" style="width: ${percent}%"></div>
+          </div>
+        </div>
+        <span class="pattern-status">${status}</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Render in-game loadout slots for the current character
+   */
+  renderLoadoutsView() {
+    const chars = this.inventory.characters;
+
+    let html = '<div class="ingame-loadouts">';
+    html += `
+      <div class="section-header">
+        <h4>In-Game Loadouts</h4>
+        <div class="loadout-char-tabs">
+          ${Object.entries(chars).map(([charId, char]) => `
+            <button class="loadout-char-btn ${charId === this.currentCharacter ? 'active' : ''}" data-loadout-char="${charId}">
+              ${this.getClassName(char.classType)}
+            </button>
+          `).join('')}
+        </div>
+      </div>
+    `;
+
+    if (this.loadoutStatus) {
+      html += `<div class="transfer-status ${this.loadoutStatus.type}">${this.loadoutStatus.message}</div>`;
+    }
+
+    if (!this.inGameLoadouts) {
+      html += `
+        <div class="vendor-loading">
+          <div class="loading-spinner"></div>
+          <span>Loading loadouts...</span>
+        </div>
+      `;
+      return html + '</div>';
+    }
+
+    const loadouts = this.inGameLoadouts[this.currentCharacter]?.loadouts || [];
+    if (loadouts.length === 0) {
+      html += '<div class="no-items">No in-game loadout slots unlocked for this character</div>';
+    }
+
+    html += '<div class="loadout-slots">';
+    loadouts.forEach((loadout, index) => {
+      html += this.renderLoadoutSlot(loadout, index);
+    });
+    html += '</div></div>';
+
+    return html;
+  }
+
+  /**
+   * Render a single in-game loadout slot
+   */
+  renderLoadoutSlot(loadout, index) {
+    const items = (loadout.items || []).filter(item => !EMPTY_LOADOUT_ITEM_IDS.includes(item.itemInstanceId || '0'));
+    const isEmpty = items.length === 0;
+    const identifier = this.getLoadoutIdentifier(loadout);
+
+    // Subclass, ghost, emblem etc. aren't in the processed inventory - just count them
+    const found = items.map(item => this.findItem(item.itemInstanceId)).filter(Boolean);
+    const otherCount = items.length - found.length;
+
+    const isEditing = this.snapshotSlot?.index === index;
+
+    return `
+      <div class="loadout-slot ${isEmpty ? 'empty' : ''}" data-loadout-index="${index}">
+        <div class="loadout-slot-header">
+          <div class="loadout-badge" style="${identifier.colorImage ? `background-image: url('${identifier.colorImage}')` : ''}">
+            ${identifier.iconImage ? `<img src="${identifier.iconImage}" alt="" class="loadout-icon">` : ''}
+          </div>
+          <span class="loadout-name">${isEmpty ? `Empty Slot ${index + 1}` : identifier.name || `Loadout ${index + 1}`}</span>
+          <div class="loadout-actions">
+            ${!isEmpty ? `<button class="loadout-equip-btn" data-loadout-index="${index}" ${this.isTransferring ? 'disabled' : ''}>Equip</button>` : ''}
+            <button class="loadout-save-btn" data-loadout-index="${index}" ${this.isTransferring ? 'disabled' : ''}>
+              ${isEmpty ? 'Save Current Gear' : 'Overwrite'}
+            </button>
+          </div>
+        </div>
+        ${!isEmpty ? `
+          <div class="inventory-items-grid">
+            ${found.map(item => this.renderInventoryItem(item, this.currentCharacter)).join('')}
+          </div>
+          ${otherCount > 0 ? `<div class="loadout-other">+${otherCount} subclass and cosmetic items</div>` : ''}
+        ` : ''}
+        ${isEditing ? this.renderSnapshotForm() : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the color/icon/name picker used when saving to a slot
+   */
+  renderSnapshotForm() {
+    const { constants, colors, icons, names } = this.loadoutDefinitions || {};
+    const choice = this.snapshotSlot;
+
+    if (!constants) {
+      return '<div class="no-items">Loadout identifiers unavailable - try again later</div>';
+    }
+
+    return `
+      <div class="loadout-snapshot-form">
+        <label>
+          Name
+          <select class="loadout-name-select">
+            ${(constants.loadoutNameHashes || []).map(hash => `
+              <option value="${hash}" ${hash === choice.nameHash ? 'selected' : ''}>${names?.[hash]?.name || hash}</option>
+            `).join('')}
+          </select>
+        </label>
+        <div class="loadout-picker">
+          ${(constants.loadoutColorHashes || []).map(hash => `
+            <button class="loadout-color-option ${hash === choice.colorHash ? 'selected' : ''}" data-color-hash="${hash}"
+                    style="background-image: url('https://www.bungie.net${colors?.[hash]?.colorImagePath || ''}')"></button>
+          `).join('')}
+        </div>
+        <div class="loadout-picker">
+          ${(constants.loadoutIconHashes || []).map(hash => `
+            <button class="loadout-icon-option ${hash === choice.iconHash ? 'selected' : ''}" data-icon-hash="${hash}">
+              ${icons?.[hash]?.iconImagePath ? `<img src="https://www.bungie.net${icons[hash].iconImagePath}" alt="">` : hash}
+            </button>
+          `).join('')}
+        </div>
+        <div class="loadout-form-actions">
+          <button class="loadout-snapshot-confirm">Save</button>
+          <button class="loadout-snapshot-cancel">Cancel</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Resolve a loadout's color, icon and name through the manifest
+   */
+  getLoadoutIdentifier(loadout) {
+    const { colors, icons, names } = this.loadoutDefinitions || {};
+    const colorPath = colors?.[loadout.colorHash]?.colorImagePath;
+    const iconPath = icons?.[loadout.iconHash]?.iconImagePath;
+
+    return {
+      name: names?.[loadout.nameHash]?.name || null,
+      colorImage: colorPath ? `https://www.bungie.net${colorPath}` : null,
+      iconImage: iconPath ? `https://www.bungie.net${iconPath}` : null
+    };
+  }
+
   /**
    * Render equipped slot
    */
@@ -390,7 +847,7 @@ export class InventoryPanel {
     const damageColor = item.isWeapon ? inventoryProcessor.getDamageTypeColor(item.damageType) : '';
 
     return `
-      <div class="equipped-slot ${tierClass}"
+      <div class="equipped-slot ${tierClass} ${item.isDeepsight ? 'deepsight' : ''}"
            data-instance-id="${item.itemInstanceId}"
            data-item-hash="${item.itemHash}"
            data-location="equipped"
@@ -399,10 +856,24 @@ export class InventoryPanel {
         <div class="slot-power" style="color: ${damageColor}">${item.primaryStat?.value || ''}</div>
         <span class="slot-label">${slotName}</span>
         ${item.isExotic ? '<div class="exotic-marker"></div>' : ''}
+        ${item.isLocked ? '<div class="item-lock-icon" title="Locked">🔒</div>' : ''}
+        ${this.renderRollBadge(item)}
+        ${item.crafted?.level ? `<div class="item-crafted-level" title="Crafted - level ${item.crafted.level}">${item.crafted.level}</div>` : ''}
       </div>
     `;
   }
 
+  /**
+   * Wishlist verdict badge for an item tile
+   */
+  renderRollBadge(item) {
+    const rating = wishlistManager.getRating(item);
+    if (!rating) return '';
+
+    const label = rating.verdict === 'god' ? 'God roll' : 'Trash roll';
+    return `<div class="roll-badge ${rating.verdict}" title="${label} (${escapeHtml(rating.listName)})">${rating.verdict === 'god' ? '👍' : '👎'}</div>`;
+  }
+
   /**
    * Render inventory item
    */
@@ -411,14 +882,18 @@ export class InventoryPanel {
     const damageColor = item.isWeapon ? inventoryProcessor.getDamageTypeColor(item.damageType) : '';
 
     return `
-      <div class="inventory-item ${tierClass}"
+      <div class="inventory-item ${tierClass} ${item.isDeepsight ? 'deepsight' : ''}"
            data-instance-id="${item.itemInstanceId}"
            data-item-hash="${item.itemHash}"
-           data-location="${location}">
+           data-location="${location}"
+           ${location !== 'vault' ? `data-char-id="${location}"` : ''}>
         ${item.icon ? `<img src="${item.icon}" alt="${item.name}" class="item-icon">` : '<div class="item-placeholder"></div>'}
         ${item.primaryStat?.value ? `<div class="item-power" style="color: ${damageColor}">${item.primaryStat.value}</div>` : ''}
         ${item.quantity > 1 ? `<div class="item-quantity">x${item.quantity}</div>` : ''}
         ${item.isExotic ? '<div class="exotic-marker"></div>' : ''}
+        ${item.isLocked ? '<div class="item-lock-icon" title="Locked">🔒</div>' : ''}
+        ${this.renderRollBadge(item)}
+        ${item.crafted?.level ? `<div class="item-crafted-level" title="Crafted - level ${item.crafted.level}">${item.crafted.level}</div>` : ''}
         <div class="item-hover-info">
           <div class="hover-name">${item.name}</div>
           <div class="hover-type">${item.tierTypeName || ''}</div>
@@ -453,21 +928,7 @@ export class InventoryPanel {
         ];
     }
 
-    // Apply tier filter
-    if (this.filterTier !== 'all') {
-      items = items.filter(i => i.tierType === parseInt(this.filterTier));
-    }
-
-    // Apply search
-    if (this.searchTerm) {
-      const term = this.searchTerm.toLowerCase();
-      items = items.filter(i => i.name?.toLowerCase().includes(term));
-    }
-
-    // Apply sorting
-    items = this.sortItems(items);
-
-    return items;
+    return this.applyFilters(items);
   }
 
   /**
@@ -493,21 +954,7 @@ export class InventoryPanel {
         ];
     }
 
-    // Apply tier filter
-    if (this.filterTier !== 'all') {
-      items = items.filter(i => i.tierType === parseInt(this.filterTier));
-    }
-
-    // Apply search
-    if (this.searchTerm) {
-      const term = this.searchTerm.toLowerCase();
-      items = items.filter(i => i.name?.toLowerCase().includes(term));
-    }
-
-    // Apply sorting
-    items = this.sortItems(items);
-
-    return items;
+    return this.applyFilters(items);
   }
 
   /**
@@ -532,21 +979,7 @@ export class InventoryPanel {
         ];
     }
 
-    // Apply tier filter
-    if (this.filterTier !== 'all') {
-      items = items.filter(i => i.tierType === parseInt(this.filterTier));
-    }
-
-    // Apply search
-    if (this.searchTerm) {
-      const term = this.searchTerm.toLowerCase();
-      items = items.filter(i => i.name?.toLowerCase().includes(term));
-    }
-
-    // Apply sorting
-    items = this.sortItems(items);
-
-    return items;
+    return this.applyFilters(items);
   }
 
   /**
@@ -564,21 +997,24 @@ export class InventoryPanel {
       items = items.filter(i => !i.isWeapon && !i.isArmor);
     }
 
-    // Apply tier filter
+    return this.applyFilters(items);
+  }
+
+  /**
+   * Apply tier filter, search query and sorting to a list of items
+   */
+  applyFilters(items) {
+    let filtered = items;
+
     if (this.filterTier !== 'all') {
-      items = items.filter(i => i.tierType === parseInt(this.filterTier));
+      filtered = filtered.filter(i => i.tierType === parseInt(this.filterTier));
     }
 
-    // Apply search
     if (this.searchTerm) {
-      const term = this.searchTerm.toLowerCase();
-      items = items.filter(i => i.name?.toLowerCase().includes(term));
+      filtered = searchQuery.filter(filtered, this.searchTerm, this.searchContext);
     }
 
-    // Apply sorting
-    items = this.sortItems(items);
-
-    return items;
+    return this.sortItems(filtered);
   }
 
   /**
@@ -615,12 +1051,19 @@ export class InventoryPanel {
         const charId = btn.dataset.charId;
         const view = btn.dataset.view;
 
-        if (view === 'vault') {
-          this.currentView = 'vault';
+        if (view === 'vault' || view === 'cleanup' || view === 'loadouts' || view === 'patterns') {
+          this.currentView = view;
+          if (view === 'loadouts' && !this.inGameLoadouts) {
+            this.loadInGameLoadouts();
+          }
+          if (view === 'patterns' && !this.patterns) {
+            this.loadPatterns();
+          }
         } else if (charId) {
           this.currentView = 'character';
           this.currentCharacter = charId;
         }
+        this.postmasterStatus = null;
         this.render();
       });
     });
@@ -669,12 +1112,292 @@ export class InventoryPanel {
       refreshBtn.addEventListener('click', () => this.load());
     }
 
+    // Bulk lock
+    const lockFilteredBtn = this.container.querySelector('.lock-filtered-btn');
+    if (lockFilteredBtn) {
+      lockFilteredBtn.addEventListener('click', () => this.lockFilteredItems());
+    }
+
     // Item click - open modal
-    this.container.querySelectorAll('.equipped-slot:not(.empty), .inventory-item').forEach(item => {
+    this.container.querySelectorAll('.equipped-slot:not(.empty), .inventory-item:not(.postmaster-item)').forEach(item => {
       item.addEventListener('click', () => {
         this.openItemModal(item);
       });
     });
+
+    // Postmaster - pull single item
+    const postmasterItems = this.inventory?.postmaster?.[this.currentCharacter] || [];
+    this.container.querySelectorAll('.postmaster-item').forEach(itemEl => {
+      itemEl.addEventListener('click', () => {
+        const item = postmasterItems[parseInt(itemEl.dataset.postmasterIndex)];
+        if (item) this.pullFromPostmaster([item]);
+      });
+    });
+
+    // Postmaster - pull all
+    const pullAllBtn = this.container.querySelector('.postmaster-pull-all');
+    if (pullAllBtn) {
+      pullAllBtn.addEventListener('click', () => this.pullFromPostmaster(postmasterItems));
+    }
+
+    // Patterns - include unlocked
+    const showUnlocked = this.container.querySelector('.patterns-show-unlocked');
+    if (showUnlocked) {
+      showUnlocked.addEventListener('change', () => {
+        this.showUnlockedPatterns = showUnlocked.checked;
+        this.render();
+      });
+    }
+
+    this.attachLoadoutListeners();
+  }
+
+  /**
+   * Event listeners for the in-game loadouts view
+   */
+  attachLoadoutListeners() {
+    this.container.querySelectorAll('.loadout-char-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.currentCharacter = btn.dataset.loadoutChar;
+        this.snapshotSlot = null;
+        this.loadoutStatus = null;
+        this.render();
+      });
+    });
+
+    this.container.querySelectorAll('.loadout-equip-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.equipInGameLoadout(parseInt(btn.dataset.loadoutIndex)));
+    });
+
+    this.container.querySelectorAll('.loadout-save-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const index = parseInt(btn.dataset.loadoutIndex);
+        const loadout = this.inGameLoadouts?.[this.currentCharacter]?.loadouts?.[index] || {};
+        const constants = this.loadoutDefinitions?.constants;
+
+        // Start from the slot's current identifier, or the first option of each
+        const pick = (hash, options) => (options?.includes(hash) ? hash : options?.[0]);
+        this.snapshotSlot = {
+          index,
+          colorHash: pick(loadout.colorHash, constants?.loadoutColorHashes),
+          iconHash: pick(loadout.iconHash, constants?.loadoutIconHashes),
+          nameHash: pick(loadout.nameHash, constants?.loadoutNameHashes)
+        };
+        this.render();
+      });
+    });
+
+    if (!this.snapshotSlot) return;
+
+    const nameSelect = this.container.querySelector('.loadout-name-select');
+    if (nameSelect) {
+      nameSelect.addEventListener('change', () => {
+        this.snapshotSlot.nameHash = parseInt(nameSelect.value);
+      });
+    }
+
+    this.container.querySelectorAll('.loadout-color-option').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.snapshotSlot.colorHash = parseInt(btn.dataset.colorHash);
+        this.render();
+      });
+    });
+
+    this.container.querySelectorAll('.loadout-icon-option').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.snapshotSlot.iconHash = parseInt(btn.dataset.iconHash);
+        this.render();
+      });
+    });
+
+    const confirmBtn = this.container.querySelector('.loadout-snapshot-confirm');
+    if (confirmBtn) {
+      confirmBtn.addEventListener('click', () => this.snapshotInGameLoadout());
+    }
+
+    const cancelBtn = this.container.querySelector('.loadout-snapshot-cancel');
+    if (cancelBtn) {
+      cancelBtn.addEventListener('click', () => {
+        this.snapshotSlot = null;
+        this.render();
+      });
+    }
+  }
+
+  // ==================== IN-GAME LOADOUTS ====================
+
+  /**
+   * Load in-game loadout slots and the color/icon/name definitions
+   */
+  async loadInGameLoadouts() {
+    try {
+      const [data, constants, colors, icons, names] = await Promise.all([
+        apiClient.getInGameLoadouts(),
+        manifestLoader.loadDefinition('DestinyLoadoutConstantsDefinition').catch(() => null),
+        manifestLoader.loadDefinition('DestinyLoadoutColorDefinition').catch(() => null),
+        manifestLoader.loadDefinition('DestinyLoadoutIconDefinition').catch(() => null),
+        manifestLoader.loadDefinition('DestinyLoadoutNameDefinition').catch(() => null)
+      ]);
+
+      this.inGameLoadouts = data?.characters || {};
+      this.loadoutDefinitions = {
+        // Single-entry table
+        constants: constants ? Object.values(constants)[0] : null,
+        colors,
+        icons,
+        names
+      };
+    } catch (error) {
+      console.error('In-game loadouts load error:', error);
+      this.inGameLoadouts = {};
+      this.loadoutStatus = { message: 'Failed to load loadouts: ' + error.message, type: 'error' };
+    }
+
+    if (this.currentView === 'loadouts') this.render();
+  }
+
+  /**
+   * Load the crafting tree and pattern records for the Patterns view
+   */
+  async loadPatterns() {
+    try {
+      await manifestLoader.loadRecordsData();
+      const context = recordsProcessor.buildContext(this.profileData, this.currentCharacter);
+      this.patterns = recordsProcessor.getPatterns(context);
+    } catch (error) {
+      console.error('Patterns load error:', error);
+      this.patterns = [];
+    }
+
+    if (this.currentView === 'patterns') this.render();
+  }
+
+  /**
+   * Every weapon on the account (equipped, carried and vault)
+   */
+  getAllWeapons() {
+    const weapons = [];
+
+    for (const charEquip of Object.values(this.inventory.equipped)) {
+      weapons.push(...Object.values(charEquip.weapons || {}).filter(Boolean));
+    }
+    for (const char of Object.values(this.inventory.characters)) {
+      weapons.push(...(char.inventory?.weapons || []));
+    }
+    weapons.push(...(this.inventory.vault?.items || []).filter(item => item.isWeapon));
+
+    return weapons;
+  }
+
+  /**
+   * Equip an in-game loadout slot on the current character
+   */
+  async equipInGameLoadout(index) {
+    if (this.isTransferring) return;
+
+    try {
+      this.isTransferring = true;
+      this.loadoutStatus = { message: 'Equipping loadout...', type: 'pending' };
+      this.render();
+
+      await apiClient.equipInGameLoadout(this.currentCharacter, index);
+      this.loadoutStatus = { message: 'Loadout equipped', type: 'success' };
+    } catch (error) {
+      console.error('Equip loadout error:', error);
+      this.loadoutStatus = { message: 'Failed to equip: ' + error.message, type: 'error' };
+    } finally {
+      this.isTransferring = false;
+    }
+
+    await this.refreshAfterLoadoutChange();
+  }
+
+  /**
+   * Save the current character's gear into the slot being edited
+   */
+  async snapshotInGameLoadout() {
+    const slot = this.snapshotSlot;
+    if (this.isTransferring || !slot) return;
+
+    try {
+      this.isTransferring = true;
+      this.loadoutStatus = { message: 'Saving loadout...', type: 'pending' };
+      this.render();
+
+      await apiClient.snapshotInGameLoadout(this.currentCharacter, slot.index, {
+        colorHash: slot.colorHash,
+        iconHash: slot.iconHash,
+        nameHash: slot.nameHash
+      });
+      this.snapshotSlot = null;
+      this.loadoutStatus = { message: `Saved current gear to slot ${slot.index + 1}`, type: 'success' };
+    } catch (error) {
+      console.error('Snapshot loadout error:', error);
+      this.loadoutStatus = { message: 'Failed to save: ' + error.message, type: 'error' };
+    } finally {
+      this.isTransferring = false;
+    }
+
+    await this.refreshAfterLoadoutChange();
+  }
+
+  /**
+   * Reload inventory and loadouts after equipping or saving a slot
+   */
+  async refreshAfterLoadoutChange() {
+    apiClient.clearCacheEntry('/api/inventory/profile');
+    apiClient.clearCacheEntry('/api/inventory/ingame-loadouts');
+    this.inGameLoadouts = null;
+
+    await this.load();
+    await this.loadInGameLoadouts();
+  }
+
+  /**
+   * Pull items from the current character's postmaster
+   * The server moves items to the vault when the destination bucket is full
+   */
+  async pullFromPostmaster(items) {
+    if (this.isTransferring || items.length === 0) return;
+
+    try {
+      this.isTransferring = true;
+      this.postmasterStatus = {
+        message: items.length > 1 ? `Pulling ${items.length} items...` : `Pulling ${items[0].name}...`,
+        type: 'pending'
+      };
+      this.render();
+
+      const response = await apiClient.pullFromPostmaster(
+        items.map(item => ({
+          itemReferenceHash: item.itemHash,
+          itemId: item.itemInstanceId,
+          stackSize: item.quantity || 1,
+          bucketHash: item.targetBucketHash
+        })),
+        this.currentCharacter
+      );
+
+      const results = response?.results || [];
+      const pulled = results.filter(r => r.success).length;
+      const moved = results.filter(r => r.movedToVault).length;
+      const failed = results.filter(r => !r.success);
+
+      let message = `Pulled ${pulled} of ${results.length}`;
+      if (moved > 0) message += ` (${moved} moved to vault to make room)`;
+      if (failed.length > 0) message += ` - ${failed[0].error || 'some items could not be pulled'}`;
+
+      this.postmasterStatus = { message, type: failed.length > 0 ? 'error' : 'success' };
+    } catch (error) {
+      console.error('Postmaster pull error:', error);
+      this.postmasterStatus = { message: 'Failed to pull: ' + error.message, type: 'error' };
+    } finally {
+      this.isTransferring = false;
+    }
+
+    // Refresh inventory with fresh profile data
+    apiClient.clearCacheEntry('/api/inventory/profile');
+    await this.load();
   }
 
   /**
@@ -766,6 +1489,18 @@ export class InventoryPanel {
     let perksHtml = '';
     if (item.sockets) {
       const { perks, intrinsic, mod, masterwork, origin, enhancement } = item.sockets;
+      const rating = wishlistManager.getRating(item);
+      const wishlistPerks = new Set(rating?.verdict === 'god' ? rating.perks : []);
+
+      // Wishlist verdict
+      if (rating) {
+        perksHtml += `
+          <div class="roll-verdict ${rating.verdict}">
+            <span class="roll-verdict-label">${rating.verdict === 'god' ? 'God roll' : 'Trash roll'}</span>
+            <span class="roll-verdict-source">${escapeHtml(rating.listName)}</span>
+            ${rating.note ? `<div class="roll-verdict-note">${escapeHtml(rating.note)}</div>` : ''}
+          </div>`;
+      }
 
       // Intrinsic trait (frame type for weapons)
       if (intrinsic) {
@@ -782,10 +1517,17 @@ export class InventoryPanel {
       if (perks && perks.length > 0) {
         perksHtml += '<div class="perks-section"><div class="perks-label">Perks</div><div class="perks-columns">';
         for (const perk of perks) {
+          // Every plug the column can roll, selected one first
+          const options = [...(perk.options || [perk])].sort((a, b) => (b.isCurrent ? 1 : 0) - (a.isCurrent ? 1 : 0));
           perksHtml += `
-            <div class="perk-column" title="${perk.description}">
-              ${perk.icon ? `<img src="${perk.icon}" alt="${perk.name}" class="perk-icon">` : ''}
-              <span class="perk-name">${perk.name}</span>
+            <div class="perk-column">
+              ${options.map(option => `
+                <div class="perk-option ${option.isCurrent !== false ? 'current' : ''} ${wishlistPerks.has(option.plugHash) ? 'wishlisted' : ''}"
+                     title="${escapeHtml(`${option.name}\n${option.description}`)}">
+                  ${option.icon ? `<img src="${option.icon}" alt="${option.name}" class="perk-icon">` : ''}
+                  ${option.isCurrent !== false ? `<span class="perk-name">${option.name}</span>` : ''}
+                </div>
+              `).join('')}
             </div>`;
         }
         perksHtml += '</div></div>';
@@ -827,6 +1569,11 @@ export class InventoryPanel {
           </div>`;
       }
 
+      // Crafted weapon level / red border
+      if (item.crafted || item.isDeepsight) {
+        perksHtml += this.renderCraftedSection(item);
+      }
+
       // Enhancement level (crafted weapons)
       if (enhancement) {
         perksHtml += `
@@ -846,16 +1593,47 @@ export class InventoryPanel {
     const transferBtn = modal.querySelector('.item-action-transfer');
     const vaultBtn = modal.querySelector('.item-action-vault');
 
+    const lockBtn = modal.querySelector('.item-action-lock');
+
     equipBtn.style.display = location !== 'equipped' && location !== 'vault' ? 'block' : 'none';
     vaultBtn.style.display = location !== 'vault' ? 'block' : 'none';
     transferBtn.style.display = 'block';
 
+    // Only instanced items can be locked
+    lockBtn.style.display = item.itemInstanceId ? 'block' : 'none';
+    lockBtn.textContent = item.isLocked ? 'Unlock' : 'Lock';
+    lockBtn.classList.toggle('locked', item.isLocked);
+
     // Hide transfer targets
     modal.querySelector('.item-modal-transfer-targets').style.display = 'none';
 
     modal.classList.add('active');
   }
 
+  /**
+   * Crafted level, enhancement tier and deepsight status for the item modal
+   */
+  renderCraftedSection(item) {
+    const crafted = item.crafted;
+
+    return `
+      <div class="crafted-section">
+        <div class="perks-label">${crafted ? 'Crafted' : 'Deepsight'}</div>
+        ${crafted ? `
+          <div class="crafted-level">
+            <span>Level ${crafted.level ?? '?'}</span>
+            ${item.enhancementTier ? `<span class="crafted-enhancement">Enhancement Tier ${item.enhancementTier}</span>` : ''}
+          </div>
+          <div class="progress-bar-container crafted-bar">
+            <div class="progress-bar" style="width: ${Math.round(crafted.levelProgress * 100)}%"></div>
+          </div>
+          ${crafted.craftedDate ? `<div class="crafted-date">Crafted ${new Date(crafted.craftedDate).toLocaleDateString()}</div>` : ''}
+        ` : `
+          <div class="crafted-date">Red border - counts toward this weapon's pattern</div>
+        `}
+      </div>`;
+  }
+
   /**
    * Close item modal
    */
@@ -962,6 +1740,151 @@ export class InventoryPanel {
     }
   }
 
+  /**
+   * Toggle lock state of selected item
+   */
+  async toggleSelectedItemLock() {
+    if (!this.selectedItem || this.isTransferring) return;
+
+    const newState = !this.selectedItem.isLocked;
+
+    try {
+      this.isTransferring = true;
+      this.showTransferStatus(newState ? 'Locking...' : 'Unlocking...');
+
+      const response = await apiClient.setItemLockState(
+        [{ itemId: this.selectedItem.itemInstanceId, characterId: this.getLockCharacterId(this.selectedItem) }],
+        newState
+      );
+
+      const result = response?.results?.[0];
+      if (!result?.success) {
+        throw new Error(result?.error || 'Lock request failed');
+      }
+
+      this.applyLockState(this.selectedItem.itemInstanceId, newState);
+      this.selectedItem.isLocked = newState;
+
+      const lockBtn = document.querySelector('#itemModal .item-action-lock');
+      if (lockBtn) {
+        lockBtn.textContent = newState ? 'Unlock' : 'Lock';
+        lockBtn.classList.toggle('locked', newState);
+      }
+
+      this.showTransferStatus(newState ? 'Locked!' : 'Unlocked!', 'success');
+      this.render();
+
+    } catch (error) {
+      console.error('Lock error:', error);
+      this.showTransferStatus('Failed to change lock: ' + error.message, 'error');
+    } finally {
+      this.isTransferring = false;
+    }
+  }
+
+  /**
+   * Lock every unlocked weapon and armor piece matching the current search/filters
+   */
+  async lockFilteredItems() {
+    if (this.isTransferring || !this.inventory) return;
+
+    const items = this.getVisibleItems()
+      .filter(item => item.itemInstanceId && !item.isLocked && (item.isWeapon || item.isArmor));
+
+    if (items.length === 0) {
+      alert('No unlocked weapons or armor match the current filters.');
+      return;
+    }
+
+    if (!confirm(`Lock ${items.length} item${items.length === 1 ? '' : 's'} matching the current filters?`)) {
+      return;
+    }
+
+    const lockBtn = this.container.querySelector('.lock-filtered-btn');
+    let locked = 0;
+    let failed = 0;
+
+    try {
+      this.isTransferring = true;
+      if (lockBtn) lockBtn.disabled = true;
+
+      // Send in small chunks so each request stays short, showing progress as they land
+      for (let i = 0; i < items.length; i += LOCK_BATCH_SIZE) {
+        if (lockBtn) lockBtn.textContent = `Locking ${i}/${items.length}...`;
+
+        const batch = items.slice(i, i + LOCK_BATCH_SIZE);
+        const response = await apiClient.setItemLockState(
+          batch.map(item => ({ itemId: item.itemInstanceId, characterId: this.getLockCharacterId(item) })),
+          true
+        );
+
+        const results = response?.results || [];
+        results.filter(r => r.success).forEach(r => this.applyLockState(r.itemId, true));
+        locked += results.filter(r => r.success).length;
+        failed += batch.length - results.filter(r => r.success).length;
+      }
+
+      if (failed > 0) {
+        alert(`Locked ${locked} of ${items.length} items. ${failed} failed.`);
+      }
+    } catch (error) {
+      console.error('Bulk lock error:', error);
+      const remaining = items.length - locked - failed;
+      alert(`Failed to lock items: ${error.message}` +
+        (locked > 0 ? ` (${locked} locked, ${remaining} not attempted)` : ''));
+    } finally {
+      this.isTransferring = false;
+      this.render();
+    }
+  }
+
+  /**
+   * Get items currently shown by the active view and filters
+   */
+  getVisibleItems() {
+    if (this.currentView === 'vault') {
+      return this.inventory.vault?.items ? this.getFilteredVaultItems(this.inventory.vault) : [];
+    }
+
+    const inventory = this.inventory.characters[this.currentCharacter]?.inventory || {};
+    return [
+      ...this.getFilteredCarriedItems(inventory),
+      ...this.getFilteredInventoryItems(inventory)
+    ];
+  }
+
+  /**
+   * Character ID to send with a lock request
+   * Vault items still need a character, so fall back to the current/first one
+   */
+  getLockCharacterId(item) {
+    if (item.characterId && item.location !== 'vault') return item.characterId;
+
+    for (const [charId, char] of Object.entries(this.inventory.characters)) {
+      const inventory = char.inventory || {};
+      const carried = Object.values(inventory).some(items => items?.some?.(i => i.itemInstanceId === item.itemInstanceId));
+      if (carried) return charId;
+    }
+
+    for (const [charId, equipped] of Object.entries(this.inventory.equipped)) {
+      const slots = [...Object.values(equipped.weapons || {}), ...Object.values(equipped.armor || {})];
+      if (slots.some(i => i?.itemInstanceId === item.itemInstanceId)) return charId;
+    }
+
+    return this.currentCharacter || Object.keys(this.inventory.characters)[0];
+  }
+
+  /**
+   * Update lock flag on the cached inventory item
+   */
+  applyLockState(instanceId, locked) {
+    const item = this.findItem(instanceId);
+    if (!item) return;
+
+    item.isLocked = locked;
+    item.state = locked ? (item.state | 1) : (item.state & ~1);
+  }
+
   /**
    * Show transfer options
    */
@@ -17,6 +17,9 @@ import { NewsPanel } from './news-panel.js';
 import { RotatorsPanel } from './rotators-panel.js';
 import { SeasonPanel } from './season-panel.js';
 import { BuildCrafterPanel } from './build-crafter-panel.js';
+import { GuardianLookupPanel } from './guardian-lookup-panel.js';
+import { CollectionsPanel } from './collections-panel.js';
+import { SealsPanel } from './seals-panel.js';
 
 export class PanelManager {
   constructor() {
@@ -49,6 +52,12 @@ export class PanelManager {
       }
     });
 
+    // Another membership means other characters - drop cached data and reload
+    this.authClient.onMembershipChange(() => {
+      apiClient.clearCache();
+      this.loadAllPanels();
+    });
+
     // Initial load if authenticated
     if (this.authClient.checkAuthenticated()) {
       await this.loadAllPanels();
@@ -62,7 +71,7 @@ export class PanelManager {
    * Load panels that don't require authentication
    */
   async loadPublicPanels() {
-    const publicPanelIds = ['rotators-panel', 'news-panel', 'season-panel'];
+    const publicPanelIds = ['rotators-panel', 'news-panel', 'season-panel', 'vendors-panel'];
 
     const loadPromises = publicPanelIds.map(id => {
       const instance = this.panelInstances.get(id);
@@ -90,7 +99,10 @@ export class PanelManager {
       { id: 'news-panel', Class: NewsPanel },
       { id: 'rotators-panel', Class: RotatorsPanel },
       { id: 'season-panel', Class: SeasonPanel },
-      { id: 'build-crafter-panel', Class: BuildCrafterPanel }
+      { id: 'build-crafter-panel', Class: BuildCrafterPanel },
+      { id: 'guardian-lookup-panel', Class: GuardianLookupPanel },
+      { id: 'collections-panel', Class: CollectionsPanel },
+      { id: 'seals-panel', Class: SealsPanel }
     ];
 
     panelConfig.forEach(({ id, Class }) => {
@@ -699,8 +711,8 @@ export class PanelManager {
    * Clear only auth-required panels (not public ones)
    */
   clearAuthPanels() {
-    const publicPanelIds = ['rotators-panel', 'news-panel', 'season-panel'];
-    const authPanelIds = ['inventory-panel', 'vendors-panel', 'stats-panel', 'clan-panel', 'activities-panel', 'build-crafter-panel'];
+    const publicPanelIds = ['rotators-panel', 'news-panel', 'season-panel', 'vendors-panel'];
+    const authPanelIds = ['inventory-panel', 'vendors-panel', 'stats-panel', 'clan-panel', 'activities-panel', 'build-crafter-panel', 'collections-panel', 'seals-panel'];
 
     authPanelIds.forEach(panelId => {
       this.showPanelAuth(panelId);
@@ -4,6 +4,7 @@
 
 import { apiClient } from '../api/bungie-api-client.js';
 import { manifestLoader } from '../api/manifest-loader.js';
+import { escapeHtml } from '../utils/html.js';
 
 export class RecentActivitiesPanel {
   constructor(containerEl) {
@@ -14,6 +15,11 @@ export class RecentActivitiesPanel {
     this.selectedActivity = null;
     this.currentPage = 0;
     this.pageSize = 10;
+
+    // Post-game carnage report for the selected activity
+    this.pgcr = null;
+    this.pgcrLoading = false;
+    this.pgcrError = null;
   }
 
   /**
@@ -266,11 +272,282 @@ export class RecentActivitiesPanel {
               <p>${activity.description}</p>
             </div>
           ` : ''}
+
+          ${this.renderPGCRSection()}
         </div>
       </div>
     `;
   }
 
+  // ==================== POST-GAME CARNAGE REPORT ====================
+
+  /**
+   * Load the PGCR for an activity and re-render the detail view
+   */
+  async loadPGCR(activity) {
+    if (!activity?.instanceId) {
+      this.render();
+      return;
+    }
+
+    this.pgcr = null;
+    this.pgcrError = null;
+    this.pgcrLoading = true;
+    this.render();
+
+    try {
+      // Item definitions are needed for weapon names
+      const [data] = await Promise.all([
+        apiClient.getPGCR(activity.instanceId),
+        manifestLoader.loadAnalysisData()
+      ]);
+
+      if (this.selectedActivity !== activity) return;
+      this.pgcr = this.processPGCR(data?.pgcr);
+    } catch (error) {
+      console.error('PGCR load error:', error);
+      this.pgcrError = error.message;
+    } finally {
+      if (this.selectedActivity === activity) {
+        this.pgcrLoading = false;
+        this.render();
+      }
+    }
+  }
+
+  /**
+   * Process raw PGCR into player groups (teams in PvP, fireteams in PvE)
+   */
+  processPGCR(pgcr) {
+    if (!pgcr?.entries) return null;
+
+    const teams = {};
+    for (const team of pgcr.teams || []) {
+      teams[team.teamId] = {
+        name: team.teamName,
+        standing: team.standing?.basic?.value,
+        score: team.score?.basic?.value || 0
+      };
+    }
+    const hasTeams = Object.keys(teams).length > 0;
+
+    const groups = new Map();
+    for (const entry of pgcr.entries) {
+      const player = this.processPGCREntry(entry);
+      const groupId = hasTeams ? player.team : player.fireteamId;
+
+      if (!groups.has(groupId)) {
+        const team = teams[groupId];
+        groups.set(groupId, {
+          id: groupId,
+          name: team?.name || (hasTeams ? `Team ${groupId}` : `Fireteam ${groups.size + 1}`),
+          standing: team?.standing,
+          score: team?.score,
+          players: []
+        });
+      }
+      groups.get(groupId).players.push(player);
+    }
+
+    const sortedGroups = Array.from(groups.values());
+    sortedGroups.forEach(group => group.players.sort((a, b) => b.score - a.score || b.kills - a.kills));
+    sortedGroups.sort((a, b) => (a.standing ?? 99) - (b.standing ?? 99));
+
+    return {
+      period: pgcr.period ? new Date(pgcr.period) : null,
+      hasTeams,
+      groups: sortedGroups
+    };
+  }
+
+  /**
+   * Process a single PGCR entry
+   */
+  processPGCREntry(entry) {
+    const values = entry.values || {};
+    const extended = entry.extended?.values || {};
+    const userInfo = entry.player?.destinyUserInfo || {};
+    const stat = (source, key) => source[key]?.basic?.value || 0;
+
+    const weapons = (entry.extended?.weapons || []).map(weapon => {
+      const def = manifestLoader.getItemDefinition(weapon.referenceId);
+      return {
+        hash: weapon.referenceId,
+        name: def?.displayProperties?.name || 'Unknown Weapon',
+        icon: def?.displayProperties?.icon ? `https://www.bungie.net${def.displayProperties.icon}` : null,
+        kills: stat(weapon.values || {}, 'uniqueWeaponKills'),
+        precisionKills: stat(weapon.values || {}, 'uniqueWeaponPrecisionKills')
+      };
+    }).sort((a, b) => b.kills - a.kills);
+
+    const medals = Object.entries(extended)
+      .filter(([key, value]) => key.startsWith('medal') && value?.basic?.value > 0)
+      .map(([key, value]) => ({ name: this.formatMedalName(key), count: value.basic.value }))
+      .sort((a, b) => b.count - a.count);
+
+    return {
+      characterId: entry.characterId,
+      name: userInfo.bungieGlobalDisplayName || userInfo.displayName || 'Guardian',
+      nameCode: userInfo.bungieGlobalDisplayNameCode,
+      membershipType: userInfo.membershipType,
+      membershipId: userInfo.membershipId,
+      emblem: userInfo.iconPath ? `https://www.bungie.net${userInfo.iconPath}` : null,
+      className: entry.player?.characterClass || '',
+      lightLevel: entry.player?.lightLevel || 0,
+      kills: stat(values, 'kills'),
+      deaths: stat(values, 'deaths'),
+      assists: stat(values, 'assists'),
+      kd: stat(values, 'killsDeathsRatio'),
+      score: entry.score?.basic?.value || stat(values, 'score'),
+      completed: stat(values, 'completed') === 1,
+      team: stat(values, 'team'),
+      fireteamId: stat(values, 'fireteamId'),
+      timePlayed: stat(values, 'timePlayedSeconds'),
+      precisionKills: stat(extended, 'precisionKills'),
+      abilityKills: {
+        grenade: stat(extended, 'weaponKillsGrenade'),
+        melee: stat(extended, 'weaponKillsMelee'),
+        super: stat(extended, 'weaponKillsSuper'),
+        ability: stat(extended, 'weaponKillsAbility')
+      },
+      weapons,
+      medals,
+      totalMedals: stat(extended, 'allMedalsEarned')
+    };
+  }
+
+  /**
+   * Turn a medal stat id (e.g. medalStreak5x) into a readable name
+   */
+  formatMedalName(key) {
+    return key
+      .replace(/^medal/, '')
+      .replace(/([a-z])([A-Z0-9])/g, '$1 $2')
+      .trim() || key;
+  }
+
+  /**
+   * Render PGCR section of the detail view
+   */
+  renderPGCRSection() {
+    if (this.pgcrLoading) {
+      return `
+        <div class="pgcr-section">
+          <div class="panel-loading">
+            <div class="loading-spinner"></div>
+            <span>Loading carnage report...</span>
+          </div>
+        </div>
+      `;
+    }
+
+    if (this.pgcrError) {
+      return `
+        <div class="pgcr-section">
+          <div class="no-data">Carnage report unavailable: ${escapeHtml(this.pgcrError)}</div>
+        </div>
+      `;
+    }
+
+    if (!this.pgcr) return '';
+
+    return `
+      <div class="pgcr-section">
+        <h4 class="pgcr-title">Carnage Report</h4>
+        ${this.pgcr.groups.map(group => this.renderPGCRGroup(group)).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Render a team/fireteam group
+   */
+  renderPGCRGroup(group) {
+    let standingClass = '';
+    let standingText = '';
+    if (this.pgcr.hasTeams && group.standing !== undefined) {
+      standingClass = group.standing === 0 ? 'victory' : 'defeat';
+      standingText = group.standing === 0 ? 'Victory' : 'Defeat';
+    }
+
+    return `
+      <div class="pgcr-team ${standingClass}">
+        <div class="pgcr-team-header">
+          <span class="pgcr-team-name">${escapeHtml(group.name)}</span>
+          ${standingText ? `<span class="activity-outcome ${standingClass}">${standingText}</span>` : ''}
+          ${this.pgcr.hasTeams ? `<span class="pgcr-team-score">${group.score.toLocaleString()}</span>` : ''}
+        </div>
+        <div class="pgcr-players">
+          ${group.players.map(player => this.renderPGCRPlayer(player)).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render a player row with expandable breakdown
+   */
+  renderPGCRPlayer(player) {
+    const isSelf = player.characterId === this.characterId;
+    const fullName = player.nameCode
+      ? `${player.name}#${String(player.nameCode).padStart(4, '0')}`
+      : player.name;
+    const profileUrl = player.membershipId
+      ? `https://www.bungie.net/7/en/User/Profile/${player.membershipType}/${player.membershipId}`
+      : null;
+    const { grenade, melee, super: superKills, ability } = player.abilityKills;
+
+    return `
+      <details class="pgcr-player ${isSelf ? 'self' : ''}">
+        <summary class="pgcr-player-row">
+          ${player.emblem ? `<img src="${player.emblem}" alt="" class="pgcr-emblem">` : '<div class="pgcr-emblem"></div>'}
+          <div class="pgcr-player-info">
+            <span class="pgcr-player-name">${escapeHtml(player.name)}</span>
+            <span class="pgcr-player-meta">${escapeHtml(player.className)} ${player.lightLevel || ''}</span>
+          </div>
+          <div class="pgcr-player-stats">
+            <span title="Kills / Deaths / Assists">${player.kills}/${player.deaths}/${player.assists}</span>
+            <span title="K/D">${player.kd.toFixed(2)}</span>
+            ${player.score ? `<span title="Score">${player.score.toLocaleString()}</span>` : ''}
+            <span title="Time played">${this.formatDuration(player.timePlayed)}</span>
+          </div>
+        </summary>
+        <div class="pgcr-player-detail">
+          <div class="pgcr-breakdown">
+            <div class="pgcr-breakdown-label">Weapons</div>
+            ${player.weapons.length > 0 ? player.weapons.map(weapon => `
+              <div class="pgcr-weapon">
+                ${weapon.icon ? `<img src="${weapon.icon}" alt="" class="pgcr-weapon-icon">` : ''}
+                <span class="pgcr-weapon-name">${escapeHtml(weapon.name)}</span>
+                <span class="pgcr-weapon-kills">${weapon.kills}${weapon.precisionKills ? ` (${weapon.precisionKills} precision)` : ''}</span>
+              </div>
+            `).join('') : '<div class="no-items">No weapon kills</div>'}
+          </div>
+          <div class="pgcr-breakdown">
+            <div class="pgcr-breakdown-label">Abilities</div>
+            <div class="pgcr-ability-kills">
+              <span>Grenade ${grenade}</span>
+              <span>Melee ${melee}</span>
+              <span>Super ${superKills}</span>
+              <span>Ability ${ability}</span>
+            </div>
+          </div>
+          ${player.medals.length > 0 ? `
+            <div class="pgcr-breakdown">
+              <div class="pgcr-breakdown-label">Medals (${player.totalMedals || player.medals.reduce((sum, m) => sum + m.count, 0)})</div>
+              <div class="pgcr-medals">
+                ${player.medals.map(medal => `<span class="pgcr-medal">${escapeHtml(medal.name)}${medal.count > 1 ? ` x${medal.count}` : ''}</span>`).join('')}
+              </div>
+            </div>
+          ` : ''}
+          ${profileUrl ? `
+            <a class="pgcr-profile-link" href="${profileUrl}" target="_blank" rel="noopener">View ${escapeHtml(fullName)} on Bungie.net</a>
+          ` : ''}
+        </div>
+      </details>
+    `;
+  }
+
   /**
    * Get mode icon
    */
@@ -322,7 +599,7 @@ export class RecentActivitiesPanel {
         const index = parseInt(item.dataset.index);
         this.selectedActivity = this.activities[index];
         this.viewMode = 'detail';
-        this.render();
+        this.loadPGCR(this.selectedActivity);
       });
     });
 
@@ -332,6 +609,9 @@ export class RecentActivitiesPanel {
       backBtn.addEventListener('click', () => {
         this.viewMode = 'list';
         this.selectedActivity = null;
+        this.pgcr = null;
+        this.pgcrLoading = false;
+        this.pgcrError = null;
         this.render();
       });
     }
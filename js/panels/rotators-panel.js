@@ -5,11 +5,28 @@
 import { apiClient } from '../api/bungie-api-client.js';
 import { manifestLoader } from '../api/manifest-loader.js';
 
+// DestinyActivityModeType values used to classify milestone activities
+const ACTIVITY_MODES = {
+  RAID: 4,
+  NIGHTFALL: 16,
+  SCORED_NIGHTFALL: 46,
+  DUNGEON: 82
+};
+
+// Modifier names that mark the week's featured (rotator) activity
+const FEATURED_MODIFIER_PATTERN = /featured|rotator/i;
+
+// Difficulty labels stripped from activity names ("Vault of Glass: Master")
+const DIFFICULTY_PATTERN = /(:\s*|\s*\()(Normal|Hero|Legend|Master|Grandmaster|Expert|Adept|Advanced|Contest|Heroic)\)?$/i;
+
 export class RotatorsPanel {
   constructor(containerEl) {
     this.container = containerEl;
     this.milestones = null;
     this.rotations = null;
+    this.activityDefinitions = {};
+    this.milestoneDefinitions = {};
+    this.modifierDefinitions = {};
     this.selectedRotation = null; // For detail view
     this.viewMode = 'list'; // 'list' or 'detail'
   }
@@ -28,16 +45,26 @@ export class RotatorsPanel {
     try {
       this.showLoading();
 
-      // Try to get milestones from API (may fail if not authenticated)
+      // Public milestones - fall back to static rotation data if unavailable
       try {
         const data = await apiClient.getMilestones();
         this.milestones = data?.milestones || data;
       } catch (apiError) {
-        // Not authenticated or API error - use static rotation data
         console.log('Rotators panel: Using static data');
         this.milestones = null;
       }
 
+      if (this.milestones) {
+        const [activities, milestones, modifiers] = await Promise.all([
+          manifestLoader.loadDefinition('DestinyActivityDefinition').catch(() => null),
+          manifestLoader.loadDefinition('DestinyMilestoneDefinition').catch(() => null),
+          manifestLoader.loadDefinition('DestinyActivityModifierDefinition').catch(() => null)
+        ]);
+        this.activityDefinitions = activities || {};
+        this.milestoneDefinitions = milestones || {};
+        this.modifierDefinitions = modifiers || {};
+      }
+
       // Parse rotations - works with or without milestones data
       this.parseRotations();
 
@@ -50,18 +77,173 @@ export class RotatorsPanel {
 
   /**
    * Parse rotations from milestone data
+   * Live milestone data wins; static tables are only used when it is missing or
+   * doesn't single out a featured activity
+   * (lost sectors and the Wellspring are not exposed through public milestones)
    */
   parseRotations() {
+    const live = this.getLiveRotations();
+
     this.rotations = {
-      nightfall: this.getNightfallRotation(),
-      raid: this.getRaidRotation(),
-      dungeon: this.getDungeonRotation(),
-      crucible: this.getCrucibleRotation(),
+      nightfall: live.nightfall || this.getNightfallRotation(),
+      raid: live.raid || this.getRaidRotation(),
+      dungeon: live.dungeon || this.getDungeonRotation(),
+      crucible: live.crucible || this.getCrucibleRotation(),
       lostSector: this.getLostSectorRotation(),
       wellspring: this.getWellspringRotation()
     };
   }
 
+  // ==================== LIVE ROTATIONS ====================
+
+  /**
+   * Build rotations from public milestones
+   * Returns { nightfall, raid, dungeon, crucible } - missing types are left undefined
+   */
+  getLiveRotations() {
+    const rotations = {};
+    if (!this.milestones || Object.keys(this.activityDefinitions).length === 0) {
+      return rotations;
+    }
+
+    const grouped = {};
+    for (const entry of this.collectMilestoneActivities()) {
+      const type = this.classifyActivity(entry.definition);
+      if (!type) continue;
+      (grouped[type] = grouped[type] || []).push(entry);
+    }
+
+    for (const [type, entries] of Object.entries(grouped)) {
+      const rotation = this.buildLiveRotation(entries);
+      if (rotation) rotations[type] = rotation;
+    }
+
+    return rotations;
+  }
+
+  /**
+   * Flatten milestone activities (including quest activities) with their definitions
+   */
+  collectMilestoneActivities() {
+    const entries = [];
+
+    for (const milestone of Object.values(this.milestones)) {
+      const activities = [
+        ...(milestone.activities || []),
+        ...(milestone.availableQuests || []).map(q => q.activity).filter(Boolean)
+      ];
+
+      for (const activity of activities) {
+        const definition = this.activityDefinitions[activity.activityHash];
+        if (!definition) continue;
+
+        entries.push({
+          milestone,
+          milestoneName: this.milestoneDefinitions[milestone.milestoneHash]?.displayProperties?.name,
+          definition,
+          modifierHashes: activity.modifierHashes || [],
+          challengeObjectiveHashes: activity.challengeObjectiveHashes || []
+        });
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Classify an activity definition into a rotator type
+   */
+  classifyActivity(definition) {
+    const modes = [definition.directActivityModeType, ...(definition.activityModeTypes || [])];
+
+    if (modes.includes(ACTIVITY_MODES.RAID)) return 'raid';
+    if (modes.includes(ACTIVITY_MODES.DUNGEON)) return 'dungeon';
+    if (modes.includes(ACTIVITY_MODES.SCORED_NIGHTFALL) || modes.includes(ACTIVITY_MODES.NIGHTFALL)) return 'nightfall';
+    if (definition.isPvP) return 'crucible';
+    return null;
+  }
+
+  /**
+   * Build a rotation from the featured activity's milestone entries
+   * Returns null when the featured activity can't be told apart (static table is used)
+   */
+  buildLiveRotation(entries) {
+    const featured = this.pickFeaturedEntries(entries);
+    if (!featured) return null;
+
+    const modifiers = [];
+    for (const entry of featured) {
+      for (const hash of entry.modifierHashes) {
+        const name = this.modifierDefinitions[hash]?.displayProperties?.name;
+        if (name && !modifiers.includes(name)) modifiers.push(name);
+      }
+    }
+
+    const endDate = featured.map(e => e.milestone.endDate).filter(Boolean).sort()[0];
+
+    const rotation = {
+      current: this.getActivityName(featured[0].definition),
+      next: null,
+      schedule: endDate
+        ? `Until ${new Date(endDate).toLocaleString('en-US', { weekday: 'short', hour: 'numeric', minute: '2-digit' })}`
+        : 'Weekly (Tuesday Reset)',
+      source: 'live'
+    };
+
+    // Only override the detail view's default modifiers when the API lists some
+    if (modifiers.length > 0) rotation.modifiers = modifiers;
+
+    return rotation;
+  }
+
+  /**
+   * Entries for the one featured activity of a type
+   * Newer raids and dungeons always have milestones alongside the weekly rotator, so when
+   * several activities are listed, the featured one is the one with a featured/rotator
+   * modifier, or failing that the only one carrying weekly challenges
+   */
+  pickFeaturedEntries(entries) {
+    const byName = new Map();
+    for (const entry of entries) {
+      const name = this.getActivityName(entry.definition);
+      if (!name) continue;
+      if (!byName.has(name)) byName.set(name, []);
+      byName.get(name).push(entry);
+    }
+
+    const groups = Array.from(byName.values());
+    if (groups.length <= 1) return groups[0] || null;
+
+    const signals = [
+      group => group.some(e => e.modifierHashes.some(hash =>
+        FEATURED_MODIFIER_PATTERN.test(this.modifierDefinitions[hash]?.displayProperties?.name || '')
+      )),
+      group => group.some(e => e.challengeObjectiveHashes.length > 0)
+    ];
+
+    for (const isFeatured of signals) {
+      const matches = groups.filter(isFeatured);
+      if (matches.length === 1) return matches[0];
+    }
+
+    return null;
+  }
+
+  /**
+   * Activity name without difficulty or "Nightfall:" prefixes
+   */
+  getActivityName(definition) {
+    const name = definition.originalDisplayProperties?.name || definition.displayProperties?.name;
+    if (!name) return null;
+
+    return name
+      .replace(/^Nightfall:\s*/i, '')
+      .replace(DIFFICULTY_PATTERN, '')
+      .trim();
+  }
+
+  // ==================== STATIC FALLBACKS ====================
+
   /**
    * Get Nightfall rotation
    */
@@ -371,16 +553,16 @@ export class RotatorsPanel {
       nightfall: {
         title: 'Nightfall Strike',
         icon: '🌙',
-        ...this.rotations?.nightfall,
         rewards: ['Nightfall Weapons', 'Ascendant Shards', 'Enhancement Prisms'],
-        modifiers: ['Match Game', 'Champions', 'Limited Revives']
+        modifiers: ['Match Game', 'Champions', 'Limited Revives'],
+        ...this.rotations?.nightfall
       },
       raid: {
         title: 'Featured Raid',
         icon: '⚔️',
-        ...this.rotations?.raid,
         rewards: ['Pinnacle Gear', 'Raid Weapons', 'Exotic Chance'],
-        modifiers: ['Contest Mode (if active)']
+        modifiers: ['Contest Mode (if active)'],
+        ...this.rotations?.raid
       },
       dungeon: {
         title: 'Featured Dungeon',
@@ -0,0 +1,302 @@
+/**
+ * Seals Panel - Title and seal progress tracker
+ * Compact card of pinned seals; browse all seals to pin them or see the triumphs
+ * each one still needs. Pins are kept in panel state so the card survives reloads.
+ */
+
+import { apiClient } from '../api/bungie-api-client.js';
+import { manifestLoader } from '../api/manifest-loader.js';
+import { storageManager } from '../core/storage-manager.js';
+import { recordsProcessor } from '../utils/records-processor.js';
+import { escapeHtml } from '../utils/html.js';
+
+export class SealsPanel {
+  constructor(containerEl) {
+    this.container = containerEl;
+    this.context = null;
+    this.seals = [];
+    this.pinned = [];
+
+    // 'pinned' (dashboard card), 'all' (browse) or 'detail' (one seal)
+    this.viewMode = 'pinned';
+    this.previousView = 'pinned';
+    this.selectedSeal = null;
+
+    // Restore saved state
+    this.restoreState();
+  }
+
+  /**
+   * Initialize seals panel
+   */
+  async init() {
+    this.render();
+  }
+
+  /**
+   * Restore saved state from storage
+   */
+  restoreState() {
+    const savedState = storageManager.loadPanelState('seals', { pinned: [] });
+    this.pinned = Array.isArray(savedState.pinned) ? savedState.pinned.map(Number) : [];
+  }
+
+  /**
+   * Save current state to storage
+   */
+  saveState() {
+    storageManager.savePanelState('seals', {
+      pinned: this.pinned
+    });
+  }
+
+  /**
+   * Load seal progress
+   */
+  async load() {
+    try {
+      this.showLoading();
+
+      const [profile] = await Promise.all([
+        apiClient.getProfile(),
+        manifestLoader.loadRecordsData()
+      ]);
+
+      this.context = recordsProcessor.buildContext(profile);
+      this.seals = recordsProcessor.getSeals(this.context);
+
+      if (this.selectedSeal) {
+        this.selectedSeal = this.seals.find(s => s.hash === this.selectedSeal.hash) || null;
+        if (!this.selectedSeal) this.viewMode = 'pinned';
+      }
+
+      this.render();
+    } catch (error) {
+      console.error('Seals load error:', error);
+      this.showError(error.message);
+    }
+  }
+
+  /**
+   * Render seals panel
+   */
+  render() {
+    if (!this.context) return;
+
+    if (window.panelNav) {
+      if (this.viewMode === 'pinned') {
+        window.panelNav.hide('seals');
+      } else {
+        window.panelNav.show('seals', {
+          back: () => this.goBack(),
+          home: () => this.goHome()
+        });
+      }
+    }
+
+    let html;
+    if (this.viewMode === 'detail' && this.selectedSeal) {
+      html = this.renderDetail(this.selectedSeal);
+    } else if (this.viewMode === 'all') {
+      html = this.renderAll();
+    } else {
+      html = this.renderPinned();
+    }
+
+    this.container.innerHTML = `<div class="seals-panel">${html}</div>`;
+    this.attachEventListeners();
+  }
+
+  /**
+   * Compact dashboard view of pinned seals
+   */
+  renderPinned() {
+    if (this.seals.length === 0) {
+      return '<div class="no-data">No seals available - your privacy settings may hide triumphs</div>';
+    }
+
+    const pinned = this.pinned
+      .map(hash => this.seals.find(s => s.hash === hash))
+      .filter(Boolean);
+
+    return `
+      ${pinned.length > 0
+        ? `<div class="seal-list compact">${pinned.map(seal => this.renderSealRow(seal, false)).join('')}</div>`
+        : '<div class="no-data">Pin seals to track them here</div>'}
+      <button class="tab-btn seals-browse-btn">All Seals</button>
+    `;
+  }
+
+  /**
+   * Every seal, with pin toggles
+   */
+  renderAll() {
+    const completed = this.seals.filter(s => s.completed).length;
+
+    return `
+      <div class="seals-summary">${completed}/${this.seals.length} titles earned</div>
+      <div class="seal-list">
+        ${this.seals.map(seal => this.renderSealRow(seal, true)).join('')}
+      </div>
+    `;
+  }
+
+  renderSealRow(seal, showPin) {
+    const percent = seal.total > 0 ? Math.round((seal.complete / seal.total) * 100) : 0;
+    const isPinned = this.pinned.includes(seal.hash);
+
+    return `
+      <div class="seal-row ${seal.completed ? 'completed' : ''}" data-seal="${seal.hash}">
+        ${seal.icon ? `<img src="${seal.icon}" alt="" class="seal-icon">` : ''}
+        <div class="seal-info">
+          <div class="seal-name">
+            <span>${escapeHtml(seal.titleName)}</span>
+            ${this.renderGilding(seal)}
+          </div>
+          <div class="progress-bar-container challenge-bar">
+            <div class="progress-bar" style="width: ${percent}%"></div>
+          </div>
+        </div>
+        <span class="challenge-progress">${seal.complete}/${seal.total}</span>
+        ${showPin ? `
+          <button class="seal-pin ${isPinned ? 'active' : ''}" data-pin="${seal.hash}" title="${isPinned ? 'Unpin' : 'Pin to card'}">${isPinned ? '★' : '☆'}</button>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  renderGilding(seal) {
+    if (!seal.canGild || seal.gildedCount === 0) return '';
+    return `<span class="seal-gilded ${seal.gildedThisSeason ? 'current' : ''}" title="Gilded ${seal.gildedCount}x${seal.gildedThisSeason ? ' (this season)' : ''}">◆${seal.gildedCount}</span>`;
+  }
+
+  /**
+   * One seal with the triumphs it still needs
+   */
+  renderDetail(seal) {
+    const remaining = recordsProcessor.getSealRemaining(this.context, seal.hash);
+    const isPinned = this.pinned.includes(seal.hash);
+
+    return `
+      <div class="seal-detail-header">
+        ${seal.icon ? `<img src="${seal.icon}" alt="" class="seal-icon large">` : ''}
+        <div class="seal-info">
+          <div class="seal-name">
+            <span>${escapeHtml(seal.titleName)}</span>
+            ${this.renderGilding(seal)}
+          </div>
+          <div class="challenge-desc">${escapeHtml(seal.description)}</div>
+          <div class="challenge-progress">${seal.complete}/${seal.total} triumphs${seal.completed ? ' - title earned' : ''}</div>
+        </div>
+        <button class="seal-pin ${isPinned ? 'active' : ''}" data-pin="${seal.hash}" title="${isPinned ? 'Unpin' : 'Pin to card'}">${isPinned ? '★' : '☆'}</button>
+      </div>
+      ${remaining.length > 0 ? `
+        <div class="challenges-grid">
+          ${remaining.map(record => this.renderRecord(record)).join('')}
+        </div>
+      ` : '<div class="no-data">All triumphs complete</div>'}
+    `;
+  }
+
+  renderRecord(record) {
+    return `
+      <div class="challenge-item">
+        <div class="challenge-check"></div>
+        <div class="challenge-info">
+          <span class="challenge-name">${escapeHtml(record.name)}</span>
+          <span class="challenge-desc">${escapeHtml(record.description)}</span>
+          ${record.objectives.map(obj => `
+            <div class="record-objective">
+              <div class="record-objective-label">
+                <span>${escapeHtml(obj.description)}</span>
+                <span>${obj.progress.toLocaleString()}/${obj.completionValue.toLocaleString()}</span>
+              </div>
+              <div class="progress-bar-container challenge-bar">
+                <div class="progress-bar" style="width: ${Math.min(100, (obj.progress / obj.completionValue) * 100)}%"></div>
+              </div>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  // ==================== NAVIGATION ====================
+
+  togglePin(hash) {
+    this.pinned = this.pinned.includes(hash)
+      ? this.pinned.filter(h => h !== hash)
+      : [...this.pinned, hash];
+    this.saveState();
+    this.render();
+  }
+
+  openSeal(hash) {
+    const seal = this.seals.find(s => s.hash === hash);
+    if (!seal) return;
+
+    this.previousView = this.viewMode;
+    this.selectedSeal = seal;
+    this.viewMode = 'detail';
+    this.render();
+  }
+
+  goBack() {
+    this.viewMode = this.viewMode === 'detail' ? this.previousView : 'pinned';
+    this.selectedSeal = null;
+    this.render();
+  }
+
+  goHome() {
+    this.viewMode = 'pinned';
+    this.selectedSeal = null;
+    this.render();
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    this.container.querySelector('.seals-browse-btn')?.addEventListener('click', () => {
+      this.viewMode = 'all';
+      this.render();
+    });
+
+    this.container.querySelectorAll('.seal-pin').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.togglePin(Number(btn.dataset.pin));
+      });
+    });
+
+    this.container.querySelectorAll('.seal-row').forEach(row => {
+      row.addEventListener('click', () => this.openSeal(Number(row.dataset.seal)));
+    });
+  }
+
+  /**
+   * Show loading state
+   */
+  showLoading() {
+    this.container.innerHTML = `
+      <div class="panel-loading">
+        <div class="loading-spinner"></div>
+        <span>Loading seals...</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Show error state
+   */
+  showError(message) {
+    this.container.innerHTML = `
+      <div class="panel-error">
+        <p>Error loading seals</p>
+        <small>${escapeHtml(message)}</small>
+      </div>
+    `;
+  }
+}
+
+export default SealsPanel;
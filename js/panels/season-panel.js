@@ -1,29 +1,21 @@
 /**
  * Season Panel - Current season info, artifact, and seasonal challenges
+ * Season and season pass info come from the manifest, progress from the profile
  */
 
 import { apiClient } from '../api/bungie-api-client.js';
 import { manifestLoader } from '../api/manifest-loader.js';
+import { escapeHtml } from '../utils/html.js';
 
-// Known season data - updated regularly
-const SEASON_DATA = {
-  // Season hashes mapped to episode names (from Bungie API)
-  seasons: {
-    4243480805: { name: 'Episode: Heresy', number: 28, episode: 'Heresy' },
-    2758726568: { name: 'Episode: Revenant', number: 27, episode: 'Revenant' },
-    2139932084: { name: 'Episode: Echoes', number: 26, episode: 'Echoes' },
-    3749926913: { name: 'The Final Shape', number: 25, episode: 'The Final Shape' }
-  },
-  // Fallback if season hash not found
-  current: {
-    name: 'Episode: Heresy',
-    number: 28,
-    episode: 'Heresy',
-    startDate: '2025-01-07',
-    endDate: '2025-04-08'
-  }
+// Record state flags (DestinyRecordState)
+const RECORD_STATE = {
+  REDEEMED: 1,
+  INVISIBLE: 16
 };
 
+// Number of challenges shown before the summary
+const MAX_CHALLENGES_SHOWN = 12;
+
 export class SeasonPanel {
   constructor(containerEl) {
     this.container = containerEl;
@@ -31,6 +23,12 @@ export class SeasonPanel {
     this.seasonHash = null;
     this.characterProgressions = null;
     this.characters = null;
+
+    // Manifest data
+    this.seasonDefinitions = {};
+    this.seasonPassDefinitions = {};
+    this.season = null;
+    this.challenges = [];
   }
 
   /**
@@ -47,6 +45,13 @@ export class SeasonPanel {
     try {
       this.showLoading();
 
+      const [seasons, seasonPasses] = await Promise.all([
+        manifestLoader.loadDefinition('DestinySeasonDefinition').catch(() => null),
+        manifestLoader.loadDefinition('DestinySeasonPassDefinition').catch(() => null)
+      ]);
+      this.seasonDefinitions = seasons || {};
+      this.seasonPassDefinitions = seasonPasses || {};
+
       // Try to get profile data if authenticated
       try {
         const profile = await apiClient.getProfile();
@@ -59,14 +64,23 @@ export class SeasonPanel {
           this.characters = profile.profileData.characters?.data;
         }
       } catch (authError) {
-        // Not authenticated - use static season data only
-        console.log('Season panel: Using static data (not authenticated)');
+        // Not authenticated - season info only
+        console.log('Season panel: Showing season info only (not authenticated)');
         this.profileData = null;
         this.seasonHash = null;
         this.characterProgressions = null;
         this.characters = null;
       }
 
+      this.season = this.resolveCurrentSeason();
+
+      // Item definitions for artifact perks, records for challenges
+      this.challenges = [];
+      if (this.profileData) {
+        await manifestLoader.loadAnalysisData();
+        this.challenges = await this.loadSeasonalChallenges();
+      }
+
       this.render();
     } catch (error) {
       console.error('Season load error:', error);
@@ -78,6 +92,11 @@ export class SeasonPanel {
    * Render season panel
    */
   render() {
+    if (!this.season) {
+      this.container.innerHTML = '<div class="no-data">Season data unavailable</div>';
+      return;
+    }
+
     let html = `
       <div class="season-panel">
         ${this.renderSeasonHeader()}
@@ -94,7 +113,6 @@ export class SeasonPanel {
    * Render season header
    */
   renderSeasonHeader() {
-    // Season info from manifest or calculated
     const seasonInfo = this.getSeasonInfo();
 
     // Get character light levels if available
@@ -116,24 +134,30 @@ export class SeasonPanel {
     return `
       <div class="season-header">
         <div class="season-logo">
-          <span class="season-icon">⚡</span>
+          ${seasonInfo.icon
+            ? `<img src="${seasonInfo.icon}" alt="" class="season-icon-img">`
+            : '<span class="season-icon">⚡</span>'}
         </div>
         <div class="season-info">
           <h3 class="season-name">${seasonInfo.name}</h3>
-          <div class="season-number">Season ${seasonInfo.number}</div>
-          <div class="season-dates">
-            <span>${seasonInfo.startDate} - ${seasonInfo.endDate}</span>
-          </div>
-          <div class="season-remaining">
-            ${seasonInfo.daysRemaining > 0 ? `${seasonInfo.daysRemaining} days remaining` : 'Season ended'}
-          </div>
+          ${seasonInfo.number ? `<div class="season-number">Season ${seasonInfo.number}</div>` : ''}
+          ${seasonInfo.startDate ? `
+            <div class="season-dates">
+              <span>${seasonInfo.startDate} - ${seasonInfo.endDate}</span>
+            </div>
+            <div class="season-remaining">
+              ${seasonInfo.daysRemaining > 0 ? `${seasonInfo.daysRemaining} days remaining` : 'Season ended'}
+            </div>
+          ` : ''}
         </div>
       </div>
       <div class="season-power-info">
-        <div class="power-cap-display">
-          <span class="power-label">Power Cap</span>
-          <span class="power-value">${seasonInfo.powerCap}</span>
-        </div>
+        ${seasonInfo.powerCap ? `
+          <div class="power-cap-display">
+            <span class="power-label">Power Cap</span>
+            <span class="power-value">${seasonInfo.powerCap}</span>
+          </div>
+        ` : ''}
         ${charactersHtml}
       </div>
     `;
@@ -145,9 +169,18 @@ export class SeasonPanel {
   renderSeasonProgress() {
     const progress = this.getSeasonPassProgress();
 
+    if (!progress) {
+      return `
+        <div class="season-progress">
+          <h4>Season Pass</h4>
+          <div class="no-data">Sign in to see your season pass rank</div>
+        </div>
+      `;
+    }
+
     return `
       <div class="season-progress">
-        <h4>Season Pass</h4>
+        <h4>${progress.name}</h4>
         <div class="pass-progress">
           <div class="progress-bar-container">
             <div class="progress-bar" style="width: ${progress.percentage}%"></div>
@@ -174,26 +207,47 @@ export class SeasonPanel {
   renderArtifact() {
     const artifact = this.getArtifactInfo();
 
+    if (!artifact) {
+      return `
+        <div class="artifact-section">
+          <h4>Seasonal Artifact</h4>
+          <div class="no-data">Sign in to see your artifact progress</div>
+        </div>
+      `;
+    }
+
     return `
       <div class="artifact-section">
         <h4>Seasonal Artifact</h4>
         <div class="artifact-card">
           <div class="artifact-header">
-            <span class="artifact-icon">⚡</span>
+            ${artifact.icon
+              ? `<img src="${artifact.icon}" alt="" class="artifact-icon-img">`
+              : '<span class="artifact-icon">⚡</span>'}
             <div class="artifact-info">
               <span class="artifact-name">${artifact.name}</span>
-              <span class="artifact-power">+${artifact.bonusPower} Power</span>
+              <span class="artifact-power">+${artifact.bonusPower} Power · Level ${artifact.level}</span>
             </div>
           </div>
           <div class="artifact-progress">
             <div class="progress-bar-container">
               <div class="progress-bar" style="width: ${artifact.progressPercent}%"></div>
             </div>
-            <span class="artifact-xp">${this.formatNumber(artifact.xp)} XP</span>
+            <span class="artifact-xp">${this.formatNumber(artifact.xp)} / ${this.formatNumber(artifact.nextLevelAt)} XP</span>
           </div>
           <div class="artifact-mods">
-            <span>Unlocked Mods: ${artifact.unlockedMods}/${artifact.totalMods}</span>
+            <span>Unlocked Perks: ${artifact.unlockedMods}/${artifact.pointsAcquired} points (${artifact.totalMods} available)</span>
           </div>
+          ${artifact.perks.length > 0 ? `
+            <div class="artifact-perks">
+              ${artifact.perks.map(perk => `
+                <div class="artifact-perk" title="${escapeHtml(perk.description)}">
+                  ${perk.icon ? `<img src="${perk.icon}" alt="" class="artifact-perk-icon">` : ''}
+                  <span>${perk.name}</span>
+                </div>
+              `).join('')}
+            </div>
+          ` : ''}
         </div>
       </div>
     `;
@@ -205,16 +259,32 @@ export class SeasonPanel {
   renderChallenges() {
     const challenges = this.getSeasonalChallenges();
 
+    if (challenges.length === 0) {
+      return `
+        <div class="challenges-section">
+          <h4>Seasonal Challenges</h4>
+          <div class="no-data">${this.profileData ? 'No seasonal challenges found' : 'Sign in to see your challenge progress'}</div>
+        </div>
+      `;
+    }
+
+    const shown = challenges.slice(0, MAX_CHALLENGES_SHOWN);
+
     return `
       <div class="challenges-section">
         <h4>Seasonal Challenges</h4>
         <div class="challenges-grid">
-          ${challenges.map(challenge => `
+          ${shown.map(challenge => `
             <div class="challenge-item ${challenge.completed ? 'completed' : ''}">
               <div class="challenge-check">${challenge.completed ? '✓' : ''}</div>
               <div class="challenge-info">
                 <span class="challenge-name">${challenge.name}</span>
                 <span class="challenge-desc">${challenge.description}</span>
+                ${!challenge.completed && challenge.goal > 0 ? `
+                  <div class="progress-bar-container challenge-bar">
+                    <div class="progress-bar" style="width: ${Math.min(100, (challenge.progress / challenge.goal) * 100)}%"></div>
+                  </div>
+                ` : ''}
               </div>
               <div class="challenge-progress">
                 <span>${challenge.progress}/${challenge.goal}</span>
@@ -229,93 +299,235 @@ export class SeasonPanel {
     `;
   }
 
+  // ==================== SEASON DATA ====================
+
   /**
-   * Get season info
+   * Find the current season definition
+   * Uses the profile's season hash, otherwise the season whose dates contain today
    */
-  getSeasonInfo() {
-    // Try to get season info from API hash
-    let seasonInfo = SEASON_DATA.current;
-
-    if (this.seasonHash && SEASON_DATA.seasons[this.seasonHash]) {
-      seasonInfo = SEASON_DATA.seasons[this.seasonHash];
+  resolveCurrentSeason() {
+    if (this.seasonHash && this.seasonDefinitions[this.seasonHash]) {
+      return this.seasonDefinitions[this.seasonHash];
     }
 
-    // Get power cap from API if available
-    const powerCap = this.profileData?.profile?.data?.currentSeasonRewardPowerCap || 2010;
+    const now = Date.now();
+    const seasons = Object.values(this.seasonDefinitions).filter(s => s?.startDate);
+
+    const current = seasons.find(s =>
+      new Date(s.startDate).getTime() <= now &&
+      (!s.endDate || new Date(s.endDate).getTime() > now)
+    );
+    if (current) return current;
+
+    // Fall back to the latest season that has started
+    return seasons
+      .filter(s => new Date(s.startDate).getTime() <= now)
+      .sort((a, b) => (b.seasonNumber || 0) - (a.seasonNumber || 0))[0] || null;
+  }
+
+  /**
+   * Get the active season pass definition (episodes can have several passes)
+   */
+  getSeasonPassDefinition() {
+    const season = this.season;
+    if (!season) return null;
+
+    const now = Date.now();
+    const activePass = (season.seasonPassList || []).find(pass =>
+      new Date(pass.seasonPassStartDate).getTime() <= now &&
+      (!pass.seasonPassEndDate || new Date(pass.seasonPassEndDate).getTime() > now)
+    );
+
+    const passHash = activePass?.seasonPassHash ||
+      season.seasonPassList?.[season.seasonPassList.length - 1]?.seasonPassHash ||
+      season.seasonPassHash;
+
+    return passHash ? this.seasonPassDefinitions[passHash] || null : null;
+  }
+
+  /**
+   * Most recently played character ID
+   */
+  getActiveCharacterId() {
+    if (!this.characters) return null;
+
+    return Object.entries(this.characters)
+      .sort(([, a], [, b]) => new Date(b.dateLastPlayed) - new Date(a.dateLastPlayed))[0]?.[0] || null;
+  }
+
+  /**
+   * Get season info
+   */
+  getSeasonInfo() {
+    const season = this.season;
+    const powerCap = this.profileData?.profile?.data?.currentSeasonRewardPowerCap || null;
 
-    // Calculate dates
     const now = new Date();
-    const seasonStart = new Date(seasonInfo.startDate || SEASON_DATA.current.startDate);
-    const seasonEnd = new Date(seasonInfo.endDate || SEASON_DATA.current.endDate);
-    const daysRemaining = Math.max(0, Math.ceil((seasonEnd - now) / (1000 * 60 * 60 * 24)));
+    const seasonStart = season.startDate ? new Date(season.startDate) : null;
+    const seasonEnd = season.endDate ? new Date(season.endDate) : null;
+    const daysRemaining = seasonEnd ? Math.max(0, Math.ceil((seasonEnd - now) / (1000 * 60 * 60 * 24))) : 0;
 
     return {
-      name: seasonInfo.name,
-      number: seasonInfo.number,
-      episode: seasonInfo.episode,
+      name: season.displayProperties?.name || 'Current Season',
+      number: season.seasonNumber,
+      icon: season.displayProperties?.icon ? `https://www.bungie.net${season.displayProperties.icon}` : null,
       powerCap,
-      startDate: seasonStart.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
-      endDate: seasonEnd.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }),
+      startDate: seasonStart?.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) || null,
+      endDate: seasonEnd?.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) || 'TBD',
       daysRemaining
     };
   }
 
   /**
-   * Get season pass progress
+   * Get season pass progress from the reward + prestige progressions
    */
   getSeasonPassProgress() {
-    // Try to get from character progressions
-    if (this.characterProgressions) {
-      const charId = Object.keys(this.characterProgressions)[0];
-      const progressions = this.characterProgressions[charId]?.progressions;
-
-      // Season pass progression hash would be here
-      // For now, return placeholder
+    const pass = this.getSeasonPassDefinition();
+    if (!pass || !this.characterProgressions) return null;
+
+    // Season pass rank is account-wide but reported per character - use the highest
+    let best = null;
+    for (const charProgress of Object.values(this.characterProgressions)) {
+      const progressions = charProgress?.progressions || {};
+      const reward = progressions[pass.rewardProgressionHash];
+      if (!reward) continue;
+
+      const prestige = progressions[pass.prestigeProgressionHash];
+      const rank = (reward.level || 0) + (prestige?.level || 0);
+
+      if (!best || rank > best.rank) {
+        // Past the reward track, XP counts toward prestige ranks
+        const current = reward.level >= reward.levelCap && prestige ? prestige : reward;
+        best = {
+          name: pass.displayProperties?.name || 'Season Pass',
+          rank,
+          xp: current.progressToNextLevel || 0,
+          nextRankXP: current.nextLevelAt || 0,
+          percentage: current.nextLevelAt
+            ? Math.round((current.progressToNextLevel / current.nextLevelAt) * 100)
+            : 100
+        };
+      }
     }
 
-    return {
-      rank: 47,
-      xp: 85000,
-      nextRankXP: 100000,
-      percentage: 85
-    };
+    return best;
   }
 
   /**
-   * Get artifact info
+   * Get artifact info from profileProgression.seasonalArtifact
+   * Unlocked perks come from the most recently played character
    */
   getArtifactInfo() {
-    if (this.characterProgressions) {
-      const charId = Object.keys(this.characterProgressions)[0];
-      const progressions = this.characterProgressions[charId];
-
-      // Try to get artifact data
-      // Artifact progression would be here
+    const artifact = this.profileData?.profileProgression?.data?.seasonalArtifact;
+    if (!artifact?.artifactHash) return null;
+
+    const definition = manifestLoader.getItemDefinition(artifact.artifactHash);
+    const points = artifact.pointProgression || {};
+    const charId = this.getActiveCharacterId();
+    const charArtifact = this.characterProgressions?.[charId]?.seasonalArtifact;
+
+    const totalMods = (artifact.tiers || []).reduce((sum, tier) => sum + (tier.items?.length || 0), 0);
+
+    const perks = [];
+    for (const tier of charArtifact?.tiers || artifact.tiers || []) {
+      for (const item of tier.items || []) {
+        if (!item.isActive) continue;
+        const perkDef = manifestLoader.getItemDefinition(item.itemHash);
+        perks.push({
+          name: perkDef?.displayProperties?.name || 'Unknown Perk',
+          description: perkDef?.displayProperties?.description || '',
+          icon: perkDef?.displayProperties?.icon ? `https://www.bungie.net${perkDef.displayProperties.icon}` : null
+        });
+      }
     }
 
     return {
-      name: 'Ergo Sum',
-      bonusPower: 12,
-      xp: 1250000,
-      progressPercent: 65,
-      unlockedMods: 9,
-      totalMods: 25
+      name: definition?.displayProperties?.name || 'Seasonal Artifact',
+      icon: definition?.displayProperties?.icon ? `https://www.bungie.net${definition.displayProperties.icon}` : null,
+      bonusPower: artifact.powerBonus ?? artifact.powerBonusProgression?.level ?? 0,
+      level: points.level || 0,
+      xp: points.progressToNextLevel || 0,
+      nextLevelAt: points.nextLevelAt || 0,
+      progressPercent: points.nextLevelAt
+        ? Math.round((points.progressToNextLevel / points.nextLevelAt) * 100)
+        : 100,
+      pointsAcquired: artifact.pointsAcquired || 0,
+      unlockedMods: charArtifact?.pointsUsed ?? perks.length,
+      totalMods,
+      perks
     };
   }
 
   /**
-   * Get seasonal challenges
+   * Load seasonal challenge records under the season's presentation node
+   */
+  async loadSeasonalChallenges() {
+    const rootHash = this.season?.seasonalChallengesPresentationNodeHash;
+    if (!rootHash) return [];
+
+    const [nodes, records] = await Promise.all([
+      manifestLoader.loadDefinition('DestinyPresentationNodeDefinition').catch(() => null),
+      manifestLoader.loadDefinition('DestinyRecordDefinition').catch(() => null)
+    ]);
+    if (!nodes || !records) return [];
+
+    const recordHashes = this.collectRecordHashes(nodes, rootHash);
+    const profileRecords = this.profileData?.profileRecords?.data?.records || {};
+    const charId = this.getActiveCharacterId();
+    const characterRecords = this.profileData?.characterRecords?.data?.[charId]?.records || {};
+
+    const challenges = [];
+    for (const hash of recordHashes) {
+      const definition = records[hash];
+      const component = profileRecords[hash] || characterRecords[hash];
+      if (!definition || !component || (component.state & RECORD_STATE.INVISIBLE)) continue;
+
+      const objectives = component.objectives || component.intervalObjectives || [];
+      const progress = objectives.reduce((sum, o) => sum + Math.min(o.progress || 0, o.completionValue || 0), 0);
+      const goal = objectives.reduce((sum, o) => sum + (o.completionValue || 0), 0);
+      const completed = (component.state & RECORD_STATE.REDEEMED) !== 0 ||
+        (objectives.length > 0 && objectives.every(o => o.complete));
+
+      challenges.push({
+        hash,
+        name: definition.displayProperties?.name || 'Unknown Challenge',
+        description: definition.displayProperties?.description || '',
+        progress,
+        goal,
+        completed
+      });
+    }
+
+    return challenges;
+  }
+
+  /**
+   * Walk a presentation node tree and collect record hashes
+   */
+  collectRecordHashes(nodes, nodeHash, seen = new Set()) {
+    if (seen.has(nodeHash)) return [];
+    seen.add(nodeHash);
+
+    const node = nodes[nodeHash];
+    if (!node?.children) return [];
+
+    const hashes = (node.children.records || []).map(r => r.recordHash);
+    for (const child of node.children.presentationNodes || []) {
+      hashes.push(...this.collectRecordHashes(nodes, child.presentationNodeHash, seen));
+    }
+    return hashes;
+  }
+
+  /**
+   * Get seasonal challenges - closest to completion first, completed last
    */
   getSeasonalChallenges() {
-    // Placeholder challenges - would come from API
-    return [
-      { name: 'Crucible Challenger', description: 'Win Crucible matches', progress: 15, goal: 25, completed: false },
-      { name: 'Vanguard Veteran', description: 'Complete Strikes', progress: 50, goal: 50, completed: true },
-      { name: 'Gambit Grinder', description: 'Complete Gambit matches', progress: 8, goal: 20, completed: false },
-      { name: 'Raid Ready', description: 'Complete raid encounters', progress: 12, goal: 12, completed: true },
-      { name: 'Exotic Hunter', description: 'Collect exotic weapons', progress: 3, goal: 5, completed: false },
-      { name: 'Masterwork Maven', description: 'Masterwork weapons', progress: 4, goal: 10, completed: false }
-    ];
+    const ratio = (c) => (c.goal > 0 ? c.progress / c.goal : 0);
+
+    return [...this.challenges].sort((a, b) => {
+      if (a.completed !== b.completed) return a.completed ? 1 : -1;
+      return ratio(b) - ratio(a);
+    });
   }
 
   /**
@@ -0,0 +1,291 @@
+/**
+ * Settings Modal - Backup export and validated import of dashboard data,
+ * and management of imported roll wishlists
+ */
+
+import { storageManager } from '../core/storage-manager.js';
+import { wishlistManager } from '../utils/wishlist-manager.js';
+import { escapeHtml } from '../utils/html.js';
+
+export class SettingsModal {
+  constructor() {
+    this.modal = null;
+    this.pendingImport = null;
+    this.wishlistStatus = null; // { message, type } after a wishlist import
+    this.wishlistBusy = false;
+  }
+
+  /**
+   * Create the modal element and hook up the header button
+   */
+  init(toggleEl) {
+    const existing = document.getElementById('settingsModal');
+    if (existing) existing.remove();
+
+    this.modal = document.createElement('div');
+    this.modal.id = 'settingsModal';
+    this.modal.className = 'tab-editor-modal settings-modal';
+    document.body.appendChild(this.modal);
+
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal) this.close();
+    });
+
+    if (toggleEl) {
+      toggleEl.addEventListener('click', () => this.open());
+    }
+  }
+
+  /**
+   * Open settings
+   */
+  open() {
+    this.pendingImport = null;
+    this.wishlistStatus = null;
+    this.render();
+    this.modal.classList.add('active');
+  }
+
+  /**
+   * Close settings
+   */
+  close() {
+    this.pendingImport = null;
+    this.modal.classList.remove('active');
+  }
+
+  /**
+   * Render modal content
+   */
+  render() {
+    const usage = storageManager.getStorageUsage();
+
+    this.modal.innerHTML = `
+      <div class="tab-editor-content settings-content">
+        <div class="tab-editor-header">
+          <h3>Settings</h3>
+          <button class="tab-editor-close">&times;</button>
+        </div>
+        <div class="tab-editor-body">
+          <div class="form-group">
+            <label>Backup</label>
+            <p class="settings-note">Layouts, panel states, settings and saved builds. Using ${usage.totalKB} KB.</p>
+            <div class="settings-actions">
+              <button class="tab-editor-cancel settings-export-btn">Export Backup</button>
+              <label class="tab-editor-cancel settings-import-label">
+                Import Backup
+                <input type="file" accept="application/json,.json" class="settings-import-input" hidden>
+              </label>
+            </div>
+          </div>
+          ${this.pendingImport ? this.renderImportPreview() : ''}
+          ${this.renderWishlists()}
+        </div>
+        <div class="tab-editor-footer settings-footer">
+          <div class="tab-editor-actions">
+            <button class="tab-editor-cancel settings-close-btn">Close</button>
+            ${this.pendingImport ? `
+              <button class="tab-editor-save settings-confirm-btn" ${this.pendingImport.errors.length > 0 ? 'disabled' : ''}>Import</button>
+            ` : ''}
+          </div>
+        </div>
+      </div>
+    `;
+
+    this.attachEventListeners();
+  }
+
+  /**
+   * Render what an import would change, or why it can't run
+   */
+  renderImportPreview() {
+    const { fileName, errors, warnings, changes, sourceVersion, exportedAt } = this.pendingImport;
+
+    return `
+      <div class="form-group settings-preview">
+        <label>Import Preview</label>
+        <p class="settings-note">
+          ${escapeHtml(fileName)}
+          ${exportedAt ? ` &middot; exported ${new Date(exportedAt).toLocaleString()}` : ''}
+          ${sourceVersion ? ` &middot; backup v${sourceVersion}` : ''}
+        </p>
+        ${errors.length > 0 ? `
+          <ul class="settings-errors">
+            ${errors.map(e => `<li>${escapeHtml(e)}</li>`).join('')}
+          </ul>
+        ` : `
+          <ul class="settings-changes">
+            ${changes.map(c => `
+              <li>
+                <span class="change-action ${c.action}">${c.action}</span>
+                <span class="change-label">${escapeHtml(c.label)}</span>
+                ${c.detail ? `<span class="change-detail">${escapeHtml(c.detail)}</span>` : ''}
+              </li>
+            `).join('') || '<li class="settings-note">Nothing would change</li>'}
+          </ul>
+        `}
+        ${warnings.length > 0 ? `
+          <ul class="settings-warnings">
+            ${warnings.map(w => `<li>${escapeHtml(w)}</li>`).join('')}
+          </ul>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Render imported wishlists and their import controls
+   */
+  renderWishlists() {
+    const lists = wishlistManager.getLists();
+
+    return `
+      <div class="form-group">
+        <label>Roll Wishlists</label>
+        <p class="settings-note">DIM wishlist files (dimwishlist:item=...&amp;perks=...). Stored in this browser only.</p>
+        ${lists.length > 0 ? `
+          <ul class="settings-wishlists">
+            ${lists.map(list => `
+              <li>
+                <span class="change-label" title="${escapeHtml(list.description)}">${escapeHtml(list.name)}</span>
+                <span class="change-detail">${list.rollCount.toLocaleString()} rolls${list.trashCount ? `, ${list.trashCount.toLocaleString()} trash` : ''}</span>
+                <button class="wishlist-remove-btn" data-wishlist-id="${escapeHtml(list.id)}" title="Remove">&times;</button>
+              </li>
+            `).join('')}
+          </ul>
+        ` : ''}
+        <div class="settings-actions">
+          <input type="url" class="tab-editor-input wishlist-url-input" placeholder="https://raw.githubusercontent.com/...">
+          <button class="tab-editor-cancel wishlist-url-btn" ${this.wishlistBusy ? 'disabled' : ''}>Add</button>
+        </div>
+        <div class="settings-actions wishlist-file-actions">
+          <label class="tab-editor-cancel settings-import-label">
+            Import File
+            <input type="file" accept="text/plain,.txt" class="wishlist-import-input" hidden>
+          </label>
+        </div>
+        ${this.wishlistStatus ? `
+          <p class="settings-note wishlist-status ${this.wishlistStatus.type}">${escapeHtml(this.wishlistStatus.message)}</p>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    this.modal.querySelector('.tab-editor-close').addEventListener('click', () => this.close());
+    this.modal.querySelector('.settings-close-btn').addEventListener('click', () => this.close());
+    this.modal.querySelector('.settings-export-btn').addEventListener('click', () => this.exportBackup());
+
+    const input = this.modal.querySelector('.settings-import-input');
+    input.addEventListener('change', () => {
+      const file = input.files?.[0];
+      if (file) this.previewBackup(file);
+    });
+
+    const confirmBtn = this.modal.querySelector('.settings-confirm-btn');
+    if (confirmBtn) {
+      confirmBtn.addEventListener('click', () => this.confirmImport());
+    }
+
+    // Wishlists
+    const wishlistInput = this.modal.querySelector('.wishlist-import-input');
+    wishlistInput.addEventListener('change', () => {
+      const file = wishlistInput.files?.[0];
+      if (file) this.importWishlist(async () => wishlistManager.importText(await file.text(), file.name));
+    });
+
+    const urlInput = this.modal.querySelector('.wishlist-url-input');
+    this.modal.querySelector('.wishlist-url-btn').addEventListener('click', () => {
+      const url = urlInput.value.trim();
+      if (url) this.importWishlist(() => wishlistManager.importUrl(url));
+    });
+
+    this.modal.querySelectorAll('.wishlist-remove-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        try {
+          await wishlistManager.removeList(btn.dataset.wishlistId);
+          this.wishlistStatus = null;
+        } catch (error) {
+          console.error('Wishlist remove error:', error);
+          this.wishlistStatus = { message: error.message, type: 'error' };
+        }
+        this.render();
+      });
+    });
+  }
+
+  /**
+   * Run a wishlist import and report the result
+   */
+  async importWishlist(importFn) {
+    this.wishlistBusy = true;
+    this.wishlistStatus = { message: 'Importing wishlist...', type: 'info' };
+    this.render();
+
+    try {
+      const list = await importFn();
+      this.wishlistStatus = {
+        message: `Imported "${list.name}" - ${list.rollCount.toLocaleString()} rolls`,
+        type: 'success'
+      };
+    } catch (error) {
+      console.error('Wishlist import error:', error);
+      this.wishlistStatus = { message: error.message, type: 'error' };
+    }
+
+    this.wishlistBusy = false;
+    this.render();
+  }
+
+  /**
+   * Download a backup file
+   */
+  exportBackup() {
+    const backup = storageManager.exportData();
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `sot-dashboard-backup-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Read and check a backup file without importing it
+   */
+  async previewBackup(file) {
+    let text = '';
+    try {
+      text = await file.text();
+      this.pendingImport = { fileName: file.name, text, ...storageManager.previewImport(text) };
+    } catch (error) {
+      this.pendingImport = { fileName: file.name, text, errors: [error.message], warnings: [], changes: [] };
+    }
+    this.render();
+  }
+
+  /**
+   * Apply the previewed backup and reload so every panel picks it up
+   */
+  confirmImport() {
+    if (!this.pendingImport || this.pendingImport.errors.length > 0) return;
+
+    try {
+      storageManager.importData(this.pendingImport.text);
+      window.location.reload();
+    } catch (error) {
+      this.pendingImport = { ...this.pendingImport, errors: [error.message] };
+      this.render();
+    }
+  }
+}
+
+export default SettingsModal;
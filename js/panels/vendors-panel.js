@@ -4,6 +4,7 @@
 
 import { apiClient } from '../api/bungie-api-client.js';
 import { manifestLoader } from '../api/manifest-loader.js';
+import { inventoryProcessor } from '../utils/inventory-processor.js';
 
 // All vendor hashes with metadata - Only actual D2 vendors
 const VENDORS = {
@@ -42,6 +43,11 @@ export class VendorsPanel {
     this.viewMode = 'list'; // 'list' or 'detail'
     this.categoryFilter = 'all';
     this.navigationHistory = [];
+
+    // Public Xur data for logged-out visitors
+    this.xurData = null;
+    this.xurLocation = null;
+    this.xurCountdownTimer = null;
   }
 
   /**
@@ -58,8 +64,18 @@ export class VendorsPanel {
     try {
       this.showLoading();
 
-      // Get current character
-      const profile = await apiClient.getProfile();
+      // Get current character - logged-out visitors get the public Xur card
+      let profile;
+      try {
+        profile = await apiClient.getProfile();
+      } catch (authError) {
+        if (authError.status !== 401) throw authError;
+        this.characterId = null;
+        await this.loadXur();
+        this.render();
+        return;
+      }
+
       const charIds = Object.keys(profile.profileData?.characters?.data || {});
       this.characterId = charIds[0];
 
@@ -103,12 +119,41 @@ export class VendorsPanel {
     }
   }
 
+  /**
+   * Load public Xur data and the definitions needed to resolve it
+   */
+  async loadXur() {
+    const [xurData] = await Promise.all([
+      apiClient.getXur(),
+      manifestLoader.loadEssentialData(),
+      manifestLoader.loadAnalysisData()
+    ]);
+    this.xurData = xurData;
+    this.xurLocation = null;
+
+    if (xurData?.available && xurData.vendorLocationIndex !== null) {
+      const [vendors, destinations] = await Promise.all([
+        manifestLoader.loadDefinition('DestinyVendorDefinition').catch(() => null),
+        manifestLoader.loadDefinition('DestinyDestinationDefinition').catch(() => null)
+      ]);
+      const location = vendors?.[xurData.vendorHash]?.locations?.[xurData.vendorLocationIndex];
+      this.xurLocation = destinations?.[location?.destinationHash]?.displayProperties?.name || null;
+    }
+  }
+
   /**
    * Render vendors panel
    */
   render() {
+    this.stopXurCountdown();
+
     if (!this.characterId) {
-      this.showAuthRequired();
+      if (this.xurData) {
+        this.container.innerHTML = `<div class="vendors-panel">${this.renderXurCard()}</div>`;
+        this.startXurCountdown();
+      } else {
+        this.showAuthRequired();
+      }
       return;
     }
 
@@ -416,6 +461,187 @@ export class VendorsPanel {
     `;
   }
 
+  // ==================== PUBLIC XUR ====================
+
+  /**
+   * Render the logged-out Xur card (location, exotics with rolls, departure countdown)
+   */
+  renderXurCard() {
+    const xur = this.xurData;
+
+    if (!xur.available) {
+      return `
+        <div class="xur-card">
+          <div class="xur-header">
+            <span class="vendor-icon-large">🌑</span>
+            <div>
+              <h3>Xûr</h3>
+              <span class="vendor-location">Not here right now</span>
+            </div>
+          </div>
+          <div class="xur-note">Xûr arrives ${this.formatCountdown(this.getNextXurArrival())}</div>
+          <div class="xur-note">Sign in to view all vendors</div>
+        </div>
+      `;
+    }
+
+    const items = xur.sales
+      .map(sale => ({ sale, definition: manifestLoader.getItemDefinition(sale.itemHash) }))
+      .filter(({ definition }) => definition && (definition.itemType === 2 || definition.itemType === 3));
+
+    const exotics = items.filter(({ definition }) => definition.inventory?.tierType === 6);
+    const others = items.filter(({ definition }) => definition.inventory?.tierType !== 6);
+
+    return `
+      <div class="xur-card">
+        <div class="xur-header">
+          <span class="vendor-icon-large">🌑</span>
+          <div>
+            <h3>Xûr</h3>
+            <span class="vendor-location">${this.xurLocation || 'Location unknown'}</span>
+          </div>
+          ${xur.nextRefreshDate ? `
+            <div class="xur-departure">
+              <span class="label">Leaves</span>
+              <span class="xur-countdown" data-until="${xur.nextRefreshDate}">${this.formatCountdown(new Date(xur.nextRefreshDate))}</span>
+            </div>
+          ` : ''}
+        </div>
+        ${!xur.hasRolls ? `
+          <div class="xur-note">Stat rolls show up after someone signs in and loads Xûr this week</div>
+        ` : ''}
+        ${exotics.length > 0 ? `
+          <div class="inventory-section">
+            <div class="section-header">
+              <h4>Exotics</h4>
+              <span class="item-count">${exotics.length}</span>
+            </div>
+            <div class="xur-items">
+              ${exotics.map(({ sale, definition }) => this.renderXurItem(sale, definition)).join('')}
+            </div>
+          </div>
+        ` : '<div class="no-items">No exotics found in Xûr\'s inventory</div>'}
+        ${others.length > 0 ? `
+          <div class="inventory-section">
+            <div class="section-header">
+              <h4>Other Gear</h4>
+              <span class="item-count">${others.length}</span>
+            </div>
+            <div class="xur-items">
+              ${others.map(({ sale, definition }) => this.renderXurItem(sale, definition)).join('')}
+            </div>
+          </div>
+        ` : ''}
+        <div class="xur-note">Sign in to view all vendors</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render a Xur item with armor stats or weapon perks
+   */
+  renderXurItem(sale, definition) {
+    const name = definition.displayProperties?.name || 'Unknown Item';
+    const icon = definition.displayProperties?.icon
+      ? `https://www.bungie.net${definition.displayProperties.icon}`
+      : null;
+    const tierClass = this.getTierClass(definition.inventory?.tierType || 0);
+
+    let details = '';
+    if (definition.itemType === 2) {
+      const stats = sale.stats ? inventoryProcessor.processArmorStats(sale.stats) : null;
+      details = stats
+        ? `
+          <div class="xur-stats">
+            ${Object.entries(stats).filter(([key]) => key !== 'total').map(([key, value]) => `
+              <span class="xur-stat"><span class="stat-name">${key.slice(0, 3).toUpperCase()}</span> ${value}</span>
+            `).join('')}
+            <span class="xur-stat total"><span class="stat-name">TOT</span> ${stats.total || 0}</span>
+          </div>
+        `
+        : '<div class="xur-stats unknown">Stat roll unavailable</div>';
+    } else {
+      // Exotic weapons mostly have fixed perks, so definition defaults stand in without socket data
+      const socketsData = sale.sockets ||
+        (definition.sockets?.socketEntries || []).map(entry => ({ plugHash: entry.singleInitialItemHash }));
+      const sockets = inventoryProcessor.processSockets(socketsData, definition);
+      const perks = [sockets.intrinsic, ...sockets.perks].filter(Boolean);
+
+      details = perks.length > 0
+        ? `
+          <div class="xur-perks">
+            ${perks.map(perk => `
+              <span class="xur-perk" title="${perk.description.replace(/"/g, '&quot;')}">
+                ${perk.icon ? `<img src="${perk.icon}" alt="" class="perk-icon">` : ''}${perk.name}
+              </span>
+            `).join('')}
+          </div>
+        `
+        : '';
+    }
+
+    return `
+      <div class="vendor-item xur-item ${tierClass}" data-item-hash="${sale.itemHash}">
+        ${icon ? `<img src="${icon}" alt="${name}" class="item-icon">` : '<div class="item-placeholder"></div>'}
+        <div class="item-details">
+          <div class="item-name">${name}</div>
+          <div class="item-desc">${definition.itemTypeDisplayName || ''}</div>
+          ${details}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Next Xur arrival - Fridays at 17:00 UTC (daily reset)
+   */
+  getNextXurArrival() {
+    const now = new Date();
+    const arrival = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), 17));
+    const daysUntilFriday = (5 - now.getUTCDay() + 7) % 7;
+    arrival.setUTCDate(arrival.getUTCDate() + daysUntilFriday);
+    if (arrival <= now) arrival.setUTCDate(arrival.getUTCDate() + 7);
+    return arrival;
+  }
+
+  /**
+   * Format time remaining until a date ("in 2d 4h 10m")
+   */
+  formatCountdown(date) {
+    const ms = date - new Date();
+    if (ms <= 0) return 'now';
+
+    const minutes = Math.floor(ms / (1000 * 60));
+    const days = Math.floor(minutes / (60 * 24));
+    const hours = Math.floor(minutes / 60) % 24;
+
+    if (days > 0) return `in ${days}d ${hours}h ${minutes % 60}m`;
+    if (hours > 0) return `in ${hours}h ${minutes % 60}m`;
+    return `in ${minutes}m`;
+  }
+
+  /**
+   * Update the departure countdown every minute
+   */
+  startXurCountdown() {
+    const el = this.container.querySelector('.xur-countdown');
+    if (!el) return;
+
+    this.xurCountdownTimer = setInterval(() => {
+      el.textContent = this.formatCountdown(new Date(el.dataset.until));
+    }, 60 * 1000);
+  }
+
+  /**
+   * Stop the departure countdown
+   */
+  stopXurCountdown() {
+    if (this.xurCountdownTimer) {
+      clearInterval(this.xurCountdownTimer);
+      this.xurCountdownTimer = null;
+    }
+  }
+
   /**
    * Truncate text
    */
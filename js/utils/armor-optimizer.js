@@ -0,0 +1,323 @@
+/**
+ * Armor Optimizer - Exhaustive stat tier search across armor combinations
+ * Has no DOM, API or manifest dependencies so it can run inside a Web Worker
+ */
+
+// Armor slots in equip order
+const ARMOR_SLOTS = ['helmet', 'gauntlets', 'chest', 'legs', 'class'];
+
+const MAX_TIER = 10;
+const MAX_STAT = 100;
+const MASTERWORK_BONUS = 2;
+const STAT_MOD_VALUE = 10;
+
+// Score multiplier so total tiers always outranks the raw stat tie-breaker
+const TIER_WEIGHT = 10000;
+
+export class ArmorOptimizer {
+  /**
+   * Find the best armor sets by total stat tiers
+   *
+   * armorBySlot: { helmet: [], gauntlets: [], chest: [], legs: [], class: [] }
+   * options:
+   *   exotic             - exotic piece to lock in (its slot ignores other candidates)
+   *   minTiers/maxTiers  - { statName: tier } constraints; tiers above max are not counted
+   *   statMods           - number of +10 stat mods available (one per piece)
+   *   assumeMasterworked - treat every piece as masterworked
+   *   statPriority       - stat names used to place spare mods
+   *   statKeys           - stat names to optimize (defaults to the stats on the pieces)
+   *   statNames          - { statName: display name } for mod names
+   *   topN               - number of sets to return
+   */
+  optimize(armorBySlot, options = {}) {
+    const {
+      exotic = null,
+      minTiers = {},
+      maxTiers = {},
+      statMods = ARMOR_SLOTS.length,
+      assumeMasterworked = false,
+      statPriority = [],
+      statKeys = this.getStatKeys(armorBySlot, exotic),
+      statNames = {},
+      topN = 10
+    } = options;
+
+    const statCount = statKeys.length;
+    const caps = new Int8Array(statCount);
+    const mins = new Int8Array(statCount);
+    for (let k = 0; k < statCount; k++) {
+      caps[k] = this.clampTier(maxTiers[statKeys[k]] ?? MAX_TIER);
+      mins[k] = Math.min(this.clampTier(minTiers[statKeys[k]] ?? 0), caps[k]);
+    }
+
+    const exoticSlot = exotic ? (exotic.slot || exotic.armorSlot) : null;
+
+    // Build deduplicated, dominance-pruned candidate lists per slot
+    const slots = [];
+    for (const slot of ARMOR_SLOTS) {
+      const pieces = slot === exoticSlot
+        ? [exotic]
+        : (armorBySlot[slot] || []).filter(armor => armor && !armor.isExotic);
+
+      const candidates = this.buildCandidates(pieces, statKeys, assumeMasterworked);
+      if (candidates.length === 0) return [];
+      slots.push({ slot, candidates });
+    }
+
+    // Search smallest slots first so the bound prunes the wide inner loops
+    slots.sort((a, b) => a.candidates.length - b.candidates.length);
+
+    const depthCount = slots.length;
+    const values = slots.map(({ candidates }) => {
+      const flat = new Int16Array(candidates.length * statCount);
+      candidates.forEach((candidate, i) => flat.set(candidate.values, i * statCount));
+      return flat;
+    });
+
+    // suffixMax[d][k] = best possible contribution to stat k from slots d..end
+    const suffixMax = [];
+    for (let d = depthCount; d >= 0; d--) {
+      const row = new Int16Array(statCount);
+      if (d < depthCount) {
+        const next = suffixMax[0];
+        const flat = values[d];
+        for (let k = 0; k < statCount; k++) {
+          let best = 0;
+          for (let i = k; i < flat.length; i += statCount) {
+            if (flat[i] > best) best = flat[i];
+          }
+          row[k] = best + next[k];
+        }
+      }
+      suffixMax.unshift(row);
+    }
+
+    const partial = new Int32Array((depthCount + 1) * statCount);
+    const picks = new Int32Array(depthCount);
+    const bound = new Int32Array(statCount);
+    const results = [];
+    const limit = Math.max(1, topN);
+
+    // Returns tier score for stat totals, or -1 if min tiers cannot be reached with mods
+    const scoreTotals = (totals, offset) => {
+      let needed = 0;
+      let tiers = 0;
+      let headroom = 0;
+      for (let k = 0; k < statCount; k++) {
+        const value = totals[offset + k];
+        let tier = value >= MAX_STAT ? MAX_TIER : (value / 10) | 0;
+        if (tier < mins[k]) {
+          // Each +10 mod raises a stat below 100 by exactly one tier
+          needed += mins[k] - tier;
+          tier = mins[k];
+        }
+        const capped = tier < caps[k] ? tier : caps[k];
+        tiers += capped;
+        headroom += caps[k] - capped;
+      }
+      if (needed > statMods) return -1;
+      const spare = statMods - needed;
+      return tiers + (spare < headroom ? spare : headroom);
+    };
+
+    const worstTiers = () => (results.length < limit ? -1 : results[results.length - 1].tiers);
+
+    const insertResult = (tiers, rawTotal) => {
+      const score = tiers * TIER_WEIGHT + rawTotal;
+      if (results.length >= limit && score <= results[results.length - 1].score) return;
+
+      let index = results.length;
+      while (index > 0 && results[index - 1].score < score) index--;
+      results.splice(index, 0, { score, tiers, picks: Array.from(picks) });
+      if (results.length > limit) results.pop();
+    };
+
+    const search = (depth) => {
+      const base = depth * statCount;
+
+      if (depth === depthCount) {
+        const tiers = scoreTotals(partial, base);
+        if (tiers < 0 || tiers < worstTiers()) return;
+
+        let rawTotal = 0;
+        for (let k = 0; k < statCount; k++) rawTotal += partial[base + k];
+        insertResult(tiers, rawTotal);
+        return;
+      }
+
+      // Upper bound: current totals plus the best remaining value for every stat
+      for (let k = 0; k < statCount; k++) {
+        bound[k] = partial[base + k] + suffixMax[depth][k];
+      }
+      const best = scoreTotals(bound, 0);
+      if (best < 0 || best < worstTiers()) return;
+
+      const flat = values[depth];
+      const count = flat.length / statCount;
+      const nextBase = base + statCount;
+
+      for (let i = 0; i < count; i++) {
+        const offset = i * statCount;
+        for (let k = 0; k < statCount; k++) {
+          partial[nextBase + k] = partial[base + k] + flat[offset + k];
+        }
+        picks[depth] = i;
+        search(depth + 1);
+      }
+    };
+
+    search(0);
+
+    return results.map(result => this.buildResult(result, slots, {
+      statKeys, mins, caps, statMods, statPriority, statNames
+    }));
+  }
+
+  /**
+   * Stat names found on the armor pieces, in the order they appear
+   * (this module can't read the manifest, so callers normally pass statKeys)
+   */
+  getStatKeys(armorBySlot, exotic) {
+    const keys = new Set();
+    const pieces = [exotic, ...ARMOR_SLOTS.flatMap(slot => armorBySlot[slot] || [])];
+
+    for (const armor of pieces) {
+      for (const key of Object.keys(armor?.stats || {})) {
+        if (key !== 'total') keys.add(key);
+      }
+    }
+    return Array.from(keys);
+  }
+
+  /**
+   * Convert armor pieces into stat vectors, merging identical rolls and
+   * dropping pieces that another piece beats or matches in every stat
+   */
+  buildCandidates(pieces, statKeys, assumeMasterworked) {
+    const byRoll = new Map();
+
+    for (const armor of pieces) {
+      if (!armor?.stats) continue;
+
+      const masterworked = assumeMasterworked || armor.energy?.energyCapacity >= 10;
+      const bonus = masterworked ? MASTERWORK_BONUS : 0;
+      const values = statKeys.map(stat => (armor.stats[stat] || 0) + bonus);
+      const key = values.join(',');
+
+      const existing = byRoll.get(key);
+      if (existing) {
+        existing.alternatives.push(armor);
+      } else {
+        byRoll.set(key, {
+          item: armor,
+          values,
+          total: values.reduce((sum, v) => sum + v, 0),
+          alternatives: []
+        });
+      }
+    }
+
+    const sorted = Array.from(byRoll.values()).sort((a, b) => b.total - a.total);
+    const kept = [];
+
+    for (const candidate of sorted) {
+      const dominated = kept.some(other =>
+        other.values.every((value, k) => value >= candidate.values[k])
+      );
+      if (!dominated) kept.push(candidate);
+    }
+
+    return kept;
+  }
+
+  /**
+   * Expand a search hit into items, final stats, tiers and mod placement
+   */
+  buildResult(result, slots, { statKeys, mins, caps, statMods, statPriority, statNames }) {
+    const armor = {};
+    const alternatives = {};
+    const stats = {};
+    statKeys.forEach(stat => { stats[stat] = 0; });
+
+    slots.forEach(({ slot, candidates }, depth) => {
+      const candidate = candidates[result.picks[depth]];
+      armor[slot] = candidate.item;
+      alternatives[slot] = candidate.alternatives;
+      statKeys.forEach((stat, k) => { stats[stat] += candidate.values[k]; });
+    });
+
+    // Spend mods on min tier shortfalls first, then on priority stats with headroom
+    const modStats = [];
+    statKeys.forEach((stat, k) => {
+      while (this.getTier(stats[stat] + this.countMods(modStats, stat) * STAT_MOD_VALUE) < mins[k]) {
+        modStats.push(stat);
+      }
+    });
+
+    const spareOrder = [
+      ...statPriority.filter(stat => statKeys.includes(stat)),
+      ...statKeys.filter(stat => !statPriority.includes(stat))
+    ];
+    for (const stat of spareOrder) {
+      const k = statKeys.indexOf(stat);
+      while (modStats.length < statMods &&
+        this.getTier(stats[stat] + this.countMods(modStats, stat) * STAT_MOD_VALUE) < caps[k]) {
+        modStats.push(stat);
+      }
+    }
+
+    const modsPerPiece = {};
+    ARMOR_SLOTS.forEach(slot => { modsPerPiece[slot] = []; });
+    modStats.forEach((stat, i) => {
+      const slot = ARMOR_SLOTS[i % ARMOR_SLOTS.length];
+      modsPerPiece[slot].push({
+        name: `${statNames[stat] || `${stat.charAt(0).toUpperCase()}${stat.slice(1)}`} Mod`,
+        type: 'stat',
+        stat,
+        value: STAT_MOD_VALUE
+      });
+      stats[stat] += STAT_MOD_VALUE;
+    });
+
+    const tiers = {};
+    statKeys.forEach((stat, k) => {
+      tiers[stat] = Math.min(this.getTier(stats[stat]), caps[k]);
+    });
+
+    return {
+      armor,
+      alternatives,
+      stats,
+      tiers,
+      totalTiers: result.tiers,
+      modsPerPiece
+    };
+  }
+
+  /**
+   * Get tier (0-10) for a stat value
+   */
+  getTier(value) {
+    return Math.min(MAX_TIER, Math.floor(Math.max(0, value) / 10));
+  }
+
+  /**
+   * Clamp a user supplied tier to 0-10
+   */
+  clampTier(tier) {
+    const value = Number(tier);
+    if (!Number.isFinite(value)) return MAX_TIER;
+    return Math.max(0, Math.min(MAX_TIER, Math.floor(value)));
+  }
+
+  /**
+   * Count mods assigned to a stat
+   */
+  countMods(modStats, stat) {
+    return modStats.filter(s => s === stat).length;
+  }
+}
+
+// Export singleton instance
+export const armorOptimizer = new ArmorOptimizer();
+export default ArmorOptimizer;
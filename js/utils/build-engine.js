@@ -6,26 +6,10 @@
 
 import { manifestLoader, BUCKET_HASHES, DAMAGE_TYPES } from '../api/manifest-loader.js';
 import { apiClient } from '../api/bungie-api-client.js';
+import { armorOptimizer } from './armor-optimizer.js';
+import { inventoryProcessor } from './inventory-processor.js';
 
-// Stat hash constants
-const STAT_HASHES = {
-  MOBILITY: 2996146975,
-  RESILIENCE: 392767087,
-  RECOVERY: 1943323491,
-  DISCIPLINE: 1735777505,
-  INTELLECT: 144602215,
-  STRENGTH: 4244567218
-};
-
-// Stat names for display
-const STAT_NAMES = {
-  [STAT_HASHES.MOBILITY]: 'mobility',
-  [STAT_HASHES.RESILIENCE]: 'resilience',
-  [STAT_HASHES.RECOVERY]: 'recovery',
-  [STAT_HASHES.DISCIPLINE]: 'discipline',
-  [STAT_HASHES.INTELLECT]: 'intellect',
-  [STAT_HASHES.STRENGTH]: 'strength'
-};
+// Armor stat names and hashes come from the manifest via inventoryProcessor.getArmorStatSchema()
 
 // Damage type to element name mapping
 const DAMAGE_TYPE_ELEMENTS = {
@@ -56,16 +40,30 @@ const ACTIVITY_KEYWORDS = {
   gambit: ['gambit', 'invade', 'motes', 'primeval', 'drifter']
 };
 
-// Stat priority templates for different activity types
+// Armor stat hashes for the priority templates. Bungie keeps a stat's hash when it
+// renames it, so these resolve to whatever the manifest currently calls each stat
+const ARMOR_STAT_HASHES = {
+  MOBILITY: 2996146975,
+  RESILIENCE: 392767087,
+  RECOVERY: 1943323491,
+  DISCIPLINE: 1735777505,
+  INTELLECT: 144602215,
+  STRENGTH: 4244567218
+};
+
+// Stat priority templates for different activity types (see getStatPriority)
 const STAT_PRIORITIES = {
-  raid: ['resilience', 'recovery', 'discipline'],
-  dungeon: ['resilience', 'recovery', 'discipline'],
-  gm: ['resilience', 'recovery', 'discipline'],
-  pvp: ['recovery', 'resilience', 'mobility'],
-  gambit: ['resilience', 'recovery', 'intellect'],
-  general: ['resilience', 'discipline', 'recovery']
+  raid: [ARMOR_STAT_HASHES.RESILIENCE, ARMOR_STAT_HASHES.RECOVERY, ARMOR_STAT_HASHES.DISCIPLINE],
+  dungeon: [ARMOR_STAT_HASHES.RESILIENCE, ARMOR_STAT_HASHES.RECOVERY, ARMOR_STAT_HASHES.DISCIPLINE],
+  gm: [ARMOR_STAT_HASHES.RESILIENCE, ARMOR_STAT_HASHES.RECOVERY, ARMOR_STAT_HASHES.DISCIPLINE],
+  pvp: [ARMOR_STAT_HASHES.RECOVERY, ARMOR_STAT_HASHES.RESILIENCE, ARMOR_STAT_HASHES.MOBILITY],
+  gambit: [ARMOR_STAT_HASHES.RESILIENCE, ARMOR_STAT_HASHES.RECOVERY, ARMOR_STAT_HASHES.INTELLECT],
+  general: [ARMOR_STAT_HASHES.RESILIENCE, ARMOR_STAT_HASHES.DISCIPLINE, ARMOR_STAT_HASHES.RECOVERY]
 };
 
+// Stat value where overflow (secondary) bonuses start
+const STAT_OVERFLOW_THRESHOLD = 100;
+
 // Armor slots
 const ARMOR_SLOTS = ['helmet', 'gauntlets', 'chest', 'legs', 'class'];
 
@@ -80,6 +78,9 @@ export class BuildEngine {
     this.subclassCache = null;
     this.modsCache = null;
     this.initialized = false;
+    this.optimizerWorker = null;
+    this.optimizerRequests = new Map();
+    this.optimizerRequestId = 0;
   }
 
   /**
@@ -288,30 +289,24 @@ export class BuildEngine {
     const bonuses = {};
     const investmentStats = item.investmentStats || [];
 
+    const schema = inventoryProcessor.getArmorStatSchema();
+
     for (const stat of investmentStats) {
-      const statHash = stat.statTypeHash;
-      const statName = STAT_NAMES[statHash];
-      if (statName && stat.value !== 0) {
-        bonuses[statName] = stat.value;
+      const armorStat = schema.find(s => s.hash === stat.statTypeHash);
+      if (armorStat && stat.value !== 0) {
+        bonuses[armorStat.key] = stat.value;
       }
     }
 
     // Also try parsing from description if no investment stats
     if (Object.keys(bonuses).length === 0 && item.displayProperties?.description) {
       const desc = item.displayProperties.description;
-      const statPatterns = [
-        { stat: 'mobility', pattern: /([+-]\d+)\s*mobility/i },
-        { stat: 'resilience', pattern: /([+-]\d+)\s*resilience/i },
-        { stat: 'recovery', pattern: /([+-]\d+)\s*recovery/i },
-        { stat: 'discipline', pattern: /([+-]\d+)\s*discipline/i },
-        { stat: 'intellect', pattern: /([+-]\d+)\s*intellect/i },
-        { stat: 'strength', pattern: /([+-]\d+)\s*strength/i }
-      ];
-
-      for (const { stat, pattern } of statPatterns) {
-        const match = desc.match(pattern);
+
+      for (const { key, name } of schema) {
+        const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const match = desc.match(new RegExp(`([+-]\\d+)\\s*${escaped}`, 'i'));
         if (match) {
-          bonuses[stat] = parseInt(match[1]);
+          bonuses[key] = parseInt(match[1]);
         }
       }
     }
@@ -490,7 +485,7 @@ export class BuildEngine {
   /**
    * Generate a complete build based on input
    */
-  async generateBuild(input, activityId = null, targetClass = null) {
+  async generateBuild(input, activityId = null, targetClass = null, statConstraints = {}) {
     await this.initialize();
 
     if (!this.inventory) {
@@ -519,15 +514,28 @@ export class BuildEngine {
     // Select exotic armor
     const exoticArmor = this.selectExoticArmor(availableItems.armor, subclassConfig, activity);
 
-    // Select remaining armor with stat optimization
-    const armorSet = this.selectArmorSet(availableItems.armor, exoticArmor, activity.statPriority);
+    // Search every armor combination for the most stat tiers (off the main thread when possible)
+    const optimizerOptions = {
+      ...statConstraints,
+      exotic: exoticArmor,
+      statPriority: activity.statPriority,
+      topN: 1
+    };
+    const [optimizedSet] = await this.optimizeArmorAsync(availableItems.armor, optimizerOptions)
+      .catch(error => {
+        console.warn('BuildEngine: Worker optimization failed, running on main thread:', error);
+        return this.optimizeArmor(availableItems.armor, optimizerOptions);
+      });
+
+    // Fall back to per-slot selection if no set meets the constraints
+    const armorSet = optimizedSet?.armor || this.selectArmorSet(availableItems.armor, exoticArmor, activity.statPriority);
 
     // Calculate total stats
     const totalStats = this.calculateTotalStats(armorSet);
 
     // Get mod recommendations
     const mods = await this.getArmorMods();
-    const modsPerPiece = this.selectModsForArmor(armorSet, mods, activity, totalStats);
+    const modsPerPiece = optimizedSet?.modsPerPiece || this.selectModsForArmor(armorSet, mods, activity, totalStats);
 
     // Get artifact recommendations
     const artifactMods = this.getArtifactRecommendations(activity, element);
@@ -561,9 +569,15 @@ export class BuildEngine {
       // Total stats (including mods)
       stats: this.calculateFinalStats(armorSet, modsPerPiece),
 
+      // False when no combination met the stat tier limits (per-slot fallback was used)
+      constraintsMet: !!optimizedSet,
+
       // Secondary bonuses (stats over 100)
       secondaryBonuses: this.calculateSecondaryBonuses(this.calculateFinalStats(armorSet, modsPerPiece)),
 
+      // Armor set bonuses from the pieces worn together
+      setBonuses: this.calculateSetBonuses(armorSet),
+
       // Artifact recommendations
       artifactMods: artifactMods,
 
@@ -617,14 +631,17 @@ export class BuildEngine {
     return {
       element: element,
       super: elementSupers[0]?.name || 'Default Super',
+      superHash: elementSupers[0]?.hash || null,
       supers: elementSupers.map(s => s.name),
       aspects: selectedAspects.map(a => ({
+        hash: a.hash,
         name: a.name,
         description: a.description,
         icon: a.icon,
         fragmentSlots: a.fragmentSlots || 2
       })),
       fragments: selectedFragments.map(f => ({
+        hash: f.hash,
         name: f.name,
         description: f.description,
         icon: f.icon,
@@ -673,7 +690,7 @@ export class BuildEngine {
         type: 'raid',
         shields: ['arc', 'solar', 'void'],
         champions: { barrier: false, overload: false, unstoppable: false },
-        statPriority: STAT_PRIORITIES.raid,
+        statPriority: this.getStatPriority('raid'),
         notes: 'Prioritize survivability and coordinated DPS'
       },
       dungeon: {
@@ -681,7 +698,7 @@ export class BuildEngine {
         type: 'dungeon',
         shields: ['arc', 'solar', 'void'],
         champions: { barrier: true, overload: false, unstoppable: true },
-        statPriority: STAT_PRIORITIES.dungeon,
+        statPriority: this.getStatPriority('dungeon'),
         notes: 'Balance survivability with solo capability'
       },
       gm: {
@@ -689,7 +706,7 @@ export class BuildEngine {
         type: 'gm',
         shields: ['arc', 'solar', 'void'],
         champions: { barrier: true, overload: true, unstoppable: true },
-        statPriority: STAT_PRIORITIES.gm,
+        statPriority: this.getStatPriority('gm'),
         notes: 'Champion mods required. Max survivability.',
         requiresChampionMods: true
       },
@@ -698,7 +715,7 @@ export class BuildEngine {
         type: 'pvp',
         shields: [],
         champions: { barrier: false, overload: false, unstoppable: false },
-        statPriority: STAT_PRIORITIES.pvp,
+        statPriority: this.getStatPriority('pvp'),
         notes: 'Focus on neutral game and ability uptime'
       },
       gambit: {
@@ -706,7 +723,7 @@ export class BuildEngine {
         type: 'gambit',
         shields: ['arc', 'solar', 'void'],
         champions: { barrier: false, overload: false, unstoppable: false },
-        statPriority: STAT_PRIORITIES.gambit,
+        statPriority: this.getStatPriority('gambit'),
         notes: 'Balance add clear, boss DPS, and invasion'
       },
       general: {
@@ -714,7 +731,7 @@ export class BuildEngine {
         type: 'pve',
         shields: ['arc', 'solar', 'void'],
         champions: { barrier: false, overload: false, unstoppable: false },
-        statPriority: STAT_PRIORITIES.general,
+        statPriority: this.getStatPriority('general'),
         notes: 'Versatile build for general gameplay'
       }
     };
@@ -722,6 +739,18 @@ export class BuildEngine {
     return baseRequirements[activityType] || baseRequirements.general;
   }
 
+  /**
+   * Stat keys for an activity's priority template, in priority order
+   * (stats the current armor schema doesn't have are skipped)
+   */
+  getStatPriority(activityType) {
+    const schema = inventoryProcessor.getArmorStatSchema();
+
+    return (STAT_PRIORITIES[activityType] || STAT_PRIORITIES.general)
+      .map(hash => schema.find(stat => stat.hash === hash)?.key)
+      .filter(Boolean);
+  }
+
   /**
    * Select aspects for activity
    */
@@ -1059,6 +1088,93 @@ export class BuildEngine {
     return bestExotic;
   }
 
+  /**
+   * Run the exhaustive armor optimizer on the main thread
+   * Returns the top sets ranked by total stat tiers (see ArmorOptimizer.optimize for options)
+   */
+  optimizeArmor(armorCollection, options = {}) {
+    return armorOptimizer.optimize(armorCollection, this.withStatKeys(options));
+  }
+
+  /**
+   * Optimize the manifest's armor stats unless the caller picked its own
+   * (the worker can't read the manifest, so keys and names are passed in)
+   */
+  withStatKeys(options) {
+    const schema = inventoryProcessor.getArmorStatSchema();
+    if (schema.length === 0) return options;
+
+    const statNames = Object.fromEntries(schema.map(stat => [stat.key, stat.name]));
+    return { statKeys: schema.map(stat => stat.key), statNames, ...options };
+  }
+
+  /**
+   * Armor stat keys in manifest order
+   */
+  getArmorStatKeys() {
+    return inventoryProcessor.getArmorStatKeys();
+  }
+
+  /**
+   * Run the armor optimizer in a Web Worker, falling back to the main thread
+   * when workers are unavailable
+   */
+  optimizeArmorAsync(armorCollection, options = {}) {
+    const worker = this.getOptimizerWorker();
+    if (!worker) {
+      return Promise.resolve(this.optimizeArmor(armorCollection, options));
+    }
+
+    const requestId = ++this.optimizerRequestId;
+    return new Promise((resolve, reject) => {
+      this.optimizerRequests.set(requestId, { resolve, reject });
+      worker.postMessage({ requestId, armorBySlot: armorCollection, options: this.withStatKeys(options) });
+    });
+  }
+
+  /**
+   * Lazily create the optimizer worker
+   */
+  getOptimizerWorker() {
+    if (this.optimizerWorker) return this.optimizerWorker;
+    if (typeof Worker === 'undefined') return null;
+
+    try {
+      this.optimizerWorker = new Worker(
+        new URL('../workers/armor-optimizer-worker.js', import.meta.url),
+        { type: 'module' }
+      );
+    } catch (error) {
+      console.warn('BuildEngine: Armor optimizer worker unavailable:', error);
+      return null;
+    }
+
+    this.optimizerWorker.addEventListener('message', (event) => {
+      const { requestId, sets, error } = event.data || {};
+      const pending = this.optimizerRequests.get(requestId);
+      if (!pending) return;
+
+      this.optimizerRequests.delete(requestId);
+      if (error) {
+        pending.reject(new Error(error));
+      } else {
+        pending.resolve(sets);
+      }
+    });
+
+    this.optimizerWorker.addEventListener('error', (event) => {
+      console.error('BuildEngine: Armor optimizer worker error:', event.message);
+      for (const pending of this.optimizerRequests.values()) {
+        pending.reject(new Error(event.message || 'Armor optimizer worker failed'));
+      }
+      this.optimizerRequests.clear();
+      this.optimizerWorker.terminate();
+      this.optimizerWorker = null;
+    });
+
+    return this.optimizerWorker;
+  }
+
   /**
    * Select armor set with stat optimization
    */
@@ -1126,8 +1242,8 @@ export class BuildEngine {
     if (armor.stats.total) return armor.stats.total;
 
     let total = 0;
-    for (const stat of Object.keys(STAT_PRIORITIES.general)) {
-      total += armor.stats[stat] || 0;
+    for (const [stat, value] of Object.entries(armor.stats)) {
+      if (stat !== 'total') total += value || 0;
     }
     return total;
   }
@@ -1136,21 +1252,15 @@ export class BuildEngine {
    * Calculate total stats from armor set
    */
   calculateTotalStats(armorSet) {
-    const totals = {
-      mobility: 0,
-      resilience: 0,
-      recovery: 0,
-      discipline: 0,
-      intellect: 0,
-      strength: 0
-    };
+    const totals = {};
+    this.getArmorStatKeys().forEach(stat => { totals[stat] = 0; });
 
     for (const slot of ARMOR_SLOTS) {
       const armor = armorSet[slot];
       if (!armor?.stats) continue;
 
-      for (const stat of Object.keys(totals)) {
-        totals[stat] += armor.stats[stat] || 0;
+      for (const [stat, value] of Object.entries(armor.stats)) {
+        if (stat !== 'total') totals[stat] = (totals[stat] || 0) + (value || 0);
       }
     }
 
@@ -1179,16 +1289,17 @@ export class BuildEngine {
       const slotModsAvailable = mods[slot === 'gauntlets' ? 'arms' : slot] || [];
       const statModsAvailable = mods.stat || [];
 
-      // Add stat mods based on priority
+      // Add stat mods based on priority - the largest mod for a stat, by its investment stats
       for (const stat of statPriority) {
-        const statModName = `${this.capitalize(stat)} Mod`;
-        const statMod = statModsAvailable.find(m => m.name.toLowerCase().includes(stat));
+        const statMod = statModsAvailable
+          .filter(m => (m.statBonuses[stat] || 0) > 0)
+          .sort((a, b) => b.statBonuses[stat] - a.statBonuses[stat])[0];
         if (statMod && energyBudget >= (statMod.energyCost || 3)) {
           slotMods.push({
-            name: statModName,
+            name: statMod.name,
             type: 'stat',
             stat: stat,
-            value: 10,
+            value: statMod.statBonuses[stat],
             energyCost: statMod.energyCost || 3
           });
           energyBudget -= (statMod.energyCost || 3);
@@ -1233,25 +1344,20 @@ export class BuildEngine {
 
   /**
    * Calculate secondary bonuses for stats over 100 (Armor 3.0)
+   * The effect text is the stat's own DestinyStatDefinition description
    */
   calculateSecondaryBonuses(stats) {
     const bonuses = {};
-
-    const bonusDescriptions = {
-      mobility: (over) => `+${Math.floor(over / 10)}% weapon handling`,
-      resilience: (over) => `+${Math.floor(over / 5)} flinch resistance`,
-      recovery: (over) => `+${Math.floor(over / 10)}% ability energy on orb pickup`,
-      discipline: (over) => `${Math.floor(over / 20)}% chance double grenade`,
-      intellect: (over) => `+${Math.floor(over / 2.2)}% super damage`,
-      strength: (over) => `${Math.floor(over / 20)}% chance double melee`
-    };
+    const schema = inventoryProcessor.getArmorStatSchema();
 
     for (const [stat, value] of Object.entries(stats)) {
-      if (value > 100) {
-        const overAmount = value - 100;
+      if (value > STAT_OVERFLOW_THRESHOLD) {
+        const overAmount = value - STAT_OVERFLOW_THRESHOLD;
+        const definition = schema.find(s => s.key === stat);
         bonuses[stat] = {
           overflow: overAmount,
-          description: bonusDescriptions[stat] ? bonusDescriptions[stat](overAmount) : `+${overAmount} overflow`
+          description: `+${overAmount} over ${STAT_OVERFLOW_THRESHOLD}`,
+          effect: definition?.description || ''
         };
       }
     }
@@ -1259,6 +1365,44 @@ export class BuildEngine {
     return Object.keys(bonuses).length > 0 ? bonuses : null;
   }
 
+  /**
+   * Armor set bonuses for an armor set: pieces are counted per equipable item set
+   * (DestinyEquipableItemSetDefinition) and each set perk is active once enough are worn
+   * Returns [{ hash, name, count, perks: [{ hash, name, description, requiredSetCount, active }] }]
+   */
+  calculateSetBonuses(armorSet) {
+    const counts = new Map();
+    for (const slot of ARMOR_SLOTS) {
+      const setHash = armorSet[slot]?.equipableItemSetHash;
+      if (setHash) counts.set(setHash, (counts.get(setHash) || 0) + 1);
+    }
+
+    const sets = [];
+    for (const [setHash, count] of counts) {
+      const setDef = this.manifestLoader.getEquipableItemSetDefinition(setHash);
+      if (!setDef) continue;
+
+      const perks = (setDef.setPerks || []).map(({ requiredSetCount, sandboxPerkHash }) => {
+        const perkDef = this.manifestLoader.getSandboxPerkDefinition(sandboxPerkHash);
+        if (!perkDef?.displayProperties?.name) return null;
+
+        return {
+          hash: sandboxPerkHash,
+          name: perkDef.displayProperties.name,
+          description: perkDef.displayProperties.description || '',
+          requiredSetCount,
+          active: count >= requiredSetCount
+        };
+      }).filter(Boolean);
+
+      if (perks.length > 0) {
+        sets.push({ hash: Number(setHash), name: setDef.displayProperties?.name || 'Armor Set', count, perks });
+      }
+    }
+
+    return sets.sort((a, b) => b.count - a.count);
+  }
+
   /**
    * Get artifact recommendations for the build
    * Returns recommendations for seasonal artifact perks that synergize with the build
@@ -0,0 +1,15 @@
+/**
+ * HTML helpers shared by panels that build markup with innerHTML
+ */
+
+/**
+ * Escape text (manifest, player, link or file supplied) for innerHTML and attribute values
+ */
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
@@ -39,16 +39,15 @@ const TIER_TYPES = {
   6: 'Exotic'
 };
 
-// Stat hashes - Armor
+// Primary stat hashes - armor stats themselves come from the manifest (getArmorStatSchema)
 const STAT_HASHES = {
   ATTACK: 1480404414,
-  DEFENSE: 3897883278,
-  MOBILITY: 2996146975,
-  RESILIENCE: 392767087,
-  RECOVERY: 1943323491,
-  DISCIPLINE: 1735777505,
-  INTELLECT: 144602215,
-  STRENGTH: 4244567218
+  DEFENSE: 3897883278
+};
+
+// DestinyStatCategory
+const STAT_CATEGORY = {
+  PRIMARY: 3
 };
 
 // Stat hashes - Weapons
@@ -72,9 +71,26 @@ const WEAPON_STAT_HASHES = {
   CHARGE_RATE: 3022301683
 };
 
+// Item state flags (DestinyItemState)
+const ITEM_STATE = {
+  LOCKED: 1,
+  MASTERWORK: 4,
+  CRAFTED: 8,
+  DEEPSIGHT: 16 // HighlightedObjective - red border, pattern progress on pickup
+};
+
+// DestinyObjectiveUiStyle values on a crafted weapon's plug objectives
+const OBJECTIVE_UI_STYLE = {
+  CRAFTING_WEAPON_LEVEL: 2,
+  CRAFTING_WEAPON_LEVEL_PROGRESS: 3,
+  CRAFTING_WEAPON_TIMESTAMP: 4
+};
+
 export class InventoryProcessor {
   constructor() {
     this.manifestLoader = manifestLoader;
+    this.armorStatSchema = null;
+    this.armorStatHashes = null;
   }
 
   /**
@@ -113,7 +129,9 @@ export class InventoryProcessor {
           equipData.items,
           data.itemComponents?.instances?.data,
           data.itemComponents?.stats?.data,
-          data.itemComponents?.sockets?.data
+          data.itemComponents?.sockets?.data,
+          data.itemComponents?.reusablePlugs?.data,
+          data.itemComponents?.plugObjectives?.data
         );
       }
     }
@@ -123,11 +141,26 @@ export class InventoryProcessor {
       for (const [charId, invData] of Object.entries(data.characterInventories.data)) {
         if (!result.characters[charId]) continue;
 
+        // Postmaster items live in character inventories under the lost items bucket
+        const carried = invData.items.filter(item => item.bucketHash !== BUCKET_HASHES.LOST_ITEMS);
+        const lostItems = invData.items.filter(item => item.bucketHash === BUCKET_HASHES.LOST_ITEMS);
+
         result.characters[charId].inventory = this.processInventory(
-          invData.items,
+          carried,
           data.itemComponents?.instances?.data,
           data.itemComponents?.stats?.data,
-          data.itemComponents?.sockets?.data
+          data.itemComponents?.sockets?.data,
+          data.itemComponents?.reusablePlugs?.data,
+          data.itemComponents?.plugObjectives?.data
+        );
+
+        result.postmaster[charId] = this.processPostmaster(
+          lostItems,
+          data.itemComponents?.instances?.data,
+          data.itemComponents?.stats?.data,
+          data.itemComponents?.sockets?.data,
+          data.itemComponents?.reusablePlugs?.data,
+          data.itemComponents?.plugObjectives?.data
         );
       }
     }
@@ -138,7 +171,9 @@ export class InventoryProcessor {
         data.profileInventory.data.items,
         data.itemComponents?.instances?.data,
         data.itemComponents?.stats?.data,
-        data.itemComponents?.sockets?.data
+        data.itemComponents?.sockets?.data,
+        data.itemComponents?.reusablePlugs?.data,
+        data.itemComponents?.plugObjectives?.data
       );
     }
 
@@ -156,6 +191,25 @@ export class InventoryProcessor {
     return result;
   }
 
+  /**
+   * Whether the raw profile holds any crafted item - their level objectives need
+   * DestinyObjectiveDefinition, which is only worth downloading when they do
+   */
+  hasCraftedItems(profileData) {
+    const data = profileData?.profileData;
+    if (!data) return false;
+
+    const itemLists = [
+      ...Object.values(data.characterEquipment?.data || {}),
+      ...Object.values(data.characterInventories?.data || {}),
+      data.profileInventory?.data
+    ];
+
+    return itemLists.some(list =>
+      (list?.items || []).some(item => ((item.state || 0) & ITEM_STATE.CRAFTED) !== 0)
+    );
+  }
+
   /**
    * Process character data
    */
@@ -180,7 +234,7 @@ export class InventoryProcessor {
   /**
    * Process equipped items
    */
-  processEquipment(items, instances, stats, sockets) {
+  processEquipment(items, instances, stats, sockets, reusablePlugs, plugObjectives) {
     const equipped = {
       weapons: { kinetic: null, energy: null, power: null },
       armor: { helmet: null, gauntlets: null, chest: null, legs: null, class: null },
@@ -191,7 +245,7 @@ export class InventoryProcessor {
     };
 
     for (const item of items) {
-      const processed = this.processItem(item, instances, stats, sockets);
+      const processed = this.processItem(item, instances, stats, sockets, reusablePlugs, plugObjectives);
       if (!processed) continue;
 
       const bucketHash = item.bucketHash;
@@ -228,7 +282,7 @@ export class InventoryProcessor {
   /**
    * Process inventory items
    */
-  processInventory(items, instances, stats, sockets) {
+  processInventory(items, instances, stats, sockets, reusablePlugs, plugObjectives) {
     const inventory = {
       weapons: [],
       armor: [],
@@ -238,7 +292,7 @@ export class InventoryProcessor {
     };
 
     for (const item of items) {
-      const processed = this.processItem(item, instances, stats, sockets);
+      const processed = this.processItem(item, instances, stats, sockets, reusablePlugs, plugObjectives);
       if (!processed) continue;
 
       if (processed.isWeapon) {
@@ -257,13 +311,33 @@ export class InventoryProcessor {
     return inventory;
   }
 
+  /**
+   * Process postmaster items
+   * Items keep the lost items bucket, so the destination bucket comes from the definition
+   */
+  processPostmaster(items, instances, stats, sockets, reusablePlugs, plugObjectives) {
+    const postmaster = [];
+
+    for (const item of items) {
+      const processed = this.processItem(item, instances, stats, sockets, reusablePlugs, plugObjectives);
+      if (!processed) continue;
+
+      const definition = this.manifestLoader.getItemDefinition(item.itemHash);
+      processed.targetBucketHash = definition?.inventory?.bucketTypeHash || null;
+      processed.isPostmaster = true;
+      postmaster.push(processed);
+    }
+
+    return postmaster;
+  }
+
   /**
    * Process vault items
    * Only includes actual vault items (weapons/armor), not shared profile items (consumables, mods)
    * Shared items like raid banners, consumables, and currencies are in profileInventory
    * but have bucket location: 0 (profile) rather than location: 2 (vault)
    */
-  processVault(items, instances, stats, sockets) {
+  processVault(items, instances, stats, sockets, reusablePlugs, plugObjectives) {
     const vault = {
       items: [],
       categories: {
@@ -287,7 +361,7 @@ export class InventoryProcessor {
         continue;
       }
 
-      const processed = this.processItem(item, instances, stats, sockets);
+      const processed = this.processItem(item, instances, stats, sockets, reusablePlugs, plugObjectives);
       if (!processed) continue;
 
       vault.items.push(processed);
@@ -309,13 +383,14 @@ export class InventoryProcessor {
    * Process single item with definition + instance data
    * This is the DIM-style approach: combining static definitions with live instance data
    */
-  processItem(item, instances, stats, sockets) {
+  processItem(item, instances, stats, sockets, reusablePlugs, plugObjectives) {
     const definition = this.manifestLoader.getItemDefinition(item.itemHash);
     if (!definition) return null;
 
     const instance = instances?.[item.itemInstanceId];
     const itemStats = stats?.[item.itemInstanceId];
     const itemSockets = sockets?.[item.itemInstanceId];
+    const itemPlugs = reusablePlugs?.[item.itemInstanceId];
 
     // Build processed item
     const processed = {
@@ -337,6 +412,7 @@ export class InventoryProcessor {
       itemSubType: definition.itemSubType,
       classType: definition.classType,
       itemCategoryHashes: definition.itemCategoryHashes || [],
+      equipableItemSetHash: definition.equippingBlock?.equipableItemSetHash || null, // armor set bonuses
 
       // From instance (if available)
       primaryStat: instance?.primaryStat || null,
@@ -346,6 +422,14 @@ export class InventoryProcessor {
       isEquipped: instance?.isEquipped || false,
       canEquip: instance?.canEquip ?? true,
 
+      // Item state flags
+      state: item.state || 0,
+      isLocked: ((item.state || 0) & ITEM_STATE.LOCKED) !== 0,
+      isCrafted: ((item.state || 0) & ITEM_STATE.CRAFTED) !== 0,
+      isDeepsight: ((item.state || 0) & ITEM_STATE.DEEPSIGHT) !== 0,
+      crafted: null,
+      enhancementTier: 0,
+
       // Computed flags
       isWeapon: false,
       isArmor: false,
@@ -372,7 +456,19 @@ export class InventoryProcessor {
 
     // Add sockets/perks if available (for weapons and armor)
     if (itemSockets?.sockets && (processed.isWeapon || processed.isArmor)) {
-      processed.sockets = this.processSockets(itemSockets.sockets, definition);
+      processed.sockets = this.processSockets(itemSockets.sockets, definition, itemPlugs?.plugs);
+    }
+
+    // Crafted weapon level, and enhancement tier (crafted or enhanced drops)
+    if (processed.isWeapon) {
+      processed.enhancementTier = this.getEnhancementTier(processed.sockets?.enhancement);
+
+      if (processed.isCrafted) {
+        processed.crafted = this.processCraftedInfo(
+          itemSockets?.sockets,
+          plugObjectives?.[item.itemInstanceId]?.objectivesPerPlug
+        );
+      }
     }
 
     return processed;
@@ -425,25 +521,20 @@ export class InventoryProcessor {
   }
 
   /**
-   * Process armor stats (Mobility, Resilience, etc.)
+   * Process armor stats, keyed by stat name from DestinyStatDefinition
+   * (mobility, resilience... or whatever the current armor schema calls them)
    */
   processArmorStats(statsData) {
-    const statNames = {
-      [STAT_HASHES.MOBILITY]: 'Mobility',
-      [STAT_HASHES.RESILIENCE]: 'Resilience',
-      [STAT_HASHES.RECOVERY]: 'Recovery',
-      [STAT_HASHES.DISCIPLINE]: 'Discipline',
-      [STAT_HASHES.INTELLECT]: 'Intellect',
-      [STAT_HASHES.STRENGTH]: 'Strength'
-    };
-
     const processed = {};
 
+    for (const { key, hash } of this.getArmorStatSchema()) {
+      if (statsData[hash]) processed[key] = statsData[hash].value;
+    }
+
+    // Stats the schema doesn't know yet (e.g. manifest items not loaded)
     for (const [hash, data] of Object.entries(statsData)) {
-      const statName = statNames[hash];
-      if (statName) {
-        processed[statName.toLowerCase()] = data.value;
-      }
+      const key = this.getArmorStatKey(hash);
+      if (key && !(key in processed)) processed[key] = data.value;
     }
 
     // Calculate total
@@ -452,6 +543,90 @@ export class InventoryProcessor {
     return processed;
   }
 
+  /**
+   * Armor stats as the manifest defines them: the visible stats of armor stat groups
+   * (DestinyStatGroupDefinition.scaledStats), in DestinyStatDefinition index order.
+   * Returns [{ hash, key, name, description, icon }]
+   */
+  getArmorStatSchema() {
+    if (this.armorStatSchema) return this.armorStatSchema;
+
+    const schema = Array.from(this.getArmorStatGroupStatHashes())
+      .map(hash => this.manifestLoader.getStatDefinition(hash))
+      .filter(def => this.isArmorStatDefinition(def))
+      .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+      .map(def => ({
+        hash: def.hash,
+        key: this.getStatKey(def.displayProperties.name),
+        name: def.displayProperties.name,
+        description: def.displayProperties.description || '',
+        icon: def.displayProperties.hasIcon ? `https://www.bungie.net${def.displayProperties.icon}` : null
+      }));
+
+    // Only cache once item and stat definitions have loaded
+    if (schema.length > 0) this.armorStatSchema = schema;
+    return schema;
+  }
+
+  /**
+   * Every stat hash shown by the stat groups armor definitions use (scanned once)
+   */
+  getArmorStatGroupStatHashes() {
+    if (this.armorStatHashes) return this.armorStatHashes;
+
+    const statGroupHashes = new Set();
+    for (const definition of Object.values(this.manifestLoader.getInventoryItems())) {
+      if (definition.itemType === 2 && definition.stats?.statGroupHash) {
+        statGroupHashes.add(definition.stats.statGroupHash);
+      }
+    }
+
+    const hashes = new Set();
+    for (const statGroupHash of statGroupHashes) {
+      const statGroup = this.manifestLoader.getStatGroupDefinition(statGroupHash);
+      for (const stat of statGroup?.scaledStats || []) {
+        hashes.add(stat.statHash);
+      }
+    }
+
+    if (hashes.size > 0) this.armorStatHashes = hashes;
+    return hashes;
+  }
+
+  /**
+   * Stat keys in schema order (e.g. ['mobility', 'resilience', ...])
+   */
+  getArmorStatKeys() {
+    return this.getArmorStatSchema().map(stat => stat.key);
+  }
+
+  /**
+   * Key for an armor stat hash, or null if it isn't a visible armor stat
+   */
+  getArmorStatKey(statHash) {
+    const known = this.getArmorStatSchema().find(stat => stat.hash === Number(statHash));
+    if (known) return known.key;
+
+    const def = this.manifestLoader.getStatDefinition(statHash);
+    return this.isArmorStatDefinition(def) ? this.getStatKey(def.displayProperties.name) : null;
+  }
+
+  /**
+   * Named, visible stat that isn't a primary stat (Power/Defense/Attack)
+   */
+  isArmorStatDefinition(def) {
+    return !!def?.displayProperties?.name &&
+      !def.redacted &&
+      !def.blacklisted &&
+      def.statCategory !== STAT_CATEGORY.PRIMARY &&
+      def.hash !== STAT_HASHES.DEFENSE &&
+      def.hash !== STAT_HASHES.ATTACK;
+  }
+
+  getStatKey(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '');
+  }
+
   /**
    * Process weapon stats (Impact, Range, Stability, etc.)
    */
@@ -491,8 +666,9 @@ export class InventoryProcessor {
   /**
    * Process item sockets (perks, mods, etc.)
    * Organizes sockets by category (perks, mods, cosmetics) using socket categories from definition
+   * reusablePlugs (component 306, keyed by socket index) adds every rollable option to each perk column
    */
-  processSockets(socketsData, definition) {
+  processSockets(socketsData, definition, reusablePlugs = null) {
     const result = {
       perks: [],       // Weapon perks organized by column
       intrinsic: null, // Frame/intrinsic trait
@@ -568,6 +744,7 @@ export class InventoryProcessor {
           plugCategoryId.includes('crafting.plugs.weapons.mods.levels') ||
           plugCategoryId.includes('shaped_weapons') ||
           /^Level \d+$/.test(plugDef.displayProperties.name)) {
+        socketInfo.isEnhancer = plugCategoryId.includes('enhancers');
         result.enhancement = socketInfo;
         continue;
       }
@@ -608,6 +785,7 @@ export class InventoryProcessor {
                  plugCategoryId.includes('tubes')) {
         // Weapon perk columns (barrel, magazine, trait 1, trait 2)
         socketInfo.column = perkColumnIndex++;
+        socketInfo.options = this.processPlugOptions(socket.plugHash, reusablePlugs?.[i]);
         result.perks.push(socketInfo);
       } else if (categoryHash === SOCKET_CATEGORIES.WEAPON_COSMETICS) {
         // Skip cosmetics (shaders, ornaments)
@@ -618,6 +796,73 @@ export class InventoryProcessor {
     return result;
   }
 
+  /**
+   * Crafted weapon info from the plug objectives (component 309) of its crafting socket
+   * Level, progress to next level and craft date are told apart by objective uiStyle
+   * (needs DestinyObjectiveDefinition loaded)
+   */
+  processCraftedInfo(socketsData, objectivesPerPlug) {
+    const info = {
+      level: null,
+      levelProgress: 0,
+      craftedDate: null
+    };
+
+    for (const socket of socketsData || []) {
+      const objectives = objectivesPerPlug?.[socket.plugHash];
+      if (!objectives?.length) continue;
+
+      for (const objective of objectives) {
+        const uiStyle = this.manifestLoader.getObjectiveDefinition(objective.objectiveHash)?.uiStyle;
+
+        if (uiStyle === OBJECTIVE_UI_STYLE.CRAFTING_WEAPON_LEVEL) {
+          info.level = objective.progress || 0;
+        } else if (uiStyle === OBJECTIVE_UI_STYLE.CRAFTING_WEAPON_LEVEL_PROGRESS) {
+          info.levelProgress = objective.completionValue
+            ? Math.min((objective.progress || 0) / objective.completionValue, 1)
+            : 0;
+        } else if (uiStyle === OBJECTIVE_UI_STYLE.CRAFTING_WEAPON_TIMESTAMP && objective.progress) {
+          info.craftedDate = new Date(objective.progress * 1000).toISOString();
+        }
+      }
+    }
+
+    return info;
+  }
+
+  /**
+   * Enhancement tier from the enhancer plug name ("Tier 2", "Enhancement Tier 3"...)
+   */
+  getEnhancementTier(enhancement) {
+    if (!enhancement?.isEnhancer) return 0;
+    const match = enhancement.name.match(/(\d+)/);
+    return match ? parseInt(match[1]) : 0;
+  }
+
+  /**
+   * All plugs a perk column can hold, with the current one flagged
+   * Without reusable plugs data only the current plug is known
+   */
+  processPlugOptions(currentPlugHash, plugs) {
+    const hashes = (plugs || []).map(p => p.plugItemHash);
+    if (!hashes.includes(currentPlugHash)) hashes.unshift(currentPlugHash);
+
+    return hashes.map(plugHash => {
+      const plugDef = this.manifestLoader.getItemDefinition(plugHash);
+      if (!plugDef?.displayProperties?.name) return null;
+
+      return {
+        plugHash,
+        name: plugDef.displayProperties.name,
+        description: plugDef.displayProperties.description || '',
+        icon: plugDef.displayProperties.icon
+          ? `https://www.bungie.net${plugDef.displayProperties.icon}`
+          : null,
+        isCurrent: plugHash === currentPlugHash
+      };
+    }).filter(Boolean);
+  }
+
   /**
    * Calculate inventory summary
    */
@@ -4,12 +4,26 @@
 
 import { apiClient } from '../api/bungie-api-client.js';
 import { storageManager } from '../core/storage-manager.js';
-import { manifestLoader } from '../api/manifest-loader.js';
+import { MAX_LOADOUTS } from '../core/backup-validator.js';
+import { manifestLoader, BUCKET_HASHES } from '../api/manifest-loader.js';
+import { shareCodec } from './share-codec.js';
+
+// Unequipped slots per character bucket (the equipped item is the 10th)
+const CHARACTER_BUCKET_CAPACITY = 9;
+
+// Item state flag for locked items
+const ITEM_STATE_LOCKED = 1;
+
+// PlatformErrorCodes.Success in equipItems results
+const EQUIP_SUCCESS = 1;
+
+// DIM share links carry the loadout JSON in this query parameter
+const DIM_LOADOUT_URL = 'https://app.destinyitemmanager.com/loadouts';
 
 export class LoadoutManager {
   constructor() {
     this.loadouts = [];
-    this.maxLoadouts = 50;
+    this.maxLoadouts = MAX_LOADOUTS;
   }
 
   /**
@@ -56,6 +70,7 @@ export class LoadoutManager {
       const character = profile.profileData.characters?.data?.[characterId];
       const equipment = profile.profileData.characterEquipment?.data?.[characterId]?.items || [];
       const instances = profile.profileData.itemComponents?.instances?.data || {};
+      const sockets = profile.profileData.itemComponents?.sockets?.data || {};
 
       if (!character) {
         throw new Error('Character not found');
@@ -77,7 +92,7 @@ export class LoadoutManager {
         const definition = manifestLoader.getItemDefinition(item.itemHash);
 
         if (definition) {
-          loadout.items.push({
+          const loadoutItem = {
             itemHash: item.itemHash,
             itemInstanceId: item.itemInstanceId,
             bucketHash: item.bucketHash,
@@ -85,7 +100,14 @@ export class LoadoutManager {
             icon: definition.displayProperties?.icon,
             tierType: definition.inventory?.tierType,
             isEquipped: true
-          });
+          };
+
+          // Keep subclass configuration (super, abilities, aspects, fragments)
+          if (item.bucketHash === BUCKET_HASHES.SUBCLASS) {
+            loadoutItem.socketOverrides = this.getSocketOverrides(sockets[item.itemInstanceId]?.sockets);
+          }
+
+          loadout.items.push(loadoutItem);
         }
       });
 
@@ -184,7 +206,10 @@ export class LoadoutManager {
   }
 
   /**
-   * Equip a loadout (requires Bungie API support)
+   * Apply a loadout to a character
+   * Moves items from the vault or other characters (making room in full buckets),
+   * then equips everything in one equipItems call with exotics last.
+   * Returns { success, items: [{ item, movedFrom, equipped, error }], madeRoom, substitutes }
    */
   async equipLoadout(loadoutId, characterId) {
     const loadout = this.getLoadout(loadoutId);
@@ -196,98 +221,296 @@ export class LoadoutManager {
       throw new Error('Loadout has no items to equip');
     }
 
-    const results = {
-      success: [],
-      failed: []
+    await manifestLoader.loadAnalysisData();
+
+    // Always work from fresh locations
+    apiClient.clearCacheEntry('/api/inventory/profile');
+    const profile = await apiClient.getProfile();
+    const index = this.buildItemIndex(profile?.profileData);
+
+    const report = {
+      success: false,
+      items: [],
+      madeRoom: [],
+      substitutes: []
     };
 
-    // Equip items one by one
+    const loadoutIds = new Set(loadout.items.map(i => i.itemInstanceId).filter(Boolean));
+    const toEquip = [];
+
+    // 1. Move everything onto the character
     for (const item of loadout.items) {
-      if (!item.itemInstanceId) continue;
+      const entry = { item, movedFrom: null, equipped: false, error: null };
+      report.items.push(entry);
+
+      const located = item.itemInstanceId ? index.get(item.itemInstanceId) : null;
+      if (!located) {
+        entry.error = 'Item not found in inventory';
+        continue;
+      }
 
       try {
-        await apiClient.equipItem(item.itemInstanceId, characterId);
-        results.success.push(item);
+        if (located.owner !== characterId) {
+          entry.movedFrom = located.owner;
+          await this.moveToCharacter(located, characterId, index, loadoutIds, report);
+        }
+
+        if (item.isEquipped !== false) {
+          if (located.equipped) {
+            entry.equipped = true;
+          } else {
+            toEquip.push({ entry, located });
+          }
+        }
       } catch (error) {
-        results.failed.push({
-          item,
-          error: error.message
-        });
+        entry.error = error.message;
       }
     }
 
-    return results;
+    // 2. Equip in one batch - legendaries and conflict fixes first, exotics last
+    if (toEquip.length > 0) {
+      const substitutes = this.resolveExoticConflicts(toEquip, characterId, index, loadoutIds);
+      report.substitutes = substitutes.map(s => ({ itemInstanceId: s.instanceId, itemHash: s.itemHash }));
+
+      const ordered = [
+        ...substitutes.map(located => ({ entry: null, located })),
+        ...toEquip.filter(e => !e.located.isExotic),
+        ...toEquip.filter(e => e.located.isExotic)
+      ];
+
+      try {
+        const response = await apiClient.equipItems(ordered.map(e => e.located.instanceId), characterId);
+        const statuses = new Map(
+          (response?.result?.equipResults || []).map(r => [r.itemInstanceId, r.equipStatus])
+        );
+
+        for (const { entry, located } of ordered) {
+          if (!entry) continue;
+          // Single-item equips don't return per-item results
+          const status = statuses.size > 0 ? statuses.get(located.instanceId) : EQUIP_SUCCESS;
+          if (status === EQUIP_SUCCESS) {
+            entry.equipped = true;
+          } else {
+            entry.error = `Equip failed (error ${status ?? 'unknown'})`;
+          }
+        }
+      } catch (error) {
+        toEquip.forEach(({ entry }) => { entry.error = error.message; });
+      }
+    }
+
+    report.success = report.items.every(e => !e.error);
+    return report;
   }
 
+  // ==================== LOADOUT APPLICATION ====================
+
   /**
-   * Generate a shareable link for a loadout
+   * Index instanced items by ID with their owner ('vault' or character ID) and target bucket
    */
-  generateShareLink(loadoutId) {
-    const loadout = this.getLoadout(loadoutId);
-    if (!loadout) {
-      throw new Error('Loadout not found');
+  buildItemIndex(profileData) {
+    const index = new Map();
+    if (!profileData) return index;
+
+    const add = (item, owner, equipped) => {
+      if (!item.itemInstanceId) return;
+      const definition = manifestLoader.getItemDefinition(item.itemHash);
+      index.set(item.itemInstanceId, {
+        instanceId: item.itemInstanceId,
+        itemHash: item.itemHash,
+        quantity: item.quantity || 1,
+        owner,
+        equipped,
+        // Vault items sit in the general bucket - use the definition's bucket
+        bucketHash: definition?.inventory?.bucketTypeHash || item.bucketHash,
+        isExotic: definition?.inventory?.tierType === 6,
+        itemType: definition?.itemType,
+        isLocked: (item.state & ITEM_STATE_LOCKED) !== 0,
+        transferable: item.transferStatus === 0 || item.transferStatus === undefined
+      });
+    };
+
+    for (const item of profileData.profileInventory?.data?.items || []) {
+      if (item.bucketHash === BUCKET_HASHES.GENERAL) add(item, 'vault', false);
     }
 
-    // Create a compact shareable version
-    const shareData = {
-      n: loadout.name,
-      c: loadout.class,
-      e: loadout.element,
-      b: loadout.buildData ? {
-        x: loadout.buildData.exotic,
-        a: loadout.buildData.aspects,
-        f: loadout.buildData.fragments
-      } : null,
-      i: loadout.items?.map(item => ({
-        h: item.itemHash,
-        b: item.bucketHash
-      })) || []
-    };
+    for (const [charId, inventory] of Object.entries(profileData.characterInventories?.data || {})) {
+      for (const item of inventory.items || []) {
+        if (item.bucketHash !== BUCKET_HASHES.LOST_ITEMS) add(item, charId, false);
+      }
+    }
 
-    const encoded = btoa(JSON.stringify(shareData));
-    const baseUrl = window.location.origin + window.location.pathname;
+    for (const [charId, equipment] of Object.entries(profileData.characterEquipment?.data || {})) {
+      for (const item of equipment.items || []) add(item, charId, true);
+    }
 
-    return `${baseUrl}?loadout=${encoded}`;
+    return index;
   }
 
   /**
-   * Import a loadout from a share link
+   * Move an item to a character via the vault
+   * Equipped items on another character are swapped out first
    */
-  importFromShareLink(shareData) {
-    try {
-      const decoded = JSON.parse(atob(shareData));
+  async moveToCharacter(located, characterId, index, loadoutIds, report) {
+    if (located.owner !== 'vault') {
+      if (located.equipped) {
+        await this.dequip(located, index, loadoutIds);
+      }
 
-      const loadout = {
-        id: this.generateId(),
-        name: decoded.n || 'Imported Loadout',
-        class: decoded.c,
-        element: decoded.e,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-        imported: true,
-        buildData: decoded.b ? {
-          exotic: decoded.b.x,
-          aspects: decoded.b.a,
-          fragments: decoded.b.f
-        } : null,
-        items: decoded.i?.map(item => ({
-          itemHash: item.h,
-          bucketHash: item.b
-        })) || []
-      };
+      await apiClient.transferItem(located.itemHash, located.quantity, true, located.instanceId, located.owner);
+      located.owner = 'vault';
+    }
 
-      this.loadouts.push(loadout);
-      this.saveLoadouts();
+    await this.makeRoom(characterId, located.bucketHash, index, loadoutIds, report);
 
-      return loadout;
+    await apiClient.transferItem(located.itemHash, located.quantity, false, located.instanceId, characterId);
+    located.owner = characterId;
+    located.equipped = false;
+  }
+
+  /**
+   * Equip a non-exotic replacement on the item's current character so it can be transferred
+   */
+  async dequip(located, index, loadoutIds) {
+    const replacement = this.findItems(index, located.owner, located.bucketHash)
+      .find(other => !other.equipped && !other.isExotic && !loadoutIds.has(other.instanceId));
+
+    if (!replacement) {
+      throw new Error('Equipped on another character with nothing to swap in');
+    }
+
+    await apiClient.equipItems([replacement.instanceId], located.owner);
+    replacement.equipped = true;
+    located.equipped = false;
+  }
+
+  /**
+   * Send a filler item to the vault if the character's bucket is full
+   */
+  async makeRoom(characterId, bucketHash, index, loadoutIds, report) {
+    const carried = this.findItems(index, characterId, bucketHash).filter(i => !i.equipped);
+    if (carried.length < CHARACTER_BUCKET_CAPACITY) return;
+
+    const filler = carried.find(i => !loadoutIds.has(i.instanceId) && !i.isLocked && i.transferable) ||
+      carried.find(i => !loadoutIds.has(i.instanceId) && i.transferable);
+
+    if (!filler) {
+      throw new Error('Bucket is full and nothing can be moved to the vault');
+    }
+
+    await apiClient.transferItem(filler.itemHash, filler.quantity, true, filler.instanceId, characterId);
+    filler.owner = 'vault';
+    report.madeRoom.push({ itemInstanceId: filler.instanceId, itemHash: filler.itemHash, bucketHash });
+  }
+
+  /**
+   * Only one exotic weapon and one exotic armor piece can be equipped
+   * If a currently equipped exotic sits in a slot the loadout doesn't fill,
+   * pick a legendary from that bucket to equip before the loadout's exotic
+   */
+  resolveExoticConflicts(toEquip, characterId, index, loadoutIds) {
+    const substitutes = [];
+    const equippingBuckets = new Set(toEquip.map(e => e.located.bucketHash));
+
+    for (const { located } of toEquip.filter(e => e.located.isExotic)) {
+      const conflict = Array.from(index.values()).find(other =>
+        other.owner === characterId &&
+        other.equipped &&
+        other.isExotic &&
+        other.itemType === located.itemType &&
+        other.instanceId !== located.instanceId &&
+        !equippingBuckets.has(other.bucketHash)
+      );
+      if (!conflict) continue;
+
+      const replacement = this.findItems(index, characterId, conflict.bucketHash)
+        .find(other => !other.equipped && !other.isExotic && !loadoutIds.has(other.instanceId));
+
+      if (replacement) {
+        substitutes.push(replacement);
+        equippingBuckets.add(conflict.bucketHash);
+      }
+    }
+
+    return substitutes;
+  }
+
+  /**
+   * Items owned by a character in a bucket
+   */
+  findItems(index, owner, bucketHash) {
+    return Array.from(index.values()).filter(i => i.owner === owner && i.bucketHash === bucketHash);
+  }
+
+  /**
+   * Generate a shareable link for a loadout
+   */
+  async generateShareLink(loadoutId) {
+    const loadout = this.getLoadout(loadoutId);
+    if (!loadout) {
+      throw new Error('Loadout not found');
+    }
+
+    const encoded = await shareCodec.encodeLoadout(loadout);
+    return shareCodec.buildLink('loadout', encoded);
+  }
+
+  /**
+   * Import a loadout from a share link (the ?loadout= value or an already decoded payload)
+   */
+  async importFromShareLink(shareData) {
+    let decoded;
+    try {
+      decoded = typeof shareData === 'string'
+        ? await shareCodec.decode(shareData, 'loadout')
+        : shareData;
     } catch (error) {
       console.error('Failed to import loadout:', error);
-      throw new Error('Invalid loadout share link');
+      throw new Error(error.message || 'Invalid loadout share link');
     }
+
+    // Links from before the share codec carry names instead of hashes
+    const refs = list => list.map(ref => ref.hash || ref.name).filter(Boolean);
+
+    await manifestLoader.loadAnalysisData();
+
+    const loadout = {
+      id: this.generateId(),
+      name: decoded.name || 'Imported Loadout',
+      class: decoded.classType !== null ? this.getClassName(decoded.classType) : null,
+      classType: decoded.classType,
+      element: decoded.element ? decoded.element.charAt(0).toUpperCase() + decoded.element.slice(1) : null,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      imported: true,
+      buildData: {
+        superHash: decoded.superHash,
+        aspects: refs(decoded.aspects),
+        fragments: refs(decoded.fragments)
+      },
+      items: decoded.items.map(item => {
+        const definition = manifestLoader.getItemDefinition(item.itemHash);
+        return {
+          itemHash: item.itemHash,
+          bucketHash: item.bucketHash || definition?.inventory?.bucketTypeHash,
+          name: definition?.displayProperties?.name,
+          icon: definition?.displayProperties?.icon,
+          tierType: definition?.inventory?.tierType,
+          isEquipped: item.isEquipped
+        };
+      })
+    };
+
+    this.loadouts.push(loadout);
+    this.saveLoadouts();
+
+    return loadout;
   }
 
+  // ==================== DIM INTEROP ====================
+
   /**
-   * Export loadout to DIM format
+   * Export loadout as DIM loadout JSON
    */
   exportToDIM(loadoutId) {
     const loadout = this.getLoadout(loadoutId);
@@ -295,73 +518,223 @@ export class LoadoutManager {
       throw new Error('Loadout not found');
     }
 
-    // DIM loadout format
+    return JSON.stringify(this.toDIMLoadout(loadout), null, 2);
+  }
+
+  /**
+   * Generate a DIM share link (opens the loadout in DIM)
+   */
+  generateDIMShareLink(loadoutId) {
+    const loadout = this.getLoadout(loadoutId);
+    if (!loadout) {
+      throw new Error('Loadout not found');
+    }
+
+    return `${DIM_LOADOUT_URL}?loadout=${encodeURIComponent(JSON.stringify(this.toDIMLoadout(loadout)))}`;
+  }
+
+  /**
+   * Convert a loadout to DIM's loadout schema
+   */
+  toDIMLoadout(loadout) {
+    const toDIMItem = (item) => {
+      const dimItem = {
+        id: item.itemInstanceId || '0',
+        hash: item.itemHash
+      };
+      if (item.amount > 1) dimItem.amount = item.amount;
+      if (item.socketOverrides && Object.keys(item.socketOverrides).length > 0) {
+        dimItem.socketOverrides = item.socketOverrides;
+      }
+      if (item.craftedDate) dimItem.craftedDate = item.craftedDate;
+      return dimItem;
+    };
+
+    const items = this.getLoadoutItems(loadout).filter(item => item.itemHash);
     const dimLoadout = {
       id: loadout.id,
       name: loadout.name,
-      classType: loadout.classType,
-      equipped: loadout.items?.filter(i => i.isEquipped).map(item => ({
-        hash: item.itemHash,
-        id: item.itemInstanceId
-      })) || [],
-      unequipped: loadout.items?.filter(i => !i.isEquipped).map(item => ({
-        hash: item.itemHash,
-        id: item.itemInstanceId
-      })) || []
+      classType: loadout.classType ?? 3,
+      equipped: items.filter(i => i.isEquipped !== false).map(toDIMItem),
+      unequipped: items.filter(i => i.isEquipped === false).map(toDIMItem),
+      clearSpace: !!loadout.clearSpace
     };
 
-    return JSON.stringify(dimLoadout, null, 2);
+    if (loadout.notes || loadout.buildData?.notes) dimLoadout.notes = loadout.notes || loadout.buildData.notes;
+    if (loadout.emblemHash) dimLoadout.emblemHash = loadout.emblemHash;
+
+    // DIM reads these from parameters, not the top level
+    const parameters = { ...(loadout.parameters || {}) };
+    if (loadout.clearWeapons !== undefined) parameters.clearWeapons = loadout.clearWeapons;
+    if (loadout.clearArmor !== undefined) parameters.clearArmor = loadout.clearArmor;
+
+    // Build crafter mods are stored as plug hashes when they came from the manifest
+    const buildMods = (loadout.buildData?.mods || [])
+      .map(mod => (typeof mod === 'object' ? mod.hash : mod))
+      .filter(hash => Number.isInteger(hash));
+    if (!parameters.mods && buildMods.length > 0) parameters.mods = buildMods;
+
+    if (Object.keys(parameters).length > 0) dimLoadout.parameters = parameters;
+
+    const createdAt = Date.parse(loadout.createdAt);
+    const updatedAt = Date.parse(loadout.updatedAt);
+    if (!isNaN(createdAt)) dimLoadout.createdAt = createdAt;
+    if (!isNaN(updatedAt)) dimLoadout.lastUpdatedAt = updatedAt;
+
+    return dimLoadout;
   }
 
   /**
-   * Import loadout from DIM format
+   * Loadout items, or the weapons and armor of a build saved from the Build Crafter
    */
-  importFromDIM(dimData) {
+  getLoadoutItems(loadout) {
+    if (loadout.items?.length > 0) return loadout.items;
+
+    const pieces = [
+      ...Object.values(loadout.weapons || {}),
+      ...Object.values(loadout.armor || {}).map(slot => slot?.item)
+    ];
+
+    return pieces
+      .filter(item => item?.itemHash)
+      .map(item => ({
+        itemHash: item.itemHash,
+        itemInstanceId: item.itemInstanceId || null,
+        isEquipped: true
+      }));
+  }
+
+  /**
+   * Import a DIM loadout - JSON string, parsed object or DIM share link
+   * Items without a usable instance ID are matched to owned copies by hash
+   */
+  async importFromDIM(dimData) {
+    let parsed;
     try {
-      const parsed = typeof dimData === 'string' ? JSON.parse(dimData) : dimData;
+      parsed = this.parseDIMPayload(dimData);
+    } catch (error) {
+      console.error('Failed to import DIM loadout:', error);
+      throw new Error(error.message || 'Invalid DIM loadout format');
+    }
 
-      const loadout = {
-        id: this.generateId(),
-        name: parsed.name || 'Imported from DIM',
-        classType: parsed.classType,
-        class: this.getClassName(parsed.classType),
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-        imported: true,
-        importedFrom: 'DIM',
-        items: []
+    await manifestLoader.loadAnalysisData();
+
+    const fromDIMItem = (dimItem, isEquipped) => {
+      const definition = manifestLoader.getItemDefinition(dimItem.hash);
+      const item = {
+        itemHash: dimItem.hash,
+        itemInstanceId: dimItem.id && dimItem.id !== '0' ? String(dimItem.id) : null,
+        bucketHash: definition?.inventory?.bucketTypeHash,
+        name: definition?.displayProperties?.name,
+        icon: definition?.displayProperties?.icon,
+        tierType: definition?.inventory?.tierType,
+        isEquipped
       };
+      if (dimItem.amount > 1) item.amount = dimItem.amount;
+      if (dimItem.socketOverrides) item.socketOverrides = dimItem.socketOverrides;
+      if (dimItem.craftedDate) item.craftedDate = dimItem.craftedDate;
+      return item;
+    };
 
-      // Add equipped items
-      if (parsed.equipped) {
-        parsed.equipped.forEach(item => {
-          loadout.items.push({
-            itemHash: item.hash,
-            itemInstanceId: item.id,
-            isEquipped: true
-          });
-        });
-      }
+    const items = [
+      ...(parsed.equipped || []).map(i => fromDIMItem(i, true)),
+      ...(parsed.unequipped || []).map(i => fromDIMItem(i, false))
+    ].filter(item => item.itemHash);
+
+    await this.resolveInstanceIds(items);
+
+    const loadout = {
+      id: this.generateId(),
+      name: parsed.name || 'Imported from DIM',
+      classType: parsed.classType,
+      class: parsed.classType === 3 ? 'Any' : this.getClassName(parsed.classType),
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      imported: true,
+      importedFrom: 'DIM',
+      notes: parsed.notes,
+      emblemHash: parsed.emblemHash,
+      clearSpace: !!parsed.clearSpace,
+      // Older exports (including ours) put these at the top level
+      clearWeapons: parsed.parameters?.clearWeapons ?? parsed.clearWeapons,
+      clearArmor: parsed.parameters?.clearArmor ?? parsed.clearArmor,
+      parameters: parsed.parameters || null,
+      items
+    };
+
+    this.loadouts.push(loadout);
+    this.saveLoadouts();
 
-      // Add unequipped items
-      if (parsed.unequipped) {
-        parsed.unequipped.forEach(item => {
-          loadout.items.push({
-            itemHash: item.hash,
-            itemInstanceId: item.id,
-            isEquipped: false
-          });
-        });
+    return loadout;
+  }
+
+  /**
+   * Parse DIM loadout JSON or a share link (?loadout=<json>)
+   */
+  parseDIMPayload(dimData) {
+    if (dimData && typeof dimData === 'object') return this.validateDIMLoadout(dimData);
+
+    const text = String(dimData || '').trim();
+
+    if (/^https?:\/\//i.test(text)) {
+      const url = new URL(text);
+      const payload = url.searchParams.get('loadout');
+      if (!payload) {
+        // dim.gg short links need DIM's API to resolve
+        throw new Error('Share link has no loadout data - open it in DIM and copy the loadout JSON instead');
       }
+      return this.validateDIMLoadout(JSON.parse(payload));
+    }
 
-      this.loadouts.push(loadout);
-      this.saveLoadouts();
+    return this.validateDIMLoadout(JSON.parse(text));
+  }
 
-      return loadout;
-    } catch (error) {
-      console.error('Failed to import DIM loadout:', error);
+  /**
+   * Basic shape check for a DIM loadout
+   */
+  validateDIMLoadout(parsed) {
+    if (!parsed || (!Array.isArray(parsed.equipped) && !Array.isArray(parsed.unequipped))) {
       throw new Error('Invalid DIM loadout format');
     }
+    return parsed;
+  }
+
+  /**
+   * Fill in instance IDs we don't own (or that are missing) with owned copies of the same hash
+   */
+  async resolveInstanceIds(items) {
+    let index;
+    try {
+      const profile = await apiClient.getProfile();
+      index = this.buildItemIndex(profile?.profileData);
+    } catch (error) {
+      // Not signed in - keep items as hash references
+      return;
+    }
+
+    const used = new Set(items.map(i => i.itemInstanceId).filter(id => id && index.has(id)));
+
+    for (const item of items) {
+      if (item.itemInstanceId && index.has(item.itemInstanceId)) continue;
+
+      const match = Array.from(index.values()).find(entry =>
+        entry.itemHash === item.itemHash && !used.has(entry.instanceId)
+      );
+
+      item.itemInstanceId = match?.instanceId || null;
+      if (match) used.add(match.instanceId);
+    }
+  }
+
+  /**
+   * Socket index -> plug hash map for a DIM socketOverrides field
+   */
+  getSocketOverrides(sockets) {
+    const overrides = {};
+    (sockets || []).forEach((socket, index) => {
+      if (socket.plugHash) overrides[index] = socket.plugHash;
+    });
+    return overrides;
   }
 
   /**
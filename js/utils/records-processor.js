@@ -0,0 +1,520 @@
+/**
+ * Records Processor - Walks the DestinyPresentationNodeDefinition tree and combines
+ * definitions with profile collectibles (800), records (900) and craftables (1300) components
+ * Requires manifestLoader.loadRecordsData() before use (and loadAnalysisData for patterns)
+ */
+
+import { manifestLoader } from '../api/manifest-loader.js';
+
+// DestinyCollectibleState flags
+export const COLLECTIBLE_STATE = {
+  NOT_ACQUIRED: 1,
+  OBSCURED: 2,
+  INVISIBLE: 4
+};
+
+// DestinyRecordState flags
+export const RECORD_STATE = {
+  REDEEMED: 1,
+  REWARD_UNAVAILABLE: 2,
+  OBJECTIVE_NOT_COMPLETED: 4,
+  OBSCURED: 8,
+  INVISIBLE: 16
+};
+
+// DestinyPresentationNodeDefinition.scope / collectible + record scope
+const SCOPE_CHARACTER = 1;
+
+export class RecordsProcessor {
+  constructor() {
+    this.manifestLoader = manifestLoader;
+  }
+
+  /**
+   * Build a lookup context from profile data (as returned by /api/inventory/profile)
+   * Character-scoped records and collectibles are read from one character
+   */
+  buildContext(profileData, characterId = null) {
+    const data = profileData?.profileData || {};
+    const characters = data.characters?.data || {};
+
+    // Default to the most recently played character
+    const charId = characterId || Object.values(characters)
+      .sort((a, b) => new Date(b.dateLastPlayed) - new Date(a.dateLastPlayed))[0]?.characterId || null;
+
+    const profileRecords = data.profileRecords?.data || {};
+    const profileCollectibles = data.profileCollectibles?.data || {};
+    const characterCraftables = data.characterCraftables?.data?.[charId] || {};
+
+    return {
+      characterId: charId,
+      profileRecords: profileRecords.records || {},
+      characterRecords: data.characterRecords?.data?.[charId]?.records || {},
+      profileCollectibles: profileCollectibles.collectibles || {},
+      characterCollectibles: data.characterCollectibles?.data?.[charId]?.collectibles || {},
+      craftables: characterCraftables.craftables || {},
+      roots: {
+        collections: profileCollectibles.collectionCategoriesRootNodeHash || null,
+        badges: profileCollectibles.collectionBadgesRootNodeHash || null,
+        triumphs: profileRecords.recordCategoriesRootNodeHash || null,
+        seals: profileRecords.recordSealsRootNodeHash || null,
+        crafting: characterCraftables.craftingRootNodeHash || null
+      },
+      activeScore: profileRecords.activeScore || 0,
+      currentSeasonHash: data.profile?.data?.currentSeasonHash || null,
+      completion: new Map(),
+      leaves: new Map(),
+      patternRecords: null
+    };
+  }
+
+  // ==================== NODES ====================
+
+  /**
+   * Get a presentation node with its visible children
+   */
+  getNode(ctx, hash) {
+    const def = this.manifestLoader.getPresentationNodeDefinition(hash);
+    if (!def || def.redacted) return null;
+
+    const children = def.children || {};
+
+    return {
+      hash: Number(hash),
+      name: def.displayProperties?.name || 'Unknown',
+      description: def.displayProperties?.description || '',
+      icon: this.iconUrl(def.displayProperties?.icon),
+      completionRecordHash: def.completionRecordHash || null,
+      childNodes: (children.presentationNodes || [])
+        .map(c => c.presentationNodeHash)
+        .filter(h => this.manifestLoader.getPresentationNodeDefinition(h)),
+      collectibles: (children.collectibles || [])
+        .map(c => c.collectibleHash)
+        .filter(h => this.isCollectibleVisible(ctx, h)),
+      records: (children.records || [])
+        .map(c => c.recordHash)
+        .filter(h => this.isRecordVisible(ctx, h)),
+      craftables: (children.craftables || [])
+        .map(c => c.craftableItemHash)
+        .filter(h => ctx.craftables[h]?.visible !== false)
+    };
+  }
+
+  /**
+   * Count completed / total leaves under a node (memoized per context)
+   */
+  getNodeCompletion(ctx, hash) {
+    if (ctx.completion.has(hash)) return ctx.completion.get(hash);
+
+    const { collectibles, records } = this.getLeaves(ctx, hash);
+    const complete = collectibles.filter(h => this.isCollectibleOwned(ctx, h)).length +
+      records.filter(h => this.isRecordComplete(ctx, h)).length;
+
+    const result = { complete, total: collectibles.length + records.length };
+    ctx.completion.set(hash, result);
+    return result;
+  }
+
+  /**
+   * All visible collectibles, records and craftables under a node, deduplicated
+   */
+  getLeaves(ctx, rootHash) {
+    if (ctx.leaves.has(rootHash)) return ctx.leaves.get(rootHash);
+
+    const collectibles = new Set();
+    const records = new Set();
+    const craftables = new Set();
+    const visited = new Set();
+    const stack = [rootHash];
+
+    while (stack.length > 0) {
+      const hash = stack.pop();
+      if (!hash || visited.has(hash)) continue;
+      visited.add(hash);
+
+      const node = this.getNode(ctx, hash);
+      if (!node) continue;
+
+      node.collectibles.forEach(h => collectibles.add(h));
+      node.records.forEach(h => records.add(h));
+      node.craftables.forEach(h => craftables.add(h));
+      stack.push(...node.childNodes);
+    }
+
+    const leaves = {
+      collectibles: Array.from(collectibles),
+      records: Array.from(records),
+      craftables: Array.from(craftables)
+    };
+    ctx.leaves.set(rootHash, leaves);
+    return leaves;
+  }
+
+  // ==================== COLLECTIBLES ====================
+
+  getCollectibleState(ctx, hash) {
+    const def = this.manifestLoader.getCollectibleDefinition(hash);
+    const component = def?.scope === SCOPE_CHARACTER
+      ? ctx.characterCollectibles[hash]
+      : ctx.profileCollectibles[hash] || ctx.characterCollectibles[hash];
+    return component?.state ?? COLLECTIBLE_STATE.NOT_ACQUIRED;
+  }
+
+  isCollectibleVisible(ctx, hash) {
+    const def = this.manifestLoader.getCollectibleDefinition(hash);
+    return !!def && !def.redacted && !(this.getCollectibleState(ctx, hash) & COLLECTIBLE_STATE.INVISIBLE);
+  }
+
+  isCollectibleOwned(ctx, hash) {
+    return !(this.getCollectibleState(ctx, hash) & COLLECTIBLE_STATE.NOT_ACQUIRED);
+  }
+
+  /**
+   * Collectible with display info and owned state
+   */
+  processCollectible(ctx, hash) {
+    const def = this.manifestLoader.getCollectibleDefinition(hash);
+    if (!def) return null;
+
+    const state = this.getCollectibleState(ctx, hash);
+    const obscured = !!(state & COLLECTIBLE_STATE.OBSCURED);
+
+    return {
+      hash: Number(hash),
+      itemHash: def.itemHash,
+      name: obscured ? 'Secret' : (def.displayProperties?.name || 'Unknown'),
+      description: obscured ? '' : (def.displayProperties?.description || ''),
+      source: def.sourceString || '',
+      icon: obscured ? null : this.iconUrl(def.displayProperties?.icon),
+      owned: !(state & COLLECTIBLE_STATE.NOT_ACQUIRED),
+      obscured
+    };
+  }
+
+  // ==================== RECORDS ====================
+
+  getRecordComponent(ctx, hash) {
+    const def = this.manifestLoader.getRecordDefinition(hash);
+    return def?.scope === SCOPE_CHARACTER
+      ? ctx.characterRecords[hash]
+      : ctx.profileRecords[hash] || ctx.characterRecords[hash];
+  }
+
+  isRecordVisible(ctx, hash) {
+    const def = this.manifestLoader.getRecordDefinition(hash);
+    const state = this.getRecordComponent(ctx, hash)?.state ?? 0;
+    return !!def && !def.redacted && !(state & RECORD_STATE.INVISIBLE);
+  }
+
+  isRecordComplete(ctx, hash) {
+    const component = this.getRecordComponent(ctx, hash);
+    if (!component) return false;
+    return !(component.state & RECORD_STATE.OBJECTIVE_NOT_COMPLETED);
+  }
+
+  /**
+   * Record with objectives and overall progress (0-1)
+   */
+  processRecord(ctx, hash) {
+    const def = this.manifestLoader.getRecordDefinition(hash);
+    if (!def) return null;
+
+    const component = this.getRecordComponent(ctx, hash) || {};
+    const state = component.state ?? RECORD_STATE.OBJECTIVE_NOT_COMPLETED;
+    const obscured = !!(state & RECORD_STATE.OBSCURED);
+
+    const objectives = this.getRecordObjectives(component).map(obj => {
+      const objectiveDef = this.manifestLoader.getObjectiveDefinition(obj.objectiveHash);
+      const completionValue = obj.completionValue || objectiveDef?.completionValue || 1;
+
+      return {
+        hash: obj.objectiveHash,
+        description: objectiveDef?.progressDescription || '',
+        progress: obj.progress || 0,
+        completionValue,
+        complete: !!obj.complete
+      };
+    });
+
+    const progress = objectives.length > 0
+      ? objectives.reduce((sum, o) => sum + Math.min(o.progress / o.completionValue, 1), 0) / objectives.length
+      : (state & RECORD_STATE.OBJECTIVE_NOT_COMPLETED ? 0 : 1);
+
+    return {
+      hash: Number(hash),
+      name: obscured ? 'Secret Triumph' : (def.displayProperties?.name || 'Unknown'),
+      description: obscured ? (def.stateInfo?.obscuredString || '') : (def.displayProperties?.description || ''),
+      icon: obscured ? null : this.iconUrl(def.displayProperties?.icon),
+      score: def.completionInfo?.ScoreValue || 0,
+      titleName: this.getTitleName(def),
+      complete: !(state & RECORD_STATE.OBJECTIVE_NOT_COMPLETED),
+      redeemed: !!(state & RECORD_STATE.REDEEMED),
+      obscured,
+      objectives,
+      progress
+    };
+  }
+
+  /**
+   * Title a record grants, if any (titles are the same text for every gender in practice)
+   */
+  getTitleName(recordDef) {
+    if (!recordDef?.titleInfo?.hasTitle) return null;
+    return Object.values(recordDef.titleInfo.titlesByGender || {})[0] || null;
+  }
+
+  /**
+   * Objectives for a record; interval records report the next unfinished interval
+   */
+  getRecordObjectives(component) {
+    if (component.objectives?.length) return component.objectives;
+
+    const intervals = component.intervalObjectives || [];
+    if (intervals.length === 0) return [];
+    return [intervals.find(o => !o.complete) || intervals[intervals.length - 1]];
+  }
+
+  // ==================== SEALS ====================
+
+  /**
+   * All seals under the profile's seals root
+   */
+  getSeals(ctx) {
+    const root = this.getNode(ctx, ctx.roots.seals);
+    if (!root) return [];
+    return root.childNodes.map(hash => this.processSeal(ctx, hash)).filter(Boolean);
+  }
+
+  /**
+   * Seal summary: triumph completion, title and gilding
+   * Gilding is tracked by a separate record whose completedCount is the number of gilds
+   */
+  processSeal(ctx, hash) {
+    const node = this.getNode(ctx, hash);
+    if (!node) return null;
+
+    const completionRecord = this.manifestLoader.getRecordDefinition(node.completionRecordHash);
+    const { complete, total } = this.getNodeCompletion(ctx, hash);
+
+    const gildingHash = completionRecord?.titleInfo?.gildingTrackingRecordHash;
+    const gilding = gildingHash ? this.getRecordComponent(ctx, gildingHash) : null;
+
+    return {
+      hash: node.hash,
+      name: node.name,
+      description: node.description,
+      icon: node.icon,
+      titleName: this.getTitleName(completionRecord) || node.name,
+      complete,
+      total,
+      completed: node.completionRecordHash
+        ? this.isRecordComplete(ctx, node.completionRecordHash)
+        : total > 0 && complete === total,
+      canGild: !!gildingHash,
+      gildedCount: gilding?.completedCount || 0,
+      gildedThisSeason: !!gilding && !(gilding.state & RECORD_STATE.OBJECTIVE_NOT_COMPLETED)
+    };
+  }
+
+  /**
+   * Triumphs still needed for a seal, closest first
+   */
+  getSealRemaining(ctx, hash) {
+    return this.getLeaves(ctx, hash).records
+      .filter(h => !this.isRecordComplete(ctx, h))
+      .map(h => this.processRecord(ctx, h))
+      .filter(Boolean)
+      .sort((a, b) => b.progress - a.progress);
+  }
+
+  // ==================== PATTERNS ====================
+
+  /**
+   * Craftable weapons grouped by the crafting tree's top-level categories
+   */
+  getPatterns(ctx) {
+    const root = this.getNode(ctx, ctx.roots.crafting);
+    if (!root) return [];
+
+    return root.childNodes.map(hash => {
+      const node = this.getNode(ctx, hash);
+      if (!node) return null;
+
+      const patterns = this.getLeaves(ctx, hash).craftables
+        .map(itemHash => this.processPattern(ctx, itemHash))
+        .filter(Boolean)
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+      return patterns.length > 0 ? { hash: node.hash, name: node.name, patterns } : null;
+    }).filter(Boolean);
+  }
+
+  /**
+   * Pattern progress for a craftable weapon: red borders extracted / needed
+   */
+  processPattern(ctx, itemHash) {
+    const itemDef = this.manifestLoader.getItemDefinition(itemHash);
+    if (!itemDef?.displayProperties?.name) return null;
+
+    const name = itemDef.displayProperties.name;
+    const recordHash = this.findPatternRecord(ctx, itemDef);
+    const objective = recordHash ? this.getRecordComponent(ctx, recordHash)?.objectives?.[0] : null;
+    const craftable = ctx.craftables[itemHash];
+
+    const needed = objective?.completionValue || null;
+    const progress = objective ? Math.min(objective.progress || 0, needed) : null;
+    const unlocked = recordHash
+      ? this.isRecordComplete(ctx, recordHash)
+      : !!craftable && (craftable.failedRequirementIndexes || []).length === 0;
+
+    return {
+      itemHash: Number(itemHash),
+      name,
+      icon: this.iconUrl(itemDef.displayProperties.icon),
+      typeName: itemDef.itemTypeDisplayName || '',
+      recordHash,
+      unlocked,
+      progress,
+      needed,
+      remaining: unlocked ? 0 : (needed !== null ? needed - progress : null)
+    };
+  }
+
+  /**
+   * Look up a weapon's pattern record through its recipe: the weapon's
+   * inventory.recipeItemHash points at the pattern item, whose extraction objective
+   * is the one the pattern record tracks (index built once per context)
+   */
+  findPatternRecord(ctx, itemDef) {
+    const recipeDef = this.manifestLoader.getItemDefinition(itemDef.inventory?.recipeItemHash);
+    const objectiveHashes = recipeDef?.objectives?.objectiveHashes || [];
+    if (objectiveHashes.length === 0) return null;
+
+    if (!ctx.patternRecords) {
+      ctx.patternRecords = new Map();
+      for (const [hash, def] of Object.entries(this.manifestLoader.getRecords())) {
+        if (def.redacted || def.objectiveHashes?.length !== 1) continue;
+        if (!this.getRecordComponent(ctx, hash)) continue;
+
+        const objectiveHash = def.objectiveHashes[0];
+        if (!ctx.patternRecords.has(objectiveHash)) ctx.patternRecords.set(objectiveHash, Number(hash));
+      }
+    }
+
+    for (const objectiveHash of objectiveHashes) {
+      const recordHash = ctx.patternRecords.get(objectiveHash);
+      if (recordHash) return recordHash;
+    }
+    return null;
+  }
+
+  // ==================== VIEWS ====================
+
+  /**
+   * Search collectibles and records under the given roots by name
+   */
+  search(ctx, query, rootHashes, limit = 50) {
+    const lowerQuery = query.trim().toLowerCase();
+    if (!lowerQuery) return { collectibles: [], records: [] };
+
+    const collectibles = [];
+    const records = [];
+
+    for (const rootHash of rootHashes.filter(Boolean)) {
+      const leaves = this.getLeaves(ctx, rootHash);
+
+      for (const hash of leaves.collectibles) {
+        if (collectibles.length >= limit) break;
+        const name = this.manifestLoader.getCollectibleDefinition(hash)?.displayProperties?.name || '';
+        if (name.toLowerCase().includes(lowerQuery) && !collectibles.some(c => c.hash === Number(hash))) {
+          collectibles.push(this.processCollectible(ctx, hash));
+        }
+      }
+
+      for (const hash of leaves.records) {
+        if (records.length >= limit) break;
+        const def = this.manifestLoader.getRecordDefinition(hash);
+        const text = `${def?.displayProperties?.name || ''} ${def?.displayProperties?.description || ''}`;
+        if (text.toLowerCase().includes(lowerQuery) && !records.some(r => r.hash === Number(hash))) {
+          records.push(this.processRecord(ctx, hash));
+        }
+      }
+    }
+
+    return { collectibles, records };
+  }
+
+  /**
+   * Incomplete, visible triumphs sorted by how close they are to done
+   */
+  getClosestRecords(ctx, limit = 30) {
+    const rootHashes = [ctx.roots.triumphs, ctx.roots.seals].filter(Boolean);
+    const seen = new Set();
+    const candidates = [];
+
+    for (const rootHash of rootHashes) {
+      for (const hash of this.getLeaves(ctx, rootHash).records) {
+        if (seen.has(hash) || this.isRecordComplete(ctx, hash)) continue;
+        seen.add(hash);
+
+        const record = this.processRecord(ctx, hash);
+        if (record && !record.obscured && record.objectives.length > 0 && record.progress > 0) {
+          candidates.push(record);
+        }
+      }
+    }
+
+    return candidates
+      .sort((a, b) => b.progress - a.progress || b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * What is still missing from the current season: its collectibles, seal and challenges
+   * Collectibles are matched on their item's seasonHash (requires loadAnalysisData)
+   */
+  getSeasonMissing(ctx) {
+    const season = this.manifestLoader.getSeasonDefinition(ctx.currentSeasonHash);
+    const result = {
+      seasonName: season?.displayProperties?.name || 'Current Season',
+      collectibles: [],
+      records: []
+    };
+    if (!ctx.currentSeasonHash) return result;
+
+    const collectionRoots = [ctx.roots.collections, ctx.roots.badges].filter(Boolean);
+    const seen = new Set();
+    for (const rootHash of collectionRoots) {
+      for (const hash of this.getLeaves(ctx, rootHash).collectibles) {
+        if (seen.has(hash) || this.isCollectibleOwned(ctx, hash)) continue;
+        seen.add(hash);
+
+        const def = this.manifestLoader.getCollectibleDefinition(hash);
+        const itemDef = this.manifestLoader.getItemDefinition(def?.itemHash);
+        if (itemDef?.seasonHash === ctx.currentSeasonHash) {
+          result.collectibles.push(this.processCollectible(ctx, hash));
+        }
+      }
+    }
+
+    const recordRoots = [season?.sealPresentationNodeHash, season?.seasonalChallengesPresentationNodeHash].filter(Boolean);
+    const seenRecords = new Set();
+    for (const rootHash of recordRoots) {
+      for (const hash of this.getLeaves(ctx, rootHash).records) {
+        if (seenRecords.has(hash) || this.isRecordComplete(ctx, hash)) continue;
+        seenRecords.add(hash);
+        result.records.push(this.processRecord(ctx, hash));
+      }
+    }
+
+    result.records.sort((a, b) => b.progress - a.progress);
+    return result;
+  }
+
+  iconUrl(path) {
+    return path ? `https://www.bungie.net${path}` : null;
+  }
+}
+
+export const recordsProcessor = new RecordsProcessor();
+export default RecordsProcessor;
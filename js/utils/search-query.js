@@ -0,0 +1,410 @@
+/**
+ * Search Query - DIM-style item search language
+ * Parses queries like `is:weapon -is:locked (perk:"Kill Clip" or stat:recovery>=20)`
+ * into a predicate over items produced by InventoryProcessor.processItem
+ */
+
+// Tier type names used by is:<tier>
+const TIER_NAMES = {
+  exotic: 6,
+  legendary: 5,
+  rare: 4,
+  uncommon: 3,
+  common: 2
+};
+
+// Class type names used by is:<class>
+const CLASS_TYPES = {
+  titan: 0,
+  hunter: 1,
+  warlock: 2
+};
+
+// Damage type names used by element:<name> and is:<element>
+const ELEMENT_TYPES = {
+  kinetic: 1,
+  arc: 2,
+  solar: 3,
+  void: 4,
+  stasis: 6,
+  strand: 7
+};
+
+// Comparison operators for stat:/power: filters (longest first for matching)
+const COMPARATORS = {
+  '>=': (a, b) => a >= b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '<': (a, b) => a < b,
+  '=': (a, b) => a === b
+};
+
+// is:<keyword> predicates - (item, context) => boolean
+const IS_FILTERS = {
+  weapon: (item) => item.isWeapon,
+  armor: (item) => item.isArmor,
+  mod: (item) => item.isMod,
+  consumable: (item) => item.isConsumable,
+  equipped: (item) => item.isEquipped,
+  locked: (item) => item.isLocked,
+  unlocked: (item) => !item.isLocked,
+  masterwork: (item) => item.energy?.energyCapacity >= 10 || !!item.sockets?.masterwork,
+  crafted: (item) => item.isCrafted,
+  deepsight: (item) => item.isDeepsight,
+  enhanced: (item) => item.enhancementTier > 0,
+  dupe: (item, context) => (context.hashCounts?.get(item.itemHash) || 0) > 1,
+  kineticslot: (item) => item.weaponSlot === 'kinetic',
+  energy: (item) => item.weaponSlot === 'energy',
+  power: (item) => item.weaponSlot === 'power',
+  heavy: (item) => item.weaponSlot === 'power',
+  helmet: (item) => item.armorSlot === 'helmet',
+  gauntlets: (item) => item.armorSlot === 'gauntlets',
+  chest: (item) => item.armorSlot === 'chest',
+  legs: (item) => item.armorSlot === 'legs',
+  classitem: (item) => item.armorSlot === 'class'
+};
+
+for (const [name, tierType] of Object.entries(TIER_NAMES)) {
+  IS_FILTERS[name] = (item) => item.tierType === tierType;
+}
+for (const [name, classType] of Object.entries(CLASS_TYPES)) {
+  IS_FILTERS[name] = (item) => item.classType === classType;
+}
+for (const [name, damageType] of Object.entries(ELEMENT_TYPES)) {
+  IS_FILTERS[name] = (item) => item.damageType === damageType;
+}
+
+export class SearchQuery {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  // ==================== PUBLIC API ====================
+
+  /**
+   * Filter items by a query string
+   * context: { hashCounts } - see buildContext()
+   * Invalid queries fall back to a plain name match so typing never blanks the list
+   */
+  filter(items, query, context = {}) {
+    if (!query || !query.trim()) return items;
+
+    let predicate;
+    try {
+      predicate = this.compile(query);
+    } catch (error) {
+      const term = query.trim().toLowerCase();
+      predicate = (item) => item.name?.toLowerCase().includes(term);
+    }
+
+    return items.filter(item => predicate(item, context));
+  }
+
+  /**
+   * Compile a query into a predicate (item, context) => boolean
+   * Throws on syntax errors or unknown filters
+   */
+  compile(query) {
+    if (this.cache.has(query)) return this.cache.get(query);
+
+    const tokens = this.tokenize(query);
+    const state = { tokens, pos: 0 };
+    const predicate = tokens.length === 0 ? () => true : this.parseOr(state);
+
+    if (state.pos < tokens.length) {
+      throw new Error(`Unexpected "${tokens[state.pos].value}"`);
+    }
+
+    this.cache.set(query, predicate);
+    return predicate;
+  }
+
+  /**
+   * Check whether a query is valid
+   */
+  validate(query) {
+    try {
+      this.compile(query);
+      return { valid: true, error: null };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+
+  /**
+   * Build search context from a processed inventory (needed for is:dupe)
+   */
+  buildContext(inventory) {
+    const hashCounts = new Map();
+    const count = (item) => {
+      if (!item?.itemInstanceId) return;
+      hashCounts.set(item.itemHash, (hashCounts.get(item.itemHash) || 0) + 1);
+    };
+
+    for (const item of inventory?.vault?.items || []) count(item);
+
+    for (const char of Object.values(inventory?.characters || {})) {
+      for (const items of Object.values(char.inventory || {})) {
+        if (Array.isArray(items)) items.forEach(count);
+      }
+    }
+
+    for (const equipped of Object.values(inventory?.equipped || {})) {
+      Object.values(equipped.weapons || {}).forEach(count);
+      Object.values(equipped.armor || {}).forEach(count);
+    }
+
+    return { hashCounts };
+  }
+
+  // ==================== TOKENIZER ====================
+
+  /**
+   * Split query into tokens: parens, words (incl. key:value with quoted values) and quoted strings
+   */
+  tokenize(query) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < query.length) {
+      const ch = query[i];
+
+      if (/\s/.test(ch)) {
+        i++;
+        continue;
+      }
+
+      if (ch === '(' || ch === ')') {
+        tokens.push({ type: ch, value: ch });
+        i++;
+        continue;
+      }
+
+      if (ch === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+        tokens.push({ type: 'not', value: '-' });
+        i++;
+        continue;
+      }
+
+      let word = '';
+      while (i < query.length && !/[\s()]/.test(query[i])) {
+        if (query[i] === '"' || query[i] === '\'') {
+          const quote = query[i];
+          const end = query.indexOf(quote, i + 1);
+          if (end === -1) throw new Error('Unclosed quote');
+          word += query.slice(i, end + 1);
+          i = end + 1;
+        } else {
+          word += query[i];
+          i++;
+        }
+      }
+
+      const lower = word.toLowerCase();
+      if (lower === 'and' || lower === 'or' || lower === 'not') {
+        tokens.push({ type: lower, value: word });
+      } else {
+        tokens.push({ type: 'term', value: word });
+      }
+    }
+
+    return tokens;
+  }
+
+  // ==================== PARSER ====================
+
+  /**
+   * or := and ('or' and)*
+   */
+  parseOr(state) {
+    const parts = [this.parseAnd(state)];
+    while (this.peek(state)?.type === 'or') {
+      state.pos++;
+      parts.push(this.parseAnd(state));
+    }
+    return parts.length === 1 ? parts[0] : (item, ctx) => parts.some(p => p(item, ctx));
+  }
+
+  /**
+   * and := not (('and')? not)*  - juxtaposition is an implicit and
+   */
+  parseAnd(state) {
+    const parts = [this.parseNot(state)];
+
+    while (true) {
+      const next = this.peek(state);
+      if (!next || next.type === 'or' || next.type === ')') break;
+      if (next.type === 'and') state.pos++;
+      parts.push(this.parseNot(state));
+    }
+
+    return parts.length === 1 ? parts[0] : (item, ctx) => parts.every(p => p(item, ctx));
+  }
+
+  /**
+   * not := ('not' | '-') not | primary
+   */
+  parseNot(state) {
+    const next = this.peek(state);
+    if (next?.type === 'not') {
+      state.pos++;
+      const inner = this.parseNot(state);
+      return (item, ctx) => !inner(item, ctx);
+    }
+    return this.parsePrimary(state);
+  }
+
+  /**
+   * primary := '(' or ')' | term
+   */
+  parsePrimary(state) {
+    const token = this.peek(state);
+    if (!token) throw new Error('Unexpected end of query');
+
+    if (token.type === '(') {
+      state.pos++;
+      const inner = this.parseOr(state);
+      if (this.peek(state)?.type !== ')') throw new Error('Missing closing parenthesis');
+      state.pos++;
+      return inner;
+    }
+
+    if (token.type === 'term') {
+      state.pos++;
+      return this.buildTermFilter(token.value);
+    }
+
+    throw new Error(`Unexpected "${token.value}"`);
+  }
+
+  /**
+   * Get current token without consuming it
+   */
+  peek(state) {
+    return state.tokens[state.pos];
+  }
+
+  // ==================== FILTERS ====================
+
+  /**
+   * Build predicate for a single term (key:value or bare name text)
+   */
+  buildTermFilter(term) {
+    const colon = term.indexOf(':');
+    if (colon <= 0) {
+      const text = this.unquote(term).toLowerCase();
+      return (item) => item.name?.toLowerCase().includes(text);
+    }
+
+    const key = term.slice(0, colon).toLowerCase();
+    const value = this.unquote(term.slice(colon + 1));
+    const lower = value.toLowerCase();
+
+    switch (key) {
+      case 'is': {
+        const filter = IS_FILTERS[lower];
+        if (!filter) throw new Error(`Unknown filter is:${value}`);
+        return filter;
+      }
+      case 'name':
+        return (item) => item.name?.toLowerCase().includes(lower);
+      case 'perk':
+        return (item) => this.getPerkNames(item).some(name => name.includes(lower));
+      case 'element': {
+        const damageType = ELEMENT_TYPES[lower];
+        if (damageType === undefined) throw new Error(`Unknown element ${value}`);
+        return (item) => item.damageType === damageType;
+      }
+      case 'power': {
+        const { compare, number } = this.parseComparison(value);
+        return (item) => item.primaryStat?.value !== undefined && compare(item.primaryStat.value, number);
+      }
+      case 'stat': {
+        const match = value.match(/^([a-z\s]+?)\s*(>=|<=|>|<|=|:)\s*(-?\d+)$/i);
+        if (!match) throw new Error(`Invalid stat filter ${value}`);
+        const statKey = this.normalizeStatName(match[1]);
+        const compare = COMPARATORS[match[2] === ':' ? '=' : match[2]];
+        const number = parseInt(match[3]);
+        return (item) => {
+          const statValue = this.getStatValue(item, statKey);
+          return statValue !== undefined && compare(statValue, number);
+        };
+      }
+      default:
+        throw new Error(`Unknown filter ${key}:`);
+    }
+  }
+
+  /**
+   * Parse ">=1990", ">1990", "1990" into a comparator
+   */
+  parseComparison(value) {
+    const match = value.match(/^(>=|<=|>|<|=)?\s*(-?\d+)$/);
+    if (!match) throw new Error(`Invalid comparison ${value}`);
+    return { compare: COMPARATORS[match[1] || '='], number: parseInt(match[2]) };
+  }
+
+  /**
+   * Collect lowercase perk/plug names from processed sockets
+   */
+  getPerkNames(item) {
+    const sockets = item.sockets;
+    if (!sockets) return [];
+
+    const plugs = [
+      ...(sockets.perks || []),
+      sockets.intrinsic,
+      sockets.origin,
+      sockets.masterwork,
+      sockets.mod
+    ];
+
+    return plugs
+      .filter(plug => plug?.name)
+      .map(plug => plug.name.toLowerCase());
+  }
+
+  /**
+   * Look up a stat value by normalized name (armor uses lowercase keys, weapons use display names)
+   */
+  getStatValue(item, statKey) {
+    if (!item.stats) return undefined;
+    for (const [name, value] of Object.entries(item.stats)) {
+      if (this.normalizeStatName(name) === statKey) return value;
+    }
+    return undefined;
+  }
+
+  /**
+   * Normalize stat names for comparison ("Reload Speed" -> "reloadspeed")
+   */
+  normalizeStatName(name) {
+    return String(name).toLowerCase().replace(/[\s_]+/g, '');
+  }
+
+  /**
+   * Strip surrounding quotes
+   */
+  unquote(value) {
+    const trimmed = value.trim();
+    if (trimmed.length >= 2 && (trimmed[0] === '"' || trimmed[0] === '\'') && trimmed[trimmed.length - 1] === trimmed[0]) {
+      return trimmed.slice(1, -1);
+    }
+    return trimmed;
+  }
+
+  /**
+   * Describe available filters (for search help tooltips)
+   */
+  getHelpText() {
+    return [
+      'is:weapon, is:armor, is:exotic, is:locked, is:dupe, is:masterwork, is:crafted, is:deepsight',
+      'perk:"Kill Clip", stat:recovery>=20, power:>1990, element:solar',
+      'Combine with and / or / not (or -), group with ( )'
+    ].join('\n');
+  }
+}
+
+// Export singleton instance
+export const searchQuery = new SearchQuery();
+export default SearchQuery;
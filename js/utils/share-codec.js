@@ -0,0 +1,421 @@
+/**
+ * Share Codec - Compact, URL-safe encoding for build and loadout share links
+ *
+ * Layout: [version][flags][body]
+ *   flags: low bits = kind (build/loadout), high bit = body is deflate-raw compressed
+ *   body:  name, classType, element, super hash, aspect hashes, fragment hashes, items
+ * Strings are length-prefixed UTF-8, counts are varints and hashes are packed uint32s.
+ */
+
+export const SHARE_CODEC_VERSION = 1;
+
+export const SHARE_KINDS = {
+  BUILD: 1,
+  LOADOUT: 2
+};
+
+const KIND_NAMES = {
+  [SHARE_KINDS.BUILD]: 'build',
+  [SHARE_KINDS.LOADOUT]: 'loadout'
+};
+
+const FLAG_COMPRESSED = 0x80;
+const KIND_MASK = 0x0f;
+
+// Item flags
+const ITEM_EQUIPPED = 1;
+
+// Element order is part of the format - append only
+const ELEMENTS = ['arc', 'solar', 'void', 'stasis', 'strand', 'prismatic', 'kinetic'];
+
+const CLASS_NAMES = ['titan', 'hunter', 'warlock'];
+
+// Stored when a byte field has no value
+const UNKNOWN = 0xff;
+
+// Links are capped well under common URL limits
+const MAX_ENCODED_LENGTH = 4000;
+
+export class ShareCodec {
+  constructor() {
+    this.encoder = new TextEncoder();
+    this.decoder = new TextDecoder();
+  }
+
+  /**
+   * Encode a Build Crafter build
+   */
+  async encodeBuild(build) {
+    const weapons = build.weapons || {};
+    const armor = build.armor || {};
+
+    const items = [
+      weapons.kinetic,
+      weapons.energy,
+      weapons.power,
+      ...['helmet', 'gauntlets', 'chest', 'legs', 'class'].map(slot => armor[slot]?.item)
+    ].filter(Boolean).map(item => ({
+      itemHash: item.itemHash,
+      bucketHash: item.bucketHash,
+      isEquipped: true
+    }));
+
+    return this.encode(SHARE_KINDS.BUILD, {
+      name: build.name,
+      classType: build.classType ?? this.getClassType(build.class),
+      element: build.element,
+      superHash: build.subclass?.superHash,
+      aspectHashes: this.collectHashes(build.subclass?.aspects),
+      fragmentHashes: this.collectHashes(build.subclass?.fragments),
+      items
+    });
+  }
+
+  /**
+   * Encode a saved loadout
+   */
+  async encodeLoadout(loadout) {
+    return this.encode(SHARE_KINDS.LOADOUT, {
+      name: loadout.name,
+      classType: loadout.classType ?? this.getClassType(loadout.class),
+      element: loadout.element,
+      superHash: loadout.buildData?.superHash,
+      aspectHashes: this.collectHashes(loadout.buildData?.aspects),
+      fragmentHashes: this.collectHashes(loadout.buildData?.fragments),
+      items: (loadout.items || []).map(item => ({
+        itemHash: item.itemHash,
+        bucketHash: item.bucketHash,
+        isEquipped: item.isEquipped !== false
+      }))
+    });
+  }
+
+  /**
+   * Encode a payload of the given kind into a URL-safe string
+   */
+  async encode(kind, payload) {
+    const writer = new ByteWriter(this.encoder);
+
+    writer.string(payload.name || '');
+    writer.byte(Number.isInteger(payload.classType) && payload.classType < CLASS_NAMES.length ? payload.classType : UNKNOWN);
+    writer.byte(this.getElementIndex(payload.element));
+    writer.uint32(payload.superHash || 0);
+    writer.hashList(payload.aspectHashes);
+    writer.hashList(payload.fragmentHashes);
+
+    const items = (payload.items || []).filter(item => item.itemHash);
+    writer.varint(items.length);
+    items.forEach(item => {
+      writer.uint32(item.itemHash);
+      writer.uint32(item.bucketHash || 0);
+      writer.byte(item.isEquipped ? ITEM_EQUIPPED : 0);
+    });
+
+    let body = writer.toBytes();
+    let flags = kind & KIND_MASK;
+
+    const compressed = await this.compress(body);
+    if (compressed && compressed.length < body.length) {
+      body = compressed;
+      flags |= FLAG_COMPRESSED;
+    }
+
+    const bytes = new Uint8Array(body.length + 2);
+    bytes[0] = SHARE_CODEC_VERSION;
+    bytes[1] = flags;
+    bytes.set(body, 2);
+
+    const encoded = this.toBase64Url(bytes);
+    if (encoded.length > MAX_ENCODED_LENGTH) {
+      throw new Error('Too much data to share as a link');
+    }
+
+    return encoded;
+  }
+
+  /**
+   * Decode a share string. Links from before the codec (base64 JSON) are still accepted.
+   * Returns { kind, version, name, classType, className, element, superHash, aspects, fragments, items }
+   */
+  async decode(encoded, expectedKind = null) {
+    if (!encoded || typeof encoded !== 'string') {
+      throw new Error('Empty share link');
+    }
+
+    const legacy = this.decodeLegacy(encoded, expectedKind);
+    if (legacy) return legacy;
+
+    let bytes;
+    try {
+      bytes = this.fromBase64Url(encoded);
+    } catch {
+      throw new Error('Share link is not valid');
+    }
+
+    if (bytes.length < 2) {
+      throw new Error('Share link is not valid');
+    }
+
+    const version = bytes[0];
+    if (version > SHARE_CODEC_VERSION) {
+      throw new Error('Share link was made by a newer version of the app');
+    }
+
+    const kind = bytes[1] & KIND_MASK;
+    if (!KIND_NAMES[kind]) {
+      throw new Error('Share link is not valid');
+    }
+
+    let body = bytes.subarray(2);
+    if (bytes[1] & FLAG_COMPRESSED) {
+      body = await this.decompress(body);
+    }
+
+    try {
+      const reader = new ByteReader(body, this.decoder);
+
+      const name = reader.string();
+      const classType = reader.byte();
+      const elementIndex = reader.byte();
+      const superHash = reader.uint32();
+      const aspectHashes = reader.hashList();
+      const fragmentHashes = reader.hashList();
+
+      const itemCount = reader.varint();
+      const items = [];
+      for (let i = 0; i < itemCount; i++) {
+        items.push({
+          itemHash: reader.uint32(),
+          bucketHash: reader.uint32() || null,
+          isEquipped: (reader.byte() & ITEM_EQUIPPED) !== 0
+        });
+      }
+
+      return {
+        kind: KIND_NAMES[kind],
+        version,
+        name,
+        classType: classType === UNKNOWN ? null : classType,
+        className: CLASS_NAMES[classType] || null,
+        element: ELEMENTS[elementIndex] || null,
+        superHash: superHash || null,
+        superName: null,
+        aspects: aspectHashes.map(hash => ({ hash, name: null })),
+        fragments: fragmentHashes.map(hash => ({ hash, name: null })),
+        items
+      };
+    } catch {
+      throw new Error('Share link is damaged or incomplete');
+    }
+  }
+
+  /**
+   * Decode a pre-codec link (btoa of a short-key JSON object), or null if it isn't one
+   */
+  decodeLegacy(encoded, expectedKind) {
+    // Codec links start with the version byte ('A'); legacy JSON always starts with '{"' -> 'eyJ'
+    if (!encoded.startsWith('eyJ')) return null;
+
+    let data;
+    try {
+      data = JSON.parse(atob(decodeURIComponent(encoded).replace(/ /g, '+')));
+    } catch {
+      return null;
+    }
+
+    const isLoadout = expectedKind === 'loadout' || Array.isArray(data.i) || 'b' in data;
+    const build = isLoadout ? data.b || {} : data;
+    const toRefs = list => (Array.isArray(list) ? list : []).map(entry =>
+      typeof entry === 'object' && entry !== null
+        ? { hash: entry.hash || null, name: entry.name || null }
+        : { hash: null, name: String(entry) }
+    );
+    const classType = this.getClassType(data.c);
+    const element = String(data.e || '').toLowerCase();
+
+    return {
+      kind: isLoadout ? 'loadout' : 'build',
+      version: 0,
+      name: data.n || '',
+      classType,
+      className: CLASS_NAMES[classType] || null,
+      element: ELEMENTS.includes(element) ? element : null,
+      superHash: null,
+      superName: isLoadout ? null : data.s || null,
+      aspects: toRefs(isLoadout ? build.a : data.a),
+      fragments: toRefs(isLoadout ? build.f : data.f),
+      items: (data.i || []).map(item => ({
+        itemHash: item.h,
+        bucketHash: item.b || null,
+        isEquipped: true
+      }))
+    };
+  }
+
+  /**
+   * Build a full share URL for the current page
+   */
+  buildLink(param, encoded) {
+    return `${window.location.origin}${window.location.pathname}?${param}=${encoded}`;
+  }
+
+  // ==================== HELPERS ====================
+
+  collectHashes(list) {
+    return (list || [])
+      .map(entry => (typeof entry === 'number' ? entry : entry?.hash))
+      .filter(hash => Number.isInteger(hash) && hash > 0);
+  }
+
+  getClassType(className) {
+    const index = CLASS_NAMES.indexOf(String(className || '').toLowerCase());
+    return index === -1 ? null : index;
+  }
+
+  getElementIndex(element) {
+    const index = ELEMENTS.indexOf(String(element || '').toLowerCase());
+    return index === -1 ? UNKNOWN : index;
+  }
+
+  async compress(bytes) {
+    if (typeof CompressionStream === 'undefined') return null;
+
+    try {
+      const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    } catch {
+      return null;
+    }
+  }
+
+  async decompress(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser cannot open compressed share links');
+    }
+
+    try {
+      const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    } catch {
+      throw new Error('Share link is damaged or incomplete');
+    }
+  }
+
+  toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  fromBase64Url(encoded) {
+    const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+  }
+}
+
+/**
+ * Appends primitive fields to a growable byte buffer
+ */
+class ByteWriter {
+  constructor(encoder) {
+    this.encoder = encoder;
+    this.bytes = [];
+  }
+
+  byte(value) {
+    this.bytes.push(value & 0xff);
+  }
+
+  varint(value) {
+    let remaining = value >>> 0;
+    while (remaining >= 0x80) {
+      this.bytes.push((remaining & 0x7f) | 0x80);
+      remaining >>>= 7;
+    }
+    this.bytes.push(remaining);
+  }
+
+  uint32(value) {
+    const v = value >>> 0;
+    this.bytes.push((v >>> 24) & 0xff, (v >>> 16) & 0xff, (v >>> 8) & 0xff, v & 0xff);
+  }
+
+  string(value) {
+    const encoded = this.encoder.encode(value);
+    this.varint(encoded.length);
+    encoded.forEach(b => this.bytes.push(b));
+  }
+
+  hashList(hashes = []) {
+    this.varint(hashes.length);
+    hashes.forEach(hash => this.uint32(hash));
+  }
+
+  toBytes() {
+    return Uint8Array.from(this.bytes);
+  }
+}
+
+/**
+ * Reads primitive fields back in order, throwing if the buffer runs out
+ */
+class ByteReader {
+  constructor(bytes, decoder) {
+    this.bytes = bytes;
+    this.decoder = decoder;
+    this.offset = 0;
+  }
+
+  ensure(length) {
+    if (this.offset + length > this.bytes.length) {
+      throw new Error('Unexpected end of data');
+    }
+  }
+
+  byte() {
+    this.ensure(1);
+    return this.bytes[this.offset++];
+  }
+
+  varint() {
+    let result = 0;
+    let shift = 0;
+    let b;
+    do {
+      if (shift > 28) throw new Error('Varint too long');
+      b = this.byte();
+      result |= (b & 0x7f) << shift;
+      shift += 7;
+    } while (b & 0x80);
+    return result >>> 0;
+  }
+
+  uint32() {
+    this.ensure(4);
+    const b = this.bytes;
+    const o = this.offset;
+    this.offset += 4;
+    return ((b[o] << 24) | (b[o + 1] << 16) | (b[o + 2] << 8) | b[o + 3]) >>> 0;
+  }
+
+  string() {
+    const length = this.varint();
+    this.ensure(length);
+    const value = this.decoder.decode(this.bytes.subarray(this.offset, this.offset + length));
+    this.offset += length;
+    return value;
+  }
+
+  hashList() {
+    const count = this.varint();
+    const hashes = [];
+    for (let i = 0; i < count; i++) {
+      hashes.push(this.uint32());
+    }
+    return hashes;
+  }
+}
+
+export const shareCodec = new ShareCodec();
+export default ShareCodec;
@@ -0,0 +1,293 @@
+/**
+ * Vault Cleanup - Duplicate detection and dismantle suggestions
+ * Works on processed inventory from InventoryProcessor (perks from processSockets,
+ * stats from processArmorStats)
+ */
+
+const CLASS_NAMES = ['Titan', 'Hunter', 'Warlock', 'Any Class'];
+
+const SLOT_NAMES = {
+  helmet: 'Helmet',
+  gauntlets: 'Gauntlets',
+  chest: 'Chest',
+  legs: 'Legs',
+  class: 'Class Item'
+};
+
+export class VaultCleanup {
+  /**
+   * Analyze inventory for duplicates
+   * Returns { weaponGroups, armorGroups, suggestions, summary }
+   * Each group entry: { item, location, characterId, worseThan, reason, suggest }
+   * Items missing the data they are compared on (weapon perks, armor stats) are left out
+   * of the groups; summary.unreviewed counts those that have duplicates
+   */
+  analyze(inventory) {
+    const entries = this.collectEntries(inventory);
+    const comparable = entries.filter(e => this.isComparable(e.item));
+
+    const weaponGroups = this.groupBy(
+      comparable.filter(e => e.item.isWeapon),
+      e => this.getGroupKey(e.item)
+    ).map(group => this.markWeaponGroup(group));
+
+    const armorGroups = this.groupBy(
+      comparable.filter(e => e.item.isArmor),
+      e => this.getGroupKey(e.item)
+    ).map(group => this.markArmorGroup(group));
+
+    const unreviewed = this.groupBy(entries, e => this.getGroupKey(e.item))
+      .reduce((sum, g) => sum + g.entries.filter(e => !this.isComparable(e.item)).length, 0);
+
+    const suggestions = [...weaponGroups, ...armorGroups]
+      .flatMap(group => group.entries.filter(e => e.suggest));
+
+    return {
+      weaponGroups,
+      armorGroups,
+      suggestions,
+      summary: {
+        duplicateGroups: weaponGroups.length + armorGroups.length,
+        duplicateItems: [...weaponGroups, ...armorGroups].reduce((sum, g) => sum + g.entries.length, 0),
+        suggested: suggestions.length,
+        unreviewed
+      }
+    };
+  }
+
+  // ==================== COLLECTION ====================
+
+  /**
+   * Flatten vault, character inventories and equipped items with their location
+   */
+  collectEntries(inventory) {
+    const entries = [];
+    const add = (item, location, characterId = null) => {
+      if (!item?.itemInstanceId || (!item.isWeapon && !item.isArmor)) return;
+      entries.push({ item, location, characterId });
+    };
+
+    for (const item of inventory?.vault?.items || []) {
+      add(item, 'vault');
+    }
+
+    for (const [charId, char] of Object.entries(inventory?.characters || {})) {
+      const inv = char.inventory || {};
+      for (const item of [...(inv.weapons || []), ...(inv.armor || [])]) {
+        add(item, charId, charId);
+      }
+    }
+
+    for (const [charId, equipped] of Object.entries(inventory?.equipped || {})) {
+      for (const item of [...Object.values(equipped.weapons || {}), ...Object.values(equipped.armor || {})]) {
+        add(item, 'equipped', charId);
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Group entries by key, keeping only groups with 2+ items
+   */
+  groupBy(entries, keyFn) {
+    const groups = new Map();
+    for (const entry of entries) {
+      const key = keyFn(entry);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(entry);
+    }
+
+    return Array.from(groups.entries())
+      .filter(([, groupEntries]) => groupEntries.length > 1)
+      .map(([key, groupEntries]) => ({ key, entries: groupEntries }));
+  }
+
+  /**
+   * Duplicate group key: weapons by item hash, armor by getArmorGroupKey
+   */
+  getGroupKey(item) {
+    return item.isWeapon ? `weapon:${item.itemHash}` : this.getArmorGroupKey(item);
+  }
+
+  /**
+   * Whether the item has what it is compared on: perks for weapons, stats for armor
+   */
+  isComparable(item) {
+    if (item.isWeapon) return this.getPerkSet(item).size > 0;
+    return Object.keys(item.stats || {}).some(key => key !== 'total');
+  }
+
+  /**
+   * Armor groups by slot + class + tier
+   * Exotics are also split by item hash since each has a unique perk
+   */
+  getArmorGroupKey(item) {
+    const tier = item.isExotic ? `exotic:${item.itemHash}` : 'legendary';
+    return `armor:${item.armorSlot}:${item.classType}:${tier}`;
+  }
+
+  // ==================== COMPARISON ====================
+
+  /**
+   * Mark weapons whose perk set is covered by another copy
+   */
+  markWeaponGroup(group) {
+    const ranked = this.rankKeepers(group.entries);
+    const perkSets = new Map(ranked.map(e => [e, this.getPerkSet(e.item)]));
+
+    for (let i = 0; i < ranked.length; i++) {
+      const entry = ranked[i];
+      const perks = perkSets.get(entry);
+
+      // Identical rolls only lose to better-ranked copies so exactly one is kept
+      const better = ranked.find((other, j) => {
+        if (other === entry || other.worseThan) return false;
+        const otherPerks = perkSets.get(other);
+        return this.isSubset(perks, otherPerks) && (perks.size < otherPerks.size || j < i);
+      });
+
+      if (better) {
+        entry.worseThan = better.item.itemInstanceId;
+        entry.reason = perks.size === perkSets.get(better).size
+          ? `Same perks as another copy (${this.describeLocation(better)})`
+          : `Perks covered by another copy (${this.describeLocation(better)})`;
+      }
+      this.applySuggestion(entry);
+    }
+
+    const first = ranked[0].item;
+    return {
+      key: group.key,
+      type: 'weapon',
+      label: first.name,
+      entries: ranked
+    };
+  }
+
+  /**
+   * Mark armor beaten on every stat by another piece
+   */
+  markArmorGroup(group) {
+    const ranked = this.rankKeepers(group.entries);
+    const statKeys = this.getArmorStatKeys(ranked);
+
+    for (let i = 0; i < ranked.length; i++) {
+      const entry = ranked[i];
+
+      const better = ranked.find((other, j) =>
+        other !== entry &&
+        !other.worseThan &&
+        this.dominates(other.item, entry.item, statKeys, j < i)
+      );
+
+      if (better) {
+        entry.worseThan = better.item.itemInstanceId;
+        const tied = statKeys.every(stat => (better.item.stats[stat] || 0) === (entry.item.stats[stat] || 0));
+        entry.reason = tied
+          ? `Same stats as another ${better.item.name} (${better.item.stats.total || 0} total)`
+          : `Beaten on every stat by ${better.item.name} (${better.item.stats.total || 0} total)`;
+      }
+      this.applySuggestion(entry);
+    }
+
+    const first = ranked[0].item;
+    const className = CLASS_NAMES[first.classType] || 'Unknown';
+    const slotName = SLOT_NAMES[first.armorSlot] || first.armorSlot;
+
+    return {
+      key: group.key,
+      type: 'armor',
+      label: first.isExotic
+        ? `${first.name} (${className})`
+        : `${className} Legendary ${slotName}`,
+      entries: ranked
+    };
+  }
+
+  /**
+   * Order entries so the copy most worth keeping comes first
+   * (locked, equipped, masterworked, then power)
+   */
+  rankKeepers(entries) {
+    const score = (e) =>
+      (e.item.isLocked ? 8 : 0) +
+      (e.location === 'equipped' ? 4 : 0) +
+      (e.item.energy?.energyCapacity >= 10 ? 2 : 0);
+
+    return [...entries]
+      .map(e => ({ ...e, worseThan: null, reason: null, suggest: false }))
+      .sort((a, b) =>
+        score(b) - score(a) ||
+        (b.item.stats?.total || 0) - (a.item.stats?.total || 0) ||
+        (b.item.primaryStat?.value || 0) - (a.item.primaryStat?.value || 0)
+      );
+  }
+
+  /**
+   * Locked and equipped items are never suggested
+   */
+  applySuggestion(entry) {
+    entry.suggest = !!entry.worseThan && !entry.item.isLocked && entry.location !== 'equipped';
+  }
+
+  /**
+   * True if a beats-or-ties b on every stat, with at least one strict win
+   * (an exact tie counts when a is ranked ahead, so one copy is kept)
+   */
+  dominates(a, b, statKeys, winsTies) {
+    let strictlyBetter = false;
+    for (const stat of statKeys) {
+      const av = a.stats?.[stat] || 0;
+      const bv = b.stats?.[stat] || 0;
+      if (av < bv) return false;
+      if (av > bv) strictlyBetter = true;
+    }
+    return strictlyBetter || winsTies;
+  }
+
+  /**
+   * Stat keys present on the group's armor (excluding total)
+   */
+  getArmorStatKeys(entries) {
+    const keys = new Set();
+    for (const { item } of entries) {
+      Object.keys(item.stats || {}).forEach(key => {
+        if (key !== 'total') keys.add(key);
+      });
+    }
+    return Array.from(keys);
+  }
+
+  /**
+   * Set of perk plug hashes across all perk columns
+   */
+  getPerkSet(item) {
+    return new Set((item.sockets?.perks || []).map(perk => perk.plugHash));
+  }
+
+  /**
+   * True if every element of a is in b
+   */
+  isSubset(a, b) {
+    for (const value of a) {
+      if (!b.has(value)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Human readable description of a copy for reasons ("1990 power, in vault")
+   */
+  describeLocation(entry) {
+    const where = entry.location === 'vault'
+      ? 'in vault'
+      : entry.location === 'equipped' ? 'equipped' : 'on character';
+    const power = entry.item.primaryStat?.value;
+    return power ? `${power} power, ${where}` : where;
+  }
+}
+
+// Export singleton instance
+export const vaultCleanup = new VaultCleanup();
+export default VaultCleanup;
@@ -0,0 +1,315 @@
+/**
+ * Wishlist Manager - Imports DIM-format roll wishlists and rates weapon rolls against them
+ *
+ * Wishlist lines look like:
+ *   dimwishlist:item=1234&perks=111,222#notes:PvE roll
+ *   dimwishlist:item=-1234&perks=333        (negative item hash = trash roll)
+ *   dimwishlist:item=-69420&perks=444       (any item with this perk)
+ * plus optional title:, description: and //notes: lines (notes apply until a blank line).
+ *
+ * Lists are stored compactly: rolls/trash map item hash -> [[perkHashes], noteIndex],
+ * with deduplicated note text in notes[] (noteIndex -1 = no note).
+ */
+
+import { manifestLoader } from '../api/manifest-loader.js';
+import { storageManager } from '../core/storage-manager.js';
+
+// DIM's wildcard item hash - the roll applies to every item
+const ANY_ITEM_HASH = -69420;
+const ANY_ITEM_KEY = 'any';
+
+const WISHLIST_LINE_PREFIX = 'dimwishlist:';
+const MAX_NOTE_LENGTH = 300;
+const MAX_LISTS = 10;
+
+export class WishlistManager {
+  constructor() {
+    this.lists = [];
+    this.listeners = new Set();
+
+    // Ratings are cached per processed item object; cleared when lists change
+    this.ratings = new WeakMap();
+  }
+
+  /**
+   * Load saved lists
+   */
+  async init() {
+    try {
+      this.lists = await storageManager.getWishlists() || [];
+    } catch (error) {
+      console.warn('Could not load wishlists:', error);
+      this.lists = [];
+    }
+    this.ratings = new WeakMap();
+  }
+
+  /**
+   * Imported lists without their roll data: { id, name, description, source, importedAt, rollCount, trashCount }
+   */
+  getLists() {
+    return this.lists.map(({ rolls, trash, notes, ...info }) => info);
+  }
+
+  hasLists() {
+    return this.lists.length > 0;
+  }
+
+  // ==================== IMPORT ====================
+
+  /**
+   * Parse wishlist text into the stored list format
+   */
+  parse(text, source = '') {
+    const list = {
+      id: `wishlist_${Date.now()}`,
+      name: '',
+      description: '',
+      source,
+      importedAt: Date.now(),
+      rollCount: 0,
+      trashCount: 0,
+      rolls: {},
+      trash: {},
+      notes: []
+    };
+
+    const noteIndexes = new Map();
+    const addNote = (note) => {
+      const trimmed = note.trim().slice(0, MAX_NOTE_LENGTH);
+      if (!trimmed) return -1;
+      if (!noteIndexes.has(trimmed)) {
+        noteIndexes.set(trimmed, list.notes.length);
+        list.notes.push(trimmed);
+      }
+      return noteIndexes.get(trimmed);
+    };
+
+    let blockNote = -1;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.trim();
+
+      if (!line) {
+        blockNote = -1;
+      } else if (line.startsWith('title:')) {
+        list.name = list.name || line.slice(6).trim();
+      } else if (line.startsWith('description:')) {
+        list.description = list.description || line.slice(12).trim();
+      } else if (line.startsWith('//notes:')) {
+        blockNote = addNote(line.slice(8));
+      } else if (line.startsWith(WISHLIST_LINE_PREFIX)) {
+        const roll = this.parseRollLine(line.slice(WISHLIST_LINE_PREFIX.length));
+        if (!roll) continue;
+
+        const isTrash = roll.itemHash < 0 && roll.itemHash !== ANY_ITEM_HASH;
+        const key = roll.itemHash === ANY_ITEM_HASH ? ANY_ITEM_KEY : String(Math.abs(roll.itemHash));
+        const target = isTrash ? list.trash : list.rolls;
+        const note = roll.note !== null ? addNote(roll.note) : blockNote;
+
+        (target[key] = target[key] || []).push([roll.perks, note]);
+        if (isTrash) list.trashCount++;
+        else list.rollCount++;
+      }
+    }
+
+    return list;
+  }
+
+  /**
+   * Parse "item=1234&perks=1,2,3#notes:..." into { itemHash, perks, note }
+   */
+  parseRollLine(body) {
+    const notesAt = body.indexOf('#notes:');
+    const query = notesAt === -1 ? body : body.slice(0, notesAt);
+    const note = notesAt === -1 ? null : body.slice(notesAt + 7);
+
+    const params = new URLSearchParams(query);
+    const itemHash = parseInt(params.get('item'));
+    if (!Number.isFinite(itemHash) || itemHash === 0) return null;
+
+    const perks = (params.get('perks') || '')
+      .split(',')
+      .map(p => parseInt(p))
+      .filter(p => Number.isFinite(p) && p > 0);
+
+    // A wildcard roll with no perks would match everything
+    if (itemHash === ANY_ITEM_HASH && perks.length === 0) return null;
+
+    return { itemHash, perks, note };
+  }
+
+  /**
+   * Import wishlist text, returning the new list's info
+   */
+  async importText(text, source = '') {
+    const list = this.parse(text, source);
+
+    if (list.rollCount + list.trashCount === 0) {
+      throw new Error('No dimwishlist rolls found in this file');
+    }
+    if (this.lists.length >= MAX_LISTS) {
+      throw new Error(`At most ${MAX_LISTS} wishlists can be imported - remove one first`);
+    }
+
+    list.name = list.name || source || 'Wishlist';
+    await this.save([...this.lists, list]);
+
+    const { rolls, trash, notes, ...info } = list;
+    return info;
+  }
+
+  /**
+   * Fetch and import a wishlist from a URL (e.g. a raw GitHub file)
+   */
+  async importUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new Error('Enter a valid wishlist URL');
+    }
+    if (parsed.protocol !== 'https:') {
+      throw new Error('Wishlist URLs must use https');
+    }
+
+    const response = await fetch(parsed.href);
+    if (!response.ok) {
+      throw new Error(`Wishlist download failed (${response.status})`);
+    }
+
+    const fileName = parsed.pathname.split('/').pop() || parsed.hostname;
+    return this.importText(await response.text(), fileName);
+  }
+
+  /**
+   * Remove an imported list
+   */
+  async removeList(listId) {
+    await this.save(this.lists.filter(l => l.id !== listId));
+  }
+
+  /**
+   * Persist lists; a list too big for browser storage is rejected and nothing changes
+   */
+  async save(lists) {
+    try {
+      await storageManager.saveWishlists(lists);
+    } catch (error) {
+      if (error?.name === 'QuotaExceededError') {
+        throw new Error('This wishlist is too large to store in the browser');
+      }
+      throw error;
+    }
+
+    this.lists = lists;
+    this.ratings = new WeakMap();
+    this.notifyListeners();
+  }
+
+  // ==================== RATING ====================
+
+  /**
+   * Rate a processed item (from InventoryProcessor) against the imported lists
+   * Returns null or { verdict: 'god' | 'trash', perks: [plugHash], note, listName }
+   * Rolls are checked against every plug the item can hold, not only the selected ones -
+   * except on crafted weapons, whose perks are chosen at the crafting table, so only
+   * the selected plugs count
+   */
+  getRating(item) {
+    if (!item?.sockets || this.lists.length === 0) return null;
+    if (this.ratings.has(item)) return this.ratings.get(item);
+
+    const plugs = this.getItemPlugs(item, !item.isCrafted);
+    const key = String(item.itemHash);
+
+    let rating = null;
+    for (const list of this.lists) {
+      const rolls = [...(list.rolls[key] || []), ...(list.rolls[ANY_ITEM_KEY] || [])];
+      const match = rolls.find(([perks]) => perks.every(hash => this.hasPlug(plugs, hash)));
+      if (match) {
+        rating = this.toRating('god', match, list, plugs);
+        break;
+      }
+    }
+
+    if (!rating) {
+      for (const list of this.lists) {
+        const match = (list.trash[key] || []).find(([perks]) => perks.every(hash => this.hasPlug(plugs, hash)));
+        if (match) {
+          rating = this.toRating('trash', match, list, plugs);
+          break;
+        }
+      }
+    }
+
+    this.ratings.set(item, rating);
+    return rating;
+  }
+
+  toRating(verdict, [perks, noteIndex], list, plugs) {
+    return {
+      verdict,
+      // Report the item's own plug hashes so enhanced versions highlight too
+      perks: perks.map(hash => plugs.byHash.has(hash) ? hash : plugs.byName.get(this.getPlugName(hash))).filter(Boolean),
+      note: list.notes[noteIndex] || null,
+      listName: list.name
+    };
+  }
+
+  /**
+   * Every plug hash the item has (and with includeOptions, can roll), plus plug names
+   * so enhanced perks (same name, different hash) match their base versions
+   */
+  getItemPlugs(item, includeOptions = true) {
+    const { perks = [], intrinsic, masterwork, mod, origin } = item.sockets;
+    const byHash = new Set();
+    const byName = new Map();
+
+    const add = (plug) => {
+      if (!plug?.plugHash) return;
+      byHash.add(plug.plugHash);
+      if (plug.name && !byName.has(plug.name.toLowerCase())) {
+        byName.set(plug.name.toLowerCase(), plug.plugHash);
+      }
+    };
+
+    for (const column of perks) {
+      ((includeOptions && column.options) || [column]).forEach(add);
+    }
+    [intrinsic, masterwork, mod, origin].forEach(add);
+
+    return { byHash, byName };
+  }
+
+  hasPlug(plugs, hash) {
+    return plugs.byHash.has(hash) || plugs.byName.has(this.getPlugName(hash));
+  }
+
+  getPlugName(hash) {
+    return manifestLoader.getItemDefinition(hash)?.displayProperties?.name?.toLowerCase() || null;
+  }
+
+  // ==================== LISTENERS ====================
+
+  /**
+   * Subscribe to list changes (import/remove). Returns an unsubscribe function.
+   */
+  onChange(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notifyListeners() {
+    this.listeners.forEach(callback => {
+      try {
+        callback(this.getLists());
+      } catch (error) {
+        console.error('Wishlist listener error:', error);
+      }
+    });
+  }
+}
+
+export const wishlistManager = new WishlistManager();
+export default WishlistManager;
@@ -0,0 +1,16 @@
+/**
+ * Armor Optimizer Worker - Runs the exhaustive armor search off the main thread
+ */
+
+import { armorOptimizer } from '../utils/armor-optimizer.js';
+
+self.addEventListener('message', (event) => {
+  const { requestId, armorBySlot, options } = event.data || {};
+
+  try {
+    const sets = armorOptimizer.optimize(armorBySlot || {}, options || {});
+    self.postMessage({ requestId, sets });
+  } catch (error) {
+    self.postMessage({ requestId, error: error.message || 'Armor optimization failed' });
+  }
+});
@@ -0,0 +1,236 @@
+// lib/auth-middleware.js
+// Shared authentication for API routes: verifies the session cookie, refreshes the
+// Bungie access token near expiry, re-issues the cookie and retries once on Bungie 401.
+// Routes act on auth.membership, the Destiny membership chosen for the session.
+
+const bungieOAuth = require('./bungie-oauth');
+
+const SESSION_COOKIE = 'bungie_session';
+const SESSION_MAX_AGE = 7 * 24 * 60 * 60; // seconds
+
+// Refresh when the access token has less than this left
+const REFRESH_WINDOW = 5 * 60 * 1000;
+
+// PlatformErrorCodes that mean the access token is no longer accepted
+const TOKEN_ERROR_CODES = [
+  99,   // WebAuthRequired
+  2111  // AccessTokenHasExpired
+];
+
+/**
+ * Wrap an API handler with session handling.
+ *   handler(req, res, auth) - auth is null for optional routes without a session
+ *   options.methods  - allowed HTTP methods (405 otherwise)
+ *   options.optional - run the handler signed out instead of returning 401
+ */
+function withAuth(handler, options = {}) {
+  const { methods = ['GET'], optional = false } = options;
+
+  return async function authenticatedHandler(req, res) {
+    if (!methods.includes(req.method)) {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    let auth;
+    try {
+      auth = await authenticate(req, res);
+    } catch (error) {
+      console.error('Authentication error:', error);
+      if (error.isConfigError || error.isStorageError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      return res.status(500).json({ error: 'Authentication failed' });
+    }
+
+    if (auth.error) {
+      if (optional) return handler(req, res, null);
+      return res.status(401).json({ error: auth.error });
+    }
+
+    return handler(req, res, auth);
+  };
+}
+
+/**
+ * Resolve the request's session into an auth context, or { error }
+ */
+async function authenticate(req, res) {
+  const sessionToken = req.cookies?.[SESSION_COOKIE];
+  if (!sessionToken) {
+    return { error: 'Not authenticated' };
+  }
+
+  const session = await bungieOAuth.verifySessionToken(sessionToken);
+  if (!session) {
+    return { error: 'Invalid session' };
+  }
+
+  const auth = new AuthContext(req, res, sessionToken, session);
+
+  if (auth.needsRefresh()) {
+    try {
+      await auth.refresh();
+    } catch (error) {
+      // An expired token can't be used; one that is merely close to expiry still can
+      if (session.expiresAt <= Date.now()) {
+        return { error: 'Session expired' };
+      }
+      console.warn('Token refresh failed, using current token:', error.message);
+    }
+  }
+
+  return auth;
+}
+
+class AuthContext {
+  constructor(req, res, sessionToken, session) {
+    this.req = req;
+    this.res = res;
+    this.sessionToken = sessionToken;
+    this.session = session;
+    this.refreshed = false;
+  }
+
+  get user() {
+    return this.session.user;
+  }
+
+  get accessToken() {
+    return this.session.accessToken;
+  }
+
+  /**
+   * The Destiny membership routes should act on: { membershipType, membershipId, displayName }
+   */
+  get membership() {
+    return resolveMembership(this.session);
+  }
+
+  /**
+   * Switch the session's active Destiny membership
+   */
+  async setMembership(membershipType, membershipId) {
+    const membership = getSelectableMemberships(this.user).find(m =>
+      m.membershipType === membershipType && m.membershipId === membershipId
+    );
+    if (!membership) {
+      const error = new Error('Membership not available on this account');
+      error.status = 400;
+      throw error;
+    }
+
+    const updated = {
+      ...this.session,
+      activeMembershipType: membership.membershipType,
+      activeMembershipId: membership.membershipId
+    };
+
+    await bungieOAuth.updateSession(this.sessionToken, updated);
+    this.session = updated;
+    return this.membership;
+  }
+
+  needsRefresh() {
+    return !!this.session.refreshToken && this.session.expiresAt - Date.now() < REFRESH_WINDOW;
+  }
+
+  /**
+   * Run a Bungie call with the access token; on 401, refresh once and retry
+   *   await auth.call(token => bungieAPI.getProfile(type, id, token))
+   */
+  async call(fn) {
+    try {
+      return await fn(this.accessToken);
+    } catch (error) {
+      if (!isTokenError(error) || this.refreshed || !this.session.refreshToken) {
+        throw error;
+      }
+
+      await this.refresh();
+      return fn(this.accessToken);
+    }
+  }
+
+  /**
+   * Exchange the refresh token, save the session and re-issue the cookie
+   */
+  async refresh() {
+    this.refreshed = true;
+    this.session = await refreshSession(this.sessionToken, this.session);
+    appendCookie(this.res, bungieOAuth.createSecureCookie(SESSION_COOKIE, this.sessionToken, SESSION_MAX_AGE));
+  }
+}
+
+/**
+ * Refresh a session's Bungie tokens and store the result
+ */
+async function refreshSession(sessionToken, session) {
+  const refreshResponse = await bungieOAuth.refreshAccessToken(session.refreshToken);
+  if (!refreshResponse.access_token) {
+    throw new Error('No access token in refresh response');
+  }
+
+  const updated = {
+    ...session,
+    accessToken: refreshResponse.access_token,
+    refreshToken: refreshResponse.refresh_token || session.refreshToken,
+    expiresAt: Date.now() + (refreshResponse.expires_in * 1000),
+    expiresIn: refreshResponse.expires_in,
+    lastRefreshed: Date.now()
+  };
+
+  await bungieOAuth.updateSession(sessionToken, updated);
+  return updated;
+}
+
+/**
+ * Memberships that can be viewed. Accounts folded into cross save (overridden
+ * by another platform) have no profile of their own and are left out.
+ */
+function getSelectableMemberships(user) {
+  return (user?.destinyMemberships || []).filter(m =>
+    !m.crossSaveOverride || m.crossSaveOverride === m.membershipType
+  );
+}
+
+/**
+ * The session's chosen membership, falling back to the account's primary one
+ */
+function resolveMembership(session) {
+  const user = session.user;
+  const memberships = getSelectableMemberships(user);
+
+  const active = memberships.find(m =>
+    m.membershipType === session.activeMembershipType && m.membershipId === session.activeMembershipId
+  ) || memberships.find(m =>
+    m.membershipType === user.primaryMembershipType && m.membershipId === user.primaryMembershipId
+  );
+
+  return {
+    membershipType: active?.membershipType ?? user.primaryMembershipType,
+    membershipId: active?.membershipId ?? user.primaryMembershipId,
+    displayName: active?.displayName || user.displayName
+  };
+}
+
+function isTokenError(error) {
+  return error?.status === 401 || TOKEN_ERROR_CODES.includes(error?.errorCode);
+}
+
+/**
+ * Add a Set-Cookie header without dropping ones already set
+ */
+function appendCookie(res, cookie) {
+  const existing = res.getHeader('Set-Cookie');
+  const cookies = existing ? [].concat(existing) : [];
+  res.setHeader('Set-Cookie', [...cookies, cookie]);
+}
+
+module.exports = {
+  withAuth,
+  refreshSession,
+  resolveMembership,
+  getSelectableMemberships,
+  SESSION_COOKIE,
+  SESSION_MAX_AGE
+};
@@ -21,7 +21,7 @@ class BungieAPI {
       headers['Authorization'] = `Bearer ${accessToken}`;
     }
 
-    const response = await fetch(`${this.baseUrl}${endpoint}`, {
+    const response = await fetch(`${options.baseUrl || this.baseUrl}${endpoint}`, {
       method: options.method || 'GET',
       headers,
       body: options.body ? JSON.stringify(options.body) : undefined
@@ -61,8 +61,10 @@ class BungieAPI {
         304, // ItemStats
         305, // ItemSockets
         306, // ItemReusablePlugs
+        309, // ItemPlugObjectives (crafted weapon level)
         800, // Collectibles
         900, // Records
+        1300, // Craftables (weapon patterns)
         1000 // Transitory (current activity)
       ];
     }
@@ -215,21 +217,27 @@ class BungieAPI {
   /**
    * Get specific vendor details
    */
-  async getVendor(membershipType, membershipId, characterId, vendorHash, accessToken) {
-    const components = [400, 401, 402].join(',');
+  async getVendor(membershipType, membershipId, characterId, vendorHash, accessToken, components = [400, 401, 402]) {
     return this.request(
-      `/Destiny2/${membershipType}/Profile/${membershipId}/Character/${characterId}/Vendors/${vendorHash}/?components=${components}`,
+      `/Destiny2/${membershipType}/Profile/${membershipId}/Character/${characterId}/Vendors/${vendorHash}/?components=${components.join(',')}`,
       accessToken
     );
   }
 
   /**
    * Get public Xur inventory (no auth needed)
+   * The public endpoint returns every vendor - pick out Xur's entry and sales
    */
   async getPublicXurVendor() {
     // Xur's vendor hash
     const xurHash = 2190858386;
-    return this.request(`/Destiny2/Vendors/?components=400,402`);
+    const data = await this.request(`/Destiny2/Vendors/?components=400,402`);
+
+    return {
+      vendorHash: xurHash,
+      vendor: data.vendors?.data?.[xurHash] || null,
+      sales: data.sales?.data?.[xurHash]?.saleItems || {}
+    };
   }
 
   // ==================== ACTIVITIES & MILESTONES ====================
@@ -254,7 +262,9 @@ class BungieAPI {
    * Get post-game carnage report
    */
   async getPGCR(activityId) {
-    return this.request(`/Destiny2/Stats/PostGameCarnageReport/${activityId}/`);
+    return this.request(`/Destiny2/Stats/PostGameCarnageReport/${activityId}/`, null, {
+      baseUrl: this.statsUrl
+    });
   }
 
   /**
@@ -435,6 +445,19 @@ class BungieAPI {
     return this.request(`/Destiny2/SearchDestinyPlayer/${membershipType}/${encodeURIComponent(displayName)}/`);
   }
 
+  /**
+   * Find a player's Destiny memberships by exact Bungie name (name + 4 digit code)
+   */
+  async searchDestinyPlayerByBungieName(displayName, displayNameCode, membershipType = -1) {
+    return this.request(`/Destiny2/SearchDestinyPlayerByBungieName/${membershipType}/`, null, {
+      method: 'POST',
+      body: {
+        displayName,
+        displayNameCode: parseInt(displayNameCode)
+      }
+    });
+  }
+
   /**
    * Search by Bungie global display name
    */
@@ -1,7 +1,7 @@
 // lib/bungie-oauth.js
 // Centralized Bungie OAuth implementation for Vercel Functions
 
-const { SignJWT, jwtVerify } = require('jose');
+const sessionStore = require('./session-store');
 
 class BungieOAuth {
   constructor() {
@@ -17,9 +17,6 @@ class BungieOAuth {
 
     // Redirect URI must match Bungie app settings exactly
     this.redirectUri = `${this.baseUrl}/api/auth/bungie-callback`;
-
-    // JWT secret
-    this.secret = new TextEncoder().encode(process.env.NEXTAUTH_SECRET || 'default-secret-change-this');
   }
 
   /**
@@ -97,34 +94,39 @@ class BungieOAuth {
   }
 
   /**
-   * Create JWT session token
+   * Throw if the session store is misconfigured (checked before starting a login)
    */
-  async createSessionToken(sessionData) {
-    const token = await new SignJWT(sessionData)
-      .setProtectedHeader({ alg: 'HS256' })
-      .setIssuedAt()
-      .setExpirationTime('7d')
-      .sign(this.secret);
+  checkSessionConfig() {
+    sessionStore.checkConfig();
+  }
 
-    return token;
+  /**
+   * Store a session server-side and return the opaque ID for the session cookie
+   */
+  async createSessionToken(sessionData) {
+    return sessionStore.create(sessionData);
   }
 
   /**
-   * Verify JWT session token
+   * Look up the session for a cookie value (null if missing, expired, revoked or undecryptable)
+   * Config and storage errors throw, so callers can answer 503 without dropping the cookie
    */
   async verifySessionToken(token) {
-    try {
-      const { payload } = await jwtVerify(token, this.secret);
+    return sessionStore.get(token);
+  }
 
-      if (payload.exp && Date.now() >= payload.exp * 1000) {
-        return null;
-      }
+  /**
+   * Replace stored session data (e.g. after refreshing tokens)
+   */
+  async updateSession(token, sessionData) {
+    return sessionStore.update(token, sessionData);
+  }
 
-      return payload;
-    } catch (error) {
-      console.error('Session verification failed:', error);
-      return null;
-    }
+  /**
+   * Revoke a session so its cookie stops working immediately
+   */
+  async revokeSession(token) {
+    return sessionStore.revoke(token);
   }
 
   /**
@@ -0,0 +1,119 @@
+// lib/kv-store.js
+// Shared key-value store for serverless instances - Redis over the REST API used by
+// Vercel KV and Upstash. Configure with KV_REST_API_URL / KV_REST_API_TOKEN (set by the
+// Vercel KV integration) or UPSTASH_REDIS_REST_URL / UPSTASH_REDIS_REST_TOKEN.
+
+// Versioned values live in a hash: { version, value }. The script only writes when the
+// stored version still matches, so concurrent writers can't overwrite each other.
+const COMPARE_AND_SET_SCRIPT = `
+local current = redis.call('HGET', KEYS[1], 'version') or '0'
+if current ~= ARGV[1] then return 0 end
+redis.call('HSET', KEYS[1], 'version', ARGV[2], 'value', ARGV[3])
+if tonumber(ARGV[4]) > 0 then redis.call('PEXPIRE', KEYS[1], ARGV[4]) end
+return 1
+`;
+
+class KVStore {
+  constructor() {
+    this.url = (process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL || '').replace(/\/$/, '');
+    this.token = process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN || '';
+  }
+
+  /**
+   * True when REST credentials are set
+   */
+  isConfigured() {
+    return !!(this.url && this.token);
+  }
+
+  /**
+   * True on serverless hosts (Vercel, Lambda), where the filesystem is read-only and
+   * instances don't share memory - only this store works there
+   */
+  isRequired() {
+    return !!(process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME);
+  }
+
+  /**
+   * Run one Redis command, e.g. command('GET', key)
+   */
+  async command(...args) {
+    if (!this.isConfigured()) {
+      throw new Error('KV store is not configured (set KV_REST_API_URL and KV_REST_API_TOKEN)');
+    }
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(args.map(String))
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.error) {
+      const error = new Error(`KV ${args[0]} failed: ${data.error || response.status}`);
+      error.status = 503;
+      throw error;
+    }
+
+    return data.result;
+  }
+
+  // ==================== JSON VALUES ====================
+
+  async getJSON(key) {
+    const raw = await this.command('GET', key);
+    return raw === null || raw === undefined ? null : JSON.parse(raw);
+  }
+
+  /**
+   * Store a JSON value, optionally expiring after ttlMs
+   */
+  async setJSON(key, value, ttlMs = 0) {
+    const args = ['SET', key, JSON.stringify(value)];
+    if (ttlMs > 0) args.push('PX', Math.ceil(ttlMs));
+    await this.command(...args);
+  }
+
+  async delete(key) {
+    await this.command('DEL', key);
+  }
+
+  /**
+   * Keys matching a pattern, one SCAN page at a time
+   */
+  async scan(pattern, cursor = '0', count = 100) {
+    const [next, keys] = await this.command('SCAN', cursor, 'MATCH', pattern, 'COUNT', count);
+    return { cursor: next, keys: keys || [] };
+  }
+
+  // ==================== VERSIONED VALUES ====================
+
+  /**
+   * Read a versioned JSON value: { value, version } (version 0 and value null when missing)
+   */
+  async getVersioned(key) {
+    const [version, raw] = await this.command('HMGET', key, 'version', 'value');
+    return {
+      value: raw ? JSON.parse(raw) : null,
+      version: parseInt(version) || 0
+    };
+  }
+
+  /**
+   * Write a versioned JSON value only if it is still at expectedVersion
+   * Returns false when another writer got there first
+   */
+  async compareAndSet(key, expectedVersion, value, ttlMs = 0) {
+    const result = await this.command(
+      'EVAL', COMPARE_AND_SET_SCRIPT, 1, key,
+      expectedVersion, expectedVersion + 1, JSON.stringify(value), Math.ceil(ttlMs)
+    );
+    return result === 1;
+  }
+}
+
+const kvStore = new KVStore();
+module.exports = kvStore;
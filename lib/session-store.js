@@ -0,0 +1,339 @@
+// lib/session-store.js
+// Server-side session store - the cookie only holds an opaque session ID
+// Sessions are AES-256-GCM encrypted at rest and stored under a hash of the ID,
+// so neither the store contents nor its keys can be turned back into a usable cookie.
+//
+// Configuration:
+//   SESSION_ENCRYPTION_KEY - 32 bytes, hex or base64 (falls back to a key derived from
+//                            NEXTAUTH_SECRET; one of the two is required)
+//   SESSION_STORE_ADAPTER  - kv (shared Redis, see lib/kv-store.js; default when configured),
+//                            file (.data/sessions, local development) or memory (per process).
+//                            Serverless deployments must use kv.
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const kvStore = require('./kv-store');
+
+const SESSION_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const SESSION_ID_BYTES = 32;
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+/**
+ * Shared Redis backend - records expire on their own, so no pruning is needed
+ */
+class KVSessionAdapter {
+  key(key) {
+    return `session:${key}`;
+  }
+
+  async get(key) {
+    return kvStore.getJSON(this.key(key));
+  }
+
+  async set(key, record) {
+    await kvStore.setJSON(this.key(key), record, Math.max(1, record.expiresAt - Date.now()));
+  }
+
+  async delete(key) {
+    await kvStore.delete(this.key(key));
+  }
+}
+
+/**
+ * In-memory backend - sessions are lost on restart (local development)
+ */
+class MemorySessionAdapter {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async get(key) {
+    return this.records.get(key) || null;
+  }
+
+  async set(key, record) {
+    this.records.set(key, record);
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+  }
+
+  async prune(now) {
+    for (const [key, record] of this.records) {
+      if (record.expiresAt <= now) this.records.delete(key);
+    }
+  }
+}
+
+/**
+ * JSON-file backend - one file per session (local development)
+ */
+class FileSessionAdapter {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.SESSION_STORE_DIR || path.join(process.cwd(), '.data', 'sessions');
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  async get(key) {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async set(key, record) {
+    await fs.mkdir(this.dir, { recursive: true, mode: 0o700 });
+
+    const target = this.filePath(key);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(record), { encoding: 'utf8', mode: 0o600 });
+    await fs.rename(temp, target);
+  }
+
+  async delete(key) {
+    await fs.rm(this.filePath(key), { force: true });
+  }
+
+  async prune(now) {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch {
+      return;
+    }
+
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      const record = await this.get(file.slice(0, -5)).catch(() => null);
+      if (!record || record.expiresAt <= now) {
+        await fs.rm(path.join(this.dir, file), { force: true });
+      }
+    }
+  }
+}
+
+class SessionStore {
+  constructor() {
+    this.adapters = new Map();
+    this.adapter = null;
+    this.key = null;
+    this.lastPrune = 0;
+
+    this.registerAdapter('kv', () => new KVSessionAdapter());
+    this.registerAdapter('memory', () => new MemorySessionAdapter());
+    this.registerAdapter('file', options => new FileSessionAdapter(options));
+  }
+
+  /**
+   * Encryption key: SESSION_ENCRYPTION_KEY, or derived from NEXTAUTH_SECRET (resolved on first use)
+   */
+  getKey() {
+    if (!this.key) {
+      const configuredKey = process.env.SESSION_ENCRYPTION_KEY;
+      const secret = process.env.NEXTAUTH_SECRET;
+
+      if (configuredKey) {
+        this.key = this.parseKey(configuredKey);
+      } else if (secret) {
+        this.key = Buffer.from(crypto.hkdfSync('sha256', secret, 'sot-session-store', 'session-encryption', 32));
+      } else {
+        throw configError('Set SESSION_ENCRYPTION_KEY (32 bytes, hex or base64) or NEXTAUTH_SECRET to encrypt sessions');
+      }
+    }
+    return this.key;
+  }
+
+  /**
+   * Register a storage backend. The factory returns an object with async
+   * get(key), set(key, record), delete(key) and optionally prune(now).
+   */
+  registerAdapter(name, factory) {
+    this.adapters.set(name, factory);
+  }
+
+  /**
+   * Get the configured adapter (created on first use)
+   */
+  getAdapter() {
+    if (!this.adapter) {
+      const name = process.env.SESSION_STORE_ADAPTER || (kvStore.isConfigured() ? 'kv' : 'file');
+      const factory = this.adapters.get(name);
+      if (!factory) {
+        throw configError(`Unknown session store adapter: ${name}`);
+      }
+      if (name !== 'kv' && kvStore.isRequired()) {
+        throw configError(
+          `Session store adapter "${name}" does not work on serverless deployments - ` +
+          'connect a KV store (KV_REST_API_URL / KV_REST_API_TOKEN) or set SESSION_STORE_ADAPTER=kv'
+        );
+      }
+      this.adapter = factory();
+    }
+    return this.adapter;
+  }
+
+  /**
+   * Throw a configuration error now if sessions can't be stored or encrypted
+   */
+  checkConfig() {
+    this.getAdapter();
+    this.getKey();
+  }
+
+  /**
+   * Store a new session, returning its opaque ID for the cookie
+   */
+  async create(sessionData) {
+    const sessionId = crypto.randomBytes(SESSION_ID_BYTES).toString('base64url');
+    const now = Date.now();
+
+    await this.getAdapter().set(this.storageKey(sessionId), {
+      createdAt: now,
+      expiresAt: now + SESSION_TTL,
+      payload: this.encrypt(sessionData)
+    });
+
+    this.pruneExpired(now);
+    return sessionId;
+  }
+
+  /**
+   * Load and decrypt a session, or null if it is missing, expired, revoked or undecryptable
+   * Store failures throw (status 503, isStorageError) - they say nothing about the session
+   */
+  async get(sessionId) {
+    if (!SESSION_ID_PATTERN.test(sessionId || '')) return null;
+
+    // Surface a missing key as a config error, not as an undecryptable session
+    this.getKey();
+
+    const key = this.storageKey(sessionId);
+    const record = await this.withStorage(() => this.getAdapter().get(key));
+    if (!record) return null;
+
+    if (record.expiresAt <= Date.now()) {
+      await this.withStorage(() => this.getAdapter().delete(key));
+      return null;
+    }
+
+    try {
+      return this.decrypt(record.payload);
+    } catch (error) {
+      // Wrong key (rotated secret) or tampered record
+      console.error('Session decrypt failed:', error.message);
+      await this.withStorage(() => this.getAdapter().delete(key));
+      return null;
+    }
+  }
+
+  /**
+   * Replace a session's data (after a token refresh), sliding its expiry
+   */
+  async update(sessionId, sessionData) {
+    if (!SESSION_ID_PATTERN.test(sessionId || '')) return false;
+
+    const key = this.storageKey(sessionId);
+    const record = await this.getAdapter().get(key);
+    if (!record) return false;
+
+    await this.getAdapter().set(key, {
+      ...record,
+      expiresAt: Date.now() + SESSION_TTL,
+      payload: this.encrypt(sessionData)
+    });
+    return true;
+  }
+
+  /**
+   * Revoke a session immediately
+   */
+  async revoke(sessionId) {
+    if (!SESSION_ID_PATTERN.test(sessionId || '')) return;
+    await this.getAdapter().delete(this.storageKey(sessionId));
+  }
+
+  // ==================== HELPERS ====================
+
+  /**
+   * Run a storage call, marking its failure as a storage error
+   */
+  async withStorage(operation) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (error.isConfigError) throw error;
+      throw storageError(error);
+    }
+  }
+
+  storageKey(sessionId) {
+    return crypto.createHash('sha256').update(sessionId).digest('hex');
+  }
+
+  encrypt(data) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: encrypted.toString('base64')
+    };
+  }
+
+  decrypt(payload) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getKey(), Buffer.from(payload.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+    const decrypted = Buffer.concat([decipher.update(Buffer.from(payload.data, 'base64')), decipher.final()]);
+    return JSON.parse(decrypted.toString('utf8'));
+  }
+
+  parseKey(value) {
+    const key = /^[0-9a-fA-F]{64}$/.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+    if (key.length !== 32) {
+      throw configError('SESSION_ENCRYPTION_KEY must be 32 bytes (hex or base64)');
+    }
+    return key;
+  }
+
+  /**
+   * Drop expired sessions at most once an hour (fire and forget)
+   */
+  pruneExpired(now) {
+    const adapter = this.getAdapter();
+    if (typeof adapter.prune !== 'function' || now - this.lastPrune < 60 * 60 * 1000) return;
+
+    this.lastPrune = now;
+    adapter.prune(now).catch(error => console.warn('Session prune failed:', error.message));
+  }
+}
+
+/**
+ * Deployment misconfiguration - surfaced to callers instead of looking like a bad session
+ */
+function configError(message) {
+  const error = new Error(message);
+  error.status = 503;
+  error.isConfigError = true;
+  return error;
+}
+
+/**
+ * Session storage unavailable (KV outage, unreadable file) - callers answer 503 and keep the cookie
+ */
+function storageError(cause) {
+  const error = new Error(`Session storage unavailable: ${cause.message}`);
+  error.status = 503;
+  error.isStorageError = true;
+  return error;
+}
+
+const sessionStore = new SessionStore();
+module.exports = sessionStore;
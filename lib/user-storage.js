@@ -0,0 +1,310 @@
+// lib/user-storage.js
+// Per-membership storage for synced dashboard data (layouts, loadouts, settings)
+// Backends are pluggable; pick one with USER_STORAGE_ADAPTER:
+//   kv     - shared Redis (Vercel KV / Upstash, see lib/kv-store.js); default when configured
+//   file   - JSON files under .data/user-sync (local development; read-only on Vercel)
+//   memory - per-process (tests and previews)
+// Writes are compare-and-set on a per-membership version, so two devices syncing at
+// once re-merge instead of overwriting each other.
+
+const fs = require('fs/promises');
+const path = require('path');
+const kvStore = require('./kv-store');
+
+// Keys are StorageManager keys without the 'sot_' prefix
+const KEY_PATTERN = /^[a-zA-Z0-9_:.-]{1,120}$/;
+const MAX_KEYS = 500;
+const MAX_RECORD_BYTES = 1024 * 1024; // 1MB per membership
+
+// Merge attempts before giving up when other writers keep winning
+const MAX_WRITE_ATTEMPTS = 5;
+
+/**
+ * Shared Redis backend - the deployed default
+ */
+class KVStorageAdapter {
+  key(membershipKey) {
+    return `user-sync:${membershipKey}`;
+  }
+
+  async read(membershipKey) {
+    const { value, version } = await kvStore.getVersioned(this.key(membershipKey));
+    return { record: value, version };
+  }
+
+  async write(membershipKey, record, expectedVersion) {
+    return kvStore.compareAndSet(this.key(membershipKey), expectedVersion, record);
+  }
+}
+
+/**
+ * Local JSON-file backend - one file per membership, for development
+ */
+class FileStorageAdapter {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.USER_STORAGE_DIR || path.join(process.cwd(), '.data', 'user-sync');
+    this.locks = new Map();
+  }
+
+  filePath(membershipKey) {
+    return path.join(this.dir, `${membershipKey}.json`);
+  }
+
+  async read(membershipKey) {
+    try {
+      const stored = JSON.parse(await fs.readFile(this.filePath(membershipKey), 'utf8'));
+
+      // Files written before versioning hold the bare record
+      if (stored.entries) return { record: stored, version: 0 };
+      return { record: stored.record || null, version: stored.version || 0 };
+    } catch (error) {
+      if (error.code === 'ENOENT') return { record: null, version: 0 };
+      throw error;
+    }
+  }
+
+  async write(membershipKey, record, expectedVersion) {
+    // Check and write under a per-membership lock so requests in this process can't interleave
+    const previous = this.locks.get(membershipKey) || Promise.resolve();
+    const attempt = previous.then(async () => {
+      const { version } = await this.read(membershipKey);
+      if (version !== expectedVersion) return false;
+
+      await fs.mkdir(this.dir, { recursive: true });
+
+      // Write then rename so a crash never leaves a half-written file
+      const target = this.filePath(membershipKey);
+      const temp = `${target}.${process.pid}.tmp`;
+      await fs.writeFile(temp, JSON.stringify({ version: version + 1, record }), 'utf8');
+      await fs.rename(temp, target);
+      return true;
+    });
+
+    const settled = attempt.catch(() => {});
+    this.locks.set(membershipKey, settled);
+    settled.then(() => {
+      if (this.locks.get(membershipKey) === settled) this.locks.delete(membershipKey);
+    });
+
+    return attempt;
+  }
+}
+
+/**
+ * In-memory backend - lost on restart, useful for tests and previews
+ */
+class MemoryStorageAdapter {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async read(membershipKey) {
+    const stored = this.records.get(membershipKey);
+    return stored ? { record: structuredClone(stored.record), version: stored.version } : { record: null, version: 0 };
+  }
+
+  async write(membershipKey, record, expectedVersion) {
+    const version = this.records.get(membershipKey)?.version || 0;
+    if (version !== expectedVersion) return false;
+
+    this.records.set(membershipKey, { record: structuredClone(record), version: version + 1 });
+    return true;
+  }
+}
+
+class UserStorage {
+  constructor() {
+    this.adapters = new Map();
+    this.adapter = null;
+
+    this.registerAdapter('kv', () => new KVStorageAdapter());
+    this.registerAdapter('file', options => new FileStorageAdapter(options));
+    this.registerAdapter('memory', () => new MemoryStorageAdapter());
+  }
+
+  /**
+   * Register a storage backend. The factory returns an object with
+   * async read(membershipKey) -> { record|null, version } and
+   * async write(membershipKey, record, expectedVersion) -> false if the version moved on
+   */
+  registerAdapter(name, factory) {
+    this.adapters.set(name, factory);
+  }
+
+  /**
+   * Get the configured adapter (created on first use)
+   */
+  getAdapter() {
+    if (!this.adapter) {
+      const name = process.env.USER_STORAGE_ADAPTER || (kvStore.isConfigured() ? 'kv' : 'file');
+      const factory = this.adapters.get(name);
+      if (!factory) {
+        throw new Error(`Unknown user storage adapter: ${name}`);
+      }
+      if (name !== 'kv' && kvStore.isRequired()) {
+        const error = new Error(
+          `User storage adapter "${name}" does not work on serverless deployments - ` +
+          'connect a KV store (KV_REST_API_URL / KV_REST_API_TOKEN) or set USER_STORAGE_ADAPTER=kv'
+        );
+        error.status = 503;
+        throw error;
+      }
+      this.adapter = factory();
+    }
+    return this.adapter;
+  }
+
+  /**
+   * Storage key for a Bungie.net membership
+   */
+  getMembershipKey(membershipId) {
+    if (!/^\d+$/.test(String(membershipId || ''))) {
+      throw new Error('Invalid membership ID');
+    }
+    return `bnet-${membershipId}`;
+  }
+
+  /**
+   * Get all entries changed after `since` (0 = everything)
+   * Returns { entries: { [key]: { value, updatedAt, deleted? } }, cursor } - cursor is
+   * the revision of the record that was read, to pass as the next `since`
+   */
+  async getEntries(membershipId, since = 0) {
+    const { record } = await this.getAdapter().read(this.getMembershipKey(membershipId));
+    return {
+      entries: this.filterSince(record?.entries || {}, since),
+      cursor: this.getRevision(record)
+    };
+  }
+
+  /**
+   * Merge incoming entries using last-write-wins per key (by the writer's updatedAt).
+   * Returns { entries, cursor }: the stored entries changed after `since`, so the caller
+   * sees anything newer than it had, and the revision of the record they came from.
+   * `since` is compared against record revisions (syncedAt), not client clocks.
+   * If another device writes between our read and write, the merge is redone on its result.
+   */
+  async mergeEntries(membershipId, incoming, since = 0) {
+    const membershipKey = this.getMembershipKey(membershipId);
+    const adapter = this.getAdapter();
+
+    for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+      const { record, version } = await adapter.read(membershipKey);
+      const merged = this.applyEntries(record || { entries: {} }, incoming);
+
+      if (!merged.changed || await adapter.write(membershipKey, merged.record, version)) {
+        return {
+          entries: this.filterSince(merged.record.entries, since),
+          cursor: this.getRevision(merged.record)
+        };
+      }
+
+      // Lost the race - back off a little (with jitter) before re-reading
+      await new Promise(resolve => setTimeout(resolve, (attempt + 1) * 20 + Math.random() * 30));
+    }
+
+    const error = new Error('Sync conflict - please try again');
+    error.status = 409;
+    throw error;
+  }
+
+  /**
+   * Apply incoming entries to a stored record (last-write-wins per key)
+   * Changed entries are stamped with the record's next revision. Returns { record, changed }
+   */
+  applyEntries(record, incoming) {
+    const entries = record.entries;
+    const syncedAt = this.getNextRevision(record);
+    let changed = false;
+
+    for (const [key, entry] of Object.entries(incoming)) {
+      const current = entries[key];
+      if (!current || entry.updatedAt > current.updatedAt) {
+        entries[key] = entry.deleted
+          ? { deleted: true, updatedAt: entry.updatedAt, syncedAt }
+          : { value: entry.value, updatedAt: entry.updatedAt, syncedAt };
+        changed = true;
+      }
+    }
+
+    if (Object.keys(entries).length > MAX_KEYS) {
+      const error = new Error('Too many synced keys');
+      error.status = 413;
+      throw error;
+    }
+
+    if (changed) {
+      record.revision = syncedAt;
+      record.updatedAt = Date.now();
+      if (Buffer.byteLength(JSON.stringify(record)) > MAX_RECORD_BYTES) {
+        const error = new Error('Synced data is too large');
+        error.status = 413;
+        throw error;
+      }
+    }
+
+    return { record, changed };
+  }
+
+  /**
+   * Validate a client payload, returning an error message or null
+   */
+  validateEntries(entries) {
+    if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+      return 'entries must be an object';
+    }
+
+    const keys = Object.keys(entries);
+    if (keys.length > MAX_KEYS) {
+      return 'Too many entries';
+    }
+
+    for (const key of keys) {
+      const entry = entries[key];
+      if (!KEY_PATTERN.test(key)) {
+        return `Invalid key: ${key}`;
+      }
+      if (!entry || typeof entry !== 'object' || !Number.isFinite(entry.updatedAt)) {
+        return `Invalid entry for ${key}`;
+      }
+      if (!entry.deleted && typeof entry.value !== 'string') {
+        return `Entry ${key} must have a string value`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Sync cursor for a stored record. Revisions only grow with each committed write, so
+   * a reader's cursor is never ahead of a write it hasn't seen - unlike the request's
+   * clock, which a slower concurrent write can stamp entries behind.
+   * Records written before revisions existed use their last write time.
+   */
+  getRevision(record) {
+    return record?.revision ?? record?.updatedAt ?? 0;
+  }
+
+  /**
+   * Revision for the next write: the current time, but always past the read revision
+   * (compare-and-set guarantees nobody committed in between)
+   */
+  getNextRevision(record) {
+    return Math.max(Date.now(), this.getRevision(record) + 1);
+  }
+
+  filterSince(entries, since) {
+    if (!since) return { ...entries };
+
+    const result = {};
+    for (const [key, entry] of Object.entries(entries)) {
+      if (entry.syncedAt > since) {
+        result[key] = entry;
+      }
+    }
+    return result;
+  }
+}
+
+const userStorage = new UserStorage();
+module.exports = userStorage;